@@ -0,0 +1,150 @@
+// amount.js - Exact STX amounts. µSTX are BigInt everywhere; STX only exist
+// as strings typed by the user or rendered for display.
+import { CONFIG } from './config.js';
+import { t, getFormatLocale } from './i18n.js';
+
+export const STX_DECIMALS = 6;
+export const MICRO_PER_STX = 10n ** BigInt(STX_DECIMALS);
+
+const pow10 = digits => 10n ** BigInt(digits);
+
+// Decimal separator of `locale`, e.g. ',' for 'de'
+export function getDecimalSeparator(locale = getFormatLocale()) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(1.5);
+  return parts.find(part => part.type === 'decimal')?.value || '.';
+}
+
+// Grouping separator of `locale`, e.g. '.' for 'de'
+export function getGroupSeparator(locale = getFormatLocale()) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  return parts.find(part => part.type === 'group')?.value || ',';
+}
+
+/**
+ * Coerces an existing µSTX value (BigInt, integer Number or digit string,
+ * e.g. from IndexedDB or JSON) to BigInt. Never use this on STX amounts.
+ */
+export function toMicro(value) {
+  if (typeof value === 'bigint') return value;
+  if (value === null || value === undefined || value === '') return 0n;
+
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`µSTX must be a safe integer, got ${value}`);
+    }
+    return BigInt(value);
+  }
+
+  if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+    return BigInt(value.trim());
+  }
+
+  throw new Error(`Invalid µSTX value: ${value}`);
+}
+
+/**
+ * Parses a user-typed STX amount into µSTX without going through floats:
+ * '0.29' → 290000n. Accepts the locale's decimal separator, and '.' unless
+ * the locale groups with it ('1.000' is a thousand in German, so it's
+ * rejected rather than read as 1); rejects grouping, exponents, signs and
+ * more than `decimals` fraction digits. `locale` defaults to the active one
+ * (see i18n.js); links and attributes pass 'en'.
+ */
+export function parseStx(input, { decimals = CONFIG.UI.DECIMALS, locale = getFormatLocale() } = {}) {
+  const maxDecimals = Math.min(decimals, STX_DECIMALS);
+  const separator = getDecimalSeparator(locale);
+
+  let text = String(input ?? '').trim();
+  if (separator !== '.') {
+    if (getGroupSeparator(locale) === '.' && text.includes('.')) {
+      throw new Error(t('amount.invalid', { example: `1${separator}5` }));
+    }
+    text = text.replace(separator, '.');
+  }
+
+  const match = text.match(/^(\d*)(?:\.(\d*))?$/);
+  if (!match || (!match[1] && !match[2])) {
+    throw new Error(t('amount.invalid', { example: `1${separator}5` }));
+  }
+
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > maxDecimals) {
+    throw new Error(t('amount.tooManyDecimals', { count: maxDecimals }));
+  }
+
+  return BigInt(whole || '0') * MICRO_PER_STX + BigInt(fraction.padEnd(STX_DECIMALS, '0'));
+}
+
+// Like parseStx, but null instead of throwing (for live form validation)
+export function tryParseStx(input, options) {
+  try {
+    return parseStx(input, options);
+  } catch {
+    return null;
+  }
+}
+
+// Exact, locale-free decimal string for links and logs: 290000n → '0.29'
+export function microToStxString(micro) {
+  const value = toMicro(micro);
+  const sign = value < 0n ? '-' : '';
+  const abs = value < 0n ? -value : value;
+
+  const whole = abs / MICRO_PER_STX;
+  const fraction = (abs % MICRO_PER_STX).toString().padStart(STX_DECIMALS, '0').replace(/0+$/, '');
+
+  return sign + whole.toString() + (fraction ? `.${fraction}` : '');
+}
+
+// What parseStx reads back in `locale`, for filling inputs: 1500000n → '1,5' (de)
+export function formatStxInput(micro, locale = getFormatLocale()) {
+  return microToStxString(micro).replace('.', getDecimalSeparator(locale));
+}
+
+/**
+ * Locale-aware display of a µSTX amount, e.g. formatStx(1234500000n) →
+ * '1,234.500000 STX' (en) or '1.234,500000 STX' (de), in the active locale
+ * by default. Rounds half up when `maxDecimals` is below 6; trailing zeros
+ * are trimmed down to `minDecimals`.
+ */
+export function formatStx(micro, {
+  locale = getFormatLocale(),
+  minDecimals = CONFIG.UI.DECIMALS,
+  maxDecimals = CONFIG.UI.DECIMALS,
+  unit = true
+} = {}) {
+  let value;
+  try {
+    value = toMicro(micro);
+  } catch {
+    value = 0n;
+  }
+
+  const max = Math.min(maxDecimals, STX_DECIMALS);
+  const min = Math.min(minDecimals, max);
+  const sign = value < 0n ? '-' : '';
+  const abs = value < 0n ? -value : value;
+
+  const step = pow10(STX_DECIMALS - max);
+  const rounded = (abs + step / 2n) / step;
+  const whole = rounded / pow10(max);
+
+  let fraction = (rounded % pow10(max)).toString().padStart(max, '0');
+  while (fraction.length > min && fraction.endsWith('0')) {
+    fraction = fraction.slice(0, -1);
+  }
+
+  // Intl formats BigInt exactly, so grouping never touches a float
+  const wholeText = new Intl.NumberFormat(locale, { maximumFractionDigits: 0 }).format(whole);
+  const text = sign + wholeText + (fraction ? getDecimalSeparator(locale) + fraction : '');
+
+  return unit ? `${text} STX` : text;
+}
+
+// CONFIG.UI tip limits in µSTX
+export function getTipLimits() {
+  return {
+    min: parseStx(CONFIG.UI.MIN_TIP, { decimals: STX_DECIMALS, locale: 'en' }),
+    max: parseStx(CONFIG.UI.MAX_TIP, { decimals: STX_DECIMALS, locale: 'en' })
+  };
+}
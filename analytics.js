@@ -0,0 +1,220 @@
+// analytics.js - Tip activity over time, aggregated from the jar's history entries
+import { CONFIG } from './config.js';
+import { t } from './i18n.js';
+import { getHistoryIndex } from './history-index.js';
+
+export const ANALYTICS_RANGES = {
+  ALL: 'all',
+  BLOCKS: 'blocks', // last N blocks, bucketed by block range
+  DAYS: 'days'      // last N days, bucketed by day
+};
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// 'days:30' -> { type: 'days', size: 30 }; 'all' -> { type: 'all', size: null }
+export function parseAnalyticsRange(key) {
+  const [type, size] = String(key || '').split(':');
+  if (type === ANALYTICS_RANGES.DAYS || type === ANALYTICS_RANGES.BLOCKS) {
+    const parsed = parseInt(size, 10);
+    if (parsed > 0) return { type, size: parsed };
+  }
+  return { type: ANALYTICS_RANGES.ALL, size: null };
+}
+
+// Ranges offered in the UI, from CONFIG.ANALYTICS: [{ key, label }] in the active language
+export function getAnalyticsRanges() {
+  return [
+    ...CONFIG.ANALYTICS.DAYS.map(days => ({ key: `${ANALYTICS_RANGES.DAYS}:${days}`, label: t('range.lastDays', { count: days }) })),
+    ...CONFIG.ANALYTICS.BLOCKS.map(blocks => ({ key: `${ANALYTICS_RANGES.BLOCKS}:${blocks}`, label: t('range.lastBlocks', { count: blocks }) })),
+    { key: ANALYTICS_RANGES.ALL, label: t('range.allTime') }
+  ];
+}
+
+// Median of sorted µSTX amounts; an even count averages the middle two (rounded down)
+function median(sorted) {
+  if (sorted.length === 0) return 0n;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2n;
+}
+
+// Splits [fromHeight, toHeight] into at most MAX_BUCKETS equal block ranges
+function blockBuckets(fromHeight, toHeight) {
+  const blocks = toHeight - fromHeight + 1;
+  const span = Math.ceil(blocks / CONFIG.ANALYTICS.MAX_BUCKETS);
+  const count = Math.ceil(blocks / span);
+
+  return Array.from({ length: count }, (_, i) => ({
+    fromHeight: fromHeight + i * span,
+    toHeight: Math.min(toHeight, fromHeight + (i + 1) * span - 1)
+  }));
+}
+
+// Splits the last `days` days into at most MAX_BUCKETS groups of whole days
+function dayBuckets(days, now) {
+  const span = Math.ceil(days / CONFIG.ANALYTICS.MAX_BUCKETS) * SECONDS_PER_DAY;
+  const from = now - days * SECONDS_PER_DAY;
+  const count = Math.ceil((now - from) / span);
+
+  return Array.from({ length: count }, (_, i) => ({
+    fromTime: from + i * span,
+    toTime: Math.min(now, from + (i + 1) * span)
+  }));
+}
+
+/**
+ * Aggregates one jar's history index for a range: totals (volume, average
+ * and median tip, share with a message, new vs returning tippers) plus the
+ * same per bucket for the charts. A tipper counts as new in a bucket or
+ * range that contains their first tip ever.
+ *
+ * The first-tip index is kept incrementally as the history grows, and
+ * reports are cached per range until a tip arrives or CACHE_TTL passes.
+ */
+export class Analytics {
+  constructor(contractManager) {
+    this.history = getHistoryIndex(contractManager);
+    this.generation = this.history.generation;
+    this.seenTo = 0;            // Entries of the index included in firstSeen
+    this.firstSeen = new Map(); // tipper -> index of their first entry
+    this.reports = new Map();   // range key -> { count, at, report }
+  }
+
+  reset() {
+    this.generation = this.history.generation;
+    this.seenTo = 0;
+    this.firstSeen = new Map();
+    this.reports = new Map();
+  }
+
+  async update() {
+    await this.history.update();
+
+    if (this.generation !== this.history.generation) {
+      console.log('♻️ Analytics: history was rebuilt, recounting');
+      this.reset();
+    }
+
+    const { entries } = this.history;
+    for (let i = this.seenTo; i < entries.length; i++) {
+      if (!this.firstSeen.has(entries[i].tipper)) {
+        this.firstSeen.set(entries[i].tipper, i);
+      }
+    }
+    this.seenTo = entries.length;
+  }
+
+  // Buckets for the range, each with the index of its first entry
+  async resolveBuckets({ type, size }, entries) {
+    const { history } = this;
+    let buckets;
+    let locate;
+
+    if (type === ANALYTICS_RANGES.DAYS) {
+      buckets = dayBuckets(size, Math.floor(Date.now() / 1000));
+      locate = (bucket, lo) => history.firstIndexFromTime(bucket.fromTime, lo);
+    } else {
+      if (type === ANALYTICS_RANGES.ALL && entries.length === 0) return [];
+
+      const toHeight = await history.fetchTipHeight();
+      const fromHeight = type === ANALYTICS_RANGES.BLOCKS
+        ? Math.max(0, toHeight - size + 1)
+        : Math.min(entries[0].blockHeight, toHeight);
+      buckets = blockBuckets(fromHeight, toHeight);
+      locate = (bucket, lo) => history.firstIndexFromHeight(bucket.fromHeight, lo);
+    }
+
+    // Boundaries ascend, so each search starts where the previous one ended
+    let lo = 0;
+    for (const bucket of buckets) {
+      lo = Math.min(await locate(bucket, lo), entries.length);
+      bucket.startIndex = lo;
+    }
+    return buckets;
+  }
+
+  aggregate(entries, buckets) {
+    const start = buckets.length > 0 ? buckets[0].startIndex : entries.length;
+    const amounts = [];
+    const tippers = new Set();
+    let volumeMicro = 0n;
+    let withMessage = 0;
+
+    buckets.forEach((bucket, i) => {
+      const end = i + 1 < buckets.length ? buckets[i + 1].startIndex : entries.length;
+      const bucketTippers = new Set();
+      Object.assign(bucket, { tips: end - bucket.startIndex, withMessage: 0, volumeMicro: 0n, newTippers: 0, returningTippers: 0 });
+
+      for (let j = bucket.startIndex; j < end; j++) {
+        const tx = entries[j];
+        amounts.push(tx.amountMicro);
+        tippers.add(tx.tipper);
+        bucket.volumeMicro += tx.amountMicro;
+        if (tx.hasMessage) bucket.withMessage += 1;
+
+        if (!bucketTippers.has(tx.tipper)) {
+          bucketTippers.add(tx.tipper);
+          if (this.firstSeen.get(tx.tipper) >= bucket.startIndex) {
+            bucket.newTippers += 1;
+          } else {
+            bucket.returningTippers += 1;
+          }
+        }
+      }
+
+      volumeMicro += bucket.volumeMicro;
+      withMessage += bucket.withMessage;
+    });
+
+    amounts.sort((a, b) => (a === b ? 0 : a < b ? -1 : 1));
+    const tips = amounts.length;
+    const newTippers = Array.from(tippers).filter(tipper => this.firstSeen.get(tipper) >= start).length;
+
+    return {
+      tips,
+      volumeMicro,
+      averageMicro: tips > 0 ? volumeMicro / BigInt(tips) : 0n,
+      medianMicro: median(amounts),
+      withMessage,
+      messageShare: tips > 0 ? withMessage / tips : 0,
+      tippers: tippers.size,
+      newTippers,
+      returningTippers: tippers.size - newTippers,
+      buckets
+    };
+  }
+
+  /**
+   * Report for a range key ('all', 'days:30', 'blocks:1000'): the totals
+   * above plus `buckets`, oldest first, each with { fromHeight, toHeight }
+   * or { fromTime, toTime } and its own tips, withMessage, volumeMicro,
+   * newTippers and returningTippers.
+   */
+  async getReport(rangeKey = CONFIG.ANALYTICS.DEFAULT_RANGE) {
+    await this.update();
+
+    const cached = this.reports.get(rangeKey);
+    if (cached && cached.count === this.seenTo && Date.now() - cached.at < CONFIG.ANALYTICS.CACHE_TTL) {
+      return cached.report;
+    }
+
+    // Snapshot of what firstSeen covers; another consumer may extend the index meanwhile
+    const entries = this.history.entries.slice(0, this.seenTo);
+    const range = parseAnalyticsRange(rangeKey);
+    const buckets = await this.resolveBuckets(range, entries);
+    const report = { range: rangeKey, ...range, ...this.aggregate(entries, buckets) };
+
+    this.reports.set(rangeKey, { count: entries.length, at: Date.now(), report });
+    return report;
+  }
+}
+
+const analytics = new Map();
+
+// One analytics instance per jar and network, kept for the session
+export function getAnalytics(contractManager) {
+  const key = `${contractManager.network}:${contractManager.contractId}`;
+  if (!analytics.has(key)) {
+    analytics.set(key, new Analytics(contractManager));
+  }
+  return analytics.get(key);
+}
@@ -0,0 +1,141 @@
+// charts.js - Small SVG bar and line charts, no chart library
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const WIDTH = 320;
+const HEIGHT = 120;
+const PADDING = { top: 14, right: 4, bottom: 16, left: 4 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+const MAX_POINTS_WITH_MARKERS = 60;
+
+function svg(name, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+}
+
+function withTooltip(element, text) {
+  if (text) {
+    const title = svg('title');
+    title.textContent = text;
+    element.appendChild(title);
+  }
+  return element;
+}
+
+// <figure> with a caption, legend and an empty plot: baseline, max value and first/last labels
+function createFigure({ title, labels, max, formatValue, legend = [] }) {
+  const figure = document.createElement('figure');
+  figure.className = 'chart';
+
+  const caption = document.createElement('figcaption');
+  caption.className = 'chart-caption';
+  caption.textContent = title;
+  legend.forEach(({ label, className }) => {
+    const key = document.createElement('span');
+    key.className = `chart-legend ${className}`;
+    key.textContent = label;
+    caption.appendChild(key);
+  });
+
+  const root = svg('svg', {
+    viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+    role: 'img',
+    'aria-label': title
+  });
+
+  const baseline = HEIGHT - PADDING.bottom;
+  root.appendChild(svg('line', { class: 'chart-axis', x1: PADDING.left, x2: WIDTH - PADDING.right, y1: baseline, y2: baseline }));
+
+  const maxLabel = svg('text', { class: 'chart-label', x: PADDING.left, y: PADDING.top - 4 });
+  maxLabel.textContent = formatValue(max);
+  root.appendChild(maxLabel);
+
+  if (labels.length > 0) {
+    const first = svg('text', { class: 'chart-label', x: PADDING.left, y: HEIGHT - 3 });
+    first.textContent = labels[0];
+    const last = svg('text', { class: 'chart-label', x: WIDTH - PADDING.right, y: HEIGHT - 3, 'text-anchor': 'end' });
+    last.textContent = labels[labels.length - 1];
+    root.append(first, last);
+  }
+
+  figure.append(caption, root);
+  return { figure, root };
+}
+
+const scaleY = (value, max) => HEIGHT - PADDING.bottom - (max > 0 ? (value / max) * PLOT_HEIGHT : 0);
+
+/**
+ * Stacked bar chart, one bar per label. `series` stack bottom to top:
+ * [{ label, values: number[], className }]. `describe(index)` is the
+ * tooltip of a bar.
+ */
+export function barChart({ title, labels, series, describe, formatValue = String }) {
+  const totals = labels.map((_, i) => series.reduce((sum, { values }) => sum + values[i], 0));
+  const max = Math.max(0, ...totals);
+  const { figure, root } = createFigure({ title, labels, max, formatValue, legend: series });
+
+  const slot = PLOT_WIDTH / Math.max(1, labels.length);
+  const barWidth = Math.max(1, slot * 0.8);
+
+  labels.forEach((_, i) => {
+    const bar = withTooltip(svg('g'), describe?.(i));
+    let stacked = 0;
+
+    series.forEach(({ values, className }) => {
+      if (values[i] <= 0) return;
+      const top = scaleY(stacked + values[i], max);
+      bar.appendChild(svg('rect', {
+        class: className,
+        x: PADDING.left + i * slot + (slot - barWidth) / 2,
+        y: top,
+        width: barWidth,
+        height: scaleY(stacked, max) - top
+      }));
+      stacked += values[i];
+    });
+
+    // Transparent hit area so empty buckets still show their tooltip
+    bar.appendChild(svg('rect', {
+      class: 'chart-hit',
+      x: PADDING.left + i * slot,
+      y: PADDING.top,
+      width: slot,
+      height: PLOT_HEIGHT
+    }));
+    root.appendChild(bar);
+  });
+
+  return figure;
+}
+
+/**
+ * Line chart with a filled area, one point per label. `describe(index)`
+ * is the tooltip of a point.
+ */
+export function lineChart({ title, labels, values, describe, formatValue = String, className = 'chart-line' }) {
+  const max = Math.max(0, ...values);
+  const { figure, root } = createFigure({ title, labels, max, formatValue });
+  if (values.length === 0) return figure;
+
+  const step = values.length > 1 ? PLOT_WIDTH / (values.length - 1) : 0;
+  const points = values.map((value, i) => [
+    PADDING.left + (values.length > 1 ? i * step : PLOT_WIDTH / 2),
+    scaleY(value, max)
+  ]);
+
+  const line = points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+  const baseline = HEIGHT - PADDING.bottom;
+  const area = `${line} L${points[points.length - 1][0].toFixed(1)},${baseline} L${points[0][0].toFixed(1)},${baseline} Z`;
+
+  root.appendChild(svg('path', { class: `${className} chart-area`, d: area }));
+  root.appendChild(svg('path', { class: className, d: line, fill: 'none' }));
+
+  if (points.length <= MAX_POINTS_WITH_MARKERS) {
+    points.forEach(([x, y], i) => {
+      root.appendChild(withTooltip(svg('circle', { class: `${className} chart-point`, cx: x, cy: y, r: 2.5 }), describe?.(i)));
+    });
+  }
+
+  return figure;
+}
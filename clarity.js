@@ -0,0 +1,111 @@
+// clarity.js - Decodes serialized Clarity values into plain JS objects
+import { hexToCV, ClarityType, principalToString } from '@stacks/transactions';
+
+export function decodeClarityHex(hexString) {
+  if (!hexString || typeof hexString !== 'string') {
+    throw new Error('Invalid Clarity hex: empty value');
+  }
+
+  const hex = hexString.startsWith('0x') ? hexString : `0x${hexString}`;
+  try {
+    return hexToCV(hex);
+  } catch (error) {
+    throw new Error(`Invalid Clarity hex: ${error.message}`);
+  }
+}
+
+/**
+ * Converts a ClarityValue into plain JS:
+ * - int/uint       → BigInt (never loses precision)
+ * - bool           → boolean
+ * - principal      → 'SP...' / 'SP....contract-name'
+ * - buff           → '0x...' hex string
+ * - string-ascii/utf8 → string
+ * - list           → array
+ * - tuple          → object (keys keep their Clarity names, e.g. 'tip-count')
+ * - optional       → value or null
+ * - response       → { ok: true, value } / { ok: false, error }
+ */
+export function clarityToJs(cv) {
+  switch (cv.type) {
+    case ClarityType.Int:
+    case ClarityType.UInt:
+      return BigInt(cv.value);
+    case ClarityType.BoolTrue:
+      return true;
+    case ClarityType.BoolFalse:
+      return false;
+    case ClarityType.PrincipalStandard:
+    case ClarityType.PrincipalContract:
+      return principalToString(cv);
+    case ClarityType.Buffer:
+      return '0x' + Array.from(cv.buffer, byte => byte.toString(16).padStart(2, '0')).join('');
+    case ClarityType.StringASCII:
+    case ClarityType.StringUTF8:
+      return cv.data;
+    case ClarityType.List:
+      return cv.list.map(clarityToJs);
+    case ClarityType.Tuple:
+      return Object.fromEntries(
+        Object.entries(cv.data).map(([key, value]) => [key, clarityToJs(value)])
+      );
+    case ClarityType.OptionalNone:
+      return null;
+    case ClarityType.OptionalSome:
+      return clarityToJs(cv.value);
+    case ClarityType.ResponseOk:
+      return { ok: true, value: clarityToJs(cv.value) };
+    case ClarityType.ResponseErr:
+      return { ok: false, error: clarityToJs(cv.value) };
+    default:
+      throw new Error(`Unsupported Clarity type: ${cv.type}`);
+  }
+}
+
+export function decodeClarityValue(hexString) {
+  return clarityToJs(decodeClarityHex(hexString));
+}
+
+/**
+ * Decodes a /v2/contracts/call-read response. Unwraps `(ok ...)` and throws
+ * on `(err ...)` or when the node could not evaluate the call.
+ */
+export function decodeReadOnlyResult(response) {
+  if (!response) {
+    throw new Error('Empty read-only response');
+  }
+
+  if (response.okay === false) {
+    throw new Error(`Read-only call failed: ${response.cause || 'unknown cause'}`);
+  }
+
+  const decoded = decodeClarityValue(response.result);
+
+  if (decoded && typeof decoded === 'object' && 'ok' in decoded) {
+    if (!decoded.ok) {
+      throw new Error(`Contract returned error: ${formatClarityJs(decoded.error)}`);
+    }
+    return decoded.value;
+  }
+
+  return decoded;
+}
+
+// Counts, block heights and ids fit in a Number; amounts should stay BigInt
+export function toSafeNumber(value) {
+  if (value === null || value === undefined) return 0;
+  const big = BigInt(value);
+  if (big > BigInt(Number.MAX_SAFE_INTEGER) || big < BigInt(Number.MIN_SAFE_INTEGER)) {
+    throw new Error(`Value ${big} exceeds safe integer range`);
+  }
+  return Number(big);
+}
+
+export function formatClarityJs(value) {
+  if (typeof value === 'bigint') return `u${value}`;
+  if (value === null) return 'none';
+  if (typeof value === 'object') {
+    return JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v));
+  }
+  return String(value);
+}
@@ -1,21 +1,57 @@
 // config.js - Configuration with alternative API endpoints
+import { validateStacksAddress } from '@stacks/transactions';
+import { AppError, ERROR_CODES } from './errors.js';
+
 export const CONFIG = {
-  CONTRACT: {
-    ADDRESS: 'ST3ZQXJPR493FCYNAVFX1YSK7EMT6JF909E3SDNQG',
-    NAME: 'tip-jar-v4',
-    OWNER: 'ST3ZQXJPR493FCYNAVFX1YSK7EMT6JF909E3SDNQG'
+  // Default jar per network. A network with a contract here shows up in
+  // the network switcher.
+  CONTRACTS: {
+    testnet: {
+      ADDRESS: 'ST3ZQXJPR493FCYNAVFX1YSK7EMT6JF909E3SDNQG',
+      NAME: 'tip-jar-v4',
+      OWNER: 'ST3ZQXJPR493FCYNAVFX1YSK7EMT6JF909E3SDNQG'
+    },
+    // Set { ADDRESS: 'SP...', NAME, OWNER } once deployed to mainnet
+    mainnet: null
+  },
+
+  // Additional jars served by this deployment, per network. The jar can also
+  // be picked from the URL with ?jar=<contractId> or /jar/<contractId>.
+  JARS: {
+    testnet: [
+      // { ADDRESS: 'ST...', NAME: 'tip-jar-v4', OWNER: 'ST...', LABEL: 'Alice' }
+    ],
+    mainnet: []
   },
 
   NETWORK: {
-    DEFAULT: 'testnet',
+    DEFAULT: 'testnet', // Used until the user picks one in the switcher
+    // Endpoint pool per network, in order of preference. The pool
+    // health-checks them and fails over automatically (see endpoints.js).
     ENDPOINTS: {
-      // Try these alternative endpoints - they might have better CORS
-      mainnet: 'https://api.hiro.so',
-      testnet: 'https://api.testnet.hiro.so',
-      // Alternative: Stack's official API
-      testnetAlt: 'https://stacks-node-api.testnet.stacks.co',
-      // Alternative: Blockstack PBC API
-      testnetAlt2: 'https://stacks-blockchain-api-testnet.hiro.so'
+      mainnet: [
+        'https://api.hiro.so',
+        'https://stacks-node-api.mainnet.stacks.co'
+      ],
+      testnet: [
+        'https://api.testnet.hiro.so',
+        // Alternative: Stack's official API
+        'https://stacks-node-api.testnet.stacks.co',
+        // Alternative: Blockstack PBC API
+        'https://stacks-blockchain-api-testnet.hiro.so'
+      ]
+    }
+  },
+
+  API: {
+    MAX_CONCURRENT_REQUESTS: 4, // Read-only calls in flight at once
+    MIN_REQUEST_INTERVAL: 50,   // ms between request starts
+    REQUEST_TIMEOUT: 10000,
+    HEALTH_CHECK_INTERVAL: 60000,
+    RETRY: {
+      MAX_ATTEMPTS: 4,
+      BASE_DELAY: 500,  // Doubles on every consecutive failure
+      MAX_DELAY: 30000
     }
   },
 
@@ -33,17 +69,124 @@ export const CONFIG = {
     URL: typeof window !== 'undefined' ? window.location.origin : 'https://stacks-chi.vercel.app'
   },
 
+  PREMIUM: {
+    // Used when the contract can't report its threshold (pre-v4 contracts)
+    FALLBACK_THRESHOLD: 10_000_000n, // µSTX, tip-jar-v4's initial premium-threshold
+    // Tiers as multiples of the on-chain premium threshold. Leave empty for a
+    // single "Premium" tier at the threshold.
+    TIERS: [
+      { NAME: 'Bronze', ICON: '🥉', MULTIPLE: 1 },
+      { NAME: 'Silver', ICON: '🥈', MULTIPLE: 5 },
+      { NAME: 'Gold', ICON: '🥇', MULTIPLE: 10 }
+    ]
+  },
+
+  // Offline mode: `npm run dev:mock`, or ?mock=1 on the dev server. The API
+  // is served by mock/api-plugin.js and the wallet by mock/wallet-provider.js.
+  MOCK: {
+    API_BASE: '/mock-api',
+    WALLET_ADDRESS: 'ST3ZQXJPR493FCYNAVFX1YSK7EMT6JF909E3SDNQG' // Testnet jar owner
+  },
+
+  LEADERBOARD: {
+    SIZE: 10,              // Rows shown
+    DEFAULT_BLOCKS: 1000,  // Initial value of the "last N blocks" window
+    DAYS: 30               // Length of the "last N days" window
+  },
+
+  ANALYTICS: {
+    DAYS: [7, 30, 90],       // "Last N days" ranges offered
+    BLOCKS: [1000, 10000],   // "Last N blocks" ranges offered
+    DEFAULT_RANGE: 'days:30',
+    MAX_BUCKETS: 30,         // Bars per chart; longer ranges group days/blocks
+    CACHE_TTL: 60000         // ms an aggregate is reused while no new tips arrive
+  },
+
+  EXPORT: {
+    // ISO 4217 code written to OFX files. Amounts are always STX; XXX means
+    // "no currency" for importers that reject unknown codes.
+    OFX_CURRENCY: 'XXX'
+  },
+
+  // Interface language (see i18n.js and locales/)
+  I18N: {
+    DEFAULT_LOCALE: 'en', // When neither ?lang=, a saved choice nor the browser's languages match
+    DETECT: true          // Pick from navigator.languages on first visit
+  },
+
+  // Tip links (?amount=&message=) and their QR codes (see share-link.js)
+  SHARE: {
+    QR_ERROR_CORRECTION: 'M', // L, M, Q or H; higher survives more print damage but is denser
+    QR_MARGIN: 4,             // Quiet zone in modules; 4 is the spec minimum
+    QR_PNG_SIZE: 1024         // px, for the PNG download
+  },
+
+  // In-memory copy of a jar's whole history, shared by the leaderboard and
+  // analytics (see history-index.js)
+  HISTORY_INDEX: {
+    BATCH_SIZE: 50 // History entries loaded per step while scanning
+  },
+
+  // New tips without refreshing (see live-feed.js)
+  LIVE: {
+    WEBSOCKET: true,            // Stacks API websocket; polling only when false
+    POLL_MIN: 10000,            // ms between polls right after a change
+    POLL_MAX: 60000,            // Slowest poll; also the safety net while the socket is up
+    POLL_BACKOFF: 1.5,          // Poll interval growth while nothing changes
+    RECONNECT_BASE_DELAY: 1000, // Doubles per failed reconnect
+    RECONNECT_MAX_DELAY: 30000
+  },
+
+  // Toasts and the session log (see notifications.js)
+  NOTIFICATIONS: {
+    MAX_VISIBLE: 3, // Stacked toasts; the rest wait their turn
+    LOG_SIZE: 100,  // Entries kept in the session log
+    // ms before a toast hides itself; 0 keeps it until dismissed
+    TIMEOUTS: {
+      success: 5000,
+      info: 5000,
+      warning: 10000,
+      error: 0
+    }
+  },
+
+  HISTORY_CACHE: {
+    ENABLED: true,
+    DB_NAME: 'stacks-tip-jar',
+    VERSION: 2 // Bump when the cached entry format changes to drop old entries
+  },
+
   TX: {
     POLLING_INTERVAL: 5000,
     CONFIRMATION_BLOCKS: 1,
     TIMEOUT: 120000
   },
 
+  // Fee tiers offered before signing (see fees.js)
+  FEES: {
+    ENABLED: true,            // false leaves the fee to the wallet
+    DEFAULT_TIER: 'standard', // low, standard or high
+    // µSTX per tier when the node has no estimate (common on a quiet testnet)
+    FALLBACK: {
+      low: 1000n,
+      standard: 3000n,
+      high: 10000n
+    },
+    CACHE_TTL: 30000          // ms an estimate is reused for calls of the same shape
+  },
+
+  // Submitted transactions remembered across reloads (see pending-txs.js)
+  PENDING_TXS: {
+    MAX_ENTRIES: 50,
+    KEEP_FINISHED: 7 * 24 * 60 * 60 * 1000 // ms a confirmed or failed entry stays listed
+  },
+
   UI: {
-    QUICK_AMOUNTS: [0.1, 0.5, 1, 5],
-    MIN_TIP: 0.000001,
-    MAX_TIP: 1000000,
-    DECIMALS: 6,
+    // STX, as strings so they parse exactly (see amount.js)
+    QUICK_AMOUNTS: ['0.1', '0.5', '1', '5'],
+    MIN_TIP: '0.000001',
+    MAX_TIP: '1000000',
+    DECIMALS: 6, // Decimal places accepted in inputs and shown in amounts (max 6)
     MAX_MESSAGE_LENGTH: 280,
     SHOW_MEMO_SUPPORT: true,
     SHOW_MESSAGE_SUPPORT: true,
@@ -51,44 +194,179 @@ export const CONFIG = {
   }
 };
 
-export function getNetworkEndpoint(network = CONFIG.NETWORK.DEFAULT) {
-  // Try alternative endpoints if primary fails
-  return CONFIG.NETWORK.ENDPOINTS[network] || CONFIG.NETWORK.ENDPOINTS.testnet;
+// ============================================
+// ACTIVE NETWORK (switchable at runtime)
+// ============================================
+
+let activeNetwork = null;
+let networkListeners = [];
+
+export function isSupportedNetwork(network) {
+  return Object.prototype.hasOwnProperty.call(CONFIG.NETWORK.ENDPOINTS, network);
 }
 
-// Rest of your helper functions stay the same...
-export function getContractId() {
-  return `${CONFIG.CONTRACT.ADDRESS}.${CONFIG.CONTRACT.NAME}`;
+// c32 address prefixes per network: single-sig, then multisig
+const ADDRESS_PREFIXES = {
+  mainnet: ['SP', 'SM'],
+  testnet: ['ST', 'SN']
+};
+
+export function getNetworkForAddress(address) {
+  if (!address || typeof address !== 'string') return null;
+  const prefix = address.slice(0, 2);
+  return Object.keys(ADDRESS_PREFIXES).find(network => ADDRESS_PREFIXES[network].includes(prefix)) || null;
 }
 
-export function stxToMicro(stx) {
-  const amount = Number(stx);
-  if (!Number.isFinite(amount) || amount < 0) {
-    throw new Error('Invalid STX amount');
+// Networks with at least one jar configured
+export function getConfiguredNetworks() {
+  return Object.keys(CONFIG.NETWORK.ENDPOINTS).filter(network =>
+    Boolean(CONFIG.CONTRACTS[network]?.ADDRESS) || (CONFIG.JARS[network] || []).length > 0
+  );
+}
+
+function resolveInitialNetwork() {
+  const configured = getConfiguredNetworks();
+
+  if (typeof window !== 'undefined') {
+    const params = new URLSearchParams(window.location.search);
+
+    const fromParam = params.get('network');
+    if (fromParam && configured.includes(fromParam)) return fromParam;
+
+    // A jar link implies its network (ST/SN... = testnet, SP/SM... = mainnet)
+    const pathJar = window.location.pathname.match(/^\/jar\/([^/.]+)\./);
+    const jarNetwork = getNetworkForAddress(params.get('jar') || (pathJar && pathJar[1]));
+    if (jarNetwork && isSupportedNetwork(jarNetwork)) return jarNetwork;
   }
-  return Math.floor(amount * 1_000_000);
+
+  const saved = storage.get('stacks_network');
+  if (saved && configured.includes(saved)) return saved;
+
+  return CONFIG.NETWORK.DEFAULT;
+}
+
+export function getActiveNetwork() {
+  if (!activeNetwork) {
+    activeNetwork = resolveInitialNetwork();
+  }
+  return activeNetwork;
 }
 
-export function microToStx(micro) {
-  const num = Number(micro);
-  if (!Number.isFinite(num) || Number.isNaN(num) || num < 0) {
-    return 0;
+export function setActiveNetwork(network) {
+  if (!isSupportedNetwork(network)) {
+    throw new Error(`Unsupported network: ${network}`);
   }
-  return num / 1_000_000;
+  if (network === getActiveNetwork()) return;
+
+  console.log(`🌐 Switching network: ${activeNetwork} → ${network}`);
+  activeNetwork = network;
+  storage.set('stacks_network', network);
+
+  if (typeof window !== 'undefined' && window.history) {
+    const url = new URL(window.location.href);
+    if (url.searchParams.has('network')) {
+      url.searchParams.set('network', network);
+      window.history.replaceState(null, '', url);
+    }
+  }
+
+  networkListeners.forEach(cb => {
+    try {
+      cb(network);
+    } catch (error) {
+      console.error('❌ Error in network listener callback:', error);
+    }
+  });
+}
+
+export function onNetworkChange(callback) {
+  networkListeners.push(callback);
+  return () => {
+    networkListeners = networkListeners.filter(cb => cb !== callback);
+  };
+}
+
+// Namespaces a storage key so each network keeps its own saved state
+export function networkKey(key, network = getActiveNetwork()) {
+  return `${key}:${network}`;
 }
 
-export function formatStx(amount, decimals = CONFIG.UI.DECIMALS) {
-  const num = Number(amount);
-  if (!Number.isFinite(num) || Number.isNaN(num)) {
-    return '0.000000 STX';
+// ============================================
+// MOCK MODE
+// ============================================
+
+let mockMode = null;
+
+// The mock API and wallet only exist on the Vite dev server, so VITE_MOCK
+// and ?mock=1 are ignored everywhere else, production builds included.
+export function isMockMode() {
+  if (mockMode === null) {
+    const env = import.meta.env || {};
+    const fromEnv = env.VITE_MOCK === '1' || env.VITE_MOCK === 'true';
+    const fromParam = typeof window !== 'undefined' &&
+      new URLSearchParams(window.location.search).get('mock') === '1';
+
+    mockMode = Boolean(env.DEV) && (fromEnv || fromParam);
   }
-  return num.toFixed(decimals) + ' STX';
+  return mockMode;
+}
+
+export function getMockApiBase() {
+  const origin = typeof window !== 'undefined' ? window.location.origin : '';
+  return origin + CONFIG.MOCK.API_BASE;
 }
 
-export function isValidStacksAddress(address, network = CONFIG.NETWORK.DEFAULT) {
+export function getNetworkEndpoints(network = getActiveNetwork()) {
+  if (isMockMode()) return [getMockApiBase()];
+  return CONFIG.NETWORK.ENDPOINTS[network] || CONFIG.NETWORK.ENDPOINTS.testnet;
+}
+
+export function getFaucetEndpoint() {
+  if (isMockMode()) return `${getMockApiBase()}/extended/v1/faucets/stx`;
+  return CONFIG.FAUCET.ENDPOINT;
+}
+
+export function getContractConfig(network = getActiveNetwork()) {
+  return CONFIG.CONTRACTS[network] || null;
+}
+
+export function getContractId(contract = getContractConfig()) {
+  if (!contract?.ADDRESS) return null;
+  return `${contract.ADDRESS}.${contract.NAME}`;
+}
+
+export function parseContractId(contractId) {
+  if (!contractId || typeof contractId !== 'string') return null;
+
+  const [address, name, ...rest] = contractId.trim().split('.');
+  if (!address || !name || rest.length > 0) return null;
+
+  return { address, name };
+}
+
+export function isValidContractId(contractId, network = getActiveNetwork()) {
+  const parsed = parseContractId(contractId);
+  if (!parsed) return false;
+  return isValidStacksAddress(parsed.address, network) &&
+    /^[a-zA-Z]([a-zA-Z0-9]|[-_])*$/.test(parsed.name) &&
+    parsed.name.length <= 128;
+}
+
+// Standard (ST.../SP..., or multisig SN.../SM...) or contract (ST....name) principal with a valid checksum
+export function isValidPrincipal(principal, network = getActiveNetwork()) {
+  if (!principal || typeof principal !== 'string') return false;
+
+  const address = principal.split('.')[0];
+  const wellFormed = principal.includes('.')
+    ? isValidContractId(principal, network)
+    : isValidStacksAddress(principal, network);
+
+  return wellFormed && validateStacksAddress(address);
+}
+
+export function isValidStacksAddress(address, network = getActiveNetwork()) {
   if (!address || typeof address !== 'string') return false;
-  const prefix = network === 'testnet' ? 'ST' : 'SP';
-  return address.startsWith(prefix) && address.length >= 39 && address.length <= 41;
+  return getNetworkForAddress(address) === network && address.length >= 39 && address.length <= 41;
 }
 
 export function shortAddress(address, start = 6, end = 4) {
@@ -97,7 +375,7 @@ export function shortAddress(address, start = 6, end = 4) {
 }
 
 export function isFaucetAvailable() {
-  return CONFIG.FAUCET.ENABLED && CONFIG.NETWORK.DEFAULT === 'testnet';
+  return CONFIG.FAUCET.ENABLED && getActiveNetwork() === 'testnet';
 }
 
 export function decodeMemo(hexMemo) {
@@ -130,15 +408,11 @@ export function getClarity4Features() {
 export function validateNetwork(walletAddress, expectedNetwork) {
   if (!walletAddress) return false;
   
-  const isTestnet = walletAddress.startsWith('ST');
-  const isMainnet = walletAddress.startsWith('SP');
-  
-  if (expectedNetwork === 'testnet' && !isTestnet) {
-    throw new Error('Wallet is on mainnet but app expects testnet. Switch wallet network.');
-  }
+  const isTestnet = getNetworkForAddress(walletAddress) === 'testnet';
+  const isMainnet = getNetworkForAddress(walletAddress) === 'mainnet';
   
-  if (expectedNetwork === 'mainnet' && !isMainnet) {
-    throw new Error('Wallet is on testnet but app expects mainnet. Switch wallet network.');
+  if ((expectedNetwork === 'testnet' && !isTestnet) || (expectedNetwork === 'mainnet' && !isMainnet)) {
+    throw new AppError(ERROR_CODES.WRONG_NETWORK, { network: expectedNetwork });
   }
   
   return true;
@@ -1,6 +1,18 @@
 // contract.js - FIXED principal encoding
 
-import { CONFIG, getNetworkEndpoint, microToStx } from './config.js';
+import {
+  getActiveNetwork,
+  getContractConfig,
+  getContractId,
+  parseContractId,
+  isValidStacksAddress
+} from './config.js';
+import { formatStx } from './amount.js';
+import { requestScheduler } from './scheduler.js';
+import { historyCache } from './history-cache.js';
+import { getHistoryIndex } from './history-index.js';
+import { apiFetch, getNetworkEndpoint } from './endpoints.js';
+import { decodeReadOnlyResult, decodeClarityValue, toSafeNumber } from './clarity.js';
 import { 
   principalCV, 
   cvToHex,
@@ -8,10 +20,20 @@ import {
 } from '@stacks/transactions';
 
 export class ContractManager {
-  constructor() {
+  constructor(contractId = getContractId(), owner = getContractConfig()?.OWNER ?? null, network = getActiveNetwork()) {
+    const parsed = parseContractId(contractId);
+    if (!parsed) {
+      throw new Error(`Invalid contract ID: ${contractId}`);
+    }
+
+    this.contractId = contractId;
+    this.contractAddress = parsed.address;
+    this.contractName = parsed.name;
+    this.owner = owner;
+    this.network = network;
     this.cache = {
-      balance: null,
-      totalTips: null,
+      balanceMicro: null,
+      totalTipsMicro: null,
       totalTippers: null,
       totalTransactions: null,
       owner: null,
@@ -21,7 +43,10 @@ export class ContractManager {
       userHistory: null
     };
     this.cacheTimeout = 5000;
-    this.requestQueue = Promise.resolve(); // For rate limiting
+    this.supportsSummary = null; // null = unknown, true/false = known
+    this.messages = new Map(); // txId -> { tipId, tipper, message }
+    this.messageScan = Promise.resolve();
+    this.historyCacheChecked = false; // Persistent cache validated this session
   }
 
   isCacheValid() {
@@ -30,10 +55,10 @@ export class ContractManager {
   }
 
   clearCache() {
-    console.log('🗑️ Clearing contract cache');
+    console.log('🗑️ Clearing contract cache:', this.contractId);
     this.cache = {
-      balance: null,
-      totalTips: null,
+      balanceMicro: null,
+      totalTipsMicro: null,
       totalTippers: null,
       totalTransactions: null,
       owner: null,
@@ -65,36 +90,26 @@ export class ContractManager {
     }
   }
 
-  // FIXED: Add rate limiting to prevent 429 errors
-  async rateLimit() {
-    // Wait 200ms between requests
-    await new Promise(resolve => setTimeout(resolve, 200));
-  }
-
-  async callReadOnly(functionName, functionArgs = [], network = CONFIG.NETWORK.DEFAULT) {
-    // Queue requests to avoid rate limiting
-    this.requestQueue = this.requestQueue.then(async () => {
-      await this.rateLimit();
-      
-      const endpoint = getNetworkEndpoint(network);
-      const contractId = `${CONFIG.CONTRACT.ADDRESS}.${CONFIG.CONTRACT.NAME}`;
-      const [contractAddress, contractName] = contractId.split('.');
+  async callReadOnly(functionName, functionArgs = [], network = this.network) {
+    // Shared scheduler bounds how many calls are in flight across all jars
+    return requestScheduler.schedule(async () => {
+      const { contractAddress, contractName } = this;
 
-      const url = `${endpoint}/v2/contracts/call-read/${contractAddress}/${contractName}/${functionName}?tip=latest`;
+      const path = `/v2/contracts/call-read/${contractAddress}/${contractName}/${functionName}?tip=latest`;
 
       const body = {
         sender: contractAddress,
         arguments: functionArgs,
       };
 
-      console.log(`📡 Calling ${functionName} at ${url}`);
+      console.log(`📡 Calling ${functionName} at ${getNetworkEndpoint(network)}${path}`);
 
       try {
-        const response = await fetch(url, {
+        const response = await apiFetch(path, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(body),
-        });
+        }, network);
 
         if (!response.ok) {
           const errorText = await response.text();
@@ -110,136 +125,211 @@ export class ContractManager {
         throw error;
       }
     });
+  }
+
+  async fetchApi(path, network = this.network) {
+    return requestScheduler.schedule(async () => {
+      const response = await apiFetch(path, {}, network);
 
-    return this.requestQueue;
+      if (!response.ok) {
+        throw new Error(`API request failed: ${response.status} - ${path}`);
+      }
+      return response.json();
+    });
   }
 
-  async fetchContractData(network = CONFIG.NETWORK.DEFAULT, userAddress = null) {
-    if (this.isCacheValid() && !userAddress) {
-      console.log('💾 Using cached contract data');
-      return this.cache;
+  isMissingFunctionError(error) {
+    return /NoSuchPublicFunction|UndefinedFunction|does not exist/i.test(error?.message || '');
+  }
+
+  // v4 contracts return every stat in one tuple; null means "use the fallback"
+  async fetchSummary(network = this.network) {
+    if (this.supportsSummary === false) return null;
+
+    try {
+      const response = await this.callReadOnly('get-contract-summary', [], network);
+      const summary = this.extractValue(response);
+      this.supportsSummary = true;
+
+      return {
+        balance: summary['contract-balance'],
+        totalTips: summary['total-tips'],
+        totalTippers: toSafeNumber(summary['total-tippers']),
+        totalTransactions: toSafeNumber(summary['total-transactions']),
+        premiumThreshold: summary['premium-threshold'],
+        owner: summary.owner
+      };
+    } catch (error) {
+      // Anything but a missing function (an outage, a 429) is an error, not
+      // a reason to show the jar as empty
+      if (!this.isMissingFunctionError(error)) throw error;
+
+      console.log('ℹ️ get-contract-summary not available, using individual calls');
+      this.supportsSummary = false;
+      return null;
     }
+  }
 
-    const endpoint = getNetworkEndpoint(network);
-    const contractId = `${CONFIG.CONTRACT.ADDRESS}.${CONFIG.CONTRACT.NAME}`;
+  // Pre-v4 contracts: one call per stat, issued in parallel. A stat the
+  // contract doesn't define reads as empty; any other failure propagates.
+  async fetchLegacySummary(network = this.network) {
+    const read = (functionName, convert, missing) => this.callReadOnly(functionName, [], network)
+      .then(response => convert(this.extractValue(response)))
+      .catch(error => {
+        if (this.isMissingFunctionError(error)) return missing;
+        throw error;
+      });
 
-    console.log('🔍 Fetching fresh contract data from:', endpoint);
-    console.log('📝 Contract ID:', contractId);
+    const [balance, totalTips, totalTippers, totalTransactions, owner] = await Promise.all([
+      read('get-contract-balance', value => value, 0n),
+      read('get-total-tips', value => value, 0n),
+      read('get-total-tippers', toSafeNumber, 0),
+      read('get-total-transactions', toSafeNumber, 0),
+      read('get-owner', value => value, null)
+    ]);
 
-    try {
-      // Fetch basic stats first (no arguments)
-      const balance = await this.callReadOnly('get-contract-balance', [], network)
-        .then(r => this.extractValue(r, 'uint'))
-        .catch(() => 0);
-      
-      const totalTips = await this.callReadOnly('get-total-tips', [], network)
-        .then(r => this.extractValue(r, 'uint'))
-        .catch(() => 0);
+    return { balance, totalTips, totalTippers, totalTransactions, premiumThreshold: null, owner };
+  }
+
+  async isPremiumTipper(tipper, network = this.network) {
+    const response = await this.callReadOnly('is-premium-tipper', [this.encodePrincipal(tipper)], network);
+    return this.extractValue(response) === true;
+  }
 
-      const totalTippers = await this.callReadOnly('get-total-tippers', [], network)
-        .then(r => this.extractValue(r, 'uint'))
-        .catch(() => 0);
+  async fetchUserStats(userAddress, network = this.network) {
+    const principalArg = this.encodePrincipal(userAddress);
 
-      const totalTransactions = await this.callReadOnly('get-total-transactions', [], network)
-        .then(r => this.extractValue(r, 'uint'))
-        .catch(() => 0);
+    const [userStatsResult, isPremiumResult] = await Promise.all([
+      this.callReadOnly('get-tipper-stats', [principalArg], network),
+      this.callReadOnly('is-premium-tipper', [principalArg], network).catch(() => null)
+    ]);
 
-      const owner = await this.callReadOnly('get-owner', [], network)
-        .then(r => this.extractValue(r, 'principal'))
-        .catch(() => null);
+    const stats = this.extractUserStats(userStatsResult);
+    const isPremium = isPremiumResult ? this.extractValue(isPremiumResult) === true : stats.isPremium;
 
-      // Convert to STX for display
-      const balanceSTX = microToStx(balance);
-      const totalTipsSTX = microToStx(totalTips);
+    return { ...stats, isPremium };
+  }
+
+  // get-user-transactions: the tipper's own counters (no list of tips)
+  async fetchUserTransactions(userAddress, network = this.network) {
+    const response = await this.callReadOnly('get-user-transactions', [this.encodePrincipal(userAddress)], network);
+    const summary = this.extractValue(response) || {};
 
-      console.log('💰 Converted STX values:');
-      console.log('  Balance:', balanceSTX, 'STX');
-      console.log('  Total tips:', totalTipsSTX, 'STX');
+    return {
+      tipCount: toSafeNumber(summary['tip-count']),
+      totalTippedMicro: summary['total-tipped'] ?? 0n,
+      lastTipHeight: toSafeNumber(summary['last-tip-height'])
+    };
+  }
+
+  /**
+   * Every tip sent by `userAddress`, newest first. The contract keeps no
+   * per-tipper list, so this filters the jar's history index. Each tip gets
+   * `tipNumber`, the tipper's own count that keys their tip-messages.
+   * `complete` is true when the count matches get-user-transactions; only
+   * then are messages read straight from tip-messages instead of events.
+   */
+  async fetchUserHistory(userAddress, network = this.network) {
+    const history = getHistoryIndex(this);
+    const [summary] = await Promise.all([
+      this.fetchUserTransactions(userAddress, network),
+      history.update()
+    ]);
+
+    const tips = history.entries
+      .filter(tx => tx.tipper === userAddress)
+      .map((tx, index) => ({ ...tx, tipNumber: index + 1 }));
+    const complete = tips.length === summary.tipCount;
+
+    if (complete) {
+      tips.forEach(tx => {
+        if (tx.hasMessage && !this.messages.get(tx.txId)) {
+          this.messages.set(tx.txId, { tipId: tx.tipNumber, tipper: userAddress, message: null });
+        }
+      });
+    }
+
+    this.cache.userHistory = { user: userAddress, summary, tips: tips.reverse(), complete };
+    return this.cache.userHistory;
+  }
+
+  // `forceRefresh` reads the chain without dropping the rest of the cache
+  async fetchContractData(network = this.network, userAddress = null, forceRefresh = false) {
+    if (!forceRefresh && this.isCacheValid() && !userAddress) {
+      console.log('💾 Using cached contract data');
+      return this.cache;
+    }
+
+    const endpoint = getNetworkEndpoint(network);
+
+    console.log('🔍 Fetching fresh contract data from:', endpoint);
+    console.log('📝 Contract ID:', this.contractId);
+
+    try {
+      // User stats don't depend on the summary, so request both at once
+      const [summary, userStats] = await Promise.all([
+        this.fetchSummary(network).then(result => result || this.fetchLegacySummary(network)),
+        userAddress
+          ? this.fetchUserStats(userAddress, network).catch(error => {
+            console.warn('⚠️ Failed to fetch user stats:', error.message);
+            return null;
+          })
+          : null
+      ]);
+
+      const { balance, totalTips, totalTippers, totalTransactions, premiumThreshold } = summary;
+      const owner = this.resolveOwner(summary.owner, network);
+
+      console.log('💰 Contract stats:');
+      console.log('  Balance:', formatStx(balance));
+      console.log('  Total tips:', formatStx(totalTips));
       console.log('  Total tippers:', totalTippers);
       console.log('  Total transactions:', totalTransactions);
 
+      // Amounts stay in µSTX (BigInt); format them only for display
       const data = {
-        balance: balanceSTX,
-        totalTips: totalTipsSTX,
+        balanceMicro: balance,
+        totalTipsMicro: totalTips,
         totalTippers,
         totalTransactions,
+        premiumThreshold,
         owner,
+        userStats, // null unless asked for, so another wallet's stats don't linger
         lastUpdate: Date.now(),
       };
 
-      // FIXED: Only fetch user stats if address provided
-      if (userAddress) {
-        try {
-          const userStatsResult = await this.callReadOnly(
-            'get-tipper-stats', 
-            [this.encodePrincipal(userAddress)], 
-            network
-          );
-          
-          const isPremiumResult = await this.callReadOnly(
-            'is-premium-tipper', 
-            [this.encodePrincipal(userAddress)], 
-            network
-          );
-
-          if (userStatsResult) {
-            const stats = this.extractUserStats(userStatsResult);
-            const isPremium = isPremiumResult ? this.extractValue(isPremiumResult, 'bool') : false;
-            
-            data.userStats = {
-              ...stats,
-              isPremium
-            };
-            
-            console.log('👤 User stats:', data.userStats);
-          }
-        } catch (error) {
-          console.warn('⚠️ Failed to fetch user stats:', error.message);
-          // Continue without user stats
-        }
+      if (userStats) {
+        console.log('👤 User stats:', data.userStats);
       }
 
-      this.cache = data;
-      return data;
+      // Merge, so the history and My Tips entries survive a stats refresh
+      Object.assign(this.cache, data);
+      return this.cache;
     } catch (error) {
       console.error('❌ Failed to fetch contract data:', error);
       throw error;
     }
   }
 
-  // Rest of your methods stay the same...
-  async fetchTransactionHistory(network = CONFIG.NETWORK.DEFAULT, limit = 10) {
+  async fetchTransactionHistory(network = this.network, limit = 10) {
     console.log('📜 Fetching transaction history...');
     
     try {
-      const totalResult = await this.callReadOnly('get-total-transactions', [], network);
-      const total = this.extractValue(totalResult, 'uint');
+      const total = await this.getTotalTransactions(network);
       
       if (total === 0) {
         return [];
       }
       
       const start = Math.max(1, total - limit + 1);
-      const transactions = [];
-      
-      for (let i = total; i >= start && i > 0; i--) {
-        try {
-          const txResult = await this.callReadOnly(
-            'get-transaction', 
-            [this.encodeClarityUint(i)], 
-            network
-          );
-          
-          const tx = this.extractTransaction(txResult, i);
-          if (tx) {
-            transactions.push(tx);
-          }
-        } catch (error) {
-          console.warn(`Failed to fetch transaction ${i}:`, error);
-        }
+      const ids = [];
+      for (let i = total; i >= start; i--) {
+        ids.push(i);
       }
-      
-      console.log('✅ Fetched', transactions.length, 'transactions');
+
+      // Newest first
+      const transactions = await this.loadTransactions(ids, total, network);
+
       this.cache.history = transactions;
       return transactions;
     } catch (error) {
@@ -248,207 +338,252 @@ export class ContractManager {
     }
   }
 
-  decodeClarityHex(hexString, expectedType) {
-    console.log('🔍 Decoding Clarity hex:', hexString, 'Type:', expectedType);
-    
-    if (!hexString || !hexString.startsWith('0x')) {
-      console.warn('⚠️ Invalid hex string');
-      return null;
+  // `forceRefresh` reads the chain without dropping the rest of the cache
+  async getTotalTransactions(network = this.network, forceRefresh = false) {
+    if (!forceRefresh && this.isCacheValid()) return this.cache.totalTransactions;
+    return toSafeNumber(this.extractValue(await this.callReadOnly('get-total-transactions', [], network)));
+  }
+
+  /**
+   * History entries by id, in the order given. Entries never change once
+   * written, so only ids missing from the persistent cache (normally the
+   * ones above its last total) are fetched from the chain.
+   */
+  async loadTransactions(ids, total, network = this.network) {
+    await this.validateHistoryCache(total, network);
+    const cached = await historyCache.getMany(network, this.contractId, ids);
+    const missing = ids.filter(id => !cached.has(id));
+
+    // callReadOnly is already bounded by the scheduler, so fire them all
+    const fetched = await Promise.all(missing.map(id => this.fetchTransaction(id, network)));
+    const fresh = fetched.filter(Boolean);
+    fresh.forEach(tx => cached.set(tx.txId, tx));
+
+    if (fresh.length > 0) {
+      await historyCache.putMany(network, this.contractId, fresh, total);
     }
 
-    let hex = hexString.slice(2);
-    console.log('📦 Hex without prefix:', hex);
+    const transactions = ids.map(id => cached.get(id)).filter(Boolean);
+    console.log(`✅ Loaded ${transactions.length} transactions (${transactions.length - fresh.length} cached)`);
+    return transactions;
+  }
 
-    if (expectedType === 'uint') {
-      if (hex.startsWith('07') && hex.charAt(2) === '0' && hex.charAt(3) === '1') {
-        hex = hex.slice(4);
-        console.log('🔢 Value bytes:', hex);
-        
-        try {
-          const value = BigInt('0x' + hex);
-          const numValue = Number(value);
-          console.log('✅ Decoded uint128:', numValue);
-          return numValue;
-        } catch (e) {
-          console.error('❌ Failed to parse uint:', e);
-          return 0;
-        }
-      }
-      
-      try {
-        const value = parseInt(hex, 16);
-        if (isFinite(value) && !isNaN(value)) {
-          console.log('✅ Fallback parse:', value);
-          return value;
-        }
-      } catch (e) {
-        console.error('❌ Fallback parse failed:', e);
-      }
-      
-      return 0;
+  async fetchTransaction(id, network = this.network) {
+    try {
+      const txResult = await this.callReadOnly(
+        'get-transaction',
+        [this.encodeClarityUint(id)],
+        network
+      );
+      return this.extractTransaction(txResult, id);
+    } catch (error) {
+      console.warn(`Failed to fetch transaction ${id}:`, error);
+      return null;
     }
+  }
 
-    if (expectedType === 'bool') {
-      if (hex.startsWith('0703')) return true;
-      if (hex.startsWith('0704')) return false;
-      return false;
+  /**
+   * Evicts the persistent history cache when it can't belong to the contract
+   * on chain: an older cache format, fewer transactions than were cached
+   * (the contract was redeployed or reset), or a newest cached entry that no
+   * longer matches. Checked once per session.
+   */
+  async validateHistoryCache(total, network = this.network) {
+    if (this.historyCacheChecked) return;
+
+    const meta = await historyCache.getMeta(network, this.contractId);
+    if (!meta) {
+      this.historyCacheChecked = true;
+      return;
     }
 
-    if (expectedType === 'principal') {
-      if (hex.startsWith('0705') || hex.startsWith('0706')) {
-        if (this.cache.owner && (this.cache.owner.startsWith('ST') || this.cache.owner.startsWith('SP'))) {
-          console.log('✅ Using cached principal:', this.cache.owner);
-          return this.cache.owner;
-        }
-        return '0x0705' + hex;
+    let reason = null;
+    if (meta.version !== historyCache.version) {
+      reason = `cache version ${meta.version} → ${historyCache.version}`;
+    } else if (total < meta.totalTransactions) {
+      reason = `total-transactions went from ${meta.totalTransactions} to ${total}`;
+    } else if (meta.totalTransactions > 0) {
+      const id = meta.totalTransactions;
+      const [cached, onChain] = await Promise.all([
+        historyCache.getMany(network, this.contractId, [id]).then(found => found.get(id)),
+        this.fetchTransaction(id, network)
+      ]);
+
+      // A failed lookup proves nothing; try again on the next load
+      if (!onChain) return;
+
+      if (cached && (cached.tipper !== onChain.tipper ||
+          cached.amountMicro !== onChain.amountMicro ||
+          cached.blockHeight !== onChain.blockHeight)) {
+        reason = `transaction ${id} changed on chain`;
       }
-      return null;
     }
 
-    return null;
-  }
-
-  extractValue(clarityResponse, expectedType = 'uint') {
-    if (!clarityResponse) {
-      console.warn('⚠️ Empty response received');
-      return expectedType === 'uint' ? 0 : expectedType === 'bool' ? false : null;
+    if (reason) {
+      console.log('♻️ Contract changed, dropping history cache:', reason);
+      await historyCache.evict(network, this.contractId);
     }
+    this.historyCacheChecked = true;
+  }
 
-    let result = clarityResponse.result ?? clarityResponse;
-    
-    if (result && typeof result === 'object' && result.result) {
-      result = result.result;
-    }
+  // Reads the tip-messages map; tip-id is the tipper's own tip number
+  async fetchTipMessage(tipper, tipId, network = this.network) {
+    const response = await this.callReadOnly(
+      'get-tip-message',
+      [this.encodePrincipal(tipper), this.encodeClarityUint(tipId)],
+      network
+    );
+    const entry = this.extractValue(response);
+    return entry ? entry.message : null;
+  }
 
-    console.log('📦 Extracted result:', result);
+  /**
+   * Scans the contract's print events (newest first) for tip-with-message
+   * events, caching every one it passes, until `txId` has been seen.
+   */
+  async scanMessageEvents(txId, network = this.network) {
+    const pageSize = 50;
+    let offset = 0;
+
+    while (!this.messages.has(txId)) {
+      const page = await this.fetchApi(
+        `/extended/v1/contract/${this.contractId}/events?limit=${pageSize}&offset=${offset}`,
+        network
+      );
+      const events = page.results || [];
+      let lowestTxId = Infinity;
+
+      events.forEach(event => {
+        const hex = event.contract_log?.value?.hex;
+        if (!hex) return;
 
-    if (expectedType === 'uint') {
-      if (typeof result === 'string') {
-        if (result.startsWith('0x')) {
-          const decoded = this.decodeClarityHex(result, 'uint');
-          if (decoded !== null) return decoded;
-        }
-        
-        if (result.startsWith('u')) {
-          const numStr = result.slice(1);
-          const parsed = parseInt(numStr, 10);
-          console.log('✅ Parsed u-format:', parsed);
-          return parsed;
-        }
-        
-        const num = parseInt(result, 10);
-        if (isFinite(num) && !isNaN(num)) {
-          console.log('✅ Direct parse:', num);
-          return num;
+        try {
+          const data = decodeClarityValue(hex);
+          if (!data || typeof data !== 'object' || data['tx-id'] === undefined) return;
+
+          const eventTxId = toSafeNumber(data['tx-id']);
+          lowestTxId = Math.min(lowestTxId, eventTxId);
+
+          if (data.event === 'tip-with-message') {
+            this.messages.set(eventTxId, {
+              tipId: toSafeNumber(data['tip-id']),
+              tipper: data.tipper,
+              message: data.message ?? null
+            });
+          }
+        } catch (error) {
+          console.warn('⚠️ Skipping undecodable contract event:', error.message);
         }
-      }
-      
-      if (typeof result === 'number' && isFinite(result)) {
-        console.log('✅ Number value:', result);
-        return result;
-      }
+      });
 
-      console.warn('⚠️ Could not extract uint, returning 0');
-      return 0;
+      // Past the wanted tx (events are newest first) or out of events
+      if (events.length < pageSize || lowestTxId < txId) break;
+      offset += pageSize;
     }
+  }
+
+  // Lazily resolves the message attached to a history entry
+  async getTipMessage(tx, network = this.network) {
+    if (!tx.hasMessage) return null;
 
-    if (expectedType === 'bool') {
-      if (typeof result === 'string' && result.startsWith('0x')) {
-        return this.decodeClarityHex(result, 'bool');
+    if (!this.messages.has(tx.txId)) {
+      // One scan at a time; later callers usually hit the cache it fills
+      this.messageScan = this.messageScan
+        .catch(() => {})
+        .then(() => (this.messages.has(tx.txId) ? null : this.scanMessageEvents(tx.txId, network)));
+      await this.messageScan;
+
+      if (!this.messages.has(tx.txId)) {
+        this.messages.set(tx.txId, null); // Don't rescan for a known miss
       }
-      return Boolean(result);
     }
 
-    if (expectedType === 'principal') {
-      if (typeof result === 'string') {
-        if (result.startsWith('0x')) {
-          const decoded = this.decodeClarityHex(result, 'principal');
-          if (decoded) return decoded;
-        }
-        
-        let principal = result;
-        if (principal.startsWith("'")) {
-          principal = principal.slice(1);
-        }
-        
-        if (principal.startsWith('ST') || principal.startsWith('SP')) {
-          console.log('✅ String principal:', principal);
-          return principal;
-        }
-        
-        return principal;
-      }
+    const found = this.messages.get(tx.txId);
+    if (!found) return null;
+
+    if (found.message === null && found.tipId) {
+      found.message = await this.fetchTipMessage(found.tipper || tx.tipper, found.tipId, network);
     }
+    return found.message;
+  }
 
-    return result;
+  // Prefer the on-chain owner; fall back to the one configured for this jar
+  resolveOwner(onChainOwner, network = this.network) {
+    if (onChainOwner && isValidStacksAddress(onChainOwner, network)) {
+      return onChainOwner;
+    }
+    return this.owner;
+  }
+
+  // Decodes a call-read response into plain JS, unwrapping (ok ...)
+  extractValue(clarityResponse) {
+    return decodeReadOnlyResult(clarityResponse);
   }
 
   extractUserStats(response) {
-    const result = response.result || response;
-    
-    if (typeof result === 'object' && result !== null) {
-      return {
-        totalTipped: microToStx(this.extractValue(result['total-tipped'] || result.totalTipped || 0, 'uint')),
-        tipCount: this.extractValue(result['tip-count'] || result.tipCount || 0, 'uint'),
-        lastTipBlock: this.extractValue(result['last-tip-block'] || result.lastTipBlock || 0, 'uint'),
-        isPremium: this.extractValue(result['is-premium'] || result.isPremium || false, 'bool')
-      };
-    }
-    
+    const stats = this.extractValue(response) || {};
+    const totalTippedMicro = stats['total-tipped'] ?? 0n;
+
     return {
-      totalTipped: 0,
-      tipCount: 0,
-      lastTipBlock: 0,
-      isPremium: false
+      totalTippedMicro,
+      tipCount: toSafeNumber(stats['tip-count']),
+      lastTipHeight: toSafeNumber(stats['last-tip-height']),
+      isPremium: stats['is-premium'] === true
     };
   }
 
   extractTransaction(response, txId) {
-    const result = response.result || response;
-    
-    if (!result || result === 'none' || result === '0x0709') {
+    const entry = this.extractValue(response);
+
+    // (ok none) - no history entry with this id
+    if (!entry) {
       return null;
     }
-    
-    if (typeof result === 'object' && result !== null) {
-      return {
-        txId: txId,
-        tipper: this.extractValue(result.tipper, 'principal'),
-        amount: microToStx(this.extractValue(result.amount, 'uint')),
-        blockHeight: this.extractValue(result['block-height'] || result.blockHeight, 'uint'),
-        timestamp: this.extractValue(result.timestamp, 'uint'),
-        hasMessage: this.extractValue(result['has-message'] || result.hasMessage, 'bool')
-      };
-    }
-    
-    return null;
+
+    return {
+      txId: txId,
+      tipper: entry.tipper,
+      amountMicro: entry.amount,
+      blockHeight: toSafeNumber(entry['block-height']),
+      timestamp: toSafeNumber(entry.timestamp),
+      hasMessage: entry['has-message'] === true
+    };
   }
 
-  async getBalance(network = CONFIG.NETWORK.DEFAULT, forceRefresh = false) {
-    if (forceRefresh) this.clearCache();
-    const data = await this.fetchContractData(network);
-    return data.balance;
+  // µSTX
+  async getBalance(network = this.network, forceRefresh = false) {
+    const data = await this.fetchContractData(network, null, forceRefresh);
+    return data.balanceMicro;
   }
 
-  async getTotalTips(network = CONFIG.NETWORK.DEFAULT, forceRefresh = false) {
-    if (forceRefresh) this.clearCache();
-    const data = await this.fetchContractData(network);
-    return data.totalTips;
+  // µSTX
+  async getTotalTips(network = this.network, forceRefresh = false) {
+    const data = await this.fetchContractData(network, null, forceRefresh);
+    return data.totalTipsMicro;
   }
 
-  async getStats(network = CONFIG.NETWORK.DEFAULT, forceRefresh = false, userAddress = null) {
-    if (forceRefresh) this.clearCache();
-    return await this.fetchContractData(network, userAddress);
+  async getStats(network = this.network, forceRefresh = false, userAddress = null) {
+    return await this.fetchContractData(network, userAddress, forceRefresh);
   }
 
-  async getUserStats(userAddress, network = CONFIG.NETWORK.DEFAULT) {
+  async getUserStats(userAddress, network = this.network) {
     const data = await this.fetchContractData(network, userAddress);
     return data.userStats;
   }
 
-  async getHistory(limit = 10, network = CONFIG.NETWORK.DEFAULT) {
+  async getHistory(limit = 10, network = this.network) {
     return await this.fetchTransactionHistory(network, limit);
   }
-}
 
-export const contractManager = new ContractManager();
+  async getUserHistory(userAddress, network = this.network) {
+    if (this.isCacheValid() && this.cache.userHistory?.user === userAddress) {
+      return this.cache.userHistory;
+    }
+    return await this.fetchUserHistory(userAddress, network);
+  }
+
+  async getOwner(network = this.network) {
+    const data = await this.fetchContractData(network);
+    return data.owner || this.owner;
+  }
+}
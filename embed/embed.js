@@ -0,0 +1,93 @@
+// embed/embed.js - The iframe widget (embed.html): a <stacks-tip-jar> built
+// from the query string, reporting to the parent page with postMessage
+import { CONFIG, getMockApiBase, isMockMode } from '../config.js';
+import { initI18n, t } from '../i18n.js';
+import { TIP_JAR_TAG, TIP_JAR_EVENTS } from './tip-jar-element.js';
+
+export const EMBED_MESSAGE_SOURCE = 'stacks-tip-jar';
+
+// Query parameter -> element attribute
+const PARAM_ATTRIBUTES = {
+  contract: 'contract',
+  theme: 'theme',
+  amounts: 'amounts',
+  message: 'default-message',
+  accent: 'accent',
+  history: 'history'
+};
+
+const params = new URLSearchParams(window.location.search);
+
+// 'https://creator.example/page' -> 'https://creator.example'; null for
+// anything that isn't an http(s) origin, '*' included
+function toOrigin(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+const framed = window.parent !== window;
+const targetOrigin = toOrigin(params.get('origin'));
+
+// The page actually framing us, where the browser tells
+const parentOrigin = framed
+  ? toOrigin(window.location.ancestorOrigins?.[0] || document.referrer)
+  : null;
+
+// Events carry tipper addresses and txIds, so they only go to the page named
+// by ?origin=. A framing page must name itself there; otherwise the widget
+// stays empty rather than take a contract and message from an unknown page.
+const allowed = !framed || (targetOrigin !== null && (parentOrigin === null || parentOrigin === targetOrigin));
+
+function post(type, detail = {}) {
+  if (!framed || !allowed) return;
+  window.parent.postMessage({ source: EMBED_MESSAGE_SOURCE, type, ...detail }, targetOrigin);
+}
+
+// The element looks for wallets when it connects, so the mock one goes in
+// first; import.meta.env.DEV is false in builds, which leave it out
+async function installWallets() {
+  if (import.meta.env.DEV && isMockMode()) {
+    const { installMockWallet } = await import('../mock/wallet-provider.js');
+    installMockWallet({ address: CONFIG.MOCK.WALLET_ADDRESS, apiBase: getMockApiBase() });
+  }
+}
+
+const element = document.createElement(TIP_JAR_TAG);
+Object.entries(PARAM_ATTRIBUTES).forEach(([param, attribute]) => {
+  if (params.has(param)) element.setAttribute(attribute, params.get(param));
+});
+if (params.get('stats') === '0') element.setAttribute('no-stats', '');
+
+Object.values(TIP_JAR_EVENTS).forEach(type => {
+  element.addEventListener(type, event => post(type, event.detail));
+});
+
+// The parent sizes the iframe to fit; only height changes are reported
+let lastHeight = 0;
+new ResizeObserver(() => {
+  const height = Math.ceil(document.documentElement.getBoundingClientRect().height);
+  if (height !== lastHeight) {
+    lastHeight = height;
+    post('resize', { height });
+  }
+}).observe(document.documentElement);
+
+// ?lang= or the visitor's browser picks the widget's language
+if (allowed) {
+  Promise.all([initI18n(), installWallets()]).then(() => {
+    document.body.appendChild(element);
+    post('ready', { contractId: element.getAttribute('contract') });
+  });
+} else {
+  console.warn('⚠️ Embedded without a matching ?origin=', { origin: params.get('origin'), parent: parentOrigin });
+  initI18n().then(() => {
+    const notice = document.createElement('p');
+    notice.className = 'embed-notice';
+    notice.textContent = t('widget.originRequired');
+    document.body.appendChild(notice);
+  });
+}
@@ -0,0 +1,513 @@
+// embed/tip-jar-element.js - <stacks-tip-jar>: one jar's tip form, stats and
+// recent tips as a custom element for creators' own sites
+import {
+  CONFIG,
+  getActiveNetwork,
+  setActiveNetwork,
+  getNetworkForAddress,
+  isSupportedNetwork,
+  isValidContractId,
+  shortAddress
+} from '../config.js';
+import { ContractManager } from '../contract.js';
+import { walletManager } from '../wallet.js';
+import { describeError, ERROR_CODES } from '../errors.js';
+import { walletRegistry } from '../wallets/index.js';
+import { txTracker, TX_STATUS, describeTxResult, getExplorerTxUrl } from '../tx-tracker.js';
+import { formatStx, formatStxInput, parseStx, STX_DECIMALS } from '../amount.js';
+import { t, formatNumber, onLocaleChange, translateDocument } from '../i18n.js';
+import { getLiveFeed } from '../live-feed.js';
+import styles from './tip-jar.css?inline';
+
+export const TIP_JAR_TAG = 'stacks-tip-jar';
+
+// Bubbling, composed CustomEvents dispatched on the element
+export const TIP_JAR_EVENTS = {
+  SENT: 'tip-sent',           // Broadcast by the wallet
+  CONFIRMED: 'tip-confirmed', // Mined successfully
+  FAILED: 'tip-failed'        // Mined but failed, or dropped
+};
+
+export const TIP_JAR_THEMES = ['light', 'dark', 'auto'];
+
+const DEFAULT_HISTORY_COUNT = 5;
+const MAX_HISTORY_COUNT = 20;
+
+const TEMPLATE = `
+  <div class="card" part="card">
+    <h2 class="title" part="title"></h2>
+    <div class="stats" part="stats">
+      <div class="stat"><div class="stat-value" data-stat="totalTips">-</div><div class="stat-label" data-i18n="widget.statTipped"></div></div>
+      <div class="stat"><div class="stat-value" data-stat="totalTransactions">-</div><div class="stat-label" data-i18n="widget.statTips"></div></div>
+      <div class="stat"><div class="stat-value" data-stat="totalTippers">-</div><div class="stat-label" data-i18n="widget.statTippers"></div></div>
+    </div>
+    <form class="form" part="form" novalidate>
+      <div class="amounts" part="amounts"></div>
+      <input class="amount" part="amount-input" name="amount" inputmode="decimal" autocomplete="off" data-i18n-placeholder="widget.amountPlaceholder" data-i18n-aria-label="widget.amountLabel" />
+      <textarea class="message" part="message-input" name="message" data-i18n-placeholder="widget.messagePlaceholder" data-i18n-aria-label="widget.messageLabel"></textarea>
+      <div class="message-count"></div>
+      <div class="wallet" part="wallet"></div>
+      <button class="send-button" part="send-button" type="submit"></button>
+    </form>
+    <div class="status" part="status" role="status" aria-live="polite"></div>
+    <h3 class="history-title" data-i18n="widget.recentTips"></h3>
+    <ul class="history" part="history"></ul>
+    <div class="footer" part="footer"></div>
+  </div>
+`;
+
+// 'amounts="1, 5,10"' -> [1000000n, 5000000n, 10000000n]; invalid entries are
+// skipped, and an empty result falls back to CONFIG.UI.QUICK_AMOUNTS
+export function parseQuickAmounts(value) {
+  const parse = text => {
+    try {
+      const micro = parseStx(String(text).trim(), { decimals: STX_DECIMALS, locale: 'en' });
+      return micro > 0n ? micro : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const custom = String(value || '').split(',').map(parse).filter(micro => micro !== null);
+  return custom.length > 0 ? custom : CONFIG.UI.QUICK_AMOUNTS.map(parse).filter(micro => micro !== null);
+}
+
+/**
+ * Attributes:
+ * - contract: the jar's contract id (required); its address picks the network
+ * - theme: light | dark | auto (follows the host's color scheme, default)
+ * - amounts: quick amounts in STX, comma separated (default CONFIG.UI.QUICK_AMOUNTS)
+ * - default-message: prefilled message
+ * - accent: any CSS color for buttons and highlights
+ * - history: number of recent tips listed (default 5, 0 hides the list)
+ * - no-stats: hides the jar totals
+ *
+ * Text follows the page's i18n locale (see i18n.js) and re-renders when it
+ * changes. Styling beyond that goes through the --tip-jar-* custom properties
+ * and the `part`s in TEMPLATE. Events carry amounts as µSTX strings so they survive
+ * JSON and postMessage unchanged.
+ */
+export class StacksTipJarElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['contract', 'theme', 'amounts', 'default-message', 'accent', 'history', 'no-stats'];
+  }
+
+  constructor() {
+    super();
+    this.contract = null;
+    this.feed = null;
+    this.unsubscribers = [];
+    this.loadRequest = 0;
+    this.sending = false;
+
+    this.root = this.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = styles;
+    this.root.appendChild(style);
+    this.root.insertAdjacentHTML('beforeend', TEMPLATE);
+
+    const $ = selector => this.root.querySelector(selector);
+    this.elements = {
+      title: $('.title'),
+      stats: $('.stats'),
+      form: $('.form'),
+      amounts: $('.amounts'),
+      amount: $('.amount'),
+      message: $('.message'),
+      messageCount: $('.message-count'),
+      wallet: $('.wallet'),
+      send: $('.send-button'),
+      status: $('.status'),
+      historyTitle: $('.history-title'),
+      history: $('.history'),
+      footer: $('.footer')
+    };
+
+    this.elements.form.addEventListener('submit', event => {
+      event.preventDefault();
+      this.sendTip();
+    });
+    this.elements.amount.addEventListener('input', () => this.renderAmounts());
+    this.elements.message.addEventListener('input', () => this.renderMessageCount());
+    this.elements.message.maxLength = CONFIG.UI.MAX_MESSAGE_LENGTH;
+  }
+
+  connectedCallback() {
+    if (!TIP_JAR_THEMES.includes(this.getAttribute('theme'))) this.setAttribute('theme', 'auto');
+    this.unsubscribers.push(walletManager.subscribe(() => this.renderWallet()));
+    this.unsubscribers.push(onLocaleChange(() => this.handleLocaleChange()));
+    translateDocument(this.root);
+    this.applyConfig();
+    this.loadJar();
+  }
+
+  disconnectedCallback() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.stopFeed();
+    this.loadRequest += 1;
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.isConnected || oldValue === newValue) return;
+    if (name === 'contract') {
+      this.loadJar();
+    } else {
+      this.applyConfig();
+      if (name === 'history') this.loadHistory();
+      if (name === 'no-stats') this.loadStats();
+    }
+  }
+
+  // Amounts, counts and stored text are all locale-formatted, so everything
+  // but a status message already on screen is redrawn
+  handleLocaleChange() {
+    translateDocument(this.root);
+    this.applyConfig();
+    this.renderTitle();
+    this.renderWallet();
+    this.refresh();
+  }
+
+  get historyCount() {
+    const count = parseInt(this.getAttribute('history') ?? DEFAULT_HISTORY_COUNT, 10);
+    return Number.isNaN(count) ? DEFAULT_HISTORY_COUNT : Math.min(Math.max(count, 0), MAX_HISTORY_COUNT);
+  }
+
+  // Attribute-driven presentation; safe to call repeatedly
+  applyConfig() {
+    const accent = this.getAttribute('accent');
+    if (accent && CSS.supports('color', accent)) {
+      this.style.setProperty('--tip-jar-accent', accent);
+    } else {
+      this.style.removeProperty('--tip-jar-accent');
+    }
+
+    this.quickAmounts = parseQuickAmounts(this.getAttribute('amounts'));
+    this.elements.amounts.replaceChildren(...this.quickAmounts.map(micro => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'amount-button';
+      button.setAttribute('part', 'amount-button');
+      button.textContent = formatStx(micro, { minDecimals: 0 });
+      button.addEventListener('click', () => {
+        this.elements.amount.value = formatStxInput(micro);
+        this.renderAmounts();
+      });
+      return button;
+    }));
+    this.renderAmounts();
+
+    // Only prefill while the user hasn't typed anything of their own
+    const message = this.elements.message;
+    if (!message.value || message.value === message.dataset.default) {
+      message.value = (this.getAttribute('default-message') || '').slice(0, CONFIG.UI.MAX_MESSAGE_LENGTH);
+      message.dataset.default = message.value;
+    }
+    this.renderMessageCount();
+
+    this.elements.stats.hidden = this.hasAttribute('no-stats');
+    this.elements.historyTitle.hidden = this.historyCount === 0;
+    this.elements.history.hidden = this.historyCount === 0;
+  }
+
+  // ============================================
+  // DATA
+  // ============================================
+
+  async loadJar() {
+    this.stopFeed();
+    this.contract = null;
+    const contractId = (this.getAttribute('contract') || '').trim();
+    const network = getNetworkForAddress(contractId);
+
+    if (!network || !isSupportedNetwork(network) || !isValidContractId(contractId, network)) {
+      this.renderTitle();
+      this.elements.send.disabled = true;
+      this.showStatus(contractId ? t('widget.invalidContract', { contractId }) : t('widget.missingContract'), 'error');
+      return;
+    }
+
+    // One network per page: the wallet connection is per network (see wallet.js)
+    if (network !== getActiveNetwork()) {
+      setActiveNetwork(network);
+      walletManager.handleNetworkChange(network);
+    }
+
+    this.contract = new ContractManager(contractId, null, network);
+    this.renderTitle();
+    this.elements.send.disabled = false;
+    this.showStatus('');
+    this.renderWallet();
+
+    // loadStats and loadHistory report their own failures, so the feed
+    // starts even when the jar's node is down and can fill it in later
+    const contract = this.contract;
+    await this.refresh();
+
+    // New tips refresh the totals and the list
+    if (contract === this.contract && this.isConnected && !this.feed) {
+      this.feed = getLiveFeed(contract);
+      this.unsubscribeFeed = this.feed.subscribe(event => {
+        if (event.type === 'tips' || event.type === 'reset') this.refresh();
+      });
+      this.feed.start();
+    }
+  }
+
+  stopFeed() {
+    if (!this.feed) return;
+    this.unsubscribeFeed();
+    // Feeds are shared per jar; only stop one nothing else listens to
+    if (this.feed.listeners.length === 0) this.feed.stop();
+    this.feed = null;
+  }
+
+  async refresh() {
+    await Promise.all([this.loadStats(), this.loadHistory()]);
+  }
+
+  async loadStats() {
+    const contract = this.contract;
+    if (!contract || this.hasAttribute('no-stats')) return;
+
+    try {
+      const stats = await contract.getStats();
+      if (contract !== this.contract) return;
+      this.setStat('totalTips', formatStx(stats.totalTipsMicro, { maxDecimals: 2, minDecimals: 0 }));
+      this.setStat('totalTransactions', formatNumber(stats.totalTransactions));
+      this.setStat('totalTippers', formatNumber(stats.totalTippers));
+    } catch (error) {
+      console.warn('⚠️ Tip jar widget: stats unavailable:', error.message);
+    }
+  }
+
+  setStat(name, value) {
+    this.root.querySelector(`[data-stat="${name}"]`).textContent = value || '-';
+  }
+
+  async loadHistory() {
+    const contract = this.contract;
+    const count = this.historyCount;
+    if (!contract || count === 0) return;
+
+    const request = ++this.loadRequest;
+    let tips;
+    try {
+      tips = await contract.getHistory(count);
+    } catch (error) {
+      if (request !== this.loadRequest || contract !== this.contract) return;
+      console.warn('⚠️ Tip jar widget: history unavailable:', error.message);
+      this.showHistoryNotice(t('widget.historyFailed'), 'error');
+      return;
+    }
+    if (request !== this.loadRequest || contract !== this.contract) return;
+
+    if (tips.length === 0) {
+      this.showHistoryNotice(t('widget.noTips'));
+      return;
+    }
+
+    this.elements.history.replaceChildren(...tips.map(tx => {
+      const item = document.createElement('li');
+      item.className = 'history-item';
+      item.setAttribute('part', 'history-item');
+
+      const tipper = document.createElement('span');
+      tipper.className = 'history-tipper';
+      tipper.textContent = shortAddress(tx.tipper);
+      tipper.title = tx.tipper;
+
+      const amount = document.createElement('span');
+      amount.className = 'history-amount';
+      amount.textContent = `${formatStx(tx.amountMicro, { minDecimals: 0 })}${tx.hasMessage ? ' 💬' : ''}`;
+
+      item.append(tipper, amount);
+      return item;
+    }));
+  }
+
+  // ============================================
+  // RENDERING
+  // ============================================
+
+  showHistoryNotice(text, type = 'info') {
+    const item = document.createElement('li');
+    item.className = 'history-item history-notice';
+    item.dataset.type = type;
+    item.textContent = text;
+    this.elements.history.replaceChildren(item);
+  }
+
+  renderTitle() {
+    const { contract } = this;
+    this.elements.title.textContent = contract
+      ? t('widget.titleFor', { name: contract.contractName })
+      : t('widget.title');
+    this.elements.footer.replaceChildren(contract
+      ? `${shortAddress(contract.contractAddress)} · ${t('network.name', { network: contract.network })}`
+      : '');
+  }
+
+  renderAmounts() {
+    const value = this.elements.amount.value.trim();
+    this.elements.amounts.querySelectorAll('.amount-button').forEach((button, i) => {
+      button.classList.toggle('is-selected', value === formatStxInput(this.quickAmounts[i]));
+    });
+  }
+
+  renderMessageCount() {
+    this.elements.messageCount.textContent = t('widget.messageCount', {
+      count: this.elements.message.value.length,
+      max: CONFIG.UI.MAX_MESSAGE_LENGTH
+    });
+  }
+
+  renderWallet() {
+    const { wallet } = this.elements;
+
+    if (walletManager.address) {
+      const address = document.createElement('span');
+      address.className = 'wallet-address';
+      address.textContent = shortAddress(walletManager.address);
+      address.title = walletManager.address;
+
+      const disconnect = document.createElement('button');
+      disconnect.type = 'button';
+      disconnect.className = 'link-button';
+      disconnect.textContent = t('widget.disconnect');
+      disconnect.addEventListener('click', () => walletManager.disconnect());
+
+      wallet.replaceChildren(address, disconnect);
+      this.elements.send.textContent = t('widget.send');
+      return;
+    }
+
+    wallet.replaceChildren(...walletRegistry.list().map(adapter => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'wallet-button';
+      button.setAttribute('part', 'wallet-button');
+      button.textContent = `${adapter.icon} ${adapter.name}`;
+      button.addEventListener('click', () => this.connectWallet(adapter.id));
+      return button;
+    }));
+    this.elements.send.textContent = t('widget.connectToTip');
+  }
+
+  showStatus(text, type = 'info', link = null) {
+    const { status } = this.elements;
+    status.dataset.type = type;
+    status.replaceChildren(text);
+
+    if (link) {
+      const anchor = document.createElement('a');
+      anchor.href = link;
+      anchor.target = '_blank';
+      anchor.rel = 'noopener';
+      anchor.textContent = t('notifications.viewTx');
+      status.append(' ', anchor);
+    }
+  }
+
+  setSending(sending) {
+    this.sending = sending;
+    this.elements.send.disabled = sending || !this.contract;
+  }
+
+  // ============================================
+  // ACTIONS
+  // ============================================
+
+  async connectWallet(walletType) {
+    try {
+      await walletManager.connect(walletType);
+    } catch (error) {
+      this.showStatus(describeError(error, t('widget.connectFailed')), 'error');
+    }
+  }
+
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      composed: true,
+      detail: { contractId: this.contract?.contractId ?? null, ...detail }
+    }));
+  }
+
+  async sendTip() {
+    const contract = this.contract;
+    if (!contract || this.sending) return;
+
+    if (!walletManager.address) {
+      this.showStatus(t('widget.connectFirst'), 'error');
+      return;
+    }
+
+    let amount;
+    try {
+      amount = walletManager.validateTipAmount(parseStx(this.elements.amount.value));
+    } catch (error) {
+      this.showStatus(describeError(error), 'error');
+      return;
+    }
+
+    const message = this.elements.message.value.trim();
+    this.setSending(true);
+    this.showStatus(t('widget.confirmInWallet'));
+
+    let txId;
+    try {
+      const result = message
+        ? await walletManager.sendTipWithMessage(amount, message, contract.contractId)
+        : await walletManager.sendTip(amount, contract.contractId);
+      txId = result.txId;
+    } catch (error) {
+      const cancelled = error.code === ERROR_CODES.CANCELLED;
+      this.showStatus(
+        cancelled ? t('widget.cancelled') : t('widget.failed', { error: describeError(error) }),
+        cancelled ? 'info' : 'error'
+      );
+      this.setSending(false);
+      return;
+    }
+
+    const detail = { txId, amountMicro: amount.toString(), hasMessage: Boolean(message), sender: walletManager.address };
+    this.emit(TIP_JAR_EVENTS.SENT, detail);
+    this.elements.amount.value = '';
+    this.elements.message.value = this.elements.message.dataset.default || '';
+    this.renderAmounts();
+    this.renderMessageCount();
+    this.setSending(false);
+
+    if (!txId) {
+      this.showStatus(t('widget.submitted'), 'success');
+      return;
+    }
+
+    const explorerUrl = getExplorerTxUrl(txId, contract.network);
+    this.showStatus(t('widget.waiting'), 'info', explorerUrl);
+
+    const record = await txTracker.track(txId, {
+      network: contract.network,
+      kind: message ? 'tip-with-message' : 'tip',
+      meta: { contractId: contract.contractId }
+    });
+    if (contract !== this.contract) return;
+
+    if (record.status === TX_STATUS.SUCCESS) {
+      this.emit(TIP_JAR_EVENTS.CONFIRMED, { ...detail, txId: record.txId, blockHeight: record.blockHeight });
+      this.showStatus(t('widget.confirmed', { height: formatNumber(record.blockHeight) }), 'success', explorerUrl);
+      contract.clearCache();
+      this.refresh();
+    } else {
+      const reason = describeTxResult(record.result) || t('pendingTxs.status', { status: record.status });
+      this.emit(TIP_JAR_EVENTS.FAILED, { ...detail, txId: record.txId, status: record.status, reason });
+      this.showStatus(t('widget.failedOnChain', { reason }), 'error', explorerUrl);
+    }
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get(TIP_JAR_TAG)) {
+  customElements.define(TIP_JAR_TAG, StacksTipJarElement);
+}
@@ -0,0 +1,241 @@
+// endpoints.js - Health-checked API endpoint pool with failover and 429 backoff
+import { CONFIG, getActiveNetwork, getNetworkEndpoints } from './config.js';
+
+const UNKNOWN_LATENCY = 1000; // ms assumed before an endpoint has been measured
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+}
+
+export class EndpointPool {
+  constructor(network, urls) {
+    this.network = network;
+    this.endpoints = urls.map((url, index) => ({
+      url: url.replace(/\/+$/, ''),
+      index,
+      latency: null,      // Moving average in ms
+      errorRate: 0,       // Moving average of failures, 0..1
+      failures: 0,        // Consecutive failures
+      cooldownUntil: 0,   // Skip until this time (429s and outages)
+      lastError: null,
+      lastChecked: null
+    }));
+    this.active = this.endpoints[0]?.url || null;
+    this.healthTimer = null;
+    this.listeners = [];
+  }
+
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  notify() {
+    const status = this.getStatus();
+    this.listeners.forEach(cb => {
+      try {
+        cb(status);
+      } catch (error) {
+        console.error('❌ Error in endpoint listener callback:', error);
+      }
+    });
+  }
+
+  score(endpoint) {
+    const latency = endpoint.latency ?? UNKNOWN_LATENCY;
+    return latency * (1 + endpoint.errorRate * 4) + endpoint.index;
+  }
+
+  // Available endpoints first (best score first), then those cooling down
+  rank() {
+    const now = Date.now();
+    return [...this.endpoints].sort((a, b) => {
+      const aReady = a.cooldownUntil <= now;
+      const bReady = b.cooldownUntil <= now;
+      if (aReady !== bReady) return aReady ? -1 : 1;
+      if (!aReady) return a.cooldownUntil - b.cooldownUntil;
+      return this.score(a) - this.score(b);
+    });
+  }
+
+  refreshActive() {
+    const best = this.rank()[0]?.url || null;
+    if (best !== this.active) {
+      console.log(`🔀 [${this.network}] Active API endpoint: ${this.active} → ${best}`);
+      this.active = best;
+      this.notify();
+    }
+  }
+
+  getActive() {
+    return this.active;
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return {
+      network: this.network,
+      active: this.active,
+      endpoints: this.rank().map(endpoint => ({
+        url: endpoint.url,
+        latency: endpoint.latency,
+        errorRate: endpoint.errorRate,
+        available: endpoint.cooldownUntil <= now,
+        lastError: endpoint.lastError
+      }))
+    };
+  }
+
+  recordSuccess(endpoint, latency) {
+    endpoint.latency = endpoint.latency === null
+      ? latency
+      : Math.round(endpoint.latency * 0.7 + latency * 0.3);
+    endpoint.errorRate = endpoint.errorRate * 0.7;
+    endpoint.failures = 0;
+    endpoint.cooldownUntil = 0;
+    endpoint.lastError = null;
+    this.refreshActive();
+  }
+
+  recordFailure(endpoint, reason, cooldown = null) {
+    endpoint.errorRate = endpoint.errorRate * 0.7 + 0.3;
+    endpoint.failures++;
+    endpoint.lastError = reason;
+    endpoint.cooldownUntil = Date.now() + (cooldown ?? this.backoff(endpoint.failures));
+    console.warn(`⚠️ [${this.network}] ${endpoint.url} failed (${reason})`);
+    this.refreshActive();
+  }
+
+  backoff(attempt) {
+    const { BASE_DELAY, MAX_DELAY } = CONFIG.API.RETRY;
+    return Math.min(MAX_DELAY, BASE_DELAY * 2 ** Math.max(0, attempt - 1));
+  }
+
+  async request(endpoint, path, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONFIG.API.REQUEST_TIMEOUT);
+    const started = performance.now();
+
+    try {
+      const response = await fetch(`${endpoint.url}${path}`, { ...options, signal: controller.signal });
+      return { response, latency: Math.round(performance.now() - started) };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * fetch() against the best endpoint. Network errors and 5xx fail over to
+   * the next endpoint; 429 honors Retry-After with exponential backoff.
+   * Other responses (including 4xx) are returned to the caller as-is.
+   */
+  async fetch(path, options = {}) {
+    const maxAttempts = Math.max(CONFIG.API.RETRY.MAX_ATTEMPTS, this.endpoints.length);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const [endpoint] = this.rank();
+      if (!endpoint) break;
+
+      // Everything is cooling down: wait for the first endpoint to free up
+      const wait = endpoint.cooldownUntil - Date.now();
+      if (wait > 0) {
+        console.log(`⏳ [${this.network}] All endpoints backing off, waiting ${wait}ms`);
+        await delay(wait);
+      }
+
+      try {
+        const { response, latency } = await this.request(endpoint, path, options);
+
+        if (response.status === 429) {
+          const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+          const cooldown = Math.max(retryAfter ?? 0, this.backoff(endpoint.failures + 1));
+          this.recordFailure(endpoint, '429 rate limited', cooldown);
+          lastError = new Error(`Rate limited by ${endpoint.url}`);
+          continue;
+        }
+
+        if (response.status >= 500) {
+          this.recordFailure(endpoint, `HTTP ${response.status}`);
+          lastError = new Error(`Server error ${response.status} from ${endpoint.url}`);
+          continue;
+        }
+
+        this.recordSuccess(endpoint, latency);
+        return response;
+      } catch (error) {
+        const reason = error.name === 'AbortError' ? 'timeout' : error.message;
+        this.recordFailure(endpoint, reason);
+        lastError = new Error(`Network error from ${endpoint.url}: ${reason}`);
+      }
+    }
+
+    throw lastError || new Error(`No API endpoints configured for ${this.network}`);
+  }
+
+  async checkEndpoint(endpoint) {
+    endpoint.lastChecked = Date.now();
+    try {
+      const { response, latency } = await this.request(endpoint, '/extended', { method: 'GET' });
+      if (response.ok) {
+        this.recordSuccess(endpoint, latency);
+      } else if (response.status === 429) {
+        this.recordFailure(endpoint, '429 rate limited', parseRetryAfter(response.headers.get('Retry-After')));
+      } else {
+        this.recordFailure(endpoint, `HTTP ${response.status}`);
+      }
+    } catch (error) {
+      this.recordFailure(endpoint, error.name === 'AbortError' ? 'timeout' : error.message);
+    }
+  }
+
+  async healthCheck() {
+    console.log(`🩺 [${this.network}] Health-checking ${this.endpoints.length} endpoints`);
+    await Promise.all(this.endpoints.map(endpoint => this.checkEndpoint(endpoint)));
+    return this.getStatus();
+  }
+
+  startHealthChecks(interval = CONFIG.API.HEALTH_CHECK_INTERVAL) {
+    if (this.healthTimer) return;
+    this.healthCheck();
+    this.healthTimer = setInterval(() => this.healthCheck(), interval);
+  }
+
+  stopHealthChecks() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+}
+
+const pools = new Map();
+
+export function getEndpointPool(network = getActiveNetwork()) {
+  if (!pools.has(network)) {
+    pools.set(network, new EndpointPool(network, getNetworkEndpoints(network)));
+  }
+  return pools.get(network);
+}
+
+// Best endpoint right now for `network`
+export function getNetworkEndpoint(network = getActiveNetwork()) {
+  return getEndpointPool(network).getActive();
+}
+
+export function apiFetch(path, options = {}, network = getActiveNetwork()) {
+  return getEndpointPool(network).fetch(path, options);
+}
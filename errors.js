@@ -0,0 +1,83 @@
+// errors.js - Errors the UI shows. They carry a code and params instead of
+// English text; describeError() turns them into a message in the active locale.
+import { t } from './i18n.js';
+
+export const ERROR_CODES = {
+  CANCELLED: 'CANCELLED',                   // Declined at review or in the wallet
+  TIMEOUT: 'TIMEOUT',                       // The wallet never answered
+  NOT_CONNECTED: 'NOT_CONNECTED',
+  UNSUPPORTED_WALLET: 'UNSUPPORTED_WALLET', // { wallet }
+  WALLET_NOT_INSTALLED: 'WALLET_NOT_INSTALLED', // { wallet, host }
+  WALLET_ERROR: 'WALLET_ERROR',             // { wallet, message } as the wallet reported it
+  NO_ADDRESS: 'NO_ADDRESS',                 // { wallet }
+  NO_TX_ID: 'NO_TX_ID',                     // { wallet }
+  NO_SIGNATURE: 'NO_SIGNATURE',             // { wallet }
+  WRONG_NETWORK: 'WRONG_NETWORK',           // { network } the app expects
+  NO_POLICY: 'NO_POLICY',                   // { functionName }
+  INVALID_AMOUNT: 'INVALID_AMOUNT',
+  TIP_TOO_SMALL: 'TIP_TOO_SMALL',           // { amount } formatted
+  TIP_TOO_LARGE: 'TIP_TOO_LARGE',           // { amount } formatted
+  MESSAGE_TOO_LONG: 'MESSAGE_TOO_LONG',     // { max }
+  NOT_OWNER: 'NOT_OWNER',                   // { kind } as in txLabel()
+  INVALID_RECIPIENT: 'INVALID_RECIPIENT',   // { network }
+  INVALID_OWNER: 'INVALID_OWNER',           // { network }
+  ALREADY_OWNER: 'ALREADY_OWNER',
+  INVALID_THRESHOLD: 'INVALID_THRESHOLD',
+  NOTHING_TO_WITHDRAW: 'NOTHING_TO_WITHDRAW',
+  FAUCET_TESTNET_ONLY: 'FAUCET_TESTNET_ONLY',
+  FAUCET_COOLDOWN: 'FAUCET_COOLDOWN',       // { seconds }
+  FAUCET_RATE_LIMITED: 'FAUCET_RATE_LIMITED',
+  FAUCET_UNAVAILABLE: 'FAUCET_UNAVAILABLE',
+  FAUCET_FAILED: 'FAUCET_FAILED'            // { reason } from the faucet
+};
+
+// Code -> catalog key; codes the UI already had a message for reuse it
+const MESSAGE_KEYS = {
+  [ERROR_CODES.CANCELLED]: 'error.cancelled',
+  [ERROR_CODES.TIMEOUT]: 'error.timeout',
+  [ERROR_CODES.NOT_CONNECTED]: 'wallet.connectFirst',
+  [ERROR_CODES.UNSUPPORTED_WALLET]: 'error.unsupportedWallet',
+  [ERROR_CODES.WALLET_NOT_INSTALLED]: 'error.walletNotInstalled',
+  [ERROR_CODES.WALLET_ERROR]: 'error.walletError',
+  [ERROR_CODES.NO_ADDRESS]: 'error.noAddress',
+  [ERROR_CODES.NO_TX_ID]: 'error.noTxId',
+  [ERROR_CODES.NO_SIGNATURE]: 'error.noSignature',
+  [ERROR_CODES.WRONG_NETWORK]: 'error.wrongNetwork',
+  [ERROR_CODES.NO_POLICY]: 'error.noPolicy',
+  [ERROR_CODES.INVALID_AMOUNT]: 'error.invalidAmount',
+  [ERROR_CODES.TIP_TOO_SMALL]: 'tip.minimum',
+  [ERROR_CODES.TIP_TOO_LARGE]: 'tip.maximum',
+  [ERROR_CODES.MESSAGE_TOO_LONG]: 'error.messageTooLong',
+  [ERROR_CODES.NOT_OWNER]: 'admin.ownerOnly',
+  [ERROR_CODES.INVALID_RECIPIENT]: 'admin.invalidRecipient',
+  [ERROR_CODES.INVALID_OWNER]: 'admin.invalidOwner',
+  [ERROR_CODES.ALREADY_OWNER]: 'error.alreadyOwner',
+  [ERROR_CODES.INVALID_THRESHOLD]: 'admin.invalidThreshold',
+  [ERROR_CODES.NOTHING_TO_WITHDRAW]: 'admin.nothingToWithdraw',
+  [ERROR_CODES.FAUCET_TESTNET_ONLY]: 'error.faucetTestnetOnly',
+  [ERROR_CODES.FAUCET_COOLDOWN]: 'error.faucetCooldown',
+  [ERROR_CODES.FAUCET_RATE_LIMITED]: 'error.faucetRateLimited',
+  [ERROR_CODES.FAUCET_UNAVAILABLE]: 'error.faucetUnavailable',
+  [ERROR_CODES.FAUCET_FAILED]: 'error.faucetFailed'
+};
+
+export class AppError extends Error {
+  constructor(code, params = {}) {
+    super(code);
+    this.name = 'AppError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// The message to show for `error`; anything without a known code (a failed
+// fetch, a bug) keeps its own message, or `fallback` when it has none
+export function describeError(error, fallback = null) {
+  const key = MESSAGE_KEYS[error?.code];
+  if (!key) return error?.message || fallback || t('tx.unknownError');
+
+  // `network` params are ids ('testnet'); the messages take the display name
+  const params = { ...error.params };
+  if (params.network) params.network = t('network.name', { network: params.network });
+  return t(key, params);
+}
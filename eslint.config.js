@@ -0,0 +1,24 @@
+// eslint.config.js - The browser app, plus the Node-side mock API and config
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+  { ignores: ['dist/', 'coverage/'] },
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'module',
+      globals: { ...globals.browser }
+    },
+    rules: {
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }]
+    }
+  },
+  {
+    files: ['vite.config.js', 'mock/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      globals: { ...globals.node }
+    }
+  }
+];
@@ -0,0 +1,105 @@
+// fees.js - Fee estimates for contract calls in low/standard/high tiers,
+// from the node's /v2/fees/transaction endpoint
+import {
+  createAddress,
+  createLPString,
+  hexToCV,
+  serializePayload,
+  PayloadType,
+  StacksMessageType
+} from '@stacks/transactions';
+import { CONFIG, getActiveNetwork, parseContractId } from './config.js';
+import { apiFetch } from './endpoints.js';
+
+export const FEE_TIERS = ['low', 'standard', 'high'];
+
+// Auth, post-conditions and framing around the payload of a signed
+// single-sig contract call; the node prices the whole transaction's length
+const TX_OVERHEAD_BYTES = 180;
+
+const estimates = new Map(); // cache key -> { fees, at }, node estimates only
+
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function isFeeTier(tier) {
+  return FEE_TIERS.includes(tier);
+}
+
+// `call` is what the wallet signs: { contract, functionName, functionArgs }
+// with hex-encoded Clarity arguments
+function serializeContractCall({ contract, functionName, functionArgs = [] }) {
+  const { address, name } = parseContractId(contract);
+  return serializePayload({
+    type: StacksMessageType.Payload,
+    payloadType: PayloadType.ContractCall,
+    contractAddress: createAddress(address),
+    contractName: createLPString(name),
+    functionName: createLPString(functionName),
+    functionArgs: functionArgs.map(arg => hexToCV(arg))
+  });
+}
+
+function fallbackFees() {
+  return { ...CONFIG.FEES.FALLBACK };
+}
+
+async function fetchEstimate(payload, network) {
+  const response = await apiFetch('/v2/fees/transaction', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      transaction_payload: toHex(payload),
+      estimated_len: payload.length + TX_OVERHEAD_BYTES
+    })
+  }, network);
+
+  if (!response.ok) {
+    // 400 NoEstimateAvailable is normal on a quiet chain
+    const text = await response.text().catch(() => '');
+    throw new Error(`Fee estimate failed: ${response.status} ${text.slice(0, 120)}`);
+  }
+
+  const data = await response.json();
+  const estimations = data.estimations || [];
+  if (estimations.length < FEE_TIERS.length) {
+    throw new Error('Fee estimate returned too few tiers');
+  }
+
+  // The node lists them low to high; never let a higher tier cost less
+  let floor = 0n;
+  return Object.fromEntries(FEE_TIERS.map((tier, i) => {
+    const fee = BigInt(estimations[i].fee);
+    floor = fee > floor ? fee : floor;
+    return [tier, floor];
+  }));
+}
+
+/**
+ * Resolves with { fees: { low, standard, high }, source } in µSTX (BigInt)
+ * for a contract call. `source` is 'node', or 'fallback' when the call can't
+ * be priced and CONFIG.FEES.FALLBACK is used instead; this never rejects.
+ *
+ * Fees depend on the function and the transaction's length, not on argument
+ * values, so node estimates are shared by calls of the same shape. Fallbacks
+ * aren't cached, so the next call asks the node again.
+ */
+export async function estimateContractCallFees(call, network = getActiveNetwork()) {
+  try {
+    const payload = serializeContractCall(call);
+    const key = `${network}:${call.contract}:${call.functionName}:${payload.length}`;
+
+    const cached = estimates.get(key);
+    if (cached && Date.now() - cached.at < CONFIG.FEES.CACHE_TTL) {
+      return { fees: { ...cached.fees }, source: 'node' };
+    }
+
+    const fees = await fetchEstimate(payload, network);
+    estimates.set(key, { fees, at: Date.now() });
+    return { fees: { ...fees }, source: 'node' };
+  } catch (error) {
+    console.warn(`⚠️ No fee estimate for ${call?.functionName}, using fallback fees:`, error.message);
+    return { fees: fallbackFees(), source: 'fallback' };
+  }
+}
@@ -0,0 +1,173 @@
+// history-cache.js - IndexedDB cache for immutable transaction-history entries
+import { CONFIG } from './config.js';
+
+const TX_STORE = 'transactions'; // One row per history entry
+const META_STORE = 'jars';       // One row per network + contract
+
+function jarKey(network, contractId) {
+  return `${network}:${contractId}`;
+}
+
+function entryKey(network, contractId, txId) {
+  return `${jarKey(network, contractId)}:${txId}`;
+}
+
+// Wraps an IDBRequest in a promise
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+// IndexedDB can't be relied on for BigInt, so amounts are stored as strings
+function serialize(network, contractId, tx) {
+  return {
+    key: entryKey(network, contractId, tx.txId),
+    jar: jarKey(network, contractId),
+    ...tx,
+    amountMicro: tx.amountMicro.toString()
+  };
+}
+
+function deserialize(row) {
+  const { key, jar, ...tx } = row;
+  return { ...tx, amountMicro: BigInt(tx.amountMicro) };
+}
+
+export class HistoryCache {
+  constructor({ dbName = CONFIG.HISTORY_CACHE.DB_NAME, version = CONFIG.HISTORY_CACHE.VERSION } = {}) {
+    this.dbName = dbName;
+    this.version = version;
+    this.dbPromise = null;
+  }
+
+  isAvailable() {
+    return CONFIG.HISTORY_CACHE.ENABLED && typeof indexedDB !== 'undefined';
+  }
+
+  // Resolves to null when IndexedDB is missing or blocked (e.g. private mode)
+  open() {
+    if (!this.isAvailable()) return Promise.resolve(null);
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise(resolve => {
+      const request = indexedDB.open(this.dbName, 1);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(TX_STORE)) {
+          db.createObjectStore(TX_STORE, { keyPath: 'key' }).createIndex('jar', 'jar');
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'jar' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('⚠️ History cache unavailable:', request.error?.message);
+        resolve(null);
+      };
+      request.onblocked = () => {
+        console.warn('⚠️ History cache blocked by another tab');
+        resolve(null);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  async getMeta(network, contractId) {
+    const db = await this.open();
+    if (!db) return null;
+
+    try {
+      const store = db.transaction(META_STORE, 'readonly').objectStore(META_STORE);
+      return (await promisify(store.get(jarKey(network, contractId)))) || null;
+    } catch (error) {
+      console.warn('⚠️ Failed to read history cache metadata:', error.message);
+      return null;
+    }
+  }
+
+  // Returns a Map of txId -> transaction for the ids that are cached
+  async getMany(network, contractId, txIds) {
+    const found = new Map();
+    const db = await this.open();
+    if (!db || txIds.length === 0) return found;
+
+    try {
+      const store = db.transaction(TX_STORE, 'readonly').objectStore(TX_STORE);
+      const rows = await Promise.all(
+        txIds.map(txId => promisify(store.get(entryKey(network, contractId, txId))))
+      );
+      rows.filter(Boolean).forEach(row => found.set(row.txId, deserialize(row)));
+    } catch (error) {
+      console.warn('⚠️ Failed to read history cache:', error.message);
+    }
+
+    return found;
+  }
+
+  /**
+   * Stores fetched entries and records the highest `total-transactions`
+   * seen, together with the cache format version.
+   */
+  async putMany(network, contractId, transactions, totalTransactions) {
+    const db = await this.open();
+    if (!db) return;
+
+    try {
+      const tx = db.transaction([TX_STORE, META_STORE], 'readwrite');
+      const entries = tx.objectStore(TX_STORE);
+      const meta = tx.objectStore(META_STORE);
+      const key = jarKey(network, contractId);
+
+      transactions.forEach(transaction => entries.put(serialize(network, contractId, transaction)));
+
+      const previous = await promisify(meta.get(key));
+      meta.put({
+        jar: key,
+        version: this.version,
+        totalTransactions: Math.max(previous?.totalTransactions || 0, totalTransactions),
+        updatedAt: Date.now()
+      });
+
+      await transactionDone(tx);
+    } catch (error) {
+      console.warn('⚠️ Failed to write history cache:', error.message);
+    }
+  }
+
+  // Drops every cached entry for one jar
+  async evict(network, contractId) {
+    const db = await this.open();
+    if (!db) return;
+
+    try {
+      const key = jarKey(network, contractId);
+      const tx = db.transaction([TX_STORE, META_STORE], 'readwrite');
+      const index = tx.objectStore(TX_STORE).index('jar');
+      const keys = await promisify(index.getAllKeys(key));
+
+      keys.forEach(entry => tx.objectStore(TX_STORE).delete(entry));
+      tx.objectStore(META_STORE).delete(key);
+
+      await transactionDone(tx);
+      console.log('🗑️ Evicted history cache:', key, `(${keys.length} entries)`);
+    } catch (error) {
+      console.warn('⚠️ Failed to evict history cache:', error.message);
+    }
+  }
+}
+
+export const historyCache = new HistoryCache();
@@ -0,0 +1,245 @@
+// history-export.js - Tip history as CSV, JSON, OFX or QIF for bookkeeping
+import { CONFIG } from './config.js';
+import { microToStxString } from './amount.js';
+import { getHistoryIndex } from './history-index.js';
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  OFX: 'ofx',
+  QIF: 'qif'
+};
+
+export const EXPORT_PHASES = {
+  HISTORY: 'history', // Paging through get-transaction 1..N
+  TIMES: 'times',     // Block time of every exported block height
+  MESSAGES: 'messages'
+};
+
+const MIME_TYPES = {
+  [EXPORT_FORMATS.CSV]: 'text/csv;charset=utf-8',
+  [EXPORT_FORMATS.JSON]: 'application/json',
+  [EXPORT_FORMATS.OFX]: 'application/x-ofx',
+  [EXPORT_FORMATS.QIF]: 'application/qif'
+};
+
+/**
+ * Every tip matching `filters`, oldest first: [{ txId, tipper, amountMicro,
+ * blockHeight, timestamp (unix seconds), message }].
+ *
+ * Filters (all optional): fromHeight/toHeight (inclusive), fromTime
+ * (inclusive) / toTime (exclusive) in unix seconds, and tipper.
+ * `onProgress({ phase, done, total })` reports each of EXPORT_PHASES.
+ */
+export async function collectTips(contractManager, filters = {}, onProgress = () => {}) {
+  const history = getHistoryIndex(contractManager);
+  await history.update((done, total) => onProgress({ phase: EXPORT_PHASES.HISTORY, done, total }));
+
+  // Entries ascend by block height and time, so any range is one contiguous slice
+  const entries = history.entries.slice();
+  let start = 0;
+  let end = entries.length;
+
+  if (filters.fromHeight != null) start = Math.max(start, await history.firstIndexFromHeight(filters.fromHeight));
+  if (filters.toHeight != null) end = Math.min(end, await history.firstIndexFromHeight(filters.toHeight + 1));
+  if (filters.fromTime != null) start = Math.max(start, await history.firstIndexFromTime(filters.fromTime, start));
+  if (filters.toTime != null) end = Math.min(end, await history.firstIndexFromTime(filters.toTime, start));
+
+  const selected = entries
+    .slice(start, Math.max(start, end))
+    .filter(tx => !filters.tipper || tx.tipper === filters.tipper);
+
+  // Block times are cached per height, so each distinct height costs one lookup
+  const heights = [...new Set(selected.map(tx => tx.blockHeight))];
+  let timesDone = 0;
+  onProgress({ phase: EXPORT_PHASES.TIMES, done: 0, total: heights.length });
+  const times = new Map(await Promise.all(heights.map(async height => {
+    const time = await history.fetchBlockTime(height);
+    onProgress({ phase: EXPORT_PHASES.TIMES, done: ++timesDone, total: heights.length });
+    return [height, time];
+  })));
+
+  // Newest first: one event scan then covers every older message
+  const withMessage = selected.filter(tx => tx.hasMessage).reverse();
+  const messages = new Map();
+  onProgress({ phase: EXPORT_PHASES.MESSAGES, done: 0, total: withMessage.length });
+  for (const [index, tx] of withMessage.entries()) {
+    try {
+      messages.set(tx.txId, await contractManager.getTipMessage(tx));
+    } catch (error) {
+      console.warn(`⚠️ Export: message of tx ${tx.txId} unavailable:`, error.message);
+    }
+    onProgress({ phase: EXPORT_PHASES.MESSAGES, done: index + 1, total: withMessage.length });
+  }
+
+  return selected.map(tx => ({
+    txId: tx.txId,
+    tipper: tx.tipper,
+    amountMicro: tx.amountMicro,
+    blockHeight: tx.blockHeight,
+    timestamp: times.get(tx.blockHeight) ?? null,
+    message: messages.get(tx.txId) ?? null
+  }));
+}
+
+const contractNameOf = contractId => contractId.split('.')[1] || contractId;
+
+const isoTime = seconds => (seconds == null ? '' : new Date(seconds * 1000).toISOString());
+
+// ============================================
+// FORMATS
+// ============================================
+
+// RFC 4180 quoting; text that spreadsheets would run as a formula is prefixed with '
+function csvField(value) {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const header = ['tx_id', 'tipper', 'amount_stx', 'amount_ustx', 'block_height', 'timestamp', 'message'];
+  const lines = rows.map(row => [
+    row.txId,
+    row.tipper,
+    microToStxString(row.amountMicro),
+    row.amountMicro.toString(),
+    row.blockHeight,
+    isoTime(row.timestamp),
+    row.message
+  ].map(csvField).join(','));
+
+  return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+function toJson(rows, meta) {
+  return JSON.stringify({
+    contract: meta.contractId,
+    network: meta.network,
+    exportedAt: isoTime(meta.exportedAt),
+    filters: meta.filters,
+    tips: rows.map(row => ({
+      txId: row.txId,
+      tipper: row.tipper,
+      amountStx: microToStxString(row.amountMicro),
+      amountMicro: row.amountMicro.toString(), // String: µSTX can exceed Number precision
+      blockHeight: row.blockHeight,
+      timestamp: isoTime(row.timestamp) || null,
+      message: row.message
+    }))
+  }, null, 2);
+}
+
+// OFX 1.x dates: YYYYMMDDHHMMSS in UTC
+function ofxDate(seconds) {
+  return new Date(seconds * 1000).toISOString().replace(/[-:T]/g, '').slice(0, 14) + '[0:GMT]';
+}
+
+function ofxText(value, maxLength) {
+  return String(value ?? '')
+    .replace(/[\r\n]+/g, ' ')
+    .slice(0, maxLength)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// OFX 1.0.2 bank statement: one CREDIT per tip, the jar as the account
+function toOfx(rows, meta) {
+  const now = ofxDate(meta.exportedAt);
+  const first = rows.find(row => row.timestamp != null)?.timestamp ?? meta.exportedAt;
+  const last = rows.length > 0 ? rows[rows.length - 1].timestamp ?? meta.exportedAt : meta.exportedAt;
+
+  const transactions = rows.map(row => [
+    '<STMTTRN>',
+    '<TRNTYPE>CREDIT',
+    `<DTPOSTED>${ofxDate(row.timestamp ?? meta.exportedAt)}`,
+    `<TRNAMT>${microToStxString(row.amountMicro)}`,
+    `<FITID>${ofxText(`${meta.contractId}-${row.txId}`, 255)}`,
+    `<NAME>${ofxText(row.tipper, 32)}`,
+    row.message ? `<MEMO>${ofxText(row.message, 255)}` : null,
+    '</STMTTRN>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:UNICODE',
+    'CHARSET:NONE',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    `<DTSERVER>${now}`,
+    '<LANGUAGE>ENG',
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1><STMTTRNRS>',
+    '<TRNUID>1',
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${CONFIG.EXPORT.OFX_CURRENCY}`,
+    `<BANKACCTFROM><BANKID>STACKS<ACCTID>${ofxText(contractNameOf(meta.contractId), 22)}<ACCTTYPE>CHECKING</BANKACCTFROM>`,
+    `<BANKTRANLIST><DTSTART>${ofxDate(first)}<DTEND>${ofxDate(last)}`,
+    ...transactions,
+    '</BANKTRANLIST>',
+    `<LEDGERBAL><BALAMT>${microToStxString(meta.balanceMicro ?? 0n)}<DTASOF>${now}</LEDGERBAL>`,
+    '</STMTRS>',
+    '</STMTTRNRS></BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\n');
+}
+
+// QIF dates are MM/DD/YYYY
+function qifDate(seconds) {
+  const date = new Date(seconds * 1000);
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()}`;
+}
+
+const qifText = value => String(value ?? '').replace(/[\r\n]+/g, ' ');
+
+function toQif(rows, meta) {
+  const records = rows.map(row => [
+    `D${qifDate(row.timestamp ?? meta.exportedAt)}`,
+    `T${microToStxString(row.amountMicro)}`,
+    `P${qifText(row.tipper)}`,
+    row.message ? `M${qifText(row.message)}` : null,
+    `N${row.txId}`,
+    '^'
+  ].filter(Boolean).join('\n'));
+
+  return ['!Type:Bank', ...records, ''].join('\n');
+}
+
+const FORMATTERS = {
+  [EXPORT_FORMATS.CSV]: toCsv,
+  [EXPORT_FORMATS.JSON]: toJson,
+  [EXPORT_FORMATS.OFX]: toOfx,
+  [EXPORT_FORMATS.QIF]: toQif
+};
+
+/**
+ * Renders collected tips as a file: { content, filename, mimeType }.
+ * `meta`: { contractId, network, filters, exportedAt (unix seconds),
+ * balanceMicro (OFX ledger balance) }.
+ */
+export function formatTips(format, rows, meta) {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const day = isoTime(meta.exportedAt).slice(0, 10);
+
+  return {
+    content: formatter(rows, meta),
+    filename: `${contractNameOf(meta.contractId)}-${meta.network}-tips-${day}.${format}`,
+    mimeType: MIME_TYPES[format]
+  };
+}
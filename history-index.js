@@ -0,0 +1,141 @@
+// history-index.js - Every history entry of a jar, scanned incrementally
+import { CONFIG } from './config.js';
+
+// Block times never change; shared by every jar on a network
+const blockTimes = new Map(); // `${network}:${height}` -> unix seconds
+
+/**
+ * Keeps every history entry of one jar in memory, oldest first. `update()`
+ * only fetches ids above the last one scanned (through the persistent
+ * history cache). Entry ids and block heights grow together, so any time
+ * window is a suffix of `entries`.
+ *
+ * Consumers that aggregate incrementally keep their own cursor into
+ * `entries` and start over when `generation` changes (the contract was
+ * redeployed and the index rebuilt).
+ */
+export class HistoryIndex {
+  constructor(contractManager) {
+    this.contract = contractManager;
+    this.network = contractManager.network;
+    this.entries = [];
+    this.scannedTo = 0;
+    this.generation = 0;
+    this.updating = null;
+    this.progressListeners = new Set();
+  }
+
+  reset() {
+    this.entries = [];
+    this.scannedTo = 0;
+    this.generation += 1;
+  }
+
+  // Concurrent callers share one scan; `onProgress(scanned, total)` follows it
+  update(onProgress) {
+    if (onProgress) this.progressListeners.add(onProgress);
+
+    if (!this.updating) {
+      this.updating = this.scan().finally(() => {
+        this.updating = null;
+        this.progressListeners.clear();
+      });
+    }
+    return this.updating;
+  }
+
+  notifyProgress(total) {
+    this.progressListeners.forEach(cb => {
+      try {
+        cb(this.scannedTo, total);
+      } catch (error) {
+        console.error('❌ Error in history progress callback:', error);
+      }
+    });
+  }
+
+  async scan() {
+    const total = await this.contract.getTotalTransactions(this.network);
+
+    // Fewer transactions than we've seen: the contract was redeployed
+    if (total < this.scannedTo) {
+      console.log('♻️ History index: transaction count went down, rescanning');
+      this.reset();
+    }
+
+    let added = 0;
+    this.notifyProgress(total);
+    while (this.scannedTo < total) {
+      const from = this.scannedTo + 1;
+      const to = Math.min(total, this.scannedTo + CONFIG.HISTORY_INDEX.BATCH_SIZE);
+      const ids = Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+      const batch = await this.contract.loadTransactions(ids, total, this.network);
+      // A gap means a lookup failed; stop and retry from there next time
+      const contiguous = batch.findIndex((tx, i) => tx.txId !== ids[i]);
+      const usable = contiguous === -1 ? batch : batch.slice(0, contiguous);
+
+      this.entries.push(...usable);
+      added += usable.length;
+      this.scannedTo += usable.length;
+      this.notifyProgress(total);
+      if (usable.length < ids.length) break;
+    }
+
+    if (added > 0) {
+      console.log(`🗂️ History index: +${added} entries (${this.entries.length} total)`);
+    }
+    return added;
+  }
+
+  async fetchTipHeight() {
+    const info = await this.contract.fetchApi('/v2/info', this.network);
+    return info.stacks_tip_height;
+  }
+
+  async fetchBlockTime(height) {
+    const key = `${this.network}:${height}`;
+    if (!blockTimes.has(key)) {
+      const block = await this.contract.fetchApi(`/extended/v2/blocks/${height}`, this.network);
+      blockTimes.set(key, block.block_time);
+    }
+    return blockTimes.get(key);
+  }
+
+  // Index of the first entry in [lo, entries.length) for which
+  // `isInside(entry)` holds (entries.length if none)
+  async firstIndexWhere(isInside, lo = 0) {
+    let hi = this.entries.length;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (await isInside(this.entries[mid])) {
+        hi = mid;
+      } else {
+        lo = mid + 1;
+      }
+    }
+    return lo;
+  }
+
+  // First entry at or above `height`
+  firstIndexFromHeight(height, lo = 0) {
+    return this.firstIndexWhere(tx => tx.blockHeight >= height, lo);
+  }
+
+  // First entry mined at or after `unixSeconds`. History stores block
+  // heights, so this binary-searches block times: a handful of lookups.
+  firstIndexFromTime(unixSeconds, lo = 0) {
+    return this.firstIndexWhere(async tx => (await this.fetchBlockTime(tx.blockHeight)) >= unixSeconds, lo);
+  }
+}
+
+const indexes = new Map();
+
+// One index per jar and network, kept for the session
+export function getHistoryIndex(contractManager) {
+  const key = `${contractManager.network}:${contractManager.contractId}`;
+  if (!indexes.has(key)) {
+    indexes.set(key, new HistoryIndex(contractManager));
+  }
+  return indexes.get(key);
+}
@@ -0,0 +1,396 @@
+// i18n.js - Message catalogs, locale detection and ICU-style formatting for
+// user-facing text
+import { CONFIG, storage } from './config.js';
+import en from './locales/en.js';
+
+/**
+ * Catalogs by language code. English ships with the app and backs every
+ * missing key; the rest load on demand. Add a language by adding its file
+ * under locales/ and a line here.
+ */
+const CATALOG_LOADERS = {
+  en: () => Promise.resolve({ default: en }),
+  es: () => import('./locales/es.js'),
+  de: () => import('./locales/de.js')
+};
+
+const FALLBACK_LOCALE = 'en';
+
+const catalogs = new Map([[FALLBACK_LOCALE, en]]);
+const parsedMessages = new Map();
+const pluralRules = new Map();
+const warnedKeys = new Set();
+
+let activeLocale = FALLBACK_LOCALE;
+let formatLocale = FALLBACK_LOCALE;
+let localeListeners = [];
+
+// 'de-AT' -> 'de'
+function baseLanguage(tag) {
+  return String(tag || '').toLowerCase().split(/[-_]/)[0];
+}
+
+function browserLanguages() {
+  if (typeof navigator === 'undefined') return [];
+  return navigator.languages?.length ? [...navigator.languages] : [navigator.language].filter(Boolean);
+}
+
+export function isSupportedLocale(locale) {
+  return Object.prototype.hasOwnProperty.call(CATALOG_LOADERS, locale);
+}
+
+// Languages for the switcher, each named in its own language: [{ code, name }]
+export function getLocales() {
+  return Object.keys(CATALOG_LOADERS).map(code => {
+    let name = code;
+    try {
+      name = new Intl.DisplayNames([code], { type: 'language' }).of(code) || code;
+    } catch {
+      // Older engines without Intl.DisplayNames show the code
+    }
+    return { code, name: name.charAt(0).toLocaleUpperCase(code) + name.slice(1) };
+  });
+}
+
+// Catalog language in use, e.g. 'de'
+export function getLocale() {
+  return activeLocale;
+}
+
+/**
+ * Locale for numbers and dates. Keeps the browser's region when it speaks
+ * the active language (de-CH groups thousands with ’), else the language.
+ */
+export function getFormatLocale() {
+  return formatLocale;
+}
+
+// ?lang=, then the saved choice, then the browser's languages
+export function detectLocale() {
+  if (typeof window !== 'undefined') {
+    const fromParam = baseLanguage(new URLSearchParams(window.location.search).get('lang'));
+    if (isSupportedLocale(fromParam)) return fromParam;
+  }
+
+  const saved = storage.get('stacks_locale');
+  if (isSupportedLocale(saved)) return saved;
+
+  if (CONFIG.I18N.DETECT) {
+    const match = browserLanguages().map(baseLanguage).find(isSupportedLocale);
+    if (match) return match;
+  }
+
+  return isSupportedLocale(CONFIG.I18N.DEFAULT_LOCALE) ? CONFIG.I18N.DEFAULT_LOCALE : FALLBACK_LOCALE;
+}
+
+async function loadCatalog(locale) {
+  if (!catalogs.has(locale)) {
+    const module = await CATALOG_LOADERS[locale]();
+    catalogs.set(locale, module.default);
+  }
+  return catalogs.get(locale);
+}
+
+function applyLocale(locale) {
+  activeLocale = locale;
+  formatLocale = browserLanguages().find(tag => baseLanguage(tag) === locale) || locale;
+  try {
+    formatLocale = Intl.getCanonicalLocales(formatLocale)[0];
+  } catch {
+    formatLocale = locale;
+  }
+
+  if (typeof document !== 'undefined') {
+    document.documentElement.lang = locale;
+  }
+}
+
+// Loads the detected locale; English stays active if its catalog fails to load
+export async function initI18n() {
+  const locale = detectLocale();
+  try {
+    await loadCatalog(locale);
+    applyLocale(locale);
+  } catch (error) {
+    console.error(`❌ Failed to load ${locale} messages, using ${FALLBACK_LOCALE}:`, error);
+    applyLocale(FALLBACK_LOCALE);
+  }
+  console.log(`🗣️ Locale: ${activeLocale} (formats: ${formatLocale})`);
+  return activeLocale;
+}
+
+export async function setLocale(locale) {
+  if (!isSupportedLocale(locale)) {
+    throw new Error(`Unsupported locale: ${locale}`);
+  }
+  if (locale === activeLocale) return;
+
+  await loadCatalog(locale);
+  console.log(`🗣️ Switching locale: ${activeLocale} → ${locale}`);
+  applyLocale(locale);
+  storage.set('stacks_locale', locale);
+
+  if (typeof window !== 'undefined' && window.history) {
+    const url = new URL(window.location.href);
+    if (url.searchParams.has('lang')) {
+      url.searchParams.set('lang', locale);
+      window.history.replaceState(null, '', url);
+    }
+  }
+
+  localeListeners.forEach(cb => {
+    try {
+      cb(locale);
+    } catch (error) {
+      console.error('❌ Error in locale listener callback:', error);
+    }
+  });
+}
+
+export function onLocaleChange(callback) {
+  localeListeners.push(callback);
+  return () => {
+    localeListeners = localeListeners.filter(cb => cb !== callback);
+  };
+}
+
+// ============================================
+// MESSAGE FORMAT
+// ============================================
+
+/**
+ * Parses the ICU MessageFormat subset the catalogs use:
+ *
+ * - {name} and {name, number}
+ * - {name, date} with an optional short|medium|long style
+ * - {count, plural, =0 {…} one {# tip} other {# tips}} where # is the
+ *   formatted count
+ * - {kind, select, tip {…} other {…}}
+ *
+ * Nodes are strings or { type, name, style, options }.
+ */
+function parseMessage(message) {
+  let pos = 0;
+
+  const fail = reason => {
+    throw new Error(`Invalid message "${message}" at ${pos}: ${reason}`);
+  };
+  const skipSpace = () => {
+    while (/\s/.test(message[pos] || '')) pos += 1;
+  };
+  const readWord = () => {
+    skipSpace();
+    const start = pos;
+    while (pos < message.length && !/[\s,{}]/.test(message[pos])) pos += 1;
+    return message.slice(start, pos);
+  };
+  const expect = char => {
+    skipSpace();
+    if (message[pos] !== char) fail(`expected "${char}"`);
+    pos += 1;
+  };
+
+  function parseNodes(inPlural) {
+    const nodes = [];
+    let text = '';
+    const flush = () => {
+      if (text) nodes.push(text);
+      text = '';
+    };
+
+    while (pos < message.length && message[pos] !== '}') {
+      const char = message[pos];
+      if (char === '{') {
+        flush();
+        nodes.push(parseArgument(inPlural));
+      } else if (char === '#' && inPlural) {
+        flush();
+        nodes.push({ type: 'count' });
+        pos += 1;
+      } else {
+        text += char;
+        pos += 1;
+      }
+    }
+    flush();
+    return nodes;
+  }
+
+  function parseArgument(inPlural) {
+    pos += 1; // {
+    const name = readWord();
+    if (!name) fail('missing argument name');
+    skipSpace();
+    if (message[pos] === '}') {
+      pos += 1;
+      return { type: 'arg', name };
+    }
+
+    expect(',');
+    const type = readWord();
+    skipSpace();
+
+    if (type === 'number' || type === 'date') {
+      let style = null;
+      if (message[pos] === ',') {
+        pos += 1;
+        style = readWord();
+      }
+      expect('}');
+      return { type, name, style };
+    }
+
+    if (type !== 'plural' && type !== 'select') fail(`unknown type "${type}"`);
+    expect(',');
+
+    const options = {};
+    skipSpace();
+    while (message[pos] !== '}') {
+      const selector = readWord();
+      if (!selector) fail('missing selector');
+      expect('{');
+      options[selector] = parseNodes(inPlural || type === 'plural');
+      expect('}');
+      skipSpace();
+      if (pos >= message.length) fail('unterminated argument');
+    }
+    pos += 1;
+
+    if (!options.other) fail(`${type} needs an "other" option`);
+    return { type, name, options };
+  }
+
+  const nodes = parseNodes(false);
+  if (pos < message.length) fail('unexpected "}"');
+  return nodes;
+}
+
+function getPluralCategory(value, locale) {
+  if (!pluralRules.has(locale)) {
+    pluralRules.set(locale, new Intl.PluralRules(locale));
+  }
+  return pluralRules.get(locale).select(value);
+}
+
+const DATE_STYLES = {
+  short: { dateStyle: 'short' },
+  medium: { dateStyle: 'medium' },
+  long: { dateStyle: 'long' }
+};
+
+function formatNodes(nodes, params, count) {
+  return nodes.map(node => {
+    if (typeof node === 'string') return node;
+
+    const value = params[node.name];
+    switch (node.type) {
+      case 'count':
+        return formatNumber(count);
+      case 'number':
+        return formatNumber(value);
+      case 'date':
+        return formatDate(value, DATE_STYLES[node.style] || DATE_STYLES.medium);
+      case 'plural': {
+        const number = Number(value);
+        const branch = node.options[`=${number}`] ||
+          node.options[getPluralCategory(number, activeLocale)] ||
+          node.options.other;
+        return formatNodes(branch, params, value);
+      }
+      case 'select':
+        return formatNodes(node.options[String(value)] || node.options.other, params, count);
+      default:
+        return value === undefined || value === null ? `{${node.name}}` : String(value);
+    }
+  }).join('');
+}
+
+function lookup(key) {
+  const message = catalogs.get(activeLocale)?.[key];
+  if (message !== undefined) return { message, locale: activeLocale };
+
+  const fallback = catalogs.get(FALLBACK_LOCALE)[key];
+  if (fallback !== undefined) return { message: fallback, locale: FALLBACK_LOCALE };
+  return null;
+}
+
+/**
+ * Translates `key` with `params`, e.g. t('common.tipCount', { count: 3 }).
+ * Keys missing from the active catalog fall back to English, and unknown
+ * keys render as the key itself.
+ */
+export function t(key, params = {}) {
+  const found = lookup(key);
+  if (!found) {
+    if (!warnedKeys.has(key)) {
+      warnedKeys.add(key);
+      console.warn(`⚠️ Missing message: ${key}`);
+    }
+    return key;
+  }
+
+  const cacheKey = `${found.locale}:${key}`;
+  if (!parsedMessages.has(cacheKey)) {
+    try {
+      parsedMessages.set(cacheKey, parseMessage(found.message));
+    } catch (error) {
+      console.error('❌ Failed to parse message:', error.message);
+      parsedMessages.set(cacheKey, [found.message]);
+    }
+  }
+  return formatNodes(parsedMessages.get(cacheKey), params);
+}
+
+// ============================================
+// NUMBERS, DATES AND THE DOCUMENT
+// ============================================
+
+// Numbers and BigInts in the active locale's digits and grouping
+export function formatNumber(value, options) {
+  if (value === undefined || value === null || value === '') return '';
+  return new Intl.NumberFormat(formatLocale, options).format(value);
+}
+
+// Date or epoch milliseconds in the active locale
+export function formatDate(value, options = { dateStyle: 'medium' }) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return new Intl.DateTimeFormat(formatLocale, options).format(date);
+}
+
+/**
+ * Pieces of 'a, b or c' in the active language as [{ type, value }], with
+ * type 'element' or 'literal', so callers can swap elements for links.
+ */
+export function formatListParts(items, type = 'disjunction') {
+  try {
+    return new Intl.ListFormat(formatLocale, { type }).formatToParts(items);
+  } catch {
+    return items.flatMap((value, i) => [
+      ...(i > 0 ? [{ type: 'literal', value: ', ' }] : []),
+      { type: 'element', value }
+    ]);
+  }
+}
+
+const TRANSLATED_ATTRIBUTES = {
+  'data-i18n-placeholder': 'placeholder',
+  'data-i18n-title': 'title',
+  'data-i18n-aria-label': 'aria-label'
+};
+
+/**
+ * Translates static markup: data-i18n sets textContent, and
+ * data-i18n-placeholder, -title and -aria-label set those attributes.
+ */
+export function translateDocument(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+
+  Object.entries(TRANSLATED_ATTRIBUTES).forEach(([source, target]) => {
+    root.querySelectorAll(`[${source}]`).forEach(element => {
+      element.setAttribute(target, t(element.getAttribute(source)));
+    });
+  });
+}
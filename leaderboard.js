@@ -0,0 +1,160 @@
+// leaderboard.js - Top tippers aggregated from the jar's history entries
+import { CONFIG } from './config.js';
+import { getHistoryIndex } from './history-index.js';
+
+export const LEADERBOARD_WINDOWS = {
+  ALL: 'all',
+  BLOCKS: 'blocks', // last N blocks
+  DAYS: 'days'      // last CONFIG.LEADERBOARD.DAYS days
+};
+
+export const LEADERBOARD_SORTS = {
+  AMOUNT: 'amount',
+  COUNT: 'count'
+};
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+function emptyRow(tipper) {
+  return { tipper, totalMicro: 0n, count: 0, lastHeight: 0 };
+}
+
+function addEntry(rows, tx) {
+  const row = rows.get(tx.tipper) || emptyRow(tx.tipper);
+  row.totalMicro += tx.amountMicro;
+  row.count += 1;
+  row.lastHeight = Math.max(row.lastHeight, tx.blockHeight);
+  rows.set(tx.tipper, row);
+}
+
+function compareRows(sortBy) {
+  const byAmount = (a, b) => (a.totalMicro === b.totalMicro ? 0 : a.totalMicro > b.totalMicro ? -1 : 1);
+  const byCount = (a, b) => b.count - a.count;
+  const [first, second] = sortBy === LEADERBOARD_SORTS.COUNT ? [byCount, byAmount] : [byAmount, byCount];
+
+  // Ties go to whoever tipped most recently
+  return (a, b) => first(a, b) || second(a, b) || b.lastHeight - a.lastHeight;
+}
+
+/**
+ * Ranks tippers over the jar's history index. All-time totals are updated
+ * from just the entries added since the last refresh; windows are
+ * aggregated from the suffix of entries they cover.
+ */
+export class Leaderboard {
+  constructor(contractManager) {
+    this.contract = contractManager;
+    this.network = contractManager.network;
+    this.history = getHistoryIndex(contractManager);
+    this.generation = this.history.generation;
+    this.aggregatedTo = 0; // Entries of the index included in allTime
+    this.allTime = new Map(); // tipper -> row
+    this.premium = new Map(); // tipper -> boolean, dropped when they tip again
+  }
+
+  reset() {
+    this.generation = this.history.generation;
+    this.aggregatedTo = 0;
+    this.allTime = new Map();
+    this.premium = new Map();
+  }
+
+  async update() {
+    await this.history.update();
+
+    if (this.generation !== this.history.generation) {
+      console.log('♻️ Leaderboard: history was rebuilt, recounting');
+      this.reset();
+    }
+
+    const { entries } = this.history;
+    for (let i = this.aggregatedTo; i < entries.length; i++) {
+      addEntry(this.allTime, entries[i]);
+      this.premium.delete(entries[i].tipper);
+    }
+    this.aggregatedTo = entries.length;
+  }
+
+  // Where the window starts in the history entries, and the lowest block height it covers
+  async resolveWindow(range, blocks) {
+    const { history } = this;
+
+    if (range === LEADERBOARD_WINDOWS.BLOCKS) {
+      const fromHeight = Math.max(0, (await history.fetchTipHeight()) - blocks + 1);
+      return { start: await history.firstIndexFromHeight(fromHeight), fromHeight };
+    }
+
+    if (range === LEADERBOARD_WINDOWS.DAYS) {
+      const cutoff = Math.floor(Date.now() / 1000) - CONFIG.LEADERBOARD.DAYS * SECONDS_PER_DAY;
+      const start = await history.firstIndexFromTime(cutoff);
+      return { start, fromHeight: history.entries[start]?.blockHeight ?? null };
+    }
+
+    return { start: 0, fromHeight: null };
+  }
+
+  async resolvePremium(rows) {
+    await Promise.all(rows.map(async row => {
+      if (!this.premium.has(row.tipper)) {
+        const isPremium = await this.contract.isPremiumTipper(row.tipper, this.network).catch(() => null);
+        if (isPremium === null) return;
+        this.premium.set(row.tipper, isPremium);
+      }
+      row.isPremium = this.premium.get(row.tipper);
+    }));
+  }
+
+  /**
+   * Ranked rows for a window: [{ rank, tipper, totalMicro, count,
+   * lastHeight, isPremium }]. Premium status is only looked up for the rows
+   * returned.
+   */
+  async getTopTippers({
+    range = LEADERBOARD_WINDOWS.ALL,
+    blocks = CONFIG.LEADERBOARD.DEFAULT_BLOCKS,
+    sortBy = LEADERBOARD_SORTS.AMOUNT,
+    limit = CONFIG.LEADERBOARD.SIZE
+  } = {}) {
+    await this.update();
+
+    // Snapshot of what allTime covers; another consumer may extend the index meanwhile
+    const entries = this.history.entries.slice(0, this.aggregatedTo);
+    const resolved = await this.resolveWindow(range, blocks);
+    const start = Math.min(resolved.start, entries.length);
+    const { fromHeight } = resolved;
+
+    let rows;
+    if (start === 0) {
+      rows = Array.from(this.allTime.values(), row => ({ ...row }));
+    } else {
+      const windowRows = new Map();
+      entries.slice(start).forEach(tx => addEntry(windowRows, tx));
+      rows = Array.from(windowRows.values());
+    }
+
+    const top = rows.sort(compareRows(sortBy)).slice(0, limit);
+    top.forEach((row, index) => {
+      row.rank = index + 1;
+      row.isPremium = null;
+    });
+    await this.resolvePremium(top);
+
+    return {
+      rows: top,
+      tippers: rows.length,
+      tips: entries.length - start,
+      fromHeight
+    };
+  }
+}
+
+const leaderboards = new Map();
+
+// One leaderboard per jar and network, kept for the session
+export function getLeaderboard(contractManager) {
+  const key = `${contractManager.network}:${contractManager.contractId}`;
+  if (!leaderboards.has(key)) {
+    leaderboards.set(key, new Leaderboard(contractManager));
+  }
+  return leaderboards.get(key);
+}
@@ -0,0 +1,321 @@
+// live-feed.js - New tips pushed in as they happen: Stacks API websocket,
+// with adaptive polling whenever the socket is unavailable
+import { CONFIG, isMockMode } from './config.js';
+import { getNetworkEndpoint } from './endpoints.js';
+import { normalizeTxId } from './tx-tracker.js';
+
+export const FEED_MODES = {
+  STOPPED: 'stopped',
+  CONNECTING: 'connecting',
+  WEBSOCKET: 'websocket',
+  POLLING: 'polling' // Socket down or unavailable; reconnects continue in the background
+};
+
+const TIP_FUNCTIONS = ['send-tip', 'send-tip-with-message'];
+
+// https://api.hiro.so -> wss://api.hiro.so/extended/v1/ws
+export function getWebSocketUrl(endpoint) {
+  const url = new URL('/extended/v1/ws', endpoint);
+  url.protocol = url.protocol === 'http:' ? 'ws:' : 'wss:';
+  return url.toString();
+}
+
+function canUseWebSocket() {
+  return CONFIG.LIVE.WEBSOCKET && typeof WebSocket !== 'undefined' && !isMockMode();
+}
+
+const isHidden = () => typeof document !== 'undefined' && document.hidden;
+
+// First uint argument of a send-tip call (repr 'u1000000'), or null
+function parseTipAmount(contractCall) {
+  const repr = contractCall?.function_args?.[0]?.repr;
+  return /^u\d+$/.test(repr || '') ? BigInt(repr.slice(1)) : null;
+}
+
+/**
+ * Watches one jar for new tips. Subscribers receive:
+ *
+ * - { type: 'status', mode }: one of FEED_MODES
+ * - { type: 'pending', txId, sender, amountMicro, functionName }: a tip
+ *   entered the mempool (websocket only)
+ * - { type: 'settled', txId, status }: a pending tip was mined or dropped
+ * - { type: 'tips', tips, total }: new history entries, oldest first
+ * - { type: 'reset', total }: fewer transactions than before (redeploy)
+ *
+ * The socket subscribes to `address_tx_update` for the contract, which
+ * covers both mempool and mined transactions. Tips themselves are always
+ * read back from the contract's history, so socket and polling agree.
+ */
+export class LiveFeed {
+  constructor(contractManager) {
+    this.contract = contractManager;
+    this.network = contractManager.network;
+    this.listeners = [];
+    this.mode = FEED_MODES.STOPPED;
+    this.running = false;
+    this.socket = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pollTimer = null;
+    this.pollInterval = CONFIG.LIVE.POLL_MIN;
+    this.lastTotal = null;
+    this.checking = null;
+    this.requestId = 0;
+    this.onVisibilityChange = () => {
+      if (!isHidden() && this.running) this.schedulePoll(0);
+    };
+  }
+
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  notify(event) {
+    this.listeners.forEach(cb => {
+      try {
+        cb(event);
+      } catch (error) {
+        console.error('❌ Error in live feed listener callback:', error);
+      }
+    });
+  }
+
+  setMode(mode) {
+    if (this.mode === mode) return;
+    this.mode = mode;
+    console.log(`📡 Live feed (${this.contract.contractId}): ${mode}`);
+    this.notify({ type: 'status', mode });
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.pollInterval = CONFIG.LIVE.POLL_MIN;
+
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', this.onVisibilityChange);
+    }
+
+    if (canUseWebSocket()) {
+      this.connect();
+    } else {
+      this.setMode(FEED_MODES.POLLING);
+    }
+    this.schedulePoll(0);
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+
+    if (typeof document !== 'undefined') {
+      document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    }
+    clearTimeout(this.pollTimer);
+    clearTimeout(this.reconnectTimer);
+    this.pollTimer = null;
+    this.reconnectTimer = null;
+
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.setMode(FEED_MODES.STOPPED);
+  }
+
+  get socketOpen() {
+    return this.mode === FEED_MODES.WEBSOCKET;
+  }
+
+  // ============================================
+  // WEBSOCKET
+  // ============================================
+
+  connect() {
+    let url;
+    try {
+      url = getWebSocketUrl(getNetworkEndpoint(this.network));
+    } catch (error) {
+      console.warn('⚠️ Live feed: no websocket URL for the active endpoint:', error.message);
+      this.setMode(FEED_MODES.POLLING);
+      return;
+    }
+
+    this.setMode(this.reconnectAttempts === 0 ? FEED_MODES.CONNECTING : FEED_MODES.POLLING);
+    let socket;
+    try {
+      socket = new WebSocket(url);
+    } catch (error) {
+      console.warn('⚠️ Live feed: websocket unavailable:', error.message);
+      this.setMode(FEED_MODES.POLLING);
+      this.scheduleReconnect();
+      return;
+    }
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      if (socket !== this.socket) return;
+      this.reconnectAttempts = 0;
+      this.send('subscribe', { event: 'address_tx_update', address: this.contract.contractId });
+      this.setMode(FEED_MODES.WEBSOCKET);
+
+      // Catch up on anything that happened while disconnected
+      this.check();
+      this.schedulePoll();
+    });
+
+    socket.addEventListener('message', event => {
+      if (socket === this.socket) this.handleMessage(event.data);
+    });
+
+    // 'error' is always followed by 'close'
+    socket.addEventListener('close', () => {
+      if (socket !== this.socket) return;
+      this.socket = null;
+      if (!this.running) return;
+
+      this.setMode(FEED_MODES.POLLING);
+      this.pollInterval = CONFIG.LIVE.POLL_MIN;
+      this.schedulePoll();
+      this.scheduleReconnect();
+    });
+  }
+
+  send(method, params) {
+    this.requestId += 1;
+    this.socket.send(JSON.stringify({ jsonrpc: '2.0', id: this.requestId, method, params }));
+  }
+
+  scheduleReconnect() {
+    const { RECONNECT_BASE_DELAY, RECONNECT_MAX_DELAY } = CONFIG.LIVE;
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts);
+    // Jitter keeps many open tabs from reconnecting in lockstep
+    const jittered = Math.round(delay * (0.75 + Math.random() * 0.5));
+    this.reconnectAttempts += 1;
+
+    console.log(`🔌 Live feed: reconnecting in ${jittered}ms (attempt ${this.reconnectAttempts})`);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.running) this.connect();
+    }, jittered);
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    if (message.error) {
+      console.warn('⚠️ Live feed: websocket error response:', message.error);
+      return;
+    }
+    if (message.method !== 'address_tx_update' || !message.params) return;
+
+    const { tx_id: txId, tx_status: status, tx } = message.params;
+    const call = tx?.contract_call;
+    if (call && (call.contract_id !== this.contract.contractId || !TIP_FUNCTIONS.includes(call.function_name))) {
+      return;
+    }
+
+    if (status === 'pending') {
+      if (!call) return; // Only tips are announced before they're mined
+      this.notify({
+        type: 'pending',
+        txId: normalizeTxId(txId),
+        sender: tx?.sender_address || null,
+        amountMicro: parseTipAmount(call),
+        functionName: call.function_name
+      });
+      return;
+    }
+
+    this.notify({ type: 'settled', txId: normalizeTxId(txId), status });
+    if (status === 'success') this.check();
+  }
+
+  // ============================================
+  // POLLING
+  // ============================================
+
+  // A safety net while the socket is open; adaptive otherwise
+  schedulePoll(delay = this.socketOpen ? CONFIG.LIVE.POLL_MAX : this.pollInterval) {
+    clearTimeout(this.pollTimer);
+    if (!this.running) return;
+
+    this.pollTimer = setTimeout(async () => {
+      this.pollTimer = null;
+      if (isHidden()) return; // Resumed by visibilitychange
+
+      const changed = await this.check();
+      // Back off while nothing happens, snap back once tips arrive
+      this.pollInterval = changed
+        ? CONFIG.LIVE.POLL_MIN
+        : Math.min(CONFIG.LIVE.POLL_MAX, Math.round(this.pollInterval * CONFIG.LIVE.POLL_BACKOFF));
+      this.schedulePoll();
+    }, delay);
+  }
+
+  // Concurrent triggers (poll and socket) share one check
+  check() {
+    if (!this.checking) {
+      this.checking = this.loadNewTips()
+        .catch(error => {
+          console.warn('⚠️ Live feed: check failed:', error.message);
+          return false;
+        })
+        .finally(() => {
+          this.checking = null;
+        });
+    }
+    return this.checking;
+  }
+
+  // Resolves true when something changed
+  async loadNewTips() {
+    const total = await this.contract.getTotalTransactions(this.network, true);
+
+    if (this.lastTotal === null) {
+      this.lastTotal = total; // Baseline; history already shows what exists
+      return false;
+    }
+    if (total === this.lastTotal) return false;
+
+    if (total < this.lastTotal) {
+      this.lastTotal = total;
+      this.notify({ type: 'reset', total });
+      return true;
+    }
+
+    const ids = Array.from({ length: total - this.lastTotal }, (_, i) => this.lastTotal + 1 + i);
+    const loaded = await this.contract.loadTransactions(ids, total, this.network);
+    // Stop at a gap; the rest is retried on the next check
+    const contiguous = loaded.findIndex((tx, i) => tx.txId !== ids[i]);
+    const tips = contiguous === -1 ? loaded : loaded.slice(0, contiguous);
+    if (tips.length === 0) return false;
+
+    this.lastTotal += tips.length;
+    this.contract.clearCache(); // Stats changed too
+    console.log(`🔔 Live feed: ${tips.length} new tip(s)`);
+    this.notify({ type: 'tips', tips, total });
+    return true;
+  }
+}
+
+const feeds = new Map();
+
+// One feed per jar and network, kept for the session
+export function getLiveFeed(contractManager) {
+  const key = `${contractManager.network}:${contractManager.contractId}`;
+  if (!feeds.has(key)) {
+    feeds.set(key, new LiveFeed(contractManager));
+  }
+  return feeds.get(key);
+}
@@ -0,0 +1,373 @@
+// locales/de.js - German messages; missing keys fall back to en.js
+export default {
+  // App
+  'app.title': 'Stacks Tip Jar - mit Clarity 4',
+  'app.subtitle': 'STX-Trinkgelder mit Memos senden • Gebaut auf Bitcoin L2',
+  'app.language': 'Sprache',
+  'app.languageFailed': 'Diese Sprache konnte nicht geladen werden – bitte erneut versuchen',
+
+  'network.name': '{network, select, mainnet {Mainnet} testnet {Testnet} devnet {Devnet} other {{network}}}',
+  'network.walletDropped': '{address} getrennt – stelle deine Wallet auf {network} um und verbinde dich neu',
+  'jar.label': 'Trinkgeldglas',
+  'jar.noneConfigured': 'Für {network} ist kein Trinkgeldglas eingerichtet',
+  'endpoint.ok': 'ok',
+  'endpoint.backingOff': 'pausiert ({error})',
+
+  // Notifications
+  'notifications.title': 'Benachrichtigungen',
+  'notifications.openLog': 'Benachrichtigungsprotokoll',
+  'notifications.openLogUnseen': 'Benachrichtigungsprotokoll, {count, plural, one {# neue} other {# neue}}',
+  'notifications.logTitle': 'Benachrichtigungsprotokoll',
+  'notifications.logDescription': 'Alles, was seit dem Öffnen dieser Seite angezeigt wurde.',
+  'notifications.logEmpty': 'Noch nichts',
+  'notifications.clearLog': 'Protokoll leeren',
+  'notifications.close': 'Schließen',
+  'notifications.dismiss': 'Schließen',
+  'notifications.queued': '+{count, number} weitere',
+  'notifications.severity': '{severity, select, success {Erfolg} warning {Warnung} error {Fehler} other {Info}}',
+  'notifications.viewTx': 'Transaktion ansehen',
+  'notifications.retry': 'Erneut versuchen',
+
+  // Stats
+  'stats.network': 'Netzwerk:',
+  'stats.networkLabel': 'Netzwerk',
+  'stats.api': 'API:',
+  'stats.contract': 'Contract:',
+  'stats.balance': 'Contract-Guthaben:',
+  'stats.totalTips': 'Erhaltene Trinkgelder:',
+  'stats.totalTippers': 'Spender insgesamt:',
+  'stats.totalTransactions': 'Transaktionen insgesamt:',
+  'stats.updates': 'Updates:',
+  'stats.yourTotal': 'Deine Trinkgelder:',
+  'stats.refresh': 'Statistik aktualisieren',
+  'stats.refreshing': 'Statistik wird aktualisiert...',
+  'stats.updated': 'Statistik aktualisiert',
+  'stats.loadFailed': 'Contract-Daten konnten nicht geladen werden',
+
+  // Live updates
+  'live.off': 'Aus',
+  'live.connecting': 'Verbinde...',
+  'live.websocket': 'Live',
+  'live.polling': 'Abfrage',
+  'live.pollingHint': 'Keine Live-Verbindung – neue Trinkgelder werden regelmäßig abgefragt',
+  'live.someone': 'Jemand',
+  'live.pending': '⏳ {sender} sendet ein Trinkgeld',
+  'live.pendingAmount': '⏳ {sender} sendet {amount}',
+  'live.newTips': '🔔 {count, plural, one {# neues Trinkgeld} other {# neue Trinkgelder}}',
+  'live.newTip': '🔔 Neues Trinkgeld: {amount} von {address}',
+
+  // Wallet
+  'wallet.connectedTitle': 'Verbundene Wallet',
+  'wallet.connectTitle': 'Wallet verbinden',
+  'wallet.installPrompt': '💡 Noch keine Wallet? Installiere',
+  'wallet.notInstalled': '{wallet}-Wallet ist nicht installiert',
+  'wallet.connecting': 'Verbinde mit {wallet}...',
+  'wallet.connected': 'Mit {wallet} verbunden!',
+  'wallet.connectFailed': 'Verbindung mit der {wallet}-Wallet fehlgeschlagen',
+  'wallet.connectFirst': 'Bitte verbinde zuerst deine Wallet',
+  'wallet.disconnect': 'Wallet trennen',
+  'wallet.disconnected': 'Wallet getrennt',
+  'wallet.ownerBadge': '{wallet} • Besitzer',
+
+  // Faucet
+  'faucet.prompt': 'Testnet-STX nötig? Hol sie dir vom Faucet!',
+  'faucet.claim': '{amount, number} STX vom Faucet holen',
+  'faucet.connectToClaim': 'Wallet verbinden, um STX zu holen',
+  'faucet.waitMinutes': 'Warte {minutes} Min. {seconds} Sek.',
+  'faucet.waitSeconds': 'Warte {seconds} Sek.',
+  'faucet.claiming': 'STX werden vom Faucet geholt...',
+  'faucet.claimed': '✅ {amount, number} STX erhalten! {txId, select, none {} other {TX: {txId} }}Prüfe deine Wallet in ca. 30 Sekunden.',
+  'faucet.failed': 'STX konnten nicht vom Faucet geholt werden',
+  'faucet.manual': 'Nutze den manuellen Faucet: {url}',
+
+  'features.title': '✨ Clarity-4-Funktionen aktiv',
+  'features.memos': '📝 On-Chain-Memos',
+  'features.messages': '💬 Eigene Nachrichten',
+  'features.consensusHash': '🔐 Konsens-Hashing',
+  'features.history': '📜 Transaktionsverlauf',
+
+  // Tip form
+  'tip.quickAmounts': 'Schnellbeträge',
+  'tip.customAmount': 'Eigener Betrag (STX)',
+  'tip.amountPlaceholder': 'Betrag in STX eingeben',
+  'tip.messageLabel': '💬 Nachricht hinzufügen (optional - Clarity 4)',
+  'tip.new': 'NEU',
+  'tip.messagePlaceholder': 'Füge deinem Trinkgeld eine Nachricht hinzu (bis zu 280 Zeichen)...',
+  'tip.characters': '280 Zeichen',
+  'tip.send': 'Trinkgeld senden',
+  'tip.sendWithMessage': 'Trinkgeld mit Nachricht senden',
+  'tip.invalidAmount': 'Bitte gib einen gültigen Betrag ein: {reason}',
+  'tip.minimum': 'Das Mindesttrinkgeld ist {amount}',
+  'tip.maximum': 'Das Höchsttrinkgeld ist {amount}',
+  'tip.preparing': 'Transaktion mit Memo wird vorbereitet (Clarity 4)...',
+  'tip.preparingWithMessage': 'Transaktion mit Nachricht wird vorbereitet (Clarity 4)...',
+
+  'amount.invalid': 'Gib einen Betrag wie {example} ein',
+  'amount.tooManyDecimals': 'STX-Beträge erlauben höchstens {count, plural, one {# Nachkommastelle} other {# Nachkommastellen}}',
+
+  // Network fees
+  'fees.label': 'Netzwerkgebühr',
+  'fees.tier': '{tier, select, low {Niedrig} standard {Standard} high {Hoch} other {{tier}}}',
+  'fees.total': 'Du zahlst {total}: {amount} Trinkgeld + {fee} Netzwerkgebühr',
+  'fees.feeOnly': 'Zuzüglich {fee} Netzwerkgebühr',
+  'fees.estimating': 'Netzwerkgebühren werden geschätzt...',
+  'fees.fallback': 'Der Node hat gerade keine Schätzung, daher gelten Standardgebühren.',
+  'fees.withdraw': 'Netzwerkgebühr ({tier}): {fee}, zahlt deine Wallet',
+
+  // Tip links
+  'share.button': 'Trinkgeld-Link teilen',
+  'share.title': 'Trinkgeld-Link teilen',
+  'share.description': 'Öffnet dieses Glas mit dem unten stehenden Betrag und der Nachricht bereits ausgefüllt.',
+  'share.linkLabel': 'Trinkgeld-Link',
+  'share.copy': '📋 Link kopieren',
+  'share.copied': '✅ Kopiert',
+  'share.copyManually': '⌨️ Strg+C drücken',
+  'share.done': 'Fertig',
+  'share.partIgnored': '⚠️ Ein Teil dieses Links wurde ignoriert: {errors}',
+  'share.invalidAmount': 'Betrag "{amount}": {reason}',
+  'share.messageTooLong': 'Die Nachricht ist länger als {max, number} Zeichen',
+  'share.amountLeftOut': 'Betrag weggelassen: {reason}',
+  'share.messageLeftOut': 'Nachricht weggelassen: {reason}',
+  'share.emptyHint': 'Tipp: Gib zuerst einen Betrag oder eine Nachricht ein, damit der Link sie vorausfüllt.',
+  'share.tooLongForQr': 'Der Link ist zu lang für einen QR-Code; kürze die Nachricht.',
+  'share.qrFailed': 'QR-Download fehlgeschlagen: {error}',
+
+  // History
+  'history.recentTab': '📜 Neueste Trinkgelder',
+  'history.myTipsTab': '🙋 Meine Trinkgelder',
+  'history.refresh': 'Verlauf aktualisieren',
+  'history.loading': 'Transaktionsverlauf wird geladen...',
+  'history.loadMore': 'Mehr laden',
+  'history.connectToView': 'Verbinde deine Wallet, um den Verlauf zu sehen',
+  'history.empty': 'Noch keine Trinkgelder. Sende das erste! 🚀',
+  'history.noneFound': 'Keine Transaktionen gefunden',
+  'history.unsupported': '📊 Transaktionsverlauf nicht verfügbar',
+  'history.unsupportedReason': 'Diese Contract-Version unterstützt keinen Transaktionsverlauf.',
+  'history.unsupportedFix': 'Deploye {contract}, um diese Funktion zu aktivieren.',
+  'history.currentTransactions': 'Aktuelle Transaktionen: {count, number}',
+  'history.loadFailed': '❌ Transaktionsverlauf konnte nicht geladen werden',
+  'history.loadFailedHint': 'Bitte erneut versuchen oder Details in der Konsole prüfen',
+  'history.tipNumber': 'Trinkgeld Nr. {number}',
+  'history.block': 'Block {height}',
+  'history.txId': 'TX {id}',
+  'history.hasMessage': '📝 MIT NACHRICHT',
+
+  'message.label': '💬 Nachricht',
+  'message.loading': 'Nachricht wird geladen...',
+  'message.unavailable': 'Nachricht nicht verfügbar',
+  'message.loadFailed': 'Nachricht konnte nicht geladen werden',
+  'message.showMore': 'Mehr anzeigen',
+  'message.showLess': 'Weniger anzeigen',
+
+  'myTips.addressLabel': 'Adresse des Spenders (leer = verbundene Wallet)',
+  'myTips.addressPlaceholder': 'ST...-Adresse',
+  'myTips.show': 'Anzeigen',
+  'myTips.enterAddress': 'Gib eine Adresse ein, um ihre Trinkgelder zu sehen',
+  'myTips.invalidAddress': 'Keine gültige {network}-Adresse',
+  'myTips.loading': 'Trinkgelder werden geladen...',
+  'myTips.loadFailed': '❌ Trinkgelder konnten nicht geladen werden',
+  'myTips.lastAtBlock': 'zuletzt in Block {height}',
+  'myTips.partial': '{shown, number} von {count, plural, one {# Trinkgeld} other {# Trinkgeldern}} – aktualisiere, um den Rest zu laden',
+  'myTips.empty': 'Von dieser Adresse gibt es noch keine Trinkgelder',
+
+  // Export
+  'export.title': '⬇️ Verlauf exportieren',
+  'export.format': 'Format',
+  'export.range': 'Zeitraum',
+  'export.ofx': 'OFX (Buchhaltung)',
+  'export.qif': 'QIF (Buchhaltung)',
+  'export.allTips': 'Alle Trinkgelder',
+  'export.dateRange': 'Datumsbereich',
+  'export.blockRange': 'Blockbereich',
+  'export.fromDate': 'Von Datum',
+  'export.toDate': 'Bis Datum',
+  'export.fromBlock': 'Von Block',
+  'export.toBlock': 'Bis Block',
+  'export.onlyMine': 'Nur meine Trinkgelder',
+  'export.button': 'Exportieren',
+  'export.phaseHistory': 'Verlauf wird geladen',
+  'export.phaseTimes': 'Blockzeiten werden abgefragt',
+  'export.phaseMessages': 'Nachrichten werden geladen',
+  'export.progress': '{phase} {done, number}/{total, number}...',
+  'export.done': '{count, plural, one {# Trinkgeld} other {# Trinkgelder}} als {format} exportiert',
+  'export.failed': '❌ Export fehlgeschlagen: {error}',
+  'export.pickDates': 'Wähle ein Start- und/oder Enddatum',
+  'export.datesReversed': 'Das Startdatum darf nicht nach dem Enddatum liegen',
+  'export.pickBlocks': 'Gib einen Start- und/oder Endblock ein',
+  'export.blocksWhole': 'Blockhöhen müssen ganze Zahlen sein',
+  'export.blocksReversed': 'Der Startblock darf nicht über dem Endblock liegen',
+  'export.connectForMine': 'Verbinde eine Wallet, um deine eigenen Trinkgelder zu exportieren',
+
+  // Leaderboard and analytics
+  'common.tipCount': '{count, plural, one {# Trinkgeld} other {# Trinkgelder}}',
+  'common.summary': '{tippers, plural, one {# Spender} other {# Spender}}, {tips, plural, one {# Trinkgeld} other {# Trinkgelder}} · {scope}',
+  'range.lastDays': '{count, plural, one {Letzter Tag} other {Letzte # Tage}}',
+  'range.lastBlocks': '{count, plural, one {Letzter Block} other {Letzte # Blöcke}}',
+  'range.allTime': 'Gesamter Zeitraum',
+
+  'leaderboard.title': '🏆 Top-Spender',
+  'leaderboard.refresh': 'Rangliste aktualisieren',
+  'leaderboard.window': 'Zeitraum',
+  'leaderboard.lastNBlocks': 'Letzte N Blöcke',
+  'leaderboard.blockCount': 'Anzahl der Blöcke',
+  'leaderboard.sort': 'Sortieren nach',
+  'leaderboard.byAmount': 'Nach Betrag',
+  'leaderboard.byCount': 'Nach Anzahl der Trinkgelder',
+  'leaderboard.loading': 'Rangliste wird geladen...',
+  'leaderboard.loadFailed': '❌ Rangliste konnte nicht geladen werden',
+  'leaderboard.emptyWindow': 'Keine Trinkgelder in diesem Zeitraum',
+  'leaderboard.you': '{address} (du)',
+  'leaderboard.premiumTipper': 'Premium-Spender',
+  'leaderboard.sinceBlock': 'seit Block {height}',
+
+  'analytics.title': '📊 Auswertung',
+  'analytics.refresh': 'Auswertung aktualisieren',
+  'analytics.loading': 'Auswertung wird geladen...',
+  'analytics.loadFailed': '❌ Auswertung konnte nicht geladen werden',
+  'analytics.emptyRange': 'Keine Trinkgelder in diesem Zeitraum',
+  'analytics.tips': 'Trinkgelder',
+  'analytics.volume': 'Volumen',
+  'analytics.averageTip': 'Durchschnitt',
+  'analytics.medianTip': 'Median',
+  'analytics.withMessage': 'Mit Nachricht',
+  'analytics.newReturning': 'Neu / wiederkehrend',
+  'analytics.tippers': 'Spender',
+  'analytics.seriesWithMessage': 'mit Nachricht',
+  'analytics.seriesWithout': 'ohne',
+  'analytics.seriesReturning': 'wiederkehrend',
+  'analytics.seriesNew': 'neu',
+  'analytics.blockSpan': 'Blöcke {from}–{to}',
+  'analytics.describeTips': '{span}: {tips, plural, one {# Trinkgeld} other {# Trinkgelder}}, {withMessage, number} mit Nachricht',
+  'analytics.describeTippers': '{span}: {newTippers, number} neu, {returningTippers, number} wiederkehrend',
+
+  // Premium
+  'premium.tierName': '{tier, select, Bronze {Bronze} Silver {Silber} Gold {Gold} Premium {Premium} other {{tier}}}',
+  'premium.tipper': '{tier, select, Premium {Premium-Spender} other {{name}-Premium-Spender}}',
+  'premium.notYet': 'Noch nicht Premium',
+  'premium.moreTo': 'noch {amount} bis {tier}',
+  'premium.goal': '🎯 Gib insgesamt {amount}+ STX, um Premium-Spender zu werden!',
+  'premium.goalNextTier': '🎯 Gib insgesamt {amount}+ STX, um {tier} zu erreichen!',
+
+  // Owner console
+  'admin.title': '🛠️ Besitzer-Konsole',
+  'admin.withdrawTitle': 'Guthaben abheben',
+  'admin.recipientPlaceholder': 'Empfänger (standardmäßig deine Wallet)',
+  'admin.recipientEmpty': 'Leer lassen, um auf deine eigene Wallet abzuheben',
+  'admin.recipientInvalid': 'Keine gültige {network}-Adresse oder Contract-Principal',
+  'admin.recipientSelf': 'Abhebung auf deine eigene Wallet',
+  'admin.recipientOther': 'Abhebung an {address}',
+  'admin.withdraw': 'Abheben',
+  'admin.withdrawAmount': '{amount} abheben',
+  'admin.thresholdTitle': 'Premium-Schwelle (STX) · aktuell:',
+  'admin.thresholdPlaceholder': 'Neue Schwelle in STX',
+  'admin.updateThreshold': 'Schwelle ändern',
+  'admin.transferTitle': 'Besitz übertragen',
+  'admin.ownerPlaceholder': 'Principal des neuen Besitzers',
+  'admin.transferHint': 'Der neue Besitzer übernimmt Abhebungen und Einstellungen. Das lässt sich von dieser Wallet aus nicht rückgängig machen.',
+  'admin.confirmBefore': 'Tippe',
+  'admin.confirmAfter': 'ein, um Änderungen an Schwelle und Besitz zu bestätigen',
+  'admin.unknown': 'unbekannt',
+  'admin.ownerOnly': 'Nur der Contract-Besitzer kann {kind, select, withdraw {abheben} set-premium-threshold {die Premium-Schwelle ändern} transfer-ownership {den Besitz übertragen} other {das tun}}',
+  'admin.typeToConfirm': 'Tippe "{name}" zur Bestätigung ein',
+  'admin.preparing': '{kind, select, set-premium-threshold {Änderung der Premium-Schwelle} transfer-ownership {Besitzübertragung} other {Transaktion}} wird vorbereitet...',
+  'admin.nothingToWithdraw': 'Nichts abzuheben – das Guthaben ist 0',
+  'admin.invalidRecipient': 'Ungültiger Empfänger – gib eine {network}-Adresse oder einen Contract-Principal ein',
+  'admin.preparingWithdrawal': 'Abhebung an {address} mit Memo wird vorbereitet (Clarity 4)...',
+  'admin.invalidThreshold': 'Bitte gib eine gültige Premium-Schwelle ein',
+  'admin.invalidOwner': 'Ungültiger neuer Besitzer – gib eine {network}-Adresse oder einen Contract-Principal ein',
+
+  // Transactions
+  'tx.kind': '{kind, select, tip {Trinkgeld} tip-with-message {Trinkgeld mit Nachricht} withdraw {Abhebung} set-premium-threshold {Änderung der Premium-Schwelle} transfer-ownership {Besitzübertragung} faucet {Faucet-Anfrage} other {Transaktion}}',
+  'tx.sent': 'gesendet',
+  'tx.submitted': '📤 {label} eingereicht! TX: {txId} - Warte auf Bestätigung...',
+  'tx.cancelled': '{label} abgebrochen',
+  'tx.timeout': '{label}: Zeitüberschreitung – bitte prüfe deine Wallet',
+  'tx.failed': '{label} fehlgeschlagen: {error}',
+  'tx.unknownError': 'Unbekannter Fehler',
+  'tx.mempool': '⏳ {label} im Mempool – warte auf einen Block... TX: {txId}',
+  'tx.confirming': '⛓️ {label} in Block {height} aufgenommen - {count} von {required} Bestätigungen... TX: {txId}',
+  'tx.confirmed': '✅ {label} in Block {height} bestätigt! TX: {txId}',
+  'tx.blockedByPostConditions': '🛡️ {label} wurde von den Post-Conditions blockiert – es wurden keine STX bewegt. Aktualisiere und versuche es erneut. TX: {txId}',
+  'tx.dropped': '❌ {label} wurde verworfen: {reason} TX: {txId}',
+  'tx.failedOnChain': '❌ {label} ist on-chain fehlgeschlagen: {reason} TX: {txId}',
+  'tx.notMined': 'nicht gemined',
+  'tx.contractError': '{code, select, u100 {Ungültiger Betrag} u101 {Der Contract hat kein Guthaben} u102 {Nachricht zu lang} u103 {Nicht gefunden} u401 {Nicht berechtigt} other {Contract-Fehler}}',
+
+  // Fehler (siehe errors.js)
+  'error.cancelled': 'Anfrage abgebrochen',
+  'error.timeout': 'Die Wallet hat nicht rechtzeitig geantwortet',
+  'error.unsupportedWallet': 'Nicht unterstützte Wallet: {wallet}',
+  'error.walletNotInstalled': '{wallet}-Wallet nicht installiert{host, select, none {} other {. Installiere sie von {host}}}',
+  'error.walletError': '{wallet} meldet einen Fehler: {message}',
+  'error.noAddress': 'Keine Stacks-Adresse in {wallet} gefunden',
+  'error.noTxId': '{wallet} hat keine Transaktions-ID geliefert',
+  'error.noSignature': '{wallet} hat keine Signatur geliefert',
+  'error.wrongNetwork': 'Deine Wallet ist in einem anderen Netzwerk – wechsle zu {network}',
+  'error.noPolicy': '{functionName} wird ohne Post-Condition-Richtlinie nicht signiert',
+  'error.invalidAmount': 'Ungültiger Trinkgeldbetrag',
+  'error.messageTooLong': 'Nachricht zu lang (max. {max, number} Zeichen)',
+  'error.alreadyOwner': 'Der neue Besitzer ist bereits der Besitzer',
+  'error.faucetTestnetOnly': 'Der Faucet ist nur im Testnet verfügbar',
+  'error.faucetCooldown': 'Bitte warte {seconds, plural, one {# Sekunde} other {# Sekunden}}, bevor du erneut anforderst',
+  'error.faucetRateLimited': 'Faucet-Limit erreicht. Versuche es später erneut.',
+  'error.faucetUnavailable': 'Der Faucet-Dienst ist vorübergehend nicht verfügbar.',
+  'error.faucetFailed': 'Faucet-Anfrage fehlgeschlagen: {reason}',
+
+  // Your transactions
+  'pendingTxs.title': '⏳ Deine Transaktionen',
+  'pendingTxs.clearFinished': 'Abgeschlossene entfernen',
+  'pendingTxs.status': '{status, select, pending {Eingereicht} in-mempool {Im Mempool} confirming {Wird bestätigt} success {Bestätigt} abort_by_response {Fehlgeschlagen} abort_by_post_condition {Von Post-Conditions blockiert} dropped {Verworfen} other {{status}}}',
+  'pendingTxs.inBlock': 'Block {height}',
+  'pendingTxs.viewInExplorer': 'Im Explorer ansehen',
+  'pendingTxs.remove': 'Aus der Liste entfernen',
+  'pendingTxs.resuming': '{count, plural, one {Prüfe # Transaktion von deinem letzten Besuch...} other {Prüfe # Transaktionen von deinem letzten Besuch...}}',
+
+  'review.title': 'Transaktion prüfen',
+  'review.on': 'auf',
+  'review.mayTransfer': 'Diese Transaktion darf nur übertragen',
+  'review.denyMode': '🛡️ Deny-Modus: Jede andere STX-Übertragung lässt die Transaktion fehlschlagen.',
+  'review.cancel': 'Abbrechen',
+  'review.confirm': 'Weiter zur Wallet',
+  'review.yourWallet': 'deine Wallet',
+  'review.noTransfers': 'Keine STX-Übertragungen – nichts verlässt ein Konto',
+  'review.exactly': 'Genau {amount}',
+  'review.route': 'von {from} an {to}',
+  'review.fee': 'Netzwerkgebühr: {fee}',
+
+  // Einbettbares Widget (<stacks-tip-jar>, embed.html)
+  'widget.title': 'Trinkgeldglas',
+  'widget.titleFor': 'Trinkgeld für {name}',
+  'widget.invalidContract': 'Ungültiger Vertrag: {contractId}',
+  'widget.missingContract': 'Setze das Attribut contract auf die ID eines Trinkgeldglas-Vertrags',
+  'widget.statTipped': 'Erhalten',
+  'widget.statTips': 'Trinkgelder',
+  'widget.statTippers': 'Spender',
+  'widget.amountPlaceholder': 'Betrag in STX',
+  'widget.amountLabel': 'Trinkgeldbetrag in STX',
+  'widget.messagePlaceholder': 'Nachricht (optional)',
+  'widget.messageLabel': 'Nachricht',
+  'widget.messageCount': '{count, number}/{max, number}',
+  'widget.recentTips': 'Letzte Trinkgelder',
+  'widget.noTips': 'Noch keine Trinkgelder - sende das erste!',
+  'widget.historyFailed': 'Die letzten Trinkgelder konnten nicht geladen werden',
+  'widget.disconnect': 'Trennen',
+  'widget.send': 'Trinkgeld senden',
+  'widget.connectToTip': 'Wallet verbinden, um Trinkgeld zu geben',
+  'widget.connectFirst': 'Verbinde zuerst eine Wallet',
+  'widget.connectFailed': 'Wallet-Verbindung fehlgeschlagen',
+  'widget.confirmInWallet': 'Bestätige das Trinkgeld in deiner Wallet...',
+  'widget.cancelled': 'Trinkgeld abgebrochen',
+  'widget.failed': 'Trinkgeld fehlgeschlagen: {error}',
+  'widget.submitted': 'Trinkgeld eingereicht',
+  'widget.waiting': '⏳ Trinkgeld gesendet - warte auf einen Block...',
+  'widget.confirmed': '✅ Trinkgeld in Block {height} bestätigt - danke!',
+  'widget.failedOnChain': '❌ Trinkgeld fehlgeschlagen: {reason}',
+  'widget.originRequired': 'Dieses Trinkgeldglas braucht ?origin= mit der Seite, die es einbettet.',
+
+  // Footer
+  'footer.builtOn': 'Gebaut auf',
+  'footer.securedBy': 'Gesichert durch',
+  'footer.enhancedWith': 'Erweitert mit',
+  'footer.memos': 'On-Chain-Memos & Nachrichten',
+  'footer.docs': 'Clarity-4-Doku'
+};
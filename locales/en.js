@@ -0,0 +1,375 @@
+// locales/en.js - English messages, the fallback for every other catalog.
+// ICU MessageFormat subset: {name}, {n, number}, {n, plural, ...} and
+// {kind, select, ...} (see i18n.js).
+export default {
+  // App
+  'app.title': 'Stacks Tip Jar - Clarity 4 Enhanced',
+  'app.subtitle': 'Send STX tips with memos • Built on Bitcoin L2',
+  'app.language': 'Language',
+  'app.languageFailed': 'Could not load that language – please try again',
+
+  'network.name': '{network, select, mainnet {Mainnet} testnet {Testnet} devnet {Devnet} other {{network}}}',
+  'network.walletDropped': 'Disconnected {address} - switch your wallet to {network} and reconnect',
+  'jar.label': 'Tip Jar',
+  'jar.noneConfigured': 'No tip jar is configured for {network}',
+  'endpoint.ok': 'ok',
+  'endpoint.backingOff': 'backing off ({error})',
+
+  // Notifications
+  'notifications.title': 'Notifications',
+  'notifications.openLog': 'Notification log',
+  'notifications.openLogUnseen': 'Notification log, {count, plural, one {# new} other {# new}}',
+  'notifications.logTitle': 'Notification log',
+  'notifications.logDescription': 'Everything shown since this page was opened.',
+  'notifications.logEmpty': 'Nothing yet',
+  'notifications.clearLog': 'Clear log',
+  'notifications.close': 'Close',
+  'notifications.dismiss': 'Dismiss',
+  'notifications.queued': '+{count, number} more',
+  'notifications.severity': '{severity, select, success {Success} warning {Warning} error {Error} other {Info}}',
+  'notifications.viewTx': 'View transaction',
+  'notifications.retry': 'Retry',
+
+  // Stats
+  'stats.network': 'Network:',
+  'stats.networkLabel': 'Network',
+  'stats.api': 'API:',
+  'stats.contract': 'Contract:',
+  'stats.balance': 'Contract Balance:',
+  'stats.totalTips': 'Total Tips Received:',
+  'stats.totalTippers': 'Total Tippers:',
+  'stats.totalTransactions': 'Total Transactions:',
+  'stats.updates': 'Updates:',
+  'stats.yourTotal': 'Your Total Tips:',
+  'stats.refresh': 'Refresh Stats',
+  'stats.refreshing': 'Refreshing stats...',
+  'stats.updated': 'Stats updated',
+  'stats.loadFailed': 'Failed to load contract data',
+
+  // Live updates
+  'live.off': 'Off',
+  'live.connecting': 'Connecting...',
+  'live.websocket': 'Live',
+  'live.polling': 'Polling',
+  'live.pollingHint': 'Live connection unavailable – checking for new tips periodically',
+  'live.someone': 'Someone',
+  'live.pending': '⏳ {sender} is sending a tip',
+  'live.pendingAmount': '⏳ {sender} is tipping {amount}',
+  'live.newTips': '🔔 {count, plural, one {# new tip} other {# new tips}}',
+  'live.newTip': '🔔 New tip: {amount} from {address}',
+
+  // Wallet
+  'wallet.connectedTitle': 'Connected Wallet',
+  'wallet.connectTitle': 'Connect Your Wallet',
+  'wallet.installPrompt': '💡 Don\'t have a wallet? Install',
+  'wallet.notInstalled': '{wallet} wallet not installed',
+  'wallet.connecting': 'Connecting to {wallet}...',
+  'wallet.connected': 'Connected with {wallet}!',
+  'wallet.connectFailed': 'Failed to connect to {wallet} wallet',
+  'wallet.connectFirst': 'Please connect your wallet first',
+  'wallet.disconnect': 'Disconnect Wallet',
+  'wallet.disconnected': 'Wallet disconnected',
+  'wallet.ownerBadge': '{wallet} • Owner',
+
+  // Faucet
+  'faucet.prompt': 'Need testnet STX? Claim from faucet!',
+  'faucet.claim': 'Claim {amount, number} STX from Faucet',
+  'faucet.connectToClaim': 'Connect wallet to claim',
+  'faucet.waitMinutes': 'Wait {minutes}m {seconds}s',
+  'faucet.waitSeconds': 'Wait {seconds}s',
+  'faucet.claiming': 'Claiming from faucet...',
+  'faucet.claimed': '✅ Claimed {amount, number} STX! {txId, select, none {} other {TX: {txId} }}Check your wallet in ~30 seconds.',
+  'faucet.failed': 'Failed to claim from faucet',
+  'faucet.manual': 'Use the manual faucet: {url}',
+
+  'features.title': '✨ Clarity 4 Features Active',
+  'features.memos': '📝 On-chain Memos',
+  'features.messages': '💬 Custom Messages',
+  'features.consensusHash': '🔐 Consensus Hashing',
+  'features.history': '📜 Transaction History',
+
+  // Tip form
+  'tip.quickAmounts': 'Quick Amounts',
+  'tip.customAmount': 'Custom Amount (STX)',
+  'tip.amountPlaceholder': 'Enter amount in STX',
+  'tip.messageLabel': '💬 Add Message (Optional - Clarity 4)',
+  'tip.new': 'NEW',
+  'tip.messagePlaceholder': 'Add a custom message to your tip (up to 280 characters)...',
+  'tip.characters': '280 characters',
+  'tip.send': 'Send Tip',
+  'tip.sendWithMessage': 'Send Tip with Message',
+  'tip.invalidAmount': 'Please enter a valid tip amount: {reason}',
+  'tip.minimum': 'Minimum tip is {amount}',
+  'tip.maximum': 'Maximum tip is {amount}',
+  'tip.preparing': 'Preparing transaction with memo (Clarity 4)...',
+  'tip.preparingWithMessage': 'Preparing transaction with custom message (Clarity 4)...',
+
+  'amount.invalid': 'Enter an amount like {example}',
+  'amount.tooManyDecimals': 'STX amounts allow at most {count, plural, one {# decimal place} other {# decimal places}}',
+
+  // Network fees
+  'fees.label': 'Network Fee',
+  'fees.tier': '{tier, select, low {Low} standard {Standard} high {High} other {{tier}}}',
+  'fees.total': 'You pay {total}: {amount} tip + {fee} network fee',
+  'fees.feeOnly': 'Plus a {fee} network fee',
+  'fees.estimating': 'Estimating network fees...',
+  'fees.fallback': 'The node has no estimate right now, so these are default fees.',
+  'fees.withdraw': 'Network fee ({tier}): {fee}, paid from your wallet',
+
+  // Tip links
+  'share.button': 'Share Tip Link',
+  'share.title': 'Share a tip link',
+  'share.description': 'Opens this jar with the amount and message below already filled in.',
+  'share.linkLabel': 'Tip link',
+  'share.copy': '📋 Copy link',
+  'share.copied': '✅ Copied',
+  'share.copyManually': '⌨️ Press Ctrl+C',
+  'share.done': 'Done',
+  'share.partIgnored': '⚠️ Part of this tip link was ignored: {errors}',
+  'share.invalidAmount': 'Amount "{amount}": {reason}',
+  'share.messageTooLong': 'Message is longer than {max, number} characters',
+  'share.amountLeftOut': 'Amount left out: {reason}',
+  'share.messageLeftOut': 'Message left out: {reason}',
+  'share.emptyHint': 'Tip: enter an amount or message first to prefill them for whoever opens the link.',
+  'share.tooLongForQr': 'The link is too long for a QR code; shorten the message.',
+  'share.qrFailed': 'QR download failed: {error}',
+
+  // History
+  'history.recentTab': '📜 Recent Tips',
+  'history.myTipsTab': '🙋 My Tips',
+  'history.refresh': 'Refresh history',
+  'history.loading': 'Loading transaction history...',
+  'history.loadMore': 'Load More',
+  'history.connectToView': 'Connect wallet to view history',
+  'history.empty': 'No tips yet. Be the first to send one! 🚀',
+  'history.noneFound': 'No transactions found',
+  'history.unsupported': '📊 Transaction history not available',
+  'history.unsupportedReason': 'This contract version doesn\'t support transaction history.',
+  'history.unsupportedFix': 'Deploy {contract} to enable this feature.',
+  'history.currentTransactions': 'Current transactions: {count, number}',
+  'history.loadFailed': '❌ Failed to load transaction history',
+  'history.loadFailedHint': 'Please try again or check console for details',
+  'history.tipNumber': 'Tip #{number}',
+  'history.block': 'Block {height}',
+  'history.txId': 'TX {id}',
+  'history.hasMessage': '📝 HAS MESSAGE',
+
+  'message.label': '💬 Message',
+  'message.loading': 'Loading message...',
+  'message.unavailable': 'Message unavailable',
+  'message.loadFailed': 'Failed to load message',
+  'message.showMore': 'Show more',
+  'message.showLess': 'Show less',
+
+  'myTips.addressLabel': 'Tipper address (empty = connected wallet)',
+  'myTips.addressPlaceholder': 'ST... address',
+  'myTips.show': 'Show',
+  'myTips.enterAddress': 'Enter an address to see its tips',
+  'myTips.invalidAddress': 'Not a valid {network} address',
+  'myTips.loading': 'Loading tips...',
+  'myTips.loadFailed': '❌ Failed to load tips',
+  'myTips.lastAtBlock': 'last at block {height}',
+  'myTips.partial': 'Showing {shown, number} of {count, plural, one {# tip} other {# tips}} – refresh to load the rest',
+  'myTips.empty': 'No tips from this address yet',
+
+  // Export
+  'export.title': '⬇️ Export history',
+  'export.format': 'Format',
+  'export.range': 'Range',
+  'export.ofx': 'OFX (accounting)',
+  'export.qif': 'QIF (accounting)',
+  'export.allTips': 'All tips',
+  'export.dateRange': 'Date range',
+  'export.blockRange': 'Block range',
+  'export.fromDate': 'From date',
+  'export.toDate': 'To date',
+  'export.fromBlock': 'From block',
+  'export.toBlock': 'To block',
+  'export.onlyMine': 'Only my tips',
+  'export.button': 'Export',
+  'export.phaseHistory': 'Loading history',
+  'export.phaseTimes': 'Looking up block times',
+  'export.phaseMessages': 'Loading messages',
+  'export.progress': '{phase} {done, number}/{total, number}...',
+  'export.done': 'Exported {count, plural, one {# tip} other {# tips}} as {format}',
+  'export.failed': '❌ Export failed: {error}',
+  'export.pickDates': 'Pick a start and/or end date',
+  'export.datesReversed': 'The start date must not be after the end date',
+  'export.pickBlocks': 'Enter a start and/or end block',
+  'export.blocksWhole': 'Block heights must be whole numbers',
+  'export.blocksReversed': 'The start block must not be above the end block',
+  'export.connectForMine': 'Connect a wallet to export your own tips',
+
+  // Leaderboard and analytics
+  'common.tipCount': '{count, plural, one {# tip} other {# tips}}',
+  'common.summary': '{tippers, plural, one {# tipper} other {# tippers}}, {tips, plural, one {# tip} other {# tips}} · {scope}',
+  'range.lastDays': 'Last {count, plural, one {# day} other {# days}}',
+  'range.lastBlocks': 'Last {count, plural, one {# block} other {# blocks}}',
+  'range.allTime': 'All time',
+
+  'leaderboard.title': '🏆 Top Tippers',
+  'leaderboard.refresh': 'Refresh leaderboard',
+  'leaderboard.window': 'Time window',
+  'leaderboard.lastNBlocks': 'Last N blocks',
+  'leaderboard.blockCount': 'Number of blocks',
+  'leaderboard.sort': 'Sort by',
+  'leaderboard.byAmount': 'By amount',
+  'leaderboard.byCount': 'By number of tips',
+  'leaderboard.loading': 'Loading leaderboard...',
+  'leaderboard.loadFailed': '❌ Failed to load leaderboard',
+  'leaderboard.emptyWindow': 'No tips in this window',
+  'leaderboard.you': '{address} (you)',
+  'leaderboard.premiumTipper': 'Premium tipper',
+  'leaderboard.sinceBlock': 'since block {height}',
+
+  'analytics.title': '📊 Analytics',
+  'analytics.refresh': 'Refresh analytics',
+  'analytics.loading': 'Loading analytics...',
+  'analytics.loadFailed': '❌ Failed to load analytics',
+  'analytics.emptyRange': 'No tips in this range',
+  'analytics.tips': 'Tips',
+  'analytics.volume': 'Volume',
+  'analytics.averageTip': 'Average tip',
+  'analytics.medianTip': 'Median tip',
+  'analytics.withMessage': 'With message',
+  'analytics.newReturning': 'New / returning',
+  'analytics.tippers': 'Tippers',
+  'analytics.seriesWithMessage': 'with message',
+  'analytics.seriesWithout': 'without',
+  'analytics.seriesReturning': 'returning',
+  'analytics.seriesNew': 'new',
+  'analytics.blockSpan': 'Blocks {from}–{to}',
+  'analytics.describeTips': '{span}: {tips, plural, one {# tip} other {# tips}}, {withMessage, number} with message',
+  'analytics.describeTippers': '{span}: {newTippers, number} new, {returningTippers, number} returning',
+
+  // Premium
+  'premium.tierName': '{tier, select, Bronze {Bronze} Silver {Silver} Gold {Gold} Premium {Premium} other {{tier}}}',
+  'premium.tipper': '{tier, select, Premium {Premium Tipper} other {{name} Premium Tipper}}',
+  'premium.notYet': 'Not premium yet',
+  'premium.moreTo': '{amount} more to {tier}',
+  'premium.goal': '🎯 Tip {amount}+ STX total to become a Premium Tipper!',
+  'premium.goalNextTier': '🎯 Tip {amount}+ STX total to reach {tier}!',
+
+  // Owner console
+  'admin.title': '🛠️ Owner Console',
+  'admin.withdrawTitle': 'Withdraw Balance',
+  'admin.recipientPlaceholder': 'Recipient (defaults to your wallet)',
+  'admin.recipientEmpty': 'Leave empty to withdraw to your own wallet',
+  'admin.recipientInvalid': 'Not a valid {network} address or contract principal',
+  'admin.recipientSelf': 'Withdrawing to your own wallet',
+  'admin.recipientOther': 'Withdrawing to {address}',
+  'admin.withdraw': 'Withdraw',
+  'admin.withdrawAmount': 'Withdraw {amount}',
+  'admin.thresholdTitle': 'Premium Threshold (STX) · current:',
+  'admin.thresholdPlaceholder': 'New threshold in STX',
+  'admin.updateThreshold': 'Update Threshold',
+  'admin.transferTitle': 'Transfer Ownership',
+  'admin.ownerPlaceholder': 'New owner principal',
+  'admin.transferHint': 'The new owner takes over withdrawals and settings. This cannot be undone from this wallet.',
+  'admin.confirmBefore': 'Type',
+  'admin.confirmAfter': 'to confirm threshold and ownership changes',
+  'admin.unknown': 'unknown',
+  'admin.ownerOnly': 'Only the contract owner can {kind, select, withdraw {withdraw} set-premium-threshold {submit a premium threshold update} transfer-ownership {submit an ownership transfer} other {do this}}',
+  'admin.typeToConfirm': 'Type "{name}" to confirm',
+  'admin.preparing': 'Preparing {kind, select, set-premium-threshold {premium threshold update} transfer-ownership {ownership transfer} other {transaction}}...',
+  'admin.nothingToWithdraw': 'Nothing to withdraw – balance is 0',
+  'admin.invalidRecipient': 'Invalid recipient - enter a {network} address or contract principal',
+  'admin.preparingWithdrawal': 'Preparing withdrawal to {address} with memo (Clarity 4)...',
+  'admin.invalidThreshold': 'Please enter a valid premium threshold',
+  'admin.invalidOwner': 'Invalid new owner - enter a {network} address or contract principal',
+
+  // Transactions
+  'tx.kind': '{kind, select, tip {Tip} tip-with-message {Tip with message} withdraw {Withdrawal} set-premium-threshold {Premium threshold update} transfer-ownership {Ownership transfer} faucet {Faucet claim} other {Transaction}}',
+  'tx.sent': 'sent',
+  'tx.submitted': '📤 {label} submitted! TX: {txId} - Waiting for confirmation...',
+  'tx.cancelled': '{label} cancelled',
+  'tx.timeout': '{label} timeout - please check your wallet',
+  'tx.failed': '{label} failed: {error}',
+  'tx.unknownError': 'Unknown error',
+  'tx.mempool': '⏳ {label} in mempool - waiting for a block... TX: {txId}',
+  'tx.confirming': '⛓️ {label} mined in block {height} - {count} of {required} confirmations... TX: {txId}',
+  'tx.confirmed': '✅ {label} confirmed in block {height}! TX: {txId}',
+  'tx.blockedByPostConditions': '🛡️ {label} was blocked by its post-conditions - no STX moved. Refresh and try again. TX: {txId}',
+  'tx.dropped': '❌ {label} was dropped: {reason} TX: {txId}',
+  'tx.failedOnChain': '❌ {label} failed on-chain: {reason} TX: {txId}',
+  'tx.notMined': 'not mined',
+  'tx.contractError': '{code, select, u100 {Invalid amount} u101 {Contract has no balance} u102 {Message too long} u103 {Not found} u401 {Unauthorized} other {Contract error}}',
+
+  // Errors (see errors.js)
+  'error.cancelled': 'Request cancelled',
+  'error.timeout': 'The wallet did not respond in time',
+  'error.unsupportedWallet': 'Unsupported wallet: {wallet}',
+  'error.walletNotInstalled': '{wallet} wallet not installed{host, select, none {} other {. Install from {host}}}',
+  'error.walletError': '{wallet} reported an error: {message}',
+  'error.noAddress': 'No Stacks address found in {wallet}',
+  'error.noTxId': '{wallet} did not return a transaction ID',
+  'error.noSignature': '{wallet} did not return a signature',
+  'error.wrongNetwork': 'Your wallet is on a different network - switch it to {network}',
+  'error.noPolicy': 'Refusing to sign {functionName} without a post-condition policy',
+  'error.invalidAmount': 'Invalid tip amount',
+  'error.messageTooLong': 'Message too long (max {max, number} characters)',
+  'error.alreadyOwner': 'The new owner is already the owner',
+  'error.faucetTestnetOnly': 'The faucet is only available on testnet',
+  'error.faucetCooldown': 'Please wait {seconds, plural, one {# second} other {# seconds}} before claiming again',
+  'error.faucetRateLimited': 'Faucet rate limit reached. Try again later.',
+  'error.faucetUnavailable': 'Faucet service temporarily unavailable.',
+  'error.faucetFailed': 'Faucet request failed: {reason}',
+
+  // Your transactions
+  'pendingTxs.title': '⏳ Your Transactions',
+  'pendingTxs.clearFinished': 'Clear finished',
+  'pendingTxs.status': '{status, select, pending {Submitted} in-mempool {In mempool} confirming {Confirming} success {Confirmed} abort_by_response {Failed} abort_by_post_condition {Blocked by post-conditions} dropped {Dropped} other {{status}}}',
+  'pendingTxs.inBlock': 'block {height}',
+  'pendingTxs.viewInExplorer': 'View in explorer',
+  'pendingTxs.remove': 'Remove from list',
+  'pendingTxs.resuming': '{count, plural, one {Checking # transaction from your last visit...} other {Checking # transactions from your last visit...}}',
+
+  'review.title': 'Review transaction',
+  'review.on': 'on',
+  'review.mayTransfer': 'This transaction may only transfer',
+  'review.denyMode': '🛡️ Deny mode: any other STX transfer makes the transaction fail.',
+  'review.cancel': 'Cancel',
+  'review.confirm': 'Continue to wallet',
+  'review.yourWallet': 'your wallet',
+  'review.noTransfers': 'No STX transfers – nothing leaves any account',
+  'review.exactly': 'Exactly {amount}',
+  'review.route': 'from {from} to {to}',
+  'review.fee': 'Network fee: {fee}',
+
+  // Embeddable widget (<stacks-tip-jar>, embed.html)
+  'widget.title': 'Tip jar',
+  'widget.titleFor': 'Tip {name}',
+  'widget.invalidContract': 'Invalid contract: {contractId}',
+  'widget.missingContract': 'Set the contract attribute to a tip jar contract id',
+  'widget.statTipped': 'Tipped',
+  'widget.statTips': 'Tips',
+  'widget.statTippers': 'Tippers',
+  'widget.amountPlaceholder': 'Amount in STX',
+  'widget.amountLabel': 'Tip amount in STX',
+  'widget.messagePlaceholder': 'Message (optional)',
+  'widget.messageLabel': 'Message',
+  'widget.messageCount': '{count, number}/{max, number}',
+  'widget.recentTips': 'Recent tips',
+  'widget.noTips': 'No tips yet - be the first!',
+  'widget.historyFailed': 'Recent tips could not be loaded',
+  'widget.disconnect': 'Disconnect',
+  'widget.send': 'Send tip',
+  'widget.connectToTip': 'Connect a wallet to tip',
+  'widget.connectFirst': 'Connect a wallet first',
+  'widget.connectFailed': 'Wallet connection failed',
+  'widget.confirmInWallet': 'Confirm the tip in your wallet...',
+  'widget.cancelled': 'Tip cancelled',
+  'widget.failed': 'Tip failed: {error}',
+  'widget.submitted': 'Tip submitted',
+  'widget.waiting': '⏳ Tip sent - waiting for a block...',
+  'widget.confirmed': '✅ Tip confirmed in block {height} - thank you!',
+  'widget.failedOnChain': '❌ Tip failed: {reason}',
+  'widget.originRequired': 'This tip jar needs ?origin= set to the page embedding it.',
+
+  // Footer
+  'footer.builtOn': 'Built on',
+  'footer.securedBy': 'Secured by',
+  'footer.enhancedWith': 'Enhanced with',
+  'footer.memos': 'On-chain Memos & Messages',
+  'footer.docs': 'Clarity 4 Docs'
+};
@@ -0,0 +1,373 @@
+// locales/es.js - Spanish messages; missing keys fall back to en.js
+export default {
+  // App
+  'app.title': 'Stacks Tip Jar - Mejorado con Clarity 4',
+  'app.subtitle': 'Envía propinas en STX con memos • Construido sobre la L2 de Bitcoin',
+  'app.language': 'Idioma',
+  'app.languageFailed': 'No se pudo cargar ese idioma – inténtalo de nuevo',
+
+  'network.name': '{network, select, mainnet {Mainnet} testnet {Testnet} devnet {Devnet} other {{network}}}',
+  'network.walletDropped': 'Se desconectó {address}: cambia tu billetera a {network} y vuelve a conectarte',
+  'jar.label': 'Bote de propinas',
+  'jar.noneConfigured': 'No hay ningún bote de propinas configurado para {network}',
+  'endpoint.ok': 'ok',
+  'endpoint.backingOff': 'en pausa ({error})',
+
+  // Notifications
+  'notifications.title': 'Notificaciones',
+  'notifications.openLog': 'Registro de notificaciones',
+  'notifications.openLogUnseen': 'Registro de notificaciones, {count, plural, one {# nueva} other {# nuevas}}',
+  'notifications.logTitle': 'Registro de notificaciones',
+  'notifications.logDescription': 'Todo lo mostrado desde que abriste esta página.',
+  'notifications.logEmpty': 'Nada todavía',
+  'notifications.clearLog': 'Borrar registro',
+  'notifications.close': 'Cerrar',
+  'notifications.dismiss': 'Descartar',
+  'notifications.queued': '+{count, number} más',
+  'notifications.severity': '{severity, select, success {Éxito} warning {Aviso} error {Error} other {Info}}',
+  'notifications.viewTx': 'Ver transacción',
+  'notifications.retry': 'Reintentar',
+
+  // Stats
+  'stats.network': 'Red:',
+  'stats.networkLabel': 'Red',
+  'stats.api': 'API:',
+  'stats.contract': 'Contrato:',
+  'stats.balance': 'Saldo del contrato:',
+  'stats.totalTips': 'Total de propinas recibidas:',
+  'stats.totalTippers': 'Total de donantes:',
+  'stats.totalTransactions': 'Total de transacciones:',
+  'stats.updates': 'Actualizaciones:',
+  'stats.yourTotal': 'Tus propinas en total:',
+  'stats.refresh': 'Actualizar estadísticas',
+  'stats.refreshing': 'Actualizando estadísticas...',
+  'stats.updated': 'Estadísticas actualizadas',
+  'stats.loadFailed': 'No se pudieron cargar los datos del contrato',
+
+  // Live updates
+  'live.off': 'Desactivado',
+  'live.connecting': 'Conectando...',
+  'live.websocket': 'En vivo',
+  'live.polling': 'Consultando',
+  'live.pollingHint': 'Conexión en vivo no disponible – buscando propinas nuevas periódicamente',
+  'live.someone': 'Alguien',
+  'live.pending': '⏳ {sender} está enviando una propina',
+  'live.pendingAmount': '⏳ {sender} está enviando {amount}',
+  'live.newTips': '🔔 {count, plural, one {# propina nueva} other {# propinas nuevas}}',
+  'live.newTip': '🔔 Nueva propina: {amount} de {address}',
+
+  // Wallet
+  'wallet.connectedTitle': 'Billetera conectada',
+  'wallet.connectTitle': 'Conecta tu billetera',
+  'wallet.installPrompt': '💡 ¿No tienes billetera? Instala',
+  'wallet.notInstalled': 'La billetera {wallet} no está instalada',
+  'wallet.connecting': 'Conectando con {wallet}...',
+  'wallet.connected': '¡Conectado con {wallet}!',
+  'wallet.connectFailed': 'No se pudo conectar con la billetera {wallet}',
+  'wallet.connectFirst': 'Primero conecta tu billetera',
+  'wallet.disconnect': 'Desconectar billetera',
+  'wallet.disconnected': 'Billetera desconectada',
+  'wallet.ownerBadge': '{wallet} • Propietario',
+
+  // Faucet
+  'faucet.prompt': '¿Necesitas STX de testnet? ¡Pídelos al faucet!',
+  'faucet.claim': 'Pedir {amount, number} STX al faucet',
+  'faucet.connectToClaim': 'Conecta tu billetera para pedir',
+  'faucet.waitMinutes': 'Espera {minutes} min {seconds} s',
+  'faucet.waitSeconds': 'Espera {seconds} s',
+  'faucet.claiming': 'Pidiendo STX al faucet...',
+  'faucet.claimed': '✅ ¡Recibiste {amount, number} STX! {txId, select, none {} other {TX: {txId} }}Revisa tu billetera en unos 30 segundos.',
+  'faucet.failed': 'No se pudieron pedir STX al faucet',
+  'faucet.manual': 'Usa el faucet manual: {url}',
+
+  'features.title': '✨ Funciones de Clarity 4 activas',
+  'features.memos': '📝 Memos en cadena',
+  'features.messages': '💬 Mensajes personalizados',
+  'features.consensusHash': '🔐 Hash de consenso',
+  'features.history': '📜 Historial de transacciones',
+
+  // Tip form
+  'tip.quickAmounts': 'Importes rápidos',
+  'tip.customAmount': 'Importe personalizado (STX)',
+  'tip.amountPlaceholder': 'Introduce el importe en STX',
+  'tip.messageLabel': '💬 Añadir mensaje (opcional - Clarity 4)',
+  'tip.new': 'NUEVO',
+  'tip.messagePlaceholder': 'Añade un mensaje a tu propina (hasta 280 caracteres)...',
+  'tip.characters': '280 caracteres',
+  'tip.send': 'Enviar propina',
+  'tip.sendWithMessage': 'Enviar propina con mensaje',
+  'tip.invalidAmount': 'Introduce un importe válido: {reason}',
+  'tip.minimum': 'La propina mínima es {amount}',
+  'tip.maximum': 'La propina máxima es {amount}',
+  'tip.preparing': 'Preparando la transacción con memo (Clarity 4)...',
+  'tip.preparingWithMessage': 'Preparando la transacción con mensaje (Clarity 4)...',
+
+  'amount.invalid': 'Introduce un importe como {example}',
+  'amount.tooManyDecimals': 'Los importes en STX admiten como máximo {count, plural, one {# decimal} other {# decimales}}',
+
+  // Network fees
+  'fees.label': 'Comisión de red',
+  'fees.tier': '{tier, select, low {Baja} standard {Estándar} high {Alta} other {{tier}}}',
+  'fees.total': 'Pagas {total}: {amount} de propina + {fee} de comisión de red',
+  'fees.feeOnly': 'Más {fee} de comisión de red',
+  'fees.estimating': 'Calculando comisiones de red...',
+  'fees.fallback': 'El nodo no tiene una estimación ahora mismo, así que se usan comisiones predeterminadas.',
+  'fees.withdraw': 'Comisión de red ({tier}): {fee}, pagada desde tu billetera',
+
+  // Tip links
+  'share.button': 'Compartir enlace de propina',
+  'share.title': 'Compartir un enlace de propina',
+  'share.description': 'Abre este bote con el importe y el mensaje de abajo ya rellenados.',
+  'share.linkLabel': 'Enlace de propina',
+  'share.copy': '📋 Copiar enlace',
+  'share.copied': '✅ Copiado',
+  'share.copyManually': '⌨️ Pulsa Ctrl+C',
+  'share.done': 'Listo',
+  'share.partIgnored': '⚠️ Se ignoró parte de este enlace: {errors}',
+  'share.invalidAmount': 'Importe "{amount}": {reason}',
+  'share.messageTooLong': 'El mensaje supera los {max, number} caracteres',
+  'share.amountLeftOut': 'Importe omitido: {reason}',
+  'share.messageLeftOut': 'Mensaje omitido: {reason}',
+  'share.emptyHint': 'Consejo: escribe primero un importe o mensaje para que el enlace los rellene.',
+  'share.tooLongForQr': 'El enlace es demasiado largo para un código QR; acorta el mensaje.',
+  'share.qrFailed': 'No se pudo descargar el QR: {error}',
+
+  // History
+  'history.recentTab': '📜 Propinas recientes',
+  'history.myTipsTab': '🙋 Mis propinas',
+  'history.refresh': 'Actualizar historial',
+  'history.loading': 'Cargando el historial de transacciones...',
+  'history.loadMore': 'Cargar más',
+  'history.connectToView': 'Conecta tu billetera para ver el historial',
+  'history.empty': 'Aún no hay propinas. ¡Sé el primero en enviar una! 🚀',
+  'history.noneFound': 'No se encontraron transacciones',
+  'history.unsupported': '📊 Historial de transacciones no disponible',
+  'history.unsupportedReason': 'Esta versión del contrato no admite historial de transacciones.',
+  'history.unsupportedFix': 'Despliega {contract} para activar esta función.',
+  'history.currentTransactions': 'Transacciones actuales: {count, number}',
+  'history.loadFailed': '❌ No se pudo cargar el historial de transacciones',
+  'history.loadFailedHint': 'Inténtalo de nuevo o revisa la consola para más detalles',
+  'history.tipNumber': 'Propina n.º {number}',
+  'history.block': 'Bloque {height}',
+  'history.txId': 'TX {id}',
+  'history.hasMessage': '📝 CON MENSAJE',
+
+  'message.label': '💬 Mensaje',
+  'message.loading': 'Cargando mensaje...',
+  'message.unavailable': 'Mensaje no disponible',
+  'message.loadFailed': 'No se pudo cargar el mensaje',
+  'message.showMore': 'Ver más',
+  'message.showLess': 'Ver menos',
+
+  'myTips.addressLabel': 'Dirección del donante (vacía = billetera conectada)',
+  'myTips.addressPlaceholder': 'Dirección ST...',
+  'myTips.show': 'Mostrar',
+  'myTips.enterAddress': 'Introduce una dirección para ver sus propinas',
+  'myTips.invalidAddress': 'No es una dirección válida de {network}',
+  'myTips.loading': 'Cargando propinas...',
+  'myTips.loadFailed': '❌ No se pudieron cargar las propinas',
+  'myTips.lastAtBlock': 'última en el bloque {height}',
+  'myTips.partial': 'Mostrando {shown, number} de {count, plural, one {# propina} other {# propinas}} – actualiza para cargar el resto',
+  'myTips.empty': 'Esta dirección aún no ha enviado propinas',
+
+  // Export
+  'export.title': '⬇️ Exportar historial',
+  'export.format': 'Formato',
+  'export.range': 'Periodo',
+  'export.ofx': 'OFX (contabilidad)',
+  'export.qif': 'QIF (contabilidad)',
+  'export.allTips': 'Todas las propinas',
+  'export.dateRange': 'Rango de fechas',
+  'export.blockRange': 'Rango de bloques',
+  'export.fromDate': 'Fecha de inicio',
+  'export.toDate': 'Fecha de fin',
+  'export.fromBlock': 'Bloque inicial',
+  'export.toBlock': 'Bloque final',
+  'export.onlyMine': 'Solo mis propinas',
+  'export.button': 'Exportar',
+  'export.phaseHistory': 'Cargando historial',
+  'export.phaseTimes': 'Consultando horas de bloque',
+  'export.phaseMessages': 'Cargando mensajes',
+  'export.progress': '{phase} {done, number}/{total, number}...',
+  'export.done': '{count, plural, one {# propina exportada} other {# propinas exportadas}} como {format}',
+  'export.failed': '❌ La exportación falló: {error}',
+  'export.pickDates': 'Elige una fecha de inicio y/o de fin',
+  'export.datesReversed': 'La fecha de inicio no puede ser posterior a la de fin',
+  'export.pickBlocks': 'Introduce un bloque inicial y/o final',
+  'export.blocksWhole': 'Las alturas de bloque deben ser números enteros',
+  'export.blocksReversed': 'El bloque inicial no puede ser mayor que el final',
+  'export.connectForMine': 'Conecta una billetera para exportar tus propias propinas',
+
+  // Leaderboard and analytics
+  'common.tipCount': '{count, plural, one {# propina} other {# propinas}}',
+  'common.summary': '{tippers, plural, one {# donante} other {# donantes}}, {tips, plural, one {# propina} other {# propinas}} · {scope}',
+  'range.lastDays': '{count, plural, one {Último día} other {Últimos # días}}',
+  'range.lastBlocks': '{count, plural, one {Último bloque} other {Últimos # bloques}}',
+  'range.allTime': 'Desde siempre',
+
+  'leaderboard.title': '🏆 Mejores donantes',
+  'leaderboard.refresh': 'Actualizar clasificación',
+  'leaderboard.window': 'Periodo',
+  'leaderboard.lastNBlocks': 'Últimos N bloques',
+  'leaderboard.blockCount': 'Número de bloques',
+  'leaderboard.sort': 'Ordenar por',
+  'leaderboard.byAmount': 'Por importe',
+  'leaderboard.byCount': 'Por número de propinas',
+  'leaderboard.loading': 'Cargando clasificación...',
+  'leaderboard.loadFailed': '❌ No se pudo cargar la clasificación',
+  'leaderboard.emptyWindow': 'No hay propinas en este periodo',
+  'leaderboard.you': '{address} (tú)',
+  'leaderboard.premiumTipper': 'Donante premium',
+  'leaderboard.sinceBlock': 'desde el bloque {height}',
+
+  'analytics.title': '📊 Estadísticas',
+  'analytics.refresh': 'Actualizar estadísticas',
+  'analytics.loading': 'Cargando estadísticas...',
+  'analytics.loadFailed': '❌ No se pudieron cargar las estadísticas',
+  'analytics.emptyRange': 'No hay propinas en este periodo',
+  'analytics.tips': 'Propinas',
+  'analytics.volume': 'Volumen',
+  'analytics.averageTip': 'Propina media',
+  'analytics.medianTip': 'Propina mediana',
+  'analytics.withMessage': 'Con mensaje',
+  'analytics.newReturning': 'Nuevos / recurrentes',
+  'analytics.tippers': 'Donantes',
+  'analytics.seriesWithMessage': 'con mensaje',
+  'analytics.seriesWithout': 'sin mensaje',
+  'analytics.seriesReturning': 'recurrentes',
+  'analytics.seriesNew': 'nuevos',
+  'analytics.blockSpan': 'Bloques {from}–{to}',
+  'analytics.describeTips': '{span}: {tips, plural, one {# propina} other {# propinas}}, {withMessage, number} con mensaje',
+  'analytics.describeTippers': '{span}: {newTippers, number} nuevos, {returningTippers, number} recurrentes',
+
+  // Premium
+  'premium.tierName': '{tier, select, Bronze {Bronce} Silver {Plata} Gold {Oro} Premium {Premium} other {{tier}}}',
+  'premium.tipper': '{tier, select, Premium {Donante premium} other {Donante premium {name}}}',
+  'premium.notYet': 'Aún no es premium',
+  'premium.moreTo': 'faltan {amount} para {tier}',
+  'premium.goal': '🎯 ¡Da {amount}+ STX en total para ser donante premium!',
+  'premium.goalNextTier': '🎯 ¡Da {amount}+ STX en total para llegar a {tier}!',
+
+  // Owner console
+  'admin.title': '🛠️ Consola del propietario',
+  'admin.withdrawTitle': 'Retirar saldo',
+  'admin.recipientPlaceholder': 'Destinatario (por defecto, tu billetera)',
+  'admin.recipientEmpty': 'Déjalo vacío para retirar a tu propia billetera',
+  'admin.recipientInvalid': 'No es una dirección ni un principal de contrato válido de {network}',
+  'admin.recipientSelf': 'Retirando a tu propia billetera',
+  'admin.recipientOther': 'Retirando a {address}',
+  'admin.withdraw': 'Retirar',
+  'admin.withdrawAmount': 'Retirar {amount}',
+  'admin.thresholdTitle': 'Umbral premium (STX) · actual:',
+  'admin.thresholdPlaceholder': 'Nuevo umbral en STX',
+  'admin.updateThreshold': 'Actualizar umbral',
+  'admin.transferTitle': 'Transferir la propiedad',
+  'admin.ownerPlaceholder': 'Principal del nuevo propietario',
+  'admin.transferHint': 'El nuevo propietario controla los retiros y la configuración. Esto no se puede deshacer desde esta billetera.',
+  'admin.confirmBefore': 'Escribe',
+  'admin.confirmAfter': 'para confirmar cambios de umbral y de propiedad',
+  'admin.unknown': 'desconocido',
+  'admin.ownerOnly': 'Solo el propietario del contrato puede {kind, select, withdraw {retirar} set-premium-threshold {cambiar el umbral premium} transfer-ownership {transferir la propiedad} other {hacer esto}}',
+  'admin.typeToConfirm': 'Escribe "{name}" para confirmar',
+  'admin.preparing': 'Preparando {kind, select, set-premium-threshold {el cambio de umbral premium} transfer-ownership {la transferencia de propiedad} other {la transacción}}...',
+  'admin.nothingToWithdraw': 'No hay nada que retirar – el saldo es 0',
+  'admin.invalidRecipient': 'Destinatario no válido: introduce una dirección o un principal de contrato de {network}',
+  'admin.preparingWithdrawal': 'Preparando el retiro a {address} con memo (Clarity 4)...',
+  'admin.invalidThreshold': 'Introduce un umbral premium válido',
+  'admin.invalidOwner': 'Nuevo propietario no válido: introduce una dirección o un principal de contrato de {network}',
+
+  // Transactions
+  'tx.kind': '{kind, select, tip {Propina} tip-with-message {Propina con mensaje} withdraw {Retiro} set-premium-threshold {Cambio de umbral premium} transfer-ownership {Transferencia de propiedad} faucet {Solicitud al faucet} other {Transacción}}',
+  'tx.sent': 'enviada',
+  'tx.submitted': '📤 {label}: enviada. TX: {txId} - Esperando confirmación...',
+  'tx.cancelled': '{label}: cancelada',
+  'tx.timeout': '{label}: tiempo de espera agotado - revisa tu billetera',
+  'tx.failed': '{label}: falló: {error}',
+  'tx.unknownError': 'Error desconocido',
+  'tx.mempool': '⏳ {label} en la mempool - esperando un bloque... TX: {txId}',
+  'tx.confirming': '⛓️ {label}: en el bloque {height}, {count} de {required} confirmaciones... TX: {txId}',
+  'tx.confirmed': '✅ {label}: confirmada en el bloque {height}. TX: {txId}',
+  'tx.blockedByPostConditions': '🛡️ {label}: bloqueada por sus post-condiciones - no se movió ningún STX. Actualiza y vuelve a intentarlo. TX: {txId}',
+  'tx.dropped': '❌ {label}: descartada: {reason} TX: {txId}',
+  'tx.failedOnChain': '❌ {label}: falló en la cadena: {reason} TX: {txId}',
+  'tx.notMined': 'no minada',
+  'tx.contractError': '{code, select, u100 {Monto no válido} u101 {El contrato no tiene saldo} u102 {Mensaje demasiado largo} u103 {No encontrado} u401 {No autorizado} other {Error del contrato}}',
+
+  // Errores (ver errors.js)
+  'error.cancelled': 'Solicitud cancelada',
+  'error.timeout': 'La billetera no respondió a tiempo',
+  'error.unsupportedWallet': 'Billetera no compatible: {wallet}',
+  'error.walletNotInstalled': 'La billetera {wallet} no está instalada{host, select, none {} other {. Instálala desde {host}}}',
+  'error.walletError': '{wallet} informó un error: {message}',
+  'error.noAddress': 'No se encontró ninguna dirección de Stacks en {wallet}',
+  'error.noTxId': '{wallet} no devolvió un ID de transacción',
+  'error.noSignature': '{wallet} no devolvió una firma',
+  'error.wrongNetwork': 'Tu billetera está en otra red - cámbiala a {network}',
+  'error.noPolicy': 'No se firmará {functionName} sin una política de post-condiciones',
+  'error.invalidAmount': 'Monto de propina no válido',
+  'error.messageTooLong': 'Mensaje demasiado largo (máx. {max, number} caracteres)',
+  'error.alreadyOwner': 'El nuevo propietario ya es el propietario',
+  'error.faucetTestnetOnly': 'El faucet solo está disponible en testnet',
+  'error.faucetCooldown': 'Espera {seconds, plural, one {# segundo} other {# segundos}} antes de volver a solicitar',
+  'error.faucetRateLimited': 'Se alcanzó el límite del faucet. Inténtalo más tarde.',
+  'error.faucetUnavailable': 'El servicio de faucet no está disponible por el momento.',
+  'error.faucetFailed': 'La solicitud al faucet falló: {reason}',
+
+  // Your transactions
+  'pendingTxs.title': '⏳ Tus transacciones',
+  'pendingTxs.clearFinished': 'Borrar finalizadas',
+  'pendingTxs.status': '{status, select, pending {Enviada} in-mempool {En la mempool} confirming {Confirmando} success {Confirmada} abort_by_response {Fallida} abort_by_post_condition {Bloqueada por post-condiciones} dropped {Descartada} other {{status}}}',
+  'pendingTxs.inBlock': 'bloque {height}',
+  'pendingTxs.viewInExplorer': 'Ver en el explorador',
+  'pendingTxs.remove': 'Quitar de la lista',
+  'pendingTxs.resuming': '{count, plural, one {Comprobando # transacción de tu última visita...} other {Comprobando # transacciones de tu última visita...}}',
+
+  'review.title': 'Revisar transacción',
+  'review.on': 'en',
+  'review.mayTransfer': 'Esta transacción solo puede transferir',
+  'review.denyMode': '🛡️ Modo restrictivo: cualquier otra transferencia de STX hace fallar la transacción.',
+  'review.cancel': 'Cancelar',
+  'review.confirm': 'Continuar en la billetera',
+  'review.yourWallet': 'tu billetera',
+  'review.noTransfers': 'Sin transferencias de STX – nada sale de ninguna cuenta',
+  'review.exactly': 'Exactamente {amount}',
+  'review.route': 'de {from} a {to}',
+  'review.fee': 'Comisión de red: {fee}',
+
+  // Widget integrable (<stacks-tip-jar>, embed.html)
+  'widget.title': 'Bote de propinas',
+  'widget.titleFor': 'Propina para {name}',
+  'widget.invalidContract': 'Contrato no válido: {contractId}',
+  'widget.missingContract': 'Indica en el atributo contract el id de un contrato de bote de propinas',
+  'widget.statTipped': 'Recibido',
+  'widget.statTips': 'Propinas',
+  'widget.statTippers': 'Donantes',
+  'widget.amountPlaceholder': 'Cantidad en STX',
+  'widget.amountLabel': 'Cantidad de la propina en STX',
+  'widget.messagePlaceholder': 'Mensaje (opcional)',
+  'widget.messageLabel': 'Mensaje',
+  'widget.messageCount': '{count, number}/{max, number}',
+  'widget.recentTips': 'Propinas recientes',
+  'widget.noTips': 'Aún no hay propinas. ¡Sé el primero!',
+  'widget.historyFailed': 'No se pudieron cargar las propinas recientes',
+  'widget.disconnect': 'Desconectar',
+  'widget.send': 'Enviar propina',
+  'widget.connectToTip': 'Conecta una billetera para dar propina',
+  'widget.connectFirst': 'Conecta primero una billetera',
+  'widget.connectFailed': 'No se pudo conectar la billetera',
+  'widget.confirmInWallet': 'Confirma la propina en tu billetera...',
+  'widget.cancelled': 'Propina cancelada',
+  'widget.failed': 'La propina falló: {error}',
+  'widget.submitted': 'Propina enviada',
+  'widget.waiting': '⏳ Propina enviada: esperando un bloque...',
+  'widget.confirmed': '✅ Propina confirmada en el bloque {height}. ¡Gracias!',
+  'widget.failedOnChain': '❌ La propina falló: {reason}',
+  'widget.originRequired': 'Este bote de propinas necesita que ?origin= indique la página que lo integra.',
+
+  // Footer
+  'footer.builtOn': 'Construido sobre',
+  'footer.securedBy': 'Protegido por',
+  'footer.enhancedWith': 'Mejorado con',
+  'footer.memos': 'Memos y mensajes en cadena',
+  'footer.docs': 'Documentación de Clarity 4'
+};
@@ -1,7 +1,12 @@
 // main.js - Application entry point
-import { CONFIG } from './config.js';
+import { CONFIG, getActiveNetwork, getMockApiBase, isMockMode } from './config.js';
 import { uiController } from './ui.js';
 import { walletManager } from './wallet.js';
+import { walletRegistry } from './wallets/index.js';
+import { jarRegistry } from './registry.js';
+import { getEndpointPool } from './endpoints.js';
+import { parseStx } from './amount.js';
+import { initI18n } from './i18n.js';
 
 console.log('===============================================');
 console.log('🚀 STACKS TIP JAR - STARTING');
@@ -16,19 +21,36 @@ if (document.readyState === 'loading') {
 
 async function initApp() {
   console.log('📱 Initializing Stacks Tip Jar...');
-  console.log('🌐 Network:', CONFIG.NETWORK.DEFAULT);
-  console.log('📝 Contract:', CONFIG.CONTRACT.ADDRESS);
-  console.log('📦 Contract Name:', CONFIG.CONTRACT.NAME);
+  console.log('🌐 Network:', getActiveNetwork());
+
+  // Messages before anything renders (?lang=, saved choice or browser language)
+  await initI18n();
+
+  // import.meta.env.DEV is false in builds, so the mock wallet isn't bundled
+  if (import.meta.env.DEV && isMockMode()) {
+    const { installMockWallet } = await import('./mock/wallet-provider.js');
+    installMockWallet({ address: CONFIG.MOCK.WALLET_ADDRESS, apiBase: getMockApiBase() });
+    console.log('🧪 Mock mode: API at', getMockApiBase(), '- script the wallet via window.mockWallet');
+  }
+
+  // Resolve which jar to show (?jar=..., /jar/..., or the configured default)
+  const jar = jarRegistry.init();
+  console.log('📝 Contract:', jar?.address ?? 'none configured');
+  console.log('📦 Contract Name:', jar?.name ?? '-');
+  console.log('🫙 Jars available:', jarRegistry.list().length);
+  
+  // Rank API endpoints in the background and keep re-checking them
+  getEndpointPool(getActiveNetwork()).startHealthChecks();
   
   // Wait for wallet extensions
   console.log('⏳ Waiting for wallet extensions...');
   await new Promise(resolve => setTimeout(resolve, 500));
   
   // Check available wallets
-  console.log('🔍 Checking window objects:');
-  console.log('  - LeatherProvider:', typeof window.LeatherProvider);
-  console.log('  - HiroWalletProvider:', typeof window.HiroWalletProvider);
-  console.log('  - XverseProviders:', typeof window.XverseProviders);
+  console.log('🔍 Checking wallet providers:');
+  walletRegistry.list().forEach(adapter => {
+    console.log(`  - ${adapter.name}:`, adapter.detect() ? 'found' : 'missing');
+  });
   
   // Initialize wallet manager
   console.log('👛 Initializing wallet manager...');
@@ -46,9 +68,9 @@ async function initApp() {
   const availability = walletManager.checkAvailability();
   console.log('📋 Wallet availability:', availability);
   
-  if (!availability.leather && !availability.xverse) {
+  if (!Object.values(availability).some(Boolean)) {
     console.warn('⚠️ WARNING: No wallets detected!');
-    console.warn('   Install Leather or Xverse wallet extension');
+    console.warn('   Install one of:', walletRegistry.list().map(adapter => adapter.name).join(', '));
   }
 }
 
@@ -65,37 +87,27 @@ window.addEventListener('unhandledrejection', (event) => {
 window.debugWallet = {
   checkProviders: () => {
     console.log('=== WALLET PROVIDERS DEBUG ===');
-    console.log('LeatherProvider:', window.LeatherProvider);
-    console.log('HiroWalletProvider:', window.HiroWalletProvider);
-    console.log('XverseProviders:', window.XverseProviders);
+    walletRegistry.list().forEach(adapter => {
+      console.log(`${adapter.name}:`, adapter.getProvider());
+    });
     console.log('WalletManager:', walletManager.getState());
     console.log('==============================');
   },
   
-  testLeather: async () => {
-    console.log('🧪 Testing Leather...');
-    try {
-      await walletManager.connectLeather();
-      console.log('✅ Leather test passed');
-    } catch (error) {
-      console.error('❌ Leather test failed:', error);
-    }
-  },
-  
-  testXverse: async () => {
-    console.log('🧪 Testing Xverse...');
+  testWallet: async (walletType) => {
+    console.log('🧪 Testing wallet:', walletType);
     try {
-      await walletManager.connectXverse();
-      console.log('✅ Xverse test passed');
+      await walletManager.connect(walletType);
+      console.log(`✅ ${walletType} test passed`);
     } catch (error) {
-      console.error('❌ Xverse test failed:', error);
+      console.error(`❌ ${walletType} test failed:`, error);
     }
   },
   
   testTip: async (amount) => {
     console.log('🧪 Testing tip:', amount, 'STX');
     try {
-      await walletManager.sendTip(amount);
+      await walletManager.sendTip(parseStx(String(amount), { locale: 'en' }), jarRegistry.getActive().contractId);
       console.log('✅ Tip test passed');
     } catch (error) {
       console.error('❌ Tip test failed:', error);
@@ -105,6 +117,6 @@ window.debugWallet = {
 
 console.log('💡 Debug tools: window.debugWallet');
 console.log('   - debugWallet.checkProviders()');
-console.log('   - debugWallet.testLeather()');
-console.log('   - debugWallet.testXverse()');
+console.log('   - debugWallet.testWallet(\'leather\')');
+console.log('   - debugWallet.testWallet(\'xverse\')');
 console.log('   - debugWallet.testTip(0.1)');
@@ -0,0 +1,135 @@
+// mock/api-plugin.js - Vite middleware serving a stand-in Stacks API
+import { MockChain } from './chain.js';
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new Error(`Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// µSTX per byte for the low/standard/high estimates; a real node derives
+// these from recent blocks and the call's execution cost
+const MOCK_FEE_RATES = [1, 3, 10];
+
+function send(res, status, payload) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Routes, relative to `base`:
+ *   GET  /extended                                  health check
+ *   GET  /v2/info                                   chain tip
+ *   GET  /extended/v2/blocks/:height                block time
+ *   POST /v2/contracts/call-read/:address/:name/:fn read-only calls
+ *   POST /v2/fees/transaction                       fee estimates
+ *   GET  /extended/v1/tx/:txid                      tx status
+ *   GET  /extended/v1/contract/:id/events           print events
+ *   POST /extended/v1/faucets/stx?address=          faucet
+ *   POST /mock/transactions                         broadcast (mock wallet)
+ *   POST /mock/mine                                 mine a block now
+ *   POST /mock/reset                                wipe all state
+ */
+export function createMockApiHandler(chain) {
+  const routes = [
+    ['GET', /^\/extended\/?$/, () => [200, { status: 'ready', mock: true }]],
+
+    ['GET', /^\/v2\/info$/, () => [200, chain.info()]],
+
+    ['POST', /^\/v2\/contracts\/call-read\/([^/]+)\/([^/]+)\/([^/]+)$/, async (req, [address, name, fn]) => {
+      const body = await readJson(req);
+      return [200, chain.callReadOnly(`${address}.${name}`, fn, body.arguments || [])];
+    }],
+
+    ['POST', /^\/v2\/fees\/transaction$/, async req => {
+      const body = await readJson(req);
+      const length = Number(body.estimated_len) || 0;
+      if (!body.transaction_payload || length <= 0) {
+        return [400, { error: 'transaction_payload and estimated_len are required' }];
+      }
+      return [200, {
+        estimated_cost_scalar: length,
+        estimations: MOCK_FEE_RATES.map(rate => ({ fee_rate: rate, fee: rate * length }))
+      }];
+    }],
+
+    ['GET', /^\/extended\/v2\/blocks\/(\d+)$/, (_, [height]) => {
+      const block = chain.getBlock(height);
+      return block ? [200, block] : [404, { error: `cannot find block by height ${height}` }];
+    }],
+
+    ['GET', /^\/extended\/v1\/tx\/([^/]+)$/, (_, [txId]) => {
+      const tx = chain.getTx(txId);
+      return tx ? [200, tx] : [404, { error: `could not find transaction by ID ${txId}` }];
+    }],
+
+    ['GET', /^\/extended\/v1\/contract\/([^/]+)\/events$/, (_, [contractId], url) => {
+      const limit = Number(url.searchParams.get('limit') || 20);
+      const offset = Number(url.searchParams.get('offset') || 0);
+      return [200, chain.getEvents(decodeURIComponent(contractId), limit, offset)];
+    }],
+
+    ['POST', /^\/extended\/v1\/faucets\/stx$/, (_, __, url) => {
+      const address = url.searchParams.get('address');
+      if (!address) return [400, { success: false, error: 'address is required' }];
+      return [200, { success: true, txId: chain.faucet(address) }];
+    }],
+
+    ['POST', /^\/mock\/transactions$/, async req => {
+      const body = await readJson(req);
+      return [200, { txid: chain.submit(body) }];
+    }],
+
+    ['POST', /^\/mock\/mine$/, () => [200, chain.mine()]],
+
+    ['POST', /^\/mock\/reset$/, () => {
+      chain.reset();
+      return [200, { reset: true }];
+    }]
+  ];
+
+  return async (req, res, next) => {
+    const url = new URL(req.url, 'http://mock.local');
+
+    for (const [method, pattern, handler] of routes) {
+      const match = url.pathname.match(pattern);
+      if (!match || req.method !== method) continue;
+
+      try {
+        const [status, payload] = await handler(req, match.slice(1), url);
+        send(res, status, payload);
+      } catch (error) {
+        send(res, 400, { error: error.message });
+      }
+      return;
+    }
+
+    next();
+  };
+}
+
+export function mockStacksApi({ base = '/mock-api', blockTime = 3000 } = {}) {
+  const chain = new MockChain({ blockTime });
+  const handler = createMockApiHandler(chain);
+
+  // Dev server only: `vite preview` is for checking the production build
+  return {
+    name: 'mock-stacks-api',
+    configureServer(server) {
+      server.middlewares.use(base, handler);
+    }
+  };
+}
@@ -0,0 +1,301 @@
+// mock/chain.js - Tiny in-memory Stacks chain for offline development
+import { randomBytes } from 'node:crypto';
+import {
+  hexToCV,
+  cvToHex,
+  cvToString,
+  ClarityType,
+  principalToString
+} from '@stacks/transactions';
+import { READ_ONLY, PUBLIC, ERR, ClarityError, createTipJarState, executePublic } from './tip-jar.js';
+
+const STARTING_HEIGHT = 1000n;
+
+// FungibleConditionCode values from @stacks/transactions
+const CONDITION_CHECKS = {
+  1: (actual, expected) => actual === expected,  // Equal
+  2: (actual, expected) => actual > expected,    // Greater
+  3: (actual, expected) => actual >= expected,   // GreaterEqual
+  4: (actual, expected) => actual < expected,    // Less
+  5: (actual, expected) => actual <= expected    // LessEqual
+};
+
+function decodeArg(hex) {
+  const cv = hexToCV(hex);
+  switch (cv.type) {
+    case ClarityType.UInt:
+    case ClarityType.Int:
+      return BigInt(cv.value);
+    case ClarityType.PrincipalStandard:
+    case ClarityType.PrincipalContract:
+      return principalToString(cv);
+    case ClarityType.StringASCII:
+    case ClarityType.StringUTF8:
+      return cv.data;
+    default:
+      throw new Error(`Unsupported argument type: ${cv.type}`);
+  }
+}
+
+function newTxId() {
+  return '0x' + randomBytes(32).toString('hex');
+}
+
+function isAllowMode(mode) {
+  return mode === 1 || mode === 'allow';
+}
+
+export class MockChain {
+  constructor({ blockTime = 3000, startingBalance = 1_000_000_000n, faucetAmount = 500_000_000n } = {}) {
+    this.blockTime = blockTime;
+    this.startingBalance = BigInt(startingBalance);
+    this.faucetAmount = BigInt(faucetAmount);
+    this.reset();
+  }
+
+  reset() {
+    clearTimeout(this.mineTimer);
+    this.mineTimer = null;
+    this.height = STARTING_HEIGHT;
+    this.startedAt = Date.now();
+    this.blockTimes = new Map();  // height -> unix seconds, for mined blocks
+    this.balances = new Map();  // principal -> µSTX
+    this.contracts = new Map(); // contractId -> tip-jar state
+    this.events = new Map();    // contractId -> print events, oldest first
+    this.txs = new Map();       // txid -> tx record
+    this.mempool = [];
+  }
+
+  // Standard principals start funded so every wallet can tip right away
+  balanceOf(principal) {
+    if (!this.balances.has(principal)) {
+      this.balances.set(principal, principal.includes('.') ? 0n : this.startingBalance);
+    }
+    return this.balances.get(principal);
+  }
+
+  // Contracts "deploy" on first use, owned by their deployer address
+  getContract(contractId) {
+    if (!this.contracts.has(contractId)) {
+      this.contracts.set(contractId, createTipJarState(contractId.split('.')[0]));
+      this.events.set(contractId, []);
+    }
+    return this.contracts.get(contractId);
+  }
+
+  callReadOnly(contractId, functionName, argsHex = []) {
+    const fn = READ_ONLY[functionName];
+    if (!fn) {
+      return { okay: false, cause: `Unchecked(NoSuchPublicFunction("${contractId}", "${functionName}"))` };
+    }
+
+    const ctx = {
+      state: this.getContract(contractId),
+      height: this.height,
+      contractId,
+      balanceOf: principal => this.balanceOf(principal)
+    };
+
+    return { okay: true, result: cvToHex(fn(ctx, argsHex.map(decodeArg))) };
+  }
+
+  // Queues a contract call; it executes in the next block
+  submit({ sender, contractId, functionName, functionArgs = [], postConditionMode, postConditions = [], fee = null }) {
+    if (!PUBLIC[functionName]) {
+      throw new Error(`Contract ${contractId} has no public function ${functionName}`);
+    }
+
+    const tx = {
+      txId: newTxId(),
+      type: 'contract_call',
+      sender,
+      contractId,
+      functionName,
+      args: functionArgs.map(decodeArg),
+      postConditionMode,
+      postConditions,
+      fee: fee === null ? null : String(fee),
+      status: 'pending',
+      blockHeight: null,
+      result: null,
+      submittedAt: Date.now()
+    };
+
+    this.txs.set(tx.txId, tx);
+    this.mempool.push(tx);
+    this.scheduleBlock();
+    return tx.txId;
+  }
+
+  faucet(address) {
+    const tx = {
+      txId: newTxId(),
+      type: 'token_transfer',
+      sender: 'faucet',
+      recipient: address,
+      amount: this.faucetAmount,
+      status: 'pending',
+      blockHeight: null,
+      result: null,
+      submittedAt: Date.now()
+    };
+
+    this.txs.set(tx.txId, tx);
+    this.mempool.push(tx);
+    this.scheduleBlock();
+    return tx.txId;
+  }
+
+  scheduleBlock() {
+    if (this.mineTimer) return;
+    this.mineTimer = setTimeout(() => this.mine(), this.blockTime);
+  }
+
+  // Mines every pending transaction into one new block
+  mine() {
+    clearTimeout(this.mineTimer);
+    this.mineTimer = null;
+    this.height += 1n;
+    this.blockTimes.set(this.height, Math.floor(Date.now() / 1000));
+
+    const pending = this.mempool.splice(0);
+    pending.forEach(tx => {
+      tx.blockHeight = this.height;
+      if (tx.type === 'token_transfer') {
+        this.balances.set(tx.recipient, this.balanceOf(tx.recipient) + tx.amount);
+        tx.status = 'success';
+        tx.result = '(ok true)';
+      } else {
+        this.execute(tx);
+      }
+    });
+
+    return { height: Number(this.height), mined: pending.length };
+  }
+
+  execute(tx) {
+    // Work on copies so a failed call leaves no trace
+    const state = structuredClone(this.getContract(tx.contractId));
+    const balances = new Map(this.balances);
+    const printed = [];
+    const outflows = new Map();
+
+    const balanceOf = principal => {
+      if (!balances.has(principal)) balances.set(principal, this.balanceOf(principal));
+      return balances.get(principal);
+    };
+
+    const ctx = {
+      state,
+      sender: tx.sender,
+      height: this.height,
+      contractId: tx.contractId,
+      balanceOf,
+      transfer: (from, to, amount) => {
+        if (amount <= 0n) throw new ClarityError(ERR.TRANSFER_NON_POSITIVE_AMOUNT);
+        if (balanceOf(from) < amount) throw new ClarityError(ERR.TRANSFER_INSUFFICIENT_BALANCE);
+        balances.set(from, balanceOf(from) - amount);
+        balances.set(to, balanceOf(to) + amount);
+        outflows.set(from, (outflows.get(from) || 0n) + amount);
+      },
+      print: cv => printed.push(cv)
+    };
+
+    const outcome = executePublic(tx.functionName, ctx, tx.args);
+    tx.result = cvToString(outcome.value);
+    tx.resultHex = cvToHex(outcome.value);
+
+    if (!outcome.ok) {
+      tx.status = 'abort_by_response';
+      return;
+    }
+
+    if (!this.checkPostConditions(tx, outflows)) {
+      tx.status = 'abort_by_post_condition';
+      return;
+    }
+
+    tx.status = 'success';
+    this.contracts.set(tx.contractId, state);
+    this.balances = balances;
+    printed.forEach(cv => this.events.get(tx.contractId).push({ txId: tx.txId, cv }));
+  }
+
+  // Deny mode: every principal that sent STX needs a matching condition
+  checkPostConditions(tx, outflows) {
+    const conditions = tx.postConditions || [];
+
+    const conditionsHold = conditions.every(condition => {
+      const check = CONDITION_CHECKS[condition.code];
+      const sent = outflows.get(condition.principal) || 0n;
+      return check ? check(sent, BigInt(condition.amount)) : false;
+    });
+    if (!conditionsHold) return false;
+
+    if (isAllowMode(tx.postConditionMode)) return true;
+
+    const covered = new Set(conditions.map(condition => condition.principal));
+    return Array.from(outflows.keys()).every(principal => covered.has(principal));
+  }
+
+  // Shaped like /extended/v1/tx/{txid}
+  getTx(txId) {
+    const tx = this.txs.get(txId.toLowerCase());
+    if (!tx) return null;
+
+    return {
+      tx_id: tx.txId,
+      tx_type: tx.type,
+      tx_status: tx.status,
+      sender_address: tx.sender,
+      fee_rate: tx.fee ?? undefined,
+      block_height: tx.blockHeight === null ? undefined : Number(tx.blockHeight),
+      tx_result: tx.result ? { hex: tx.resultHex || null, repr: tx.result } : undefined,
+      contract_call: tx.type === 'contract_call'
+        ? { contract_id: tx.contractId, function_name: tx.functionName }
+        : undefined
+    };
+  }
+
+  // Shaped like /extended/v1/contract/{id}/events, newest first
+  getEvents(contractId, limit = 20, offset = 0) {
+    this.getContract(contractId);
+    const events = this.events.get(contractId).slice().reverse();
+
+    return {
+      limit,
+      offset,
+      total: events.length,
+      results: events.slice(offset, offset + limit).map((event, index) => ({
+        event_index: offset + index,
+        event_type: 'smart_contract_log',
+        tx_id: event.txId,
+        contract_log: {
+          contract_id: contractId,
+          topic: 'print',
+          value: { hex: cvToHex(event.cv), repr: cvToString(event.cv) }
+        }
+      }))
+    };
+  }
+
+  // Shaped like /extended/v2/blocks/{height}; blocks before the mock
+  // started are spaced `blockTime` apart going back
+  getBlock(height) {
+    const h = BigInt(height);
+    if (h < 1n || h > this.height) return null;
+
+    const blockTime = this.blockTimes.get(h) ??
+      Math.floor((this.startedAt - Number(STARTING_HEIGHT - h) * this.blockTime) / 1000);
+
+    return { height: Number(h), block_time: blockTime };
+  }
+
+  info() {
+    return {
+      network_id: 2147483648,
+      stacks_tip_height: Number(this.height),
+      burn_block_height: Number(this.height)
+    };
+  }
+}
@@ -0,0 +1,295 @@
+// mock/tip-jar.js - In-memory mirror of contracts/tip-jar-v4.clar
+import {
+  uintCV,
+  boolCV,
+  principalCV,
+  tupleCV,
+  someCV,
+  noneCV,
+  bufferCV,
+  stringUtf8CV,
+  stringAsciiCV,
+  responseOkCV,
+  responseErrorCV,
+  serializeCV
+} from '@stacks/transactions';
+
+const DEFAULT_PREMIUM_THRESHOLD = 10_000_000n; // 10 STX
+const MAX_MESSAGE_LENGTH = 280;
+
+// Error constants from tip-jar-v4.clar, plus stx-transfer?'s own codes
+export const ERR = {
+  INVALID_AMOUNT: 100n,
+  NO_BALANCE: 101n,
+  MESSAGE_TOO_LONG: 102n,
+  NOT_FOUND: 103n,
+  UNAUTHORIZED: 401n,
+  TRANSFER_INSUFFICIENT_BALANCE: 1n,
+  TRANSFER_NON_POSITIVE_AMOUNT: 3n
+};
+
+// Thrown inside a public function to return (err uN) and roll back
+class ClarityError extends Error {
+  constructor(code) {
+    super(`(err u${code})`);
+    this.code = code;
+  }
+}
+
+function emptyStats() {
+  return { totalTipped: 0n, tipCount: 0n, lastTipHeight: 0n, isPremium: false };
+}
+
+function consensusBuff(principal) {
+  return someCV(bufferCV(serializeCV(principalCV(principal))));
+}
+
+export function createTipJarState(deployer) {
+  return {
+    owner: deployer,
+    totalTips: 0n,
+    totalTippers: 0n,
+    totalTransactions: 0n,
+    premiumThreshold: DEFAULT_PREMIUM_THRESHOLD,
+    tipperStats: new Map(),   // principal -> stats
+    tipMessages: new Map(),   // `${tipper}:${tipId}` -> message
+    history: new Map()        // tx-id (string) -> entry
+  };
+}
+
+function statsCV(stats) {
+  return tupleCV({
+    'total-tipped': uintCV(stats.totalTipped),
+    'tip-count': uintCV(stats.tipCount),
+    'last-tip-height': uintCV(stats.lastTipHeight),
+    'is-premium': boolCV(stats.isPremium)
+  });
+}
+
+/**
+ * Read-only functions. `ctx` is { state, height, balanceOf(principal),
+ * contractId }; args are already decoded to JS (principals as strings,
+ * uints as BigInt). Returns a ClarityValue.
+ */
+export const READ_ONLY = {
+  'get-owner': ({ state }) => responseOkCV(principalCV(state.owner)),
+  'get-total-tips': ({ state }) => responseOkCV(uintCV(state.totalTips)),
+  'get-total-tippers': ({ state }) => responseOkCV(uintCV(state.totalTippers)),
+  'get-total-transactions': ({ state }) => responseOkCV(uintCV(state.totalTransactions)),
+  'get-contract-balance': ctx => responseOkCV(uintCV(ctx.balanceOf(ctx.contractId))),
+
+  'get-tipper-stats': ({ state }, [tipper]) =>
+    responseOkCV(statsCV(state.tipperStats.get(tipper) || emptyStats())),
+
+  'get-tipper-stx-account': (ctx, [tipper]) => responseOkCV(tupleCV({
+    locked: uintCV(0),
+    'unlock-height': uintCV(0),
+    unlocked: uintCV(ctx.balanceOf(tipper))
+  })),
+
+  'get-tipper-consensus-hash': (_, [tipper]) => responseOkCV(consensusBuff(tipper)),
+
+  'is-premium-tipper': ({ state }, [tipper]) =>
+    responseOkCV(boolCV((state.tipperStats.get(tipper) || emptyStats()).isPremium)),
+
+  'get-tip-message': ({ state }, [tipper, tipId]) => {
+    const message = state.tipMessages.get(`${tipper}:${tipId}`);
+    return responseOkCV(message === undefined ? noneCV() : someCV(tupleCV({ message: stringUtf8CV(message) })));
+  },
+
+  'get-transaction': ({ state }, [txId]) => {
+    const entry = state.history.get(String(txId));
+    if (!entry) return responseOkCV(noneCV());
+    return responseOkCV(someCV(tupleCV({
+      tipper: principalCV(entry.tipper),
+      amount: uintCV(entry.amount),
+      'block-height': uintCV(entry.blockHeight),
+      timestamp: uintCV(entry.timestamp),
+      'has-message': boolCV(entry.hasMessage)
+    })));
+  },
+
+  'get-recent-transactions': ({ state }, [count]) => {
+    const total = state.totalTransactions;
+    return responseOkCV(tupleCV({
+      total: uintCV(total),
+      start: uintCV(total > count ? total - count : 0n),
+      count: uintCV(count)
+    }));
+  },
+
+  'get-user-transactions': ({ state }, [user]) => {
+    const stats = state.tipperStats.get(user) || emptyStats();
+    return responseOkCV(tupleCV({
+      user: principalCV(user),
+      'tip-count': uintCV(stats.tipCount),
+      'total-tipped': uintCV(stats.totalTipped),
+      'last-tip-height': uintCV(stats.lastTipHeight)
+    }));
+  },
+
+  'get-contract-summary': ctx => responseOkCV(tupleCV({
+    'total-tips': uintCV(ctx.state.totalTips),
+    'total-tippers': uintCV(ctx.state.totalTippers),
+    'total-transactions': uintCV(ctx.state.totalTransactions),
+    'contract-balance': uintCV(ctx.balanceOf(ctx.contractId)),
+    'premium-threshold': uintCV(ctx.state.premiumThreshold),
+    owner: principalCV(ctx.state.owner)
+  }))
+};
+
+function assert(condition, code) {
+  if (!condition) throw new ClarityError(code);
+}
+
+function sendTip(ctx, amount) {
+  const { state, sender, height } = ctx;
+  const current = state.tipperStats.get(sender) || emptyStats();
+  const newTotal = current.totalTipped + amount;
+  const newTipCount = current.tipCount + 1n;
+  const isFirstTime = current.tipCount === 0n;
+  const wasPremium = current.isPremium;
+  const isNowPremium = newTotal >= state.premiumThreshold;
+  const txId = state.totalTransactions + 1n;
+
+  assert(amount > 0n, ERR.INVALID_AMOUNT);
+  ctx.transfer(sender, ctx.contractId, amount);
+
+  state.totalTips += amount;
+  state.totalTransactions = txId;
+  if (isFirstTime) state.totalTippers += 1n;
+
+  state.tipperStats.set(sender, {
+    totalTipped: newTotal,
+    tipCount: newTipCount,
+    lastTipHeight: height,
+    isPremium: isNowPremium
+  });
+
+  state.history.set(String(txId), {
+    tipper: sender,
+    amount,
+    blockHeight: height,
+    timestamp: height,
+    hasMessage: false
+  });
+
+  ctx.print(tupleCV({
+    event: stringAsciiCV('tip-received'),
+    'tx-id': uintCV(txId),
+    tipper: principalCV(sender),
+    amount: uintCV(amount),
+    'new-total': uintCV(newTotal),
+    'tip-number': uintCV(newTipCount),
+    height: uintCV(height),
+    'consensus-hash': consensusBuff(sender)
+  }));
+
+  if (isNowPremium && !wasPremium) {
+    ctx.print(tupleCV({
+      event: stringAsciiCV('premium-unlocked'),
+      tipper: principalCV(sender),
+      'total-tipped': uintCV(newTotal),
+      height: uintCV(height)
+    }));
+  }
+
+  return uintCV(txId);
+}
+
+/**
+ * Public functions. Same `ctx` as READ_ONLY plus { sender, transfer(from,
+ * to, amount), print(cv) }. Return the (ok ...) value; throw ClarityError
+ * for (err ...).
+ */
+export const PUBLIC = {
+  'send-tip': (ctx, [amount]) => sendTip(ctx, amount),
+
+  'send-tip-with-message': (ctx, [amount, message]) => {
+    const { state, sender } = ctx;
+    const tipCountBefore = (state.tipperStats.get(sender) || emptyStats()).tipCount;
+    const txId = state.totalTransactions + 1n;
+
+    assert([...message].length <= MAX_MESSAGE_LENGTH, ERR.MESSAGE_TOO_LONG);
+    sendTip(ctx, amount);
+
+    const entry = state.history.get(String(txId));
+    if (entry) entry.hasMessage = true;
+
+    const tipId = tipCountBefore + 1n;
+    state.tipMessages.set(`${sender}:${tipId}`, message);
+
+    ctx.print(tupleCV({
+      event: stringAsciiCV('tip-with-message'),
+      'tx-id': uintCV(txId),
+      tipper: principalCV(sender),
+      amount: uintCV(amount),
+      message: stringUtf8CV(message),
+      'tip-id': uintCV(tipId)
+    }));
+
+    return uintCV(txId);
+  },
+
+  'withdraw': (ctx, [recipient]) => {
+    const { state, sender, height } = ctx;
+    const balance = ctx.balanceOf(ctx.contractId);
+
+    assert(sender === state.owner, ERR.UNAUTHORIZED);
+    assert(balance > 0n, ERR.NO_BALANCE);
+    ctx.transfer(ctx.contractId, recipient, balance);
+
+    ctx.print(tupleCV({
+      event: stringAsciiCV('withdrawal'),
+      recipient: principalCV(recipient),
+      amount: uintCV(balance),
+      height: uintCV(height),
+      'recipient-consensus': consensusBuff(recipient)
+    }));
+
+    return uintCV(balance);
+  },
+
+  'transfer-ownership': (ctx, [newOwner]) => {
+    const { state, sender } = ctx;
+    assert(sender === state.owner, ERR.UNAUTHORIZED);
+    state.owner = newOwner;
+
+    ctx.print(tupleCV({
+      event: stringAsciiCV('ownership-transferred'),
+      'old-owner': principalCV(sender),
+      'new-owner': principalCV(newOwner),
+      'new-owner-consensus': consensusBuff(newOwner)
+    }));
+
+    return boolCV(true);
+  },
+
+  'set-premium-threshold': (ctx, [newThreshold]) => {
+    const { state, sender } = ctx;
+    assert(sender === state.owner, ERR.UNAUTHORIZED);
+    assert(newThreshold > 0n, ERR.INVALID_AMOUNT);
+    state.premiumThreshold = newThreshold;
+
+    ctx.print(tupleCV({
+      event: stringAsciiCV('premium-threshold-updated'),
+      'new-threshold': uintCV(newThreshold)
+    }));
+
+    return uintCV(newThreshold);
+  }
+};
+
+// Runs a public function; resolves to (ok ...) or (err ...) like the chain would
+export function executePublic(functionName, ctx, args) {
+  try {
+    return { ok: true, value: responseOkCV(PUBLIC[functionName](ctx, args)) };
+  } catch (error) {
+    if (error instanceof ClarityError) {
+      return { ok: false, value: responseErrorCV(uintCV(error.code)) };
+    }
+    throw error;
+  }
+}
+
+export { ClarityError };
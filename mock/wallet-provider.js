@@ -0,0 +1,132 @@
+// mock/wallet-provider.js - Scripted wallet provider for offline development
+import { addressToString } from '@stacks/transactions';
+import { deserializePostConditions } from '../post-conditions.js';
+
+// Wallets receive post-conditions as hex (see WalletAdapter.formatCall); the
+// mock API gets them as plain JSON it can check
+function toMockPostCondition(pc) {
+  const address = addressToString(pc.principal.address);
+  const contractName = pc.principal.contractName?.content;
+
+  return {
+    principal: contractName ? `${address}.${contractName}` : address,
+    code: pc.conditionCode,
+    amount: String(pc.amount)
+  };
+}
+
+/**
+ * A provider that speaks the same `request(method, params)` JSON-RPC as
+ * Leather/Xverse but signs nothing: contract calls are posted straight to
+ * the mock API's mempool. Scripting helpers let tests steer it:
+ *
+ *   mockWallet.failNext('User rejected request')
+ *   mockWallet.setDelay(2000)
+ *   mockWallet.setAddress('ST...')
+ */
+export function createMockWalletProvider({ address, apiBase }) {
+  let currentAddress = address;
+  let delay = 0;
+  const failures = [];
+
+  const wait = () => new Promise(resolve => setTimeout(resolve, delay));
+
+  async function broadcast(params) {
+    const response = await fetch(`${apiBase}/mock/transactions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        sender: currentAddress,
+        contractId: params.contract,
+        functionName: params.functionName,
+        functionArgs: params.functionArgs || [],
+        postConditionMode: params.postConditionMode,
+        postConditions: deserializePostConditions(params.postConditions).map(toMockPostCondition),
+        fee: params.fee ?? null
+      })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Mock broadcast failed: ${response.status}`);
+    }
+    return data.txid;
+  }
+
+  const methods = {
+    getAddresses: async () => ({
+      addresses: [{ symbol: 'STX', address: currentAddress, publicKey: null }]
+    }),
+
+    stx_getAccounts: async () => ({
+      accounts: [{ address: currentAddress, publicKey: null }]
+    }),
+
+    stx_callContract: async params => ({ txid: await broadcast(params) }),
+
+    stx_signMessage: async ({ message }) => ({
+      signature: Array.from(new TextEncoder().encode(message), byte => byte.toString(16).padStart(2, '0')).join(''),
+      publicKey: null
+    })
+  };
+
+  return {
+    isMock: true,
+
+    async request(method, params = {}) {
+      console.log(`🧪 Mock wallet: ${method}`, params);
+      await wait();
+
+      if (failures.length > 0) {
+        return { error: { code: 4001, message: failures.shift() } };
+      }
+
+      const handler = methods[method];
+      if (!handler) {
+        return { error: { code: -32601, message: `Mock wallet does not support ${method}` } };
+      }
+
+      try {
+        return { result: await handler(params) };
+      } catch (error) {
+        return { error: { code: -32603, message: error.message } };
+      }
+    },
+
+    // Rejects the next request with `message`, as if the user declined it
+    failNext(message = 'User rejected request') {
+      failures.push(message);
+    },
+
+    // Simulates the time spent in the wallet popup
+    setDelay(ms) {
+      delay = Math.max(0, Number(ms) || 0);
+    },
+
+    setAddress(newAddress) {
+      currentAddress = newAddress;
+    },
+
+    getAddress() {
+      return currentAddress;
+    },
+
+    // Mines pending transactions right away instead of waiting for the block timer
+    async mine() {
+      const response = await fetch(`${apiBase}/mock/mine`, { method: 'POST' });
+      return response.json();
+    },
+
+    async reset() {
+      const response = await fetch(`${apiBase}/mock/reset`, { method: 'POST' });
+      return response.json();
+    }
+  };
+}
+
+export function installMockWallet(options) {
+  const provider = createMockWalletProvider(options);
+  window.MockStacksProvider = provider;
+  window.mockWallet = provider;
+  return provider;
+}
@@ -0,0 +1,176 @@
+// notifications.js - Notification queue behind the toasts: severities,
+// actions, auto-dismiss timers and a log of everything shown this session
+import { CONFIG } from './config.js';
+
+export const SEVERITIES = {
+  SUCCESS: 'success',
+  INFO: 'info',
+  WARNING: 'warning',
+  ERROR: 'error'
+};
+
+/**
+ * Notifications are { id, key, message, severity, actions, createdAt,
+ * updatedAt }. Actions are { label, href } links or { label, run } buttons.
+ *
+ * Notifying with the `key` of an active notification updates it in place,
+ * so one operation (a tip going from "preparing" to "confirmed") keeps one
+ * toast while unrelated operations get their own.
+ */
+export class NotificationCenter {
+  constructor({
+    maxVisible = CONFIG.NOTIFICATIONS.MAX_VISIBLE,
+    logSize = CONFIG.NOTIFICATIONS.LOG_SIZE,
+    timeouts = CONFIG.NOTIFICATIONS.TIMEOUTS
+  } = {}) {
+    this.maxVisible = maxVisible;
+    this.logSize = logSize;
+    this.timeouts = timeouts;
+    this.active = []; // Oldest first; the first `maxVisible` are shown
+    this.timers = new Map(); // id -> { timer, deadline, remaining }
+    this.log = [];
+    this.paused = false;
+    this.nextId = 1;
+    this.listeners = [];
+  }
+
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  // `type` is 'added', 'updated', 'dismissed' or 'log-cleared'
+  emit(type, notification = null) {
+    const event = { type, notification: notification ? { ...notification } : null };
+    this.listeners.forEach(cb => {
+      try {
+        cb(event);
+      } catch (error) {
+        console.error('❌ Error in notification listener callback:', error);
+      }
+    });
+  }
+
+  notify({ message, severity = SEVERITIES.INFO, key = null, actions = [] }) {
+    if (!Object.values(SEVERITIES).includes(severity)) {
+      throw new Error(`Unknown notification severity: ${severity}`);
+    }
+
+    const now = Date.now();
+    const existing = key ? this.active.find(item => item.key === key) : null;
+    const notification = existing || { id: this.nextId++, key, createdAt: now };
+    Object.assign(notification, { message, severity, actions, updatedAt: now });
+
+    if (!existing) this.active.push(notification);
+    this.addToLog(notification);
+
+    // Updates restart the clock: a tip confirming gets its full 5s
+    this.clearTimer(notification.id);
+    this.scheduleVisible();
+
+    this.emit(existing ? 'updated' : 'added', notification);
+    return notification.id;
+  }
+
+  dismiss(id) {
+    const index = this.active.findIndex(item => item.id === id);
+    if (index === -1) return;
+
+    const [notification] = this.active.splice(index, 1);
+    this.clearTimer(id);
+    this.scheduleVisible(); // A queued notification may have moved up
+    this.emit('dismissed', notification);
+  }
+
+  dismissKey(key) {
+    const notification = this.active.find(item => item.key === key);
+    if (notification) this.dismiss(notification.id);
+  }
+
+  dismissAll() {
+    [...this.active].forEach(item => this.dismiss(item.id));
+  }
+
+  getVisible() {
+    return this.active.slice(0, this.maxVisible).map(item => ({ ...item }));
+  }
+
+  getQueuedCount() {
+    return Math.max(0, this.active.length - this.maxVisible);
+  }
+
+  // Newest first
+  getLog() {
+    return [...this.log].reverse();
+  }
+
+  clearLog() {
+    this.log = [];
+    this.emit('log-cleared');
+  }
+
+  addToLog(notification) {
+    this.log.push({
+      id: notification.id,
+      key: notification.key,
+      message: notification.message,
+      severity: notification.severity,
+      at: notification.updatedAt
+    });
+    if (this.log.length > this.logSize) {
+      this.log.splice(0, this.log.length - this.logSize);
+    }
+  }
+
+  /**
+   * Auto-dismiss timers only run while a notification is visible, so queued
+   * ones are not dismissed unseen. Errors (timeout 0) stay until dismissed.
+   */
+  scheduleVisible() {
+    if (this.paused) return;
+
+    this.active.slice(0, this.maxVisible).forEach(notification => {
+      if (this.timers.has(notification.id)) return;
+
+      const timeout = this.timeouts[notification.severity] || 0;
+      if (timeout > 0) this.startTimer(notification.id, timeout);
+    });
+  }
+
+  startTimer(id, delay) {
+    this.timers.set(id, {
+      timer: setTimeout(() => this.dismiss(id), delay),
+      deadline: Date.now() + delay,
+      remaining: delay
+    });
+  }
+
+  clearTimer(id) {
+    const entry = this.timers.get(id);
+    if (entry) clearTimeout(entry.timer);
+    this.timers.delete(id);
+  }
+
+  // Holds every timer, e.g. while the pointer or focus is on a toast
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+
+    this.timers.forEach(entry => {
+      clearTimeout(entry.timer);
+      entry.remaining = Math.max(0, entry.deadline - Date.now());
+    });
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+
+    this.timers.forEach((entry, id) => this.startTimer(id, entry.remaining));
+    this.scheduleVisible();
+  }
+}
+
+export const notificationCenter = new NotificationCenter();
@@ -0,0 +1,167 @@
+// pending-txs.js - Submitted transactions kept in localStorage, so a reload
+// or a closed tab doesn't lose track of a tip that is still being mined
+import { CONFIG, storage } from './config.js';
+import { txTracker, isFinalStatus, normalizeTxId, TX_STATUS } from './tx-tracker.js';
+
+const STORAGE_KEY = 'stacks_pending_txs';
+
+// localStorage holds JSON, so amounts are stored as strings
+function serialize(entry) {
+  return { ...entry, amountMicro: entry.amountMicro === null ? null : entry.amountMicro.toString() };
+}
+
+function deserialize(row) {
+  return { ...row, amountMicro: row.amountMicro === null || row.amountMicro === undefined ? null : BigInt(row.amountMicro) };
+}
+
+/**
+ * Entries are { txId, kind, amountMicro, network, contractId, submittedAt,
+ * status, blockHeight, result, updatedAt }. They follow txTracker updates and
+ * keep their final status until removed, or until they are older than
+ * CONFIG.PENDING_TXS.KEEP_FINISHED.
+ */
+export class PendingTxStore {
+  constructor() {
+    this.entries = new Map();
+    this.listeners = [];
+    this.load();
+
+    txTracker.subscribe(record => this.handleTrackerUpdate(record));
+
+    // Another tab submitted, finished or cleared something
+    if (typeof window !== 'undefined') {
+      window.addEventListener('storage', event => {
+        if (event.key !== STORAGE_KEY) return;
+        this.load();
+        this.notify();
+      });
+    }
+  }
+
+  load() {
+    const rows = storage.get(STORAGE_KEY, []);
+    this.entries = new Map();
+
+    (Array.isArray(rows) ? rows : []).forEach(row => {
+      try {
+        const entry = deserialize(row);
+        this.entries.set(entry.txId, entry);
+      } catch (error) {
+        console.warn('⚠️ Dropping unreadable pending transaction:', row, error.message);
+      }
+    });
+    this.prune();
+  }
+
+  save() {
+    storage.set(STORAGE_KEY, Array.from(this.entries.values()).map(serialize));
+  }
+
+  // Drops old finished entries, then the oldest finished ones beyond
+  // MAX_ENTRIES. Entries still being mined stay, however many there are.
+  prune() {
+    const cutoff = Date.now() - CONFIG.PENDING_TXS.KEEP_FINISHED;
+    this.entries.forEach((entry, txId) => {
+      if (isFinalStatus(entry.status) && entry.updatedAt < cutoff) {
+        this.entries.delete(txId);
+      }
+    });
+
+    const excess = this.entries.size - CONFIG.PENDING_TXS.MAX_ENTRIES;
+    if (excess > 0) {
+      this.list()
+        .filter(entry => isFinalStatus(entry.status))
+        .slice(-excess)
+        .forEach(entry => this.entries.delete(entry.txId));
+    }
+  }
+
+  // Newest first, optionally only one network's
+  list({ network = null } = {}) {
+    return Array.from(this.entries.values())
+      .filter(entry => !network || entry.network === network)
+      .sort((a, b) => b.submittedAt - a.submittedAt)
+      .map(entry => ({ ...entry }));
+  }
+
+  // Entries whose tracking should resume after a reload
+  listUnfinished() {
+    return this.list().filter(entry => !isFinalStatus(entry.status));
+  }
+
+  get(txId) {
+    const entry = this.entries.get(normalizeTxId(txId));
+    return entry ? { ...entry } : null;
+  }
+
+  add({ txId, kind, amountMicro = null, network, contractId = null, submittedAt = Date.now() }) {
+    const id = normalizeTxId(txId);
+    if (this.entries.has(id)) return this.get(id);
+
+    const entry = {
+      txId: id,
+      kind,
+      amountMicro,
+      network,
+      contractId,
+      submittedAt,
+      status: TX_STATUS.PENDING,
+      blockHeight: null,
+      result: null,
+      updatedAt: Date.now()
+    };
+
+    this.entries.set(id, entry);
+    this.prune();
+    this.save();
+    this.notify();
+    return { ...entry };
+  }
+
+  handleTrackerUpdate(record) {
+    const entry = this.entries.get(record.txId);
+    if (!entry) return;
+
+    const { status, blockHeight, result } = record;
+    if (entry.status === status && entry.blockHeight === blockHeight) return;
+
+    Object.assign(entry, { status, blockHeight, result, updatedAt: Date.now() });
+    this.save();
+    this.notify();
+  }
+
+  remove(txId) {
+    if (!this.entries.delete(normalizeTxId(txId))) return;
+    this.save();
+    this.notify();
+  }
+
+  // Removes finished entries; ones still being mined stay listed
+  clearFinished({ network = null } = {}) {
+    this.list({ network })
+      .filter(entry => isFinalStatus(entry.status))
+      .forEach(entry => this.entries.delete(entry.txId));
+    this.save();
+    this.notify();
+  }
+
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  notify() {
+    const entries = this.list();
+    this.listeners.forEach(cb => {
+      try {
+        cb(entries);
+      } catch (error) {
+        console.error('❌ Error in pending tx listener callback:', error);
+      }
+    });
+  }
+}
+
+export const pendingTxStore = new PendingTxStore();
@@ -0,0 +1,87 @@
+// post-conditions.js - What each contract call is allowed to transfer
+import {
+  BytesReader,
+  PostConditionMode,
+  FungibleConditionCode,
+  makeStandardSTXPostCondition,
+  makeContractSTXPostCondition,
+  serializePostCondition,
+  deserializePostCondition
+} from '@stacks/transactions';
+import { parseContractId } from './config.js';
+import { toMicro } from './amount.js';
+import { AppError, ERROR_CODES } from './errors.js';
+
+/**
+ * Every policy runs in Deny mode, so a call that moves any STX not covered
+ * by a condition aborts on-chain. `transfers` describes the same conditions
+ * in plain terms for the pre-sign review: [{ from, to, amount }], each an
+ * exact amount.
+ */
+function denyPolicy(postConditions, transfers) {
+  return { postConditionMode: PostConditionMode.Deny, postConditions, transfers };
+}
+
+// send-tip / send-tip-with-message: the tipper sends exactly the tip
+export function tipPolicy(sender, contractId, microAmount) {
+  const amount = toMicro(microAmount);
+
+  return denyPolicy(
+    [makeStandardSTXPostCondition(sender, FungibleConditionCode.Equal, amount)],
+    [{ from: sender, to: contractId, amount }]
+  );
+}
+
+// withdraw: the contract pays out exactly the balance read before signing.
+// A tip landing in between changes the balance and aborts the withdrawal
+// instead of moving more than the owner reviewed.
+export function withdrawPolicy(contractId, recipient, balanceMicro) {
+  const parsed = parseContractId(contractId);
+  if (!parsed) {
+    throw new Error(`Invalid contract ID: ${contractId}`);
+  }
+
+  const amount = toMicro(balanceMicro);
+  if (amount <= 0n) {
+    throw new AppError(ERROR_CODES.NOTHING_TO_WITHDRAW);
+  }
+
+  return denyPolicy(
+    [makeContractSTXPostCondition(parsed.address, parsed.name, FungibleConditionCode.Equal, amount)],
+    [{ from: contractId, to: recipient, amount }]
+  );
+}
+
+// transfer-ownership / set-premium-threshold move no STX at all
+export function noTransferPolicy() {
+  return denyPolicy([], []);
+}
+
+export function isDenyPolicy(params) {
+  return params?.postConditionMode === PostConditionMode.Deny;
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+  const clean = hex.replace(/^0x/, '');
+  return Uint8Array.from(clean.match(/../g) || [], byte => parseInt(byte, 16));
+}
+
+/**
+ * A policy as wallets take it over JSON-RPC: the mode as 'deny'/'allow' and
+ * each post-condition as consensus-serialized hex. The v6 objects hold
+ * BigInts and enums that no provider understands.
+ */
+export function serializePolicy({ postConditionMode, postConditions = [] }) {
+  return {
+    postConditionMode: postConditionMode === PostConditionMode.Allow ? 'allow' : 'deny',
+    postConditions: postConditions.map(pc => toHex(serializePostCondition(pc)))
+  };
+}
+
+export function deserializePostConditions(hexList = []) {
+  return hexList.map(hex => deserializePostCondition(new BytesReader(fromHex(hex))));
+}
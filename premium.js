@@ -0,0 +1,70 @@
+// premium.js - Premium status and tiers derived from the on-chain threshold
+import { CONFIG } from './config.js';
+
+const MULTIPLE_PRECISION = 1000n; // Allows fractional multiples like 2.5
+
+// Contract threshold in µSTX; pre-v4 contracts don't expose it
+export function getPremiumThreshold(stats) {
+  const threshold = stats?.premiumThreshold;
+  if (threshold !== null && threshold !== undefined && BigInt(threshold) > 0n) {
+    return BigInt(threshold);
+  }
+  return CONFIG.PREMIUM.FALLBACK_THRESHOLD;
+}
+
+/**
+ * Tier list for a threshold, lowest first. Each tier is
+ * { name, icon, multiple, minMicro }. With no tiers configured there is a
+ * single "Premium" tier at the threshold itself.
+ */
+export function getPremiumTiers(threshold) {
+  const tiers = CONFIG.PREMIUM.TIERS.length > 0
+    ? CONFIG.PREMIUM.TIERS
+    : [{ NAME: 'Premium', ICON: '👑', MULTIPLE: 1 }];
+
+  return tiers
+    .map(tier => ({
+      name: tier.NAME,
+      icon: tier.ICON || '👑',
+      multiple: tier.MULTIPLE,
+      minMicro: threshold * BigInt(Math.round(tier.MULTIPLE * Number(MULTIPLE_PRECISION))) / MULTIPLE_PRECISION
+    }))
+    .sort((a, b) => (a.minMicro < b.minMicro ? -1 : a.minMicro > b.minMicro ? 1 : 0));
+}
+
+/**
+ * Where a tipper stands against the current threshold. The `is-premium` flag
+ * stored on chain is only recomputed on the tipper's next tip, so after the
+ * owner changes the threshold it can be stale; everything here is derived
+ * from the total instead.
+ *
+ * Returns { threshold, isPremium, tier, nextTier, progress, remainingMicro }
+ * where `progress` (0-100) measures the way from the current tier (or zero)
+ * to the next one.
+ */
+export function getPremiumProgress(totalTippedMicro, threshold) {
+  const total = BigInt(totalTippedMicro || 0);
+  const tiers = getPremiumTiers(threshold);
+
+  const reached = tiers.filter(tier => total >= tier.minMicro);
+  const tier = reached[reached.length - 1] || null;
+  const nextTier = tiers.find(candidate => total < candidate.minMicro) || null;
+
+  let progress = 100;
+  let remainingMicro = 0n;
+  if (nextTier) {
+    const floor = tier ? tier.minMicro : 0n;
+    const span = nextTier.minMicro - floor;
+    progress = span > 0n ? Number(((total - floor) * 10000n) / span) / 100 : 100;
+    remainingMicro = nextTier.minMicro - total;
+  }
+
+  return {
+    threshold,
+    isPremium: total >= threshold,
+    tier,
+    nextTier,
+    progress: Math.min(100, Math.max(0, progress)),
+    remainingMicro
+  };
+}
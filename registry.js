@@ -0,0 +1,170 @@
+// registry.js - Jar registry (one deployment, many tip jars, per network)
+import {
+  CONFIG,
+  getActiveNetwork,
+  getContractId,
+  parseContractId,
+  isValidContractId,
+  onNetworkChange
+} from './config.js';
+import { ContractManager } from './contract.js';
+
+export class JarRegistry {
+  constructor() {
+    this.networks = new Map(); // network -> { jars, activeId }
+    this.usePathRouting = false;
+    this.listeners = [];
+  }
+
+  getNetworkState(network = getActiveNetwork()) {
+    if (!this.networks.has(network)) {
+      this.networks.set(network, { jars: new Map(), activeId: null });
+      this.loadConfiguredJars(network);
+    }
+    return this.networks.get(network);
+  }
+
+  loadConfiguredJars(network) {
+    const contracts = [CONFIG.CONTRACTS[network], ...(CONFIG.JARS[network] || [])];
+
+    contracts.filter(contract => contract?.ADDRESS).forEach(contract => {
+      try {
+        this.register(getContractId(contract), {
+          owner: contract.OWNER,
+          label: contract.LABEL,
+          network
+        });
+      } catch (error) {
+        console.warn('⚠️ Skipping invalid jar in config:', error.message);
+      }
+    });
+  }
+
+  register(contractId, { owner = null, label = null, network = getActiveNetwork() } = {}) {
+    if (!isValidContractId(contractId, network)) {
+      throw new Error(`Invalid ${network} contract ID: ${contractId}`);
+    }
+
+    const { jars } = this.getNetworkState(network);
+    if (jars.has(contractId)) {
+      return jars.get(contractId);
+    }
+
+    const { address, name } = parseContractId(contractId);
+    const jar = {
+      contractId,
+      address,
+      name,
+      network,
+      owner: owner || null,
+      label: label || name,
+      contractManager: new ContractManager(contractId, owner || null, network)
+    };
+
+    jars.set(contractId, jar);
+    console.log('🫙 Registered jar:', network, contractId);
+    return jar;
+  }
+
+  // Supports ?jar=<contractId> and /jar/<contractId>
+  resolveFromUrl(location = window.location) {
+    const fromQuery = new URLSearchParams(location.search).get('jar');
+    if (fromQuery) {
+      return { contractId: fromQuery.trim(), path: false };
+    }
+
+    const match = location.pathname.match(/^\/jar\/([^/]+)\/?$/);
+    if (match) {
+      return { contractId: decodeURIComponent(match[1]).trim(), path: true };
+    }
+
+    return null;
+  }
+
+  init() {
+    const state = this.getNetworkState();
+    const fromUrl = typeof window !== 'undefined' ? this.resolveFromUrl() : null;
+
+    // The UI reloads the jar itself once the rest of the app has switched
+    onNetworkChange(() => this.updateUrl());
+
+    if (fromUrl) {
+      try {
+        this.register(fromUrl.contractId);
+        this.usePathRouting = fromUrl.path;
+        state.activeId = fromUrl.contractId;
+        console.log('🔗 Jar selected from URL:', state.activeId);
+        return this.getActive();
+      } catch (error) {
+        console.warn('⚠️ Ignoring jar from URL:', error.message);
+      }
+    }
+
+    return this.getActive();
+  }
+
+  list() {
+    return Array.from(this.getNetworkState().jars.values());
+  }
+
+  get(contractId) {
+    return this.getNetworkState().jars.get(contractId) || null;
+  }
+
+  getActive() {
+    const state = this.getNetworkState();
+    if (!state.activeId || !state.jars.has(state.activeId)) {
+      state.activeId = getContractId() || state.jars.keys().next().value || null;
+    }
+    return state.jars.get(state.activeId) || null;
+  }
+
+  setActive(contractId) {
+    const state = this.getNetworkState();
+    const jar = state.jars.get(contractId) || this.register(contractId);
+    if (jar.contractId === state.activeId) return jar;
+
+    state.activeId = jar.contractId;
+    this.updateUrl();
+    this.notify();
+    return jar;
+  }
+
+  updateUrl() {
+    if (typeof window === 'undefined' || !window.history) return;
+
+    const activeId = this.getActive()?.contractId;
+    const url = new URL(window.location.href);
+    const isDefault = !activeId || activeId === getContractId();
+
+    if (this.usePathRouting) {
+      url.pathname = isDefault ? '/' : `/jar/${encodeURIComponent(activeId)}`;
+    } else if (isDefault) {
+      url.searchParams.delete('jar');
+    } else {
+      url.searchParams.set('jar', activeId);
+    }
+
+    window.history.replaceState(null, '', url);
+  }
+
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  notify() {
+    const jar = this.getActive();
+    this.listeners.forEach(cb => {
+      try {
+        cb(jar);
+      } catch (error) {
+        console.error('❌ Error in jar listener callback:', error);
+      }
+    });
+  }
+}
+
+export const jarRegistry = new JarRegistry();
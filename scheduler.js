@@ -0,0 +1,55 @@
+// scheduler.js - Bounded-concurrency request scheduler
+import { CONFIG } from './config.js';
+
+export class RequestScheduler {
+  constructor({ concurrency = 4, minInterval = 0 } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.minInterval = minInterval;
+    this.active = 0;
+    this.queue = [];
+    this.lastStart = 0;
+  }
+
+  // Runs `task` once a slot is free; resolves/rejects with its result
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    if (this.active >= this.concurrency || this.queue.length === 0) return;
+
+    const wait = this.lastStart + this.minInterval - Date.now();
+    if (wait > 0) {
+      if (!this.waitTimer) {
+        this.waitTimer = setTimeout(() => {
+          this.waitTimer = null;
+          this.next();
+        }, wait);
+      }
+      return;
+    }
+
+    const { task, resolve, reject } = this.queue.shift();
+    this.active++;
+    this.lastStart = Date.now();
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        this.active--;
+        this.next();
+      });
+
+    this.next();
+  }
+}
+
+// Shared by every jar so the API sees one bounded stream of requests
+export const requestScheduler = new RequestScheduler({
+  concurrency: CONFIG.API.MAX_CONCURRENT_REQUESTS,
+  minInterval: CONFIG.API.MIN_REQUEST_INTERVAL
+});
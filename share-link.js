@@ -0,0 +1,133 @@
+// share-link.js - Tip links that open the form prefilled, and their QR codes
+import { qrcode } from 'qrcode-generator';
+import { CONFIG } from './config.js';
+import { parseStx, microToStxString, formatStx, getTipLimits } from './amount.js';
+import { t } from './i18n.js';
+
+// ?jar=<contractId>&amount=2.5&message=... (the jar is read by registry.js)
+export const SHARE_PARAMS = {
+  JAR: 'jar',
+  AMOUNT: 'amount',
+  MESSAGE: 'message'
+};
+
+// Returns the µSTX amount, or throws when it's outside CONFIG.UI.MIN_TIP/MAX_TIP
+export function validateShareAmount(amountMicro) {
+  const { min, max } = getTipLimits();
+  if (amountMicro <= 0n || amountMicro < min) {
+    throw new Error(t('tip.minimum', { amount: formatStx(min, { minDecimals: 0 }) }));
+  }
+  if (amountMicro > max) {
+    throw new Error(t('tip.maximum', { amount: formatStx(max, { minDecimals: 0 }) }));
+  }
+  return amountMicro;
+}
+
+export function validateShareMessage(message) {
+  if (message.length > CONFIG.UI.MAX_MESSAGE_LENGTH) {
+    throw new Error(t('share.messageTooLong', { max: CONFIG.UI.MAX_MESSAGE_LENGTH }));
+  }
+  return message;
+}
+
+/**
+ * Prefill values from a tip link: { amountMicro, message, errors }. Invalid
+ * values come back as null with the reason in `errors`, so the rest of the
+ * link still applies.
+ */
+export function parseShareParams(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const result = { amountMicro: null, message: null, errors: [] };
+
+  const amount = params.get(SHARE_PARAMS.AMOUNT);
+  if (amount !== null && amount.trim() !== '') {
+    try {
+      // Links always use '.' as the decimal separator, whatever the locale
+      result.amountMicro = validateShareAmount(parseStx(amount.trim(), { locale: 'en' }));
+    } catch (error) {
+      result.errors.push(t('share.invalidAmount', { amount, reason: error.message }));
+    }
+  }
+
+  const message = params.get(SHARE_PARAMS.MESSAGE)?.trim();
+  if (message) {
+    try {
+      result.message = validateShareMessage(message);
+    } catch (error) {
+      result.errors.push(error.message);
+    }
+  }
+
+  return result;
+}
+
+// Absolute link to the app with the jar and any prefill values
+export function buildShareLink({ contractId, amountMicro = null, message = '' }, base = window.location.href) {
+  const url = new URL('/', base);
+  url.searchParams.set(SHARE_PARAMS.JAR, contractId);
+  if (amountMicro !== null) url.searchParams.set(SHARE_PARAMS.AMOUNT, microToStxString(amountMicro));
+  if (message) url.searchParams.set(SHARE_PARAMS.MESSAGE, message);
+  return url.toString();
+}
+
+// ============================================
+// QR CODES
+// ============================================
+
+// Smallest QR version that fits; throws when the text is too long for any
+function createQrCode(text) {
+  const qr = qrcode(0, CONFIG.SHARE.QR_ERROR_CORRECTION);
+  qr.addData(text, 'Byte'); // Links are ASCII after percent-encoding
+  qr.make();
+  return qr;
+}
+
+/**
+ * Standalone SVG markup, one unit per module plus the quiet zone. Vector
+ * output scales to slides and print without blurring.
+ */
+export function qrToSvg(text) {
+  const qr = createQrCode(text);
+  const margin = CONFIG.SHARE.QR_MARGIN;
+  const count = qr.getModuleCount();
+  const size = count + margin * 2;
+
+  let path = '';
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (qr.isDark(row, col)) path += `M${col + margin},${row + margin}h1v1h-1z`;
+    }
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">`,
+    `<rect width="${size}" height="${size}" fill="#ffffff"/>`,
+    `<path d="${path}" fill="#000000"/>`,
+    '</svg>'
+  ].join('');
+}
+
+// PNG blob about `size` pixels wide, rounded down to whole pixels per module
+export function qrToPng(text, size = CONFIG.SHARE.QR_PNG_SIZE) {
+  const qr = createQrCode(text);
+  const margin = CONFIG.SHARE.QR_MARGIN;
+  const count = qr.getModuleCount();
+  const scale = Math.max(1, Math.floor(size / (count + margin * 2)));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = (count + margin * 2) * scale;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = '#000000';
+
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (qr.isDark(row, col)) context.fillRect((col + margin) * scale, (row + margin) * scale, scale, scale);
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG export failed'))), 'image/png');
+  });
+}
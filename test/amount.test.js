@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { toMicro, parseStx, tryParseStx, microToStxString, formatStx, formatStxInput, getTipLimits } from '../amount.js';
+
+describe('toMicro', () => {
+  it('passes BigInt through and coerces integers and digit strings', () => {
+    expect(toMicro(5n)).toBe(5n);
+    expect(toMicro(290000)).toBe(290000n);
+    expect(toMicro(' 12 ')).toBe(12n);
+    expect(toMicro(null)).toBe(0n);
+  });
+
+  it('rejects fractions and anything else', () => {
+    expect(() => toMicro(1.5)).toThrow();
+    expect(() => toMicro('0.29')).toThrow();
+    expect(() => toMicro({})).toThrow();
+  });
+});
+
+describe('parseStx', () => {
+  it('parses without going through floats', () => {
+    expect(parseStx('0.29', { locale: 'en' })).toBe(290000n);
+    expect(parseStx('1', { locale: 'en' })).toBe(1_000_000n);
+    expect(parseStx('.5', { locale: 'en' })).toBe(500_000n);
+    expect(parseStx('123456789.123456', { locale: 'en' })).toBe(123_456_789_123_456n);
+  });
+
+  it("accepts the locale's decimal separator", () => {
+    expect(parseStx('1,5', { locale: 'de' })).toBe(1_500_000n);
+    expect(parseStx('1000', { locale: 'de' })).toBe(1_000_000_000n);
+  });
+
+  it("rejects '.' where the locale groups with it", () => {
+    // '1.000' is a thousand in German, never 1 STX
+    expect(() => parseStx('1.000', { locale: 'de' })).toThrow();
+    expect(() => parseStx('1.5', { locale: 'de' })).toThrow();
+    expect(() => parseStx('1.5', { locale: 'es' })).toThrow();
+    expect(parseStx('1.5', { locale: 'en' })).toBe(1_500_000n);
+  });
+
+  it('rejects grouping, exponents, signs and extra decimals', () => {
+    ['1,000.5', '1e6', '-1', '+1', '', '.', 'abc'].forEach(input => {
+      expect(() => parseStx(input, { locale: 'en' })).toThrow();
+    });
+    expect(() => parseStx('0.1234567', { locale: 'en' })).toThrow();
+    expect(() => parseStx('0.123', { decimals: 2, locale: 'en' })).toThrow();
+  });
+});
+
+describe('tryParseStx', () => {
+  it('returns null instead of throwing', () => {
+    expect(tryParseStx('2.5', { locale: 'en' })).toBe(2_500_000n);
+    expect(tryParseStx('nope', { locale: 'en' })).toBeNull();
+  });
+});
+
+describe('microToStxString', () => {
+  it('renders exact, locale-free decimals', () => {
+    expect(microToStxString(290000n)).toBe('0.29');
+    expect(microToStxString(1_000_000n)).toBe('1');
+    expect(microToStxString(1n)).toBe('0.000001');
+    expect(microToStxString(-1_500_000n)).toBe('-1.5');
+    expect(microToStxString('9007199254740993')).toBe('9007199254.740993');
+  });
+});
+
+describe('formatStxInput', () => {
+  it('writes what parseStx reads back in the same locale', () => {
+    expect(formatStxInput(1_500_000n, 'de')).toBe('1,5');
+    expect(formatStxInput(1_500_000n, 'en')).toBe('1.5');
+    expect(parseStx(formatStxInput(123_456n, 'de'), { locale: 'de' })).toBe(123_456n);
+  });
+});
+
+describe('formatStx', () => {
+  it('groups and separates per locale', () => {
+    expect(formatStx(1_234_500_000n, { locale: 'en' })).toBe('1,234.500000 STX');
+    expect(formatStx(1_234_500_000n, { locale: 'de' })).toBe('1.234,500000 STX');
+  });
+
+  it('rounds half up and trims to minDecimals', () => {
+    expect(formatStx(1_005_000n, { locale: 'en', minDecimals: 0, maxDecimals: 2 })).toBe('1.01 STX');
+    expect(formatStx(1_000_000n, { locale: 'en', minDecimals: 0, maxDecimals: 2, unit: false })).toBe('1');
+    expect(formatStx(999_999n, { locale: 'en', minDecimals: 2, maxDecimals: 2 })).toBe('1.00 STX');
+  });
+
+  it('keeps precision beyond Number range', () => {
+    expect(formatStx(2n ** 64n, { locale: 'en', unit: false })).toBe('18,446,744,073,709.551616');
+  });
+});
+
+describe('getTipLimits', () => {
+  it('reads CONFIG.UI limits as µSTX', () => {
+    const { min, max } = getTipLimits();
+    expect(typeof min).toBe('bigint');
+    expect(min > 0n && min < max).toBe(true);
+  });
+});
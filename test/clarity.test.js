@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  cvToHex,
+  uintCV,
+  intCV,
+  trueCV,
+  falseCV,
+  standardPrincipalCV,
+  contractPrincipalCV,
+  bufferCV,
+  stringAsciiCV,
+  stringUtf8CV,
+  listCV,
+  tupleCV,
+  noneCV,
+  someCV,
+  responseOkCV,
+  responseErrorCV
+} from '@stacks/transactions';
+import {
+  decodeClarityHex,
+  decodeClarityValue,
+  decodeReadOnlyResult,
+  toSafeNumber,
+  formatClarityJs
+} from '../clarity.js';
+
+const OWNER = 'ST3ZQXJPR493FCYNAVFX1YSK7EMT6JF909E3SDNQG';
+
+describe('decodeClarityValue', () => {
+  it('decodes integers as BigInt', () => {
+    expect(decodeClarityValue(cvToHex(uintCV(2n ** 100n)))).toBe(2n ** 100n);
+    expect(decodeClarityValue(cvToHex(intCV(-7)))).toBe(-7n);
+  });
+
+  it('decodes bools, principals, buffers and strings', () => {
+    expect(decodeClarityValue(cvToHex(trueCV()))).toBe(true);
+    expect(decodeClarityValue(cvToHex(falseCV()))).toBe(false);
+    expect(decodeClarityValue(cvToHex(standardPrincipalCV(OWNER)))).toBe(OWNER);
+    expect(decodeClarityValue(cvToHex(contractPrincipalCV(OWNER, 'tip-jar-v4')))).toBe(`${OWNER}.tip-jar-v4`);
+    expect(decodeClarityValue(cvToHex(bufferCV(Uint8Array.from([0, 15, 255]))))).toBe('0x000fff');
+    expect(decodeClarityValue(cvToHex(stringAsciiCV('hi')))).toBe('hi');
+    expect(decodeClarityValue(cvToHex(stringUtf8CV('¡olé! 🎉')))).toBe('¡olé! 🎉');
+  });
+
+  it('decodes lists, tuples, optionals and responses', () => {
+    const tuple = tupleCV({ 'tip-count': uintCV(3), tipper: standardPrincipalCV(OWNER), memo: noneCV() });
+    expect(decodeClarityValue(cvToHex(tuple))).toEqual({ 'tip-count': 3n, tipper: OWNER, memo: null });
+    expect(decodeClarityValue(cvToHex(listCV([uintCV(1), uintCV(2)])))).toEqual([1n, 2n]);
+    expect(decodeClarityValue(cvToHex(someCV(uintCV(9))))).toBe(9n);
+    expect(decodeClarityValue(cvToHex(responseOkCV(trueCV())))).toEqual({ ok: true, value: true });
+    expect(decodeClarityValue(cvToHex(responseErrorCV(uintCV(101))))).toEqual({ ok: false, error: 101n });
+  });
+
+  it('accepts hex with or without 0x', () => {
+    expect(decodeClarityValue(cvToHex(uintCV(5)).slice(2))).toBe(5n);
+  });
+
+  it('rejects empty and malformed hex', () => {
+    expect(() => decodeClarityHex('')).toThrow('Invalid Clarity hex');
+    expect(() => decodeClarityHex('0xzz')).toThrow('Invalid Clarity hex');
+  });
+});
+
+describe('decodeReadOnlyResult', () => {
+  it('unwraps (ok ...)', () => {
+    const response = { okay: true, result: cvToHex(responseOkCV(uintCV(42))) };
+    expect(decodeReadOnlyResult(response)).toBe(42n);
+  });
+
+  it('passes plain values through', () => {
+    expect(decodeReadOnlyResult({ okay: true, result: cvToHex(uintCV(7)) })).toBe(7n);
+  });
+
+  it('throws on (err ...) and failed evaluation', () => {
+    expect(() => decodeReadOnlyResult({ okay: true, result: cvToHex(responseErrorCV(uintCV(103))) }))
+      .toThrow('Contract returned error: u103');
+    expect(() => decodeReadOnlyResult({ okay: false, cause: 'NoSuchContract' })).toThrow('NoSuchContract');
+    expect(() => decodeReadOnlyResult(null)).toThrow();
+  });
+});
+
+describe('toSafeNumber', () => {
+  it('converts within the safe range and refuses beyond it', () => {
+    expect(toSafeNumber(12n)).toBe(12);
+    expect(toSafeNumber(null)).toBe(0);
+    expect(() => toSafeNumber(2n ** 53n)).toThrow();
+  });
+});
+
+describe('formatClarityJs', () => {
+  it('renders values the way Clarity prints them', () => {
+    expect(formatClarityJs(101n)).toBe('u101');
+    expect(formatClarityJs(null)).toBe('none');
+    expect(formatClarityJs({ amount: 5n })).toBe('{"amount":"5"}');
+  });
+});
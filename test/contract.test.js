@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { cvToHex, uintCV } from '@stacks/transactions';
+import { CONFIG, getContractId } from '../config.js';
+import { ContractManager } from '../contract.js';
+import { MockChain } from '../mock/chain.js';
+import { createMockApiHandler } from '../mock/api-plugin.js';
+import { routeFetch } from './mock-api.js';
+
+const OWNER = CONFIG.MOCK.WALLET_ADDRESS;
+const TIPPER = 'ST2CY5V39NHDPWSXMW9QDT3HC3GD6Q6XX4CFRK9AG';
+
+describe('ContractManager stats', () => {
+  const contractId = getContractId();
+  let chain;
+  let api;
+
+  // Read-only calls to `functionName` answered by `respond` instead of the chain
+  function intercept(functionName, respond) {
+    vi.stubGlobal('fetch', async (input, init) => {
+      const { pathname } = new URL(String(input));
+      if (pathname.includes('/call-read/') && pathname.endsWith(`/${functionName}`)) {
+        return respond();
+      }
+      return api(input, init);
+    });
+  }
+
+  beforeEach(() => {
+    chain = new MockChain({ blockTime: 60_000 });
+    api = routeFetch(createMockApiHandler(chain));
+    vi.stubGlobal('fetch', api);
+
+    chain.submit({
+      sender: TIPPER,
+      contractId,
+      functionName: 'send-tip',
+      functionArgs: [cvToHex(uintCV(4_000_000))],
+      postConditionMode: 'allow'
+    });
+    chain.mine();
+  });
+
+  afterEach(() => {
+    chain.reset();
+    vi.unstubAllGlobals();
+  });
+
+  it('keeps loaded history when stats are force-refreshed', async () => {
+    const contract = new ContractManager(contractId, OWNER, 'testnet');
+    await contract.getHistory(10);
+    expect(contract.cache.history).toHaveLength(1);
+
+    const stats = await contract.getStats('testnet', true);
+    expect(stats.balanceMicro).toBe(4_000_000n);
+    expect(contract.cache.history).toHaveLength(1);
+  });
+
+  it('falls back to individual calls only when the summary function is missing', async () => {
+    intercept('get-contract-summary', () => Response.json({
+      okay: false,
+      cause: `Unchecked(NoSuchPublicFunction("${contractId}", "get-contract-summary"))`
+    }));
+
+    const contract = new ContractManager(contractId, OWNER, 'testnet');
+    const stats = await contract.getStats('testnet', true);
+    expect(stats).toMatchObject({ balanceMicro: 4_000_000n, totalTippers: 1, owner: OWNER });
+    expect(contract.supportsSummary).toBe(false);
+  });
+
+  it('reports a failing summary instead of an empty jar', async () => {
+    intercept('get-contract-summary', () => Response.json({ okay: false, cause: 'Runtime(ExecutionTimeExpired)' }));
+
+    const contract = new ContractManager(contractId, OWNER, 'testnet');
+    await expect(contract.getStats('testnet', true)).rejects.toThrow('ExecutionTimeExpired');
+    expect(contract.cache.balanceMicro).toBeNull();
+  });
+});
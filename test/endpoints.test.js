@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CONFIG } from '../config.js';
+import { EndpointPool, parseRetryAfter } from '../endpoints.js';
+
+const PRIMARY = 'https://primary.example';
+const BACKUP = 'https://backup.example';
+
+describe('parseRetryAfter', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('reads seconds or an HTTP date as ms from now', () => {
+    vi.useFakeTimers({ now: Date.parse('2024-03-01T12:00:00Z') });
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter('Fri, 01 Mar 2024 12:00:10 GMT')).toBe(10_000);
+    expect(parseRetryAfter('Fri, 01 Mar 2024 11:00:00 GMT')).toBe(0);
+    expect(parseRetryAfter('soon')).toBeNull();
+    expect(parseRetryAfter(null)).toBeNull();
+  });
+});
+
+describe('EndpointPool', () => {
+  let pool;
+  let answers; // Per endpoint origin, a queue of Responses or Errors
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    pool = new EndpointPool('testnet', [`${PRIMARY}/`, BACKUP]);
+    answers = { [PRIMARY]: [], [BACKUP]: [] };
+    vi.stubGlobal('fetch', vi.fn(async input => {
+      const answer = answers[new URL(String(input)).origin].shift();
+      if (answer instanceof Error) throw answer;
+      return answer ?? Response.json({ ok: true });
+    }));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('fails over on server and network errors', async () => {
+    answers[PRIMARY].push(new Response('down', { status: 503 }));
+
+    const response = await pool.fetch('/v2/info');
+    expect(response.ok).toBe(true);
+    expect(fetch).toHaveBeenLastCalledWith(`${BACKUP}/v2/info`, expect.anything());
+    expect(pool.getActive()).toBe(BACKUP);
+    expect(pool.getStatus().endpoints.find(endpoint => endpoint.url === PRIMARY))
+      .toMatchObject({ available: false, lastError: 'HTTP 503' });
+
+    answers[BACKUP].push(new TypeError('Failed to fetch'));
+    await vi.advanceTimersByTimeAsync(CONFIG.API.RETRY.BASE_DELAY);
+    await expect(pool.fetch('/v2/info')).resolves.toMatchObject({ ok: true });
+    expect(fetch).toHaveBeenLastCalledWith(`${PRIMARY}/v2/info`, expect.anything());
+  });
+
+  it('returns client errors as they are', async () => {
+    answers[PRIMARY].push(Response.json({ error: 'not found' }, { status: 404 }));
+
+    const response = await pool.fetch('/extended/v1/tx/0x00');
+    expect(response.status).toBe(404);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(pool.getActive()).toBe(PRIMARY);
+  });
+
+  it('holds a rate-limited endpoint back for its Retry-After', async () => {
+    answers[PRIMARY].push(new Response('slow down', { status: 429, headers: { 'Retry-After': '20' } }));
+
+    await pool.fetch('/v2/info');
+    expect(pool.getActive()).toBe(BACKUP);
+
+    await vi.advanceTimersByTimeAsync(19_000);
+    expect(pool.getStatus().endpoints.find(endpoint => endpoint.url === PRIMARY).available).toBe(false);
+    await vi.advanceTimersByTimeAsync(1_000);
+    expect(pool.getStatus().endpoints.find(endpoint => endpoint.url === PRIMARY).available).toBe(true);
+  });
+
+  it('gives up with the last error once every attempt has failed', async () => {
+    for (let i = 0; i < CONFIG.API.RETRY.MAX_ATTEMPTS; i++) {
+      answers[PRIMARY].push(new Response('down', { status: 502 }));
+      answers[BACKUP].push(new Response('down', { status: 502 }));
+    }
+
+    const result = expect(pool.fetch('/v2/info')).rejects.toThrow(/Server error 502/);
+    await vi.runAllTimersAsync();
+    await result;
+    expect(fetch).toHaveBeenCalledTimes(CONFIG.API.RETRY.MAX_ATTEMPTS);
+  });
+});
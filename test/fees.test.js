@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { cvToHex, uintCV } from '@stacks/transactions';
+import { CONFIG } from '../config.js';
+import { estimateContractCallFees } from '../fees.js';
+
+const ADDRESS = 'ST3ZQXJPR493FCYNAVFX1YSK7EMT6JF909E3SDNQG';
+
+// Estimates are cached per call shape, so every test prices its own jar
+let jarCount = 0;
+function tipCall() {
+  jarCount += 1;
+  return { contract: `${ADDRESS}.fee-jar-${jarCount}`, functionName: 'send-tip', functionArgs: [cvToHex(uintCV(1_000_000))] };
+}
+
+describe('estimateContractCallFees', () => {
+  let answers;
+  let fetchFees;
+
+  // Each /v2/fees/transaction request takes the next answer: a
+  // [status, body] pair
+  beforeEach(() => {
+    answers = [];
+    fetchFees = vi.fn(async () => {
+      const [status, body] = answers.shift();
+      return Response.json(body, { status });
+    });
+    vi.stubGlobal('fetch', fetchFees);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('never lets a higher tier cost less than a lower one', async () => {
+    answers.push([200, { estimations: [{ fee: 500 }, { fee: 300 }, { fee: 900 }] }]);
+
+    const { fees, source } = await estimateContractCallFees(tipCall(), 'testnet');
+    expect(source).toBe('node');
+    expect(fees).toEqual({ low: 500n, standard: 500n, high: 900n });
+
+    const [, init] = fetchFees.mock.calls[0];
+    expect(JSON.parse(init.body)).toMatchObject({ transaction_payload: expect.stringMatching(/^[0-9a-f]+$/) });
+  });
+
+  it('reuses a node estimate for calls of the same shape', async () => {
+    answers.push([200, { estimations: [{ fee: 1 }, { fee: 2 }, { fee: 3 }] }]);
+    const call = tipCall();
+
+    await estimateContractCallFees(call, 'testnet');
+    const again = await estimateContractCallFees({ ...call, functionArgs: [cvToHex(uintCV(2_000_000))] }, 'testnet');
+    expect(again).toEqual({ fees: { low: 1n, standard: 2n, high: 3n }, source: 'node' });
+    expect(fetchFees).toHaveBeenCalledTimes(1);
+  });
+
+  it('falls back without caching when the node has no estimate', async () => {
+    answers.push([400, { error: 'NoEstimateAvailable' }]);
+    answers.push([200, { estimations: [{ fee: 1 }] }]);
+    answers.push([200, { estimations: [{ fee: 4 }, { fee: 5 }, { fee: 6 }] }]);
+    const call = tipCall();
+
+    expect(await estimateContractCallFees(call, 'testnet')).toEqual({ fees: CONFIG.FEES.FALLBACK, source: 'fallback' });
+    expect(await estimateContractCallFees(call, 'testnet')).toEqual({ fees: CONFIG.FEES.FALLBACK, source: 'fallback' });
+    expect(await estimateContractCallFees(call, 'testnet')).toEqual({ fees: { low: 4n, standard: 5n, high: 6n }, source: 'node' });
+    expect(fetchFees).toHaveBeenCalledTimes(3);
+  });
+
+  it('falls back instead of rejecting when the call cannot be serialized', async () => {
+    const call = { ...tipCall(), functionArgs: ['not hex'] };
+
+    await expect(estimateContractCallFees(call, 'testnet')).resolves.toEqual({ fees: CONFIG.FEES.FALLBACK, source: 'fallback' });
+    await expect(estimateContractCallFees({ contract: 'nope', functionName: 'send-tip' }, 'testnet')).resolves.toMatchObject({ source: 'fallback' });
+    expect(fetchFees).not.toHaveBeenCalled();
+  });
+});
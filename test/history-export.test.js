@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { formatTips, EXPORT_FORMATS } from '../history-export.js';
+
+const CONTRACT_ID = 'ST3ZQXJPR493FCYNAVFX1YSK7EMT6JF909E3SDNQG.tip-jar-v4';
+const TIPPER = 'ST2CY5V39NHDPWSXMW9QDT3HC3GD6Q6XX4CFRK9AG';
+
+// 2024-03-01T12:00:00Z and 2024-03-02T08:30:00Z
+const rows = [
+  { txId: '0xaaa', tipper: TIPPER, amountMicro: 1_500_000n, blockHeight: 100, timestamp: 1709294400, message: null },
+  {
+    txId: '0xbbb',
+    tipper: TIPPER,
+    amountMicro: 9_007_199_254_740_993n,
+    blockHeight: 105,
+    timestamp: 1709368200,
+    message: '=SUM(A1) says "thanks", <3 & more\nline two'
+  }
+];
+
+const meta = {
+  contractId: CONTRACT_ID,
+  network: 'testnet',
+  filters: {},
+  exportedAt: 1709380800, // 2024-03-02T12:00:00Z
+  balanceMicro: 250_000n
+};
+
+describe('formatTips', () => {
+  it('names the file after the jar, network and export day', () => {
+    const file = formatTips(EXPORT_FORMATS.CSV, rows, meta);
+    expect(file.filename).toBe('tip-jar-v4-testnet-tips-2024-03-02.csv');
+    expect(file.mimeType).toBe('text/csv;charset=utf-8');
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => formatTips('xlsx', rows, meta)).toThrow('Unsupported export format');
+  });
+});
+
+describe('CSV', () => {
+  const lines = formatTips(EXPORT_FORMATS.CSV, rows, meta).content.split('\r\n');
+
+  it('writes a header and one CRLF-terminated line per tip', () => {
+    expect(lines[0]).toBe('tx_id,tipper,amount_stx,amount_ustx,block_height,timestamp,message');
+    expect(lines[1]).toBe(`0xaaa,${TIPPER},1.5,1500000,100,2024-03-01T12:00:00.000Z,`);
+    expect(lines.at(-1)).toBe('');
+  });
+
+  it('keeps µSTX exact and defuses formulas before quoting', () => {
+    const line = lines.slice(2, -1).join('\r\n');
+    expect(line).toContain(',9007199254.740993,9007199254740993,');
+    expect(line).toContain('"\'=SUM(A1) says ""thanks"", <3 & more\nline two"');
+  });
+});
+
+describe('OFX', () => {
+  const content = formatTips(EXPORT_FORMATS.OFX, rows, meta).content;
+
+  it('writes an OFX 1.0.2 SGML statement for the jar', () => {
+    expect(content.startsWith('OFXHEADER:100\nDATA:OFXSGML\nVERSION:102\n')).toBe(true);
+    expect(content).toContain('<CURDEF>XXX');
+    expect(content).toContain('<ACCTID>tip-jar-v4<ACCTTYPE>CHECKING');
+    expect(content).toContain('<DTSTART>20240301120000[0:GMT]<DTEND>20240302083000[0:GMT]');
+    expect(content).toContain('<LEDGERBAL><BALAMT>0.25<DTASOF>20240302120000[0:GMT]</LEDGERBAL>');
+  });
+
+  it('writes one CREDIT per tip with escaped, single-line text', () => {
+    expect(content.match(/<STMTTRN>/g)).toHaveLength(2);
+    expect(content).toContain('<TRNAMT>1.5\n');
+    expect(content).toContain(`<FITID>${CONTRACT_ID}-0xbbb`);
+    expect(content).toContain('<MEMO>=SUM(A1) says "thanks", &lt;3 &amp; more line two');
+  });
+});
+
+describe('QIF', () => {
+  const content = formatTips(EXPORT_FORMATS.QIF, rows, meta).content;
+
+  it('writes a bank register with MM/DD/YYYY dates', () => {
+    expect(content).toBe([
+      '!Type:Bank',
+      'D03/01/2024',
+      'T1.5',
+      `P${TIPPER}`,
+      'N0xaaa',
+      '^',
+      'D03/02/2024',
+      'T9007199254.740993',
+      `P${TIPPER}`,
+      'M=SUM(A1) says "thanks", <3 & more line two',
+      'N0xbbb',
+      '^',
+      ''
+    ].join('\n'));
+  });
+
+  it('dates undated tips with the export time', () => {
+    const undated = [{ ...rows[0], timestamp: null }];
+    expect(formatTips(EXPORT_FORMATS.QIF, undated, meta).content).toContain('D03/02/2024');
+  });
+});
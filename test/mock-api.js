@@ -0,0 +1,31 @@
+// test/mock-api.js - fetch() answered by the mock API middleware, as the
+// Vite dev server would
+import { Readable } from 'node:stream';
+import { getMockApiBase } from '../config.js';
+
+export function routeFetch(handler) {
+  const base = new URL(getMockApiBase());
+
+  return async (input, init = {}) => {
+    const url = new URL(String(input));
+    if (url.origin !== base.origin || !url.pathname.startsWith(base.pathname)) {
+      throw new Error(`Unexpected fetch: ${url}`);
+    }
+
+    const req = Readable.from(init.body ? [String(init.body)] : []);
+    req.method = init.method || 'GET';
+    req.url = url.pathname.slice(base.pathname.length) + url.search;
+
+    return new Promise(resolve => {
+      const headers = {};
+      const res = {
+        statusCode: 200,
+        setHeader: (name, value) => {
+          headers[name] = value;
+        },
+        end: body => resolve(new Response(body, { status: res.statusCode, headers }))
+      };
+      handler(req, res, () => resolve(new Response('{"error":"no route"}', { status: 404 })));
+    });
+  };
+}
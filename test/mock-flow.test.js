@@ -0,0 +1,97 @@
+// Tip, mine and read back through the same pieces `npm run dev:mock` uses:
+// walletManager -> MockAdapter -> mock wallet provider -> mock API -> MockChain
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CONFIG, getContractId, getMockApiBase } from '../config.js';
+import { walletManager } from '../wallet.js';
+import { ContractManager } from '../contract.js';
+import { ERROR_CODES } from '../errors.js';
+import { MockChain } from '../mock/chain.js';
+import { createMockApiHandler } from '../mock/api-plugin.js';
+import { installMockWallet } from '../mock/wallet-provider.js';
+import { routeFetch } from './mock-api.js';
+
+const OWNER = CONFIG.MOCK.WALLET_ADDRESS;
+const TIPPER = 'ST2CY5V39NHDPWSXMW9QDT3HC3GD6Q6XX4CFRK9AG';
+
+describe('mock tip flow', () => {
+  let chain;
+  let wallet;
+  const contractId = getContractId();
+
+  beforeEach(async () => {
+    // Blocks are mined by the tests, never by the timer
+    chain = new MockChain({ blockTime: 60_000 });
+    vi.stubGlobal('fetch', routeFetch(createMockApiHandler(chain)));
+    wallet = installMockWallet({ address: TIPPER, apiBase: getMockApiBase() });
+  });
+
+  afterEach(() => {
+    walletManager.disconnect();
+    chain.reset();
+    vi.unstubAllGlobals();
+  });
+
+  it('sends a tip that shows up in stats and history once mined', async () => {
+    await walletManager.connect('mock');
+    expect(walletManager.address).toBe(TIPPER);
+
+    const { txId } = await walletManager.sendTip(2_500_000n, contractId);
+    expect(chain.getTx(txId).tx_status).toBe('pending');
+
+    chain.mine();
+    expect(chain.getTx(txId)).toMatchObject({ tx_status: 'success', tx_result: { repr: expect.stringMatching(/^\(ok/) } });
+
+    const contract = new ContractManager(contractId, OWNER, 'testnet');
+    const stats = await contract.getStats('testnet', true);
+    expect(stats.balanceMicro).toBe(2_500_000n);
+
+    const history = await contract.getHistory(10);
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ tipper: TIPPER, amountMicro: 2_500_000n, hasMessage: false });
+  });
+
+  it('prints the message of a tip with message', async () => {
+    await walletManager.connect('mock');
+    const { txId } = await walletManager.sendTipWithMessage(1_000_000n, 'gm from the tests', contractId);
+    chain.mine();
+
+    const { results } = chain.getEvents(contractId);
+    expect(results.some(event => event.tx_id === txId && event.contract_log.value.repr.includes('gm from the tests'))).toBe(true);
+  });
+
+  it('reports a declined request as CANCELLED and broadcasts nothing', async () => {
+    await walletManager.connect('mock');
+    wallet.failNext();
+
+    await expect(walletManager.sendTip(1_000_000n, contractId)).rejects.toMatchObject({ code: ERROR_CODES.CANCELLED });
+    expect(chain.mempool).toHaveLength(0);
+  });
+
+  it('refuses owner-only calls from other wallets before signing', async () => {
+    await walletManager.connect('mock');
+
+    await expect(walletManager.withdraw(contractId, OWNER, TIPPER, 1_000_000n))
+      .rejects.toMatchObject({ code: ERROR_CODES.NOT_OWNER, params: { kind: 'withdraw' } });
+    expect(chain.mempool).toHaveLength(0);
+  });
+
+  it('withdraws exactly the balance read before signing', async () => {
+    await walletManager.connect('mock');
+    await walletManager.sendTip(3_000_000n, contractId);
+    chain.mine();
+
+    wallet.setAddress(OWNER);
+    await walletManager.connect('mock');
+
+    // A tip landed after the owner read 1 STX: the post-condition blocks it
+    const stale = await walletManager.withdraw(contractId, OWNER, OWNER, 1_000_000n);
+    chain.mine();
+    expect(chain.getTx(stale.txId).tx_status).toBe('abort_by_post_condition');
+    expect(chain.balanceOf(contractId)).toBe(3_000_000n);
+
+    const fresh = await walletManager.withdraw(contractId, OWNER, OWNER, 3_000_000n);
+    chain.mine();
+    expect(chain.getTx(fresh.txId).tx_status).toBe('success');
+    expect(chain.balanceOf(contractId)).toBe(0n);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { cvToHex, uintCV } from '@stacks/transactions';
+import { CONFIG, getContractId, storage } from '../config.js';
+import { PendingTxStore, pendingTxStore } from '../pending-txs.js';
+import { txTracker, TX_STATUS } from '../tx-tracker.js';
+import { uiController } from '../ui.js';
+import { MockChain } from '../mock/chain.js';
+import { createMockApiHandler } from '../mock/api-plugin.js';
+import { routeFetch } from './mock-api.js';
+
+const STORAGE_KEY = 'stacks_pending_txs';
+const TIPPER = 'ST2CY5V39NHDPWSXMW9QDT3HC3GD6Q6XX4CFRK9AG';
+const HOUR = 60 * 60 * 1000;
+
+// '0x…01', '0x…02', … in submit order
+const txId = n => `0x${String(n).padStart(64, '0')}`;
+
+function addTx(store, n, status = TX_STATUS.PENDING) {
+  store.add({ txId: txId(n), kind: 'tip', amountMicro: 1_000_000n, network: 'testnet', submittedAt: n * 1000 });
+  if (status !== TX_STATUS.PENDING) {
+    store.handleTrackerUpdate({ txId: txId(n), status, blockHeight: 10, result: '(ok true)' });
+  }
+}
+
+describe('PendingTxStore', () => {
+  const { MAX_ENTRIES } = CONFIG.PENDING_TXS;
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    CONFIG.PENDING_TXS.MAX_ENTRIES = MAX_ENTRIES;
+  });
+
+  it('keeps amounts as BigInt across a reload', () => {
+    addTx(new PendingTxStore(), 1);
+
+    const reloaded = new PendingTxStore();
+    expect(reloaded.get(txId(1))).toMatchObject({ amountMicro: 1_000_000n, status: TX_STATUS.PENDING });
+  });
+
+  it('follows tracker updates for its own entries only', () => {
+    const store = new PendingTxStore();
+    addTx(store, 1);
+
+    store.handleTrackerUpdate({ txId: txId(1), status: TX_STATUS.SUCCESS, blockHeight: 42, result: '(ok true)' });
+    store.handleTrackerUpdate({ txId: txId(2), status: TX_STATUS.SUCCESS, blockHeight: 42, result: '(ok true)' });
+
+    expect(store.get(txId(1))).toMatchObject({ status: TX_STATUS.SUCCESS, blockHeight: 42 });
+    expect(store.list()).toHaveLength(1);
+    expect(store.listUnfinished()).toHaveLength(0);
+  });
+
+  it('evicts the oldest finished entries first and never unfinished ones', () => {
+    CONFIG.PENDING_TXS.MAX_ENTRIES = 3;
+    const store = new PendingTxStore();
+    addTx(store, 1, TX_STATUS.SUCCESS);
+    addTx(store, 2, TX_STATUS.DROPPED);
+    addTx(store, 3);
+    addTx(store, 4);
+    expect(store.list().map(entry => entry.txId)).toEqual([txId(4), txId(3), txId(2)]);
+
+    addTx(store, 5);
+    addTx(store, 6);
+    expect(store.list().map(entry => entry.txId)).toEqual([txId(6), txId(5), txId(4), txId(3)]);
+  });
+
+  it('expires finished entries after KEEP_FINISHED but not unfinished ones', () => {
+    const old = Date.now() - CONFIG.PENDING_TXS.KEEP_FINISHED - HOUR;
+    const row = { kind: 'tip', amountMicro: '1000000', network: 'testnet', contractId: null, submittedAt: old, blockHeight: null, result: null, updatedAt: old };
+    storage.set(STORAGE_KEY, [
+      { ...row, txId: txId(1), status: TX_STATUS.SUCCESS },
+      { ...row, txId: txId(2), status: TX_STATUS.MEMPOOL },
+      { ...row, txId: txId(3), status: TX_STATUS.PENDING, amountMicro: 'not a number' }
+    ]);
+
+    const store = new PendingTxStore();
+    expect(store.list().map(entry => entry.txId)).toEqual([txId(2)]);
+  });
+});
+
+describe('resumePendingTransactions', () => {
+  const contractId = getContractId();
+  let chain;
+
+  beforeEach(() => {
+    localStorage.clear();
+    chain = new MockChain({ blockTime: 60_000 });
+    vi.stubGlobal('fetch', routeFetch(createMockApiHandler(chain)));
+    // The page isn't rendered; only the toasts and the store are checked
+    vi.spyOn(uiController, 'refreshStats').mockResolvedValue();
+    vi.spyOn(uiController, 'refreshHistory').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    txTracker.stopAll();
+    chain.reset();
+    localStorage.clear();
+    pendingTxStore.load();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('tracks what was unfinished at the last visit from its original submit time', async () => {
+    const minedTxId = chain.submit({
+      sender: TIPPER,
+      contractId,
+      functionName: 'send-tip',
+      functionArgs: [cvToHex(uintCV(2_000_000))],
+      postConditionMode: 'allow'
+    });
+    chain.mine();
+
+    const submittedAt = Date.now() - HOUR;
+    const row = { kind: 'tip', amountMicro: '2000000', network: 'testnet', contractId, submittedAt, blockHeight: null, result: null, updatedAt: submittedAt };
+    storage.set(STORAGE_KEY, [
+      { ...row, txId: minedTxId, status: TX_STATUS.MEMPOOL },
+      { ...row, txId: txId(1), status: TX_STATUS.SUCCESS, blockHeight: 3 }
+    ]);
+    pendingTxStore.load();
+
+    const track = vi.spyOn(uiController, 'trackTransaction');
+    const showStatus = vi.spyOn(uiController, 'showStatus');
+    uiController.resumePendingTransactions();
+
+    expect(track).toHaveBeenCalledTimes(1);
+    expect(track).toHaveBeenCalledWith(minedTxId, expect.objectContaining({ submittedAt, amountMicro: 2_000_000n }));
+    expect(showStatus).toHaveBeenCalledWith(expect.stringContaining('1 transaction'), 'info', { key: 'pending-resume' });
+
+    await vi.waitFor(() => expect(pendingTxStore.get(minedTxId).status).toBe(TX_STATUS.SUCCESS));
+    expect(pendingTxStore.get(minedTxId)).toMatchObject({ blockHeight: chain.getTx(minedTxId).block_height, submittedAt });
+  });
+
+  it('does nothing when every saved transaction is final', () => {
+    const at = Date.now();
+    storage.set(STORAGE_KEY, [
+      { txId: txId(1), kind: 'tip', amountMicro: null, network: 'testnet', contractId, submittedAt: at, status: TX_STATUS.DROPPED, blockHeight: null, result: null, updatedAt: at }
+    ]);
+    pendingTxStore.load();
+
+    const showStatus = vi.spyOn(uiController, 'showStatus');
+    uiController.resumePendingTransactions();
+    expect(showStatus).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,17 @@
+// test/setup.js - The browser globals config.js and i18n.js read. The page
+// is opened with ?mock=1, so endpoints and the wallet list are the mock ones.
+const store = new Map();
+
+globalThis.localStorage = {
+  getItem: key => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: key => store.delete(key),
+  clear: () => store.clear()
+};
+
+globalThis.window = {
+  location: new URL('http://localhost:8000/?mock=1'),
+  localStorage: globalThis.localStorage,
+  addEventListener() {},
+  removeEventListener() {}
+};
@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CONFIG } from '../config.js';
+import { TxTracker, TX_STATUS } from '../tx-tracker.js';
+
+const TX_ID = `0x${'ab'.repeat(32)}`;
+const HOUR = 60 * 60 * 1000;
+
+describe('TxTracker', () => {
+  let tracker;
+  let apiTx; // What /extended/v1/tx answers; null is a 404
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    tracker = new TxTracker();
+    apiTx = null;
+    vi.stubGlobal('fetch', vi.fn(async input => {
+      expect(new URL(String(input)).pathname).toMatch(/\/extended\/v1\/tx\//);
+      return apiTx ? Response.json(apiTx) : Response.json({ error: 'not found' }, { status: 404 });
+    }));
+  });
+
+  afterEach(() => {
+    tracker.stopAll();
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('follows a transaction from mempool to its block', async () => {
+    const updates = [];
+    const done = tracker.track(TX_ID, { network: 'testnet', onUpdate: record => updates.push(record.status) });
+
+    apiTx = { tx_status: 'pending' };
+    await vi.advanceTimersByTimeAsync(0);
+    apiTx = { tx_status: 'success', block_height: 7, tx_result: { repr: '(ok true)' } };
+    await vi.advanceTimersByTimeAsync(CONFIG.TX.POLLING_INTERVAL);
+
+    await expect(done).resolves.toMatchObject({ status: TX_STATUS.SUCCESS, blockHeight: 7, result: '(ok true)' });
+    expect(updates).toEqual([TX_STATUS.PENDING, TX_STATUS.MEMPOOL, TX_STATUS.SUCCESS]);
+    expect(tracker.get(TX_ID)).toBeNull();
+  });
+
+  it('gives a resumed transaction the full timeout to show up', async () => {
+    const done = tracker.track(TX_ID, { network: 'testnet', submittedAt: Date.now() - HOUR });
+
+    await vi.advanceTimersByTimeAsync(CONFIG.TX.POLLING_INTERVAL);
+    expect(tracker.get(TX_ID)).toMatchObject({ status: TX_STATUS.PENDING });
+
+    apiTx = { tx_status: 'success', block_height: 9, tx_result: { repr: '(ok true)' } };
+    await vi.advanceTimersByTimeAsync(CONFIG.TX.POLLING_INTERVAL);
+    await expect(done).resolves.toMatchObject({ status: TX_STATUS.SUCCESS, blockHeight: 9 });
+  });
+
+  it('drops a transaction the API never sees once the timeout has passed', async () => {
+    const done = tracker.track(TX_ID, { network: 'testnet' });
+
+    await vi.advanceTimersByTimeAsync(CONFIG.TX.TIMEOUT - CONFIG.TX.POLLING_INTERVAL);
+    expect(tracker.get(TX_ID)).toMatchObject({ status: TX_STATUS.PENDING });
+
+    await vi.advanceTimersByTimeAsync(2 * CONFIG.TX.POLLING_INTERVAL);
+    await expect(done).resolves.toMatchObject({ status: TX_STATUS.DROPPED });
+  });
+});
@@ -0,0 +1,246 @@
+// tx-tracker.js - Follows submitted transactions until they confirm on-chain
+import { CONFIG, getActiveNetwork } from './config.js';
+import { apiFetch } from './endpoints.js';
+import { t } from './i18n.js';
+
+export const TX_STATUS = {
+  PENDING: 'pending',               // Signed, not yet visible to the API
+  MEMPOOL: 'in-mempool',            // Seen by the API, waiting for a block
+  CONFIRMING: 'confirming',         // Mined, short of CONFIG.TX.CONFIRMATION_BLOCKS
+  SUCCESS: 'success',
+  ABORT_BY_RESPONSE: 'abort_by_response',
+  ABORT_BY_POST_CONDITION: 'abort_by_post_condition',
+  DROPPED: 'dropped'
+};
+
+const FINAL_STATUSES = [
+  TX_STATUS.SUCCESS,
+  TX_STATUS.ABORT_BY_RESPONSE,
+  TX_STATUS.ABORT_BY_POST_CONDITION,
+  TX_STATUS.DROPPED
+];
+
+// Error constants from tip-jar-v4.clar; 'tx.contractError' names each one
+const CONTRACT_ERRORS = ['u100', 'u101', 'u102', 'u103', 'u401'];
+
+export function isFinalStatus(status) {
+  return FINAL_STATUSES.includes(status);
+}
+
+export function normalizeTxId(txId) {
+  if (!txId) return txId;
+  return txId.startsWith('0x') ? txId : `0x${txId}`;
+}
+
+export function getExplorerTxUrl(txId, network = getActiveNetwork()) {
+  return `https://explorer.hiro.so/txid/${normalizeTxId(txId)}?chain=${network}`;
+}
+
+export function describeTxResult(repr) {
+  if (!repr) return '';
+  const match = repr.match(/\(err (u\d+)\)/);
+  if (match && CONTRACT_ERRORS.includes(match[1])) {
+    return `${t('tx.contractError', { code: match[1] })} ${match[0]}`;
+  }
+  return repr;
+}
+
+// Maps an API tx_status onto our lifecycle
+function mapApiStatus(apiStatus) {
+  if (apiStatus === 'pending') return TX_STATUS.MEMPOOL;
+  if (apiStatus === 'success') return TX_STATUS.SUCCESS;
+  if (apiStatus === 'abort_by_response') return TX_STATUS.ABORT_BY_RESPONSE;
+  if (apiStatus === 'abort_by_post_condition') return TX_STATUS.ABORT_BY_POST_CONDITION;
+  if (apiStatus && apiStatus.startsWith('dropped')) return TX_STATUS.DROPPED;
+  return TX_STATUS.PENDING;
+}
+
+export class TxTracker {
+  constructor() {
+    this.tracked = new Map();
+    this.listeners = [];
+  }
+
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  notify(record) {
+    this.listeners.forEach(cb => {
+      try {
+        cb({ ...record });
+      } catch (error) {
+        console.error('❌ Error in tx listener callback:', error);
+      }
+    });
+  }
+
+  get(txId) {
+    const entry = this.tracked.get(normalizeTxId(txId));
+    return entry ? { ...entry.record } : null;
+  }
+
+  list() {
+    return Array.from(this.tracked.values()).map(entry => ({ ...entry.record }));
+  }
+
+  /**
+   * Polls the Stacks API until the transaction reaches a final status.
+   * Resolves with the final record; `onUpdate` fires on every status change.
+   * `submittedAt` is earlier than now when tracking resumes after a reload.
+   * One the API doesn't know yet gets CONFIG.TX.TIMEOUT from when tracking
+   * starts, so a resumed transaction isn't dropped on its first lookup.
+   */
+  track(txId, { network = getActiveNetwork(), kind = 'tip', meta = {}, onUpdate = null, submittedAt = Date.now() } = {}) {
+    const id = normalizeTxId(txId);
+
+    if (this.tracked.has(id)) {
+      return this.tracked.get(id).promise;
+    }
+
+    const record = {
+      txId: id,
+      kind,
+      network,
+      meta,
+      status: TX_STATUS.PENDING,
+      submittedAt,
+      updatedAt: Date.now(),
+      blockHeight: null,
+      confirmations: null,
+      result: null,
+      explorerUrl: getExplorerTxUrl(id, network)
+    };
+
+    const entry = { record, timer: null, onUpdate, resolve: null, trackedAt: Date.now() };
+    entry.promise = new Promise(resolve => {
+      entry.resolve = resolve;
+    });
+
+    this.tracked.set(id, entry);
+    console.log('👀 Tracking transaction:', id);
+
+    this.emit(entry);
+    this.schedule(entry, 0);
+    return entry.promise;
+  }
+
+  stop(txId) {
+    const entry = this.tracked.get(normalizeTxId(txId));
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    this.tracked.delete(entry.record.txId);
+  }
+
+  stopAll() {
+    Array.from(this.tracked.keys()).forEach(txId => this.stop(txId));
+  }
+
+  schedule(entry, delay = CONFIG.TX.POLLING_INTERVAL) {
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => this.poll(entry), delay);
+  }
+
+  emit(entry) {
+    if (entry.onUpdate) {
+      try {
+        entry.onUpdate({ ...entry.record });
+      } catch (error) {
+        console.error('❌ Error in tx update callback:', error);
+      }
+    }
+    this.notify(entry.record);
+  }
+
+  update(entry, changes) {
+    const { status: previous, confirmations } = entry.record;
+    Object.assign(entry.record, changes, { updatedAt: Date.now() });
+
+    if (changes.status && changes.status !== previous) {
+      console.log(`🔁 ${entry.record.txId}: ${previous} → ${changes.status}`);
+      this.emit(entry);
+    } else if (changes.confirmations !== undefined && changes.confirmations !== confirmations) {
+      this.emit(entry);
+    }
+  }
+
+  // Final records are handed to the caller and forgotten
+  finish(entry) {
+    clearTimeout(entry.timer);
+    this.tracked.delete(entry.record.txId);
+    entry.resolve({ ...entry.record });
+  }
+
+  async fetchTx(txId, network) {
+    const response = await apiFetch(`/extended/v1/tx/${txId}`, {}, network);
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Transaction lookup failed: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async fetchTipHeight(network) {
+    const response = await apiFetch('/v2/info', {}, network);
+    if (!response.ok) {
+      throw new Error(`Node info lookup failed: ${response.status}`);
+    }
+    const info = await response.json();
+    return info.stacks_tip_height;
+  }
+
+  async poll(entry) {
+    const { record } = entry;
+    if (!this.tracked.has(record.txId)) return;
+
+    const elapsed = Date.now() - entry.trackedAt;
+
+    try {
+      const tx = await this.fetchTx(record.txId, record.network);
+
+      if (!tx) {
+        // Never reached the API: give up after the configured timeout
+        if (elapsed > CONFIG.TX.TIMEOUT) {
+          this.update(entry, { status: TX_STATUS.DROPPED });
+          return this.finish(entry);
+        }
+        return this.schedule(entry);
+      }
+
+      const status = mapApiStatus(tx.tx_status);
+      const changes = {
+        status,
+        blockHeight: tx.block_height ?? null,
+        result: tx.tx_result?.repr ?? null
+      };
+
+      if (status === TX_STATUS.SUCCESS && CONFIG.TX.CONFIRMATION_BLOCKS > 1) {
+        const tipHeight = await this.fetchTipHeight(record.network);
+        const confirmations = tipHeight - tx.block_height + 1;
+        if (confirmations < CONFIG.TX.CONFIRMATION_BLOCKS) {
+          this.update(entry, { ...changes, status: TX_STATUS.CONFIRMING, confirmations });
+          return this.schedule(entry);
+        }
+        changes.confirmations = confirmations;
+      }
+
+      this.update(entry, changes);
+
+      if (isFinalStatus(status)) {
+        console.log('✅ Transaction final:', record.txId, status);
+        return this.finish(entry);
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to poll transaction:', record.txId, error.message);
+    }
+
+    this.schedule(entry);
+  }
+}
+
+export const txTracker = new TxTracker();
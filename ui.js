@@ -1,7 +1,113 @@
 // ui.js - UI controller (FIXED)
-import { CONFIG, formatStx, isFaucetAvailable, getClarity4Features, shortAddress } from './config.js';
+import {
+  CONFIG,
+  isFaucetAvailable,
+  getClarity4Features,
+  shortAddress,
+  getActiveNetwork,
+  setActiveNetwork,
+  getConfiguredNetworks,
+  onNetworkChange,
+  isValidPrincipal,
+  storage
+} from './config.js';
+import { formatStx, formatStxInput, parseStx, tryParseStx, getTipLimits, microToStxString, MICRO_PER_STX } from './amount.js';
 import { walletManager } from './wallet.js';
-import { contractManager } from './contract.js';
+import { jarRegistry } from './registry.js';
+import { txTracker, TX_STATUS, describeTxResult, getExplorerTxUrl, isFinalStatus } from './tx-tracker.js';
+import { notificationCenter, SEVERITIES } from './notifications.js';
+import { describeError, ERROR_CODES } from './errors.js';
+import { pendingTxStore } from './pending-txs.js';
+import { estimateContractCallFees, FEE_TIERS, isFeeTier } from './fees.js';
+import { getEndpointPool } from './endpoints.js';
+import { getPremiumThreshold, getPremiumProgress } from './premium.js';
+import { walletRegistry } from './wallets/index.js';
+import { getLeaderboard, LEADERBOARD_WINDOWS, LEADERBOARD_SORTS } from './leaderboard.js';
+import { getAnalytics, getAnalyticsRanges, ANALYTICS_RANGES } from './analytics.js';
+import { barChart, lineChart } from './charts.js';
+import { collectTips, formatTips, EXPORT_PHASES } from './history-export.js';
+import { getLiveFeed, FEED_MODES } from './live-feed.js';
+import {
+  parseShareParams,
+  validateShareAmount,
+  validateShareMessage,
+  buildShareLink,
+  qrToSvg,
+  qrToPng,
+  SHARE_PARAMS
+} from './share-link.js';
+import {
+  t,
+  getLocale,
+  getLocales,
+  setLocale,
+  onLocaleChange,
+  translateDocument,
+  formatNumber,
+  formatDate,
+  formatListParts
+} from './i18n.js';
+
+const MESSAGE_PREVIEW_LENGTH = 140;
+const FEE_ESTIMATE_DELAY = 400; // ms after the last keystroke
+
+// What UIController.latest resolves with for a superseded request
+const STALE = Symbol('stale');
+
+// Message keys (see locales/en.js)
+const LIVE_STATUS_LABELS = {
+  [FEED_MODES.STOPPED]: 'live.off',
+  [FEED_MODES.CONNECTING]: 'live.connecting',
+  [FEED_MODES.WEBSOCKET]: 'live.websocket',
+  [FEED_MODES.POLLING]: 'live.polling'
+};
+
+const EXPORT_PHASE_LABELS = {
+  [EXPORT_PHASES.HISTORY]: 'export.phaseHistory',
+  [EXPORT_PHASES.TIMES]: 'export.phaseTimes',
+  [EXPORT_PHASES.MESSAGES]: 'export.phaseMessages'
+};
+
+// 'Tip', 'Withdrawal', ... for a txTracker kind
+function txLabel(kind) {
+  return t('tx.kind', { kind });
+}
+
+// Tier names from CONFIG.PREMIUM are translated when the catalog knows them
+function tierName(tier) {
+  return t('premium.tierName', { tier: tier.name });
+}
+
+// 'Gold Premium Tipper', or just 'Premium Tipper' for the single-tier setup
+function premiumTipperLabel(tier) {
+  return t('premium.tipper', { tier: tier?.name || 'Premium', name: tier ? tierName(tier) : '' });
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Unix seconds of local midnight for an <input type="date"> value, `addDays` later
+function localDayStart(value, addDays = 0) {
+  const [year, month, day] = value.split('-').map(Number);
+  return Math.floor(new Date(year, month - 1, day + addDays).getTime() / 1000);
+}
+
+function downloadFile({ content, filename, mimeType }) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
 export class UIController {
   constructor() {
@@ -15,20 +121,84 @@ export class UIController {
       historyLimit: 10,
       historySupported: null // null = unknown, true/false = known
     };
+    this.jarStates = new Map(); // Per-jar stats, history and tip form drafts
+    this.historyTab = 'recent'; // 'recent' | 'mine'
+    this.liveFeed = null;
+    this.pendingTips = new Map(); // Chain txId -> mempool tip, from the live feed
     this.faucetTimer = null;
+    this.operationCount = 0; // Numbers notification keys, one per tip or admin action
+    this.toastElements = new Map(); // Notification id -> rendered toast
+    this.notificationsSeenAt = 0; // Log entries after this count as unseen
+
+    const savedTier = storage.get('stacks_fee_tier');
+    this.feeTier = isFeeTier(savedTier) ? savedTier : CONFIG.FEES.DEFAULT_TIER;
+    this.feeEstimate = null; // { fees, source } for what the tip form would send
+    this.feeTimer = null;
+    this.latestRequests = new Map(); // Key -> number of the newest request
+  }
+
+  get jar() {
+    return jarRegistry.getActive();
+  }
+
+  get contract() {
+    return this.jar?.contractManager || null;
+  }
+
+  /**
+   * Awaits `promise` as the newest request for `key` (e.g. 'leaderboard').
+   * Resolves with STALE instead of the result, and swallows errors, when a
+   * later request for the same key started or the jar changed meanwhile.
+   */
+  async latest(key, promise) {
+    const request = (this.latestRequests.get(key) || 0) + 1;
+    this.latestRequests.set(key, request);
+    const jar = this.jar;
+    const isCurrent = () => this.latestRequests.get(key) === request && this.jar === jar;
+
+    try {
+      const result = await promise;
+      return isCurrent() ? result : STALE;
+    } catch (error) {
+      if (isCurrent()) throw error;
+      return STALE;
+    }
+  }
+
+  isJarOwner(address) {
+    if (!address || !this.jar) return false;
+    return address === (this.state.stats?.owner || this.jar.owner);
   }
 
   async init() {
     console.log('🚀 Initializing UI with Clarity 4 features...');
     this.cacheElements();
+    translateDocument();
+    this.renderLanguageSelector();
+    this.subscribeToLocale();
+    this.subscribeToNotifications();
+    this.renderWalletButtons();
     this.attachEventListeners();
     this.subscribeToWallet();
+    walletManager.setReviewHandler(review => this.reviewTransaction(review));
+    this.subscribeToJars();
+    this.subscribeToNetwork();
+    this.subscribeToEndpoints();
+    this.renderNetworkSelector();
+    this.renderJarSelector();
+    this.renderLeaderboardControls();
+    this.renderAnalyticsControls();
+    this.renderQuickAmounts();
+    this.renderFeeTiers();
 
     await this.waitForWallets();
     this.checkWalletAvailability();
     await this.loadInitialData();
+    this.subscribeToPendingTxs();
+    this.resumePendingTransactions();
     
     this.updateFaucetVisibility();
+    this.updateFaucetButton();
     this.showClarity4Features();
     
     console.log('✅ UI initialized');
@@ -44,8 +214,8 @@ export class UIController {
 
   cacheElements() {
     this.elements = {
-      leatherBtn: document.getElementById('leatherBtn'),
-      xverseBtn: document.getElementById('xverseBtn'),
+      walletButtons: document.getElementById('walletButtons'),
+      installLinks: document.getElementById('installLinks'),
       disconnectBtn: document.getElementById('disconnectBtn'),
       connectSection: document.getElementById('connectSection'),
       tipSection: document.getElementById('tipSection'),
@@ -54,20 +224,35 @@ export class UIController {
       walletBadge: document.getElementById('walletBadge'),
       installNotice: document.getElementById('installNotice'),
       premiumStatus: document.getElementById('premiumStatus'),
+      premiumStatusIcon: document.getElementById('premiumStatusIcon'),
+      premiumStatusText: document.getElementById('premiumStatusText'),
+      premiumGoalText: document.getElementById('premiumGoalText'),
       premiumInfo: document.getElementById('premiumInfo'),
       premiumProgress: document.getElementById('premiumProgress'),
       premiumProgressText: document.getElementById('premiumProgressText'),
       userStatsRow: document.getElementById('userStatsRow'),
+      liveStatus: document.getElementById('liveStatus'),
+      pendingTips: document.getElementById('pendingTips'),
       userTotalTips: document.getElementById('userTotalTips'),
 
       amountInput: document.getElementById('amount'),
       messageInput: document.getElementById('message'),
       charCount: document.getElementById('charCount'),
+      feeSection: document.getElementById('feeSection'),
+      feeTiers: document.getElementById('feeTiers'),
+      feeTotal: document.getElementById('feeTotal'),
       sendTipBtn: document.getElementById('sendTipBtn'),
       sendTipBtnText: document.getElementById('sendTipBtnText'),
+      shareTipBtn: document.getElementById('shareTipBtn'),
       quickAmounts: document.querySelectorAll('.quick-amount'),
 
+      jarSelector: document.getElementById('jarSelector'),
+      jarSelect: document.getElementById('jarSelect'),
+      jarContractId: document.getElementById('jarContractId'),
+
       networkDisplay: document.getElementById('networkDisplay'),
+      networkSelect: document.getElementById('networkSelect'),
+      apiEndpointDisplay: document.getElementById('apiEndpointDisplay'),
       contractBalance: document.getElementById('contractBalance'),
       totalTips: document.getElementById('totalTips'),
       totalTippers: document.getElementById('totalTippers'),
@@ -77,34 +262,173 @@ export class UIController {
       historySection: document.getElementById('historySection'),
       historyList: document.getElementById('historyList'),
       refreshHistoryBtn: document.getElementById('refreshHistoryBtn'),
+      leaderboardList: document.getElementById('leaderboardList'),
+      leaderboardSummary: document.getElementById('leaderboardSummary'),
+      leaderboardWindow: document.getElementById('leaderboardWindow'),
+      leaderboardBlocks: document.getElementById('leaderboardBlocks'),
+      leaderboardSort: document.getElementById('leaderboardSort'),
+      refreshLeaderboardBtn: document.getElementById('refreshLeaderboardBtn'),
+      analyticsRange: document.getElementById('analyticsRange'),
+      analyticsTotals: document.getElementById('analyticsTotals'),
+      analyticsCharts: document.getElementById('analyticsCharts'),
+      analyticsSummary: document.getElementById('analyticsSummary'),
+      refreshAnalyticsBtn: document.getElementById('refreshAnalyticsBtn'),
       loadMoreBtn: document.getElementById('loadMoreBtn'),
-
+      recentTipsTab: document.getElementById('recentTipsTab'),
+      recentTipsPanel: document.getElementById('recentTipsPanel'),
+      myTipsTab: document.getElementById('myTipsTab'),
+      myTipsPanel: document.getElementById('myTipsPanel'),
+      myTipsAddress: document.getElementById('myTipsAddress'),
+      myTipsLookupBtn: document.getElementById('myTipsLookupBtn'),
+      myTipsSummary: document.getElementById('myTipsSummary'),
+      myTipsList: document.getElementById('myTipsList'),
+      exportFormat: document.getElementById('exportFormat'),
+      exportRange: document.getElementById('exportRange'),
+      exportDates: document.getElementById('exportDates'),
+      exportFromDate: document.getElementById('exportFromDate'),
+      exportToDate: document.getElementById('exportToDate'),
+      exportBlocks: document.getElementById('exportBlocks'),
+      exportFromBlock: document.getElementById('exportFromBlock'),
+      exportToBlock: document.getElementById('exportToBlock'),
+      exportMine: document.getElementById('exportMine'),
+      exportBtn: document.getElementById('exportBtn'),
+      exportProgress: document.getElementById('exportProgress'),
+      exportStatus: document.getElementById('exportStatus'),
+
+      adminSection: document.getElementById('adminSection'),
+      withdrawRecipient: document.getElementById('withdrawRecipient'),
+      withdrawRecipientHint: document.getElementById('withdrawRecipientHint'),
       withdrawBtn: document.getElementById('withdrawBtn'),
+      withdrawBtnText: document.getElementById('withdrawBtnText'),
+      withdrawFee: document.getElementById('withdrawFee'),
+      adminCurrentThreshold: document.getElementById('adminCurrentThreshold'),
+      premiumThresholdInput: document.getElementById('premiumThresholdInput'),
+      setThresholdBtn: document.getElementById('setThresholdBtn'),
+      newOwnerInput: document.getElementById('newOwnerInput'),
+      transferOwnershipBtn: document.getElementById('transferOwnershipBtn'),
+      adminConfirmInput: document.getElementById('adminConfirmInput'),
+      adminConfirmPhrase: document.getElementById('adminConfirmPhrase'),
       faucetBtn: document.getElementById('faucetBtn'),
       faucetSection: document.getElementById('faucetSection'),
-      status: document.getElementById('status'),
+      pendingTxsSection: document.getElementById('pendingTxsSection'),
+      pendingTxsList: document.getElementById('pendingTxsList'),
+      clearPendingTxsBtn: document.getElementById('clearPendingTxsBtn'),
+      toasts: document.getElementById('toasts'),
+      politeAnnouncer: document.getElementById('politeAnnouncer'),
+      assertiveAnnouncer: document.getElementById('assertiveAnnouncer'),
+      notificationLogBtn: document.getElementById('notificationLogBtn'),
+      notificationCount: document.getElementById('notificationCount'),
+      notificationLogDialog: document.getElementById('notificationLogDialog'),
+      notificationLogList: document.getElementById('notificationLogList'),
+      notificationLogClearBtn: document.getElementById('notificationLogClearBtn'),
+      txReviewDialog: document.getElementById('txReviewDialog'),
+      txReviewFunction: document.getElementById('txReviewFunction'),
+      txReviewContract: document.getElementById('txReviewContract'),
+      txReviewTransfers: document.getElementById('txReviewTransfers'),
+      txReviewMode: document.getElementById('txReviewMode'),
+      txReviewFee: document.getElementById('txReviewFee'),
+      shareDialog: document.getElementById('shareDialog'),
+      shareQr: document.getElementById('shareQr'),
+      shareLink: document.getElementById('shareLink'),
+      shareNote: document.getElementById('shareNote'),
+      shareCopyBtn: document.getElementById('shareCopyBtn'),
+      shareSvgBtn: document.getElementById('shareSvgBtn'),
+      sharePngBtn: document.getElementById('sharePngBtn'),
+      languageSelect: document.getElementById('languageSelect'),
     };
   }
 
   attachEventListeners() {
-    this.elements.leatherBtn?.addEventListener('click', () => this.connectLeather());
-    this.elements.xverseBtn?.addEventListener('click', () => this.connectXverse());
     this.elements.disconnectBtn?.addEventListener('click', () => this.disconnect());
 
     this.elements.sendTipBtn?.addEventListener('click', () => this.sendTip());
+    this.elements.shareTipBtn?.addEventListener('click', () => this.openShareDialog());
+    this.elements.shareCopyBtn?.addEventListener('click', () => this.copyShareLink());
+    this.elements.shareSvgBtn?.addEventListener('click', () => this.downloadShareQr('svg'));
+    this.elements.sharePngBtn?.addEventListener('click', () => this.downloadShareQr('png'));
     this.elements.refreshBtn?.addEventListener('click', () => this.refreshStats());
 
     this.elements.refreshHistoryBtn?.addEventListener('click', () => this.refreshHistory());
     this.elements.loadMoreBtn?.addEventListener('click', () => this.loadMoreHistory());
 
+    this.elements.recentTipsTab?.addEventListener('click', () => this.showHistoryTab('recent'));
+    this.elements.myTipsTab?.addEventListener('click', () => this.showHistoryTab('mine'));
+    this.elements.myTipsLookupBtn?.addEventListener('click', () => this.loadMyTips());
+    this.elements.myTipsAddress?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.loadMyTips();
+    });
+
+    this.elements.exportBtn?.addEventListener('click', () => this.exportHistory());
+    this.elements.exportRange?.addEventListener('change', () => {
+      const range = this.elements.exportRange.value;
+      this.elements.exportDates.style.display = range === 'dates' ? 'flex' : 'none';
+      this.elements.exportBlocks.style.display = range === 'blocks' ? 'flex' : 'none';
+    });
+
+    this.elements.refreshLeaderboardBtn?.addEventListener('click', () => this.loadLeaderboard());
+    [
+      this.elements.leaderboardWindow,
+      this.elements.leaderboardBlocks,
+      this.elements.leaderboardSort
+    ].forEach(control => control?.addEventListener('change', () => this.loadLeaderboard()));
+
+    this.elements.refreshAnalyticsBtn?.addEventListener('click', () => this.loadAnalytics());
+    this.elements.analyticsRange?.addEventListener('change', () => this.loadAnalytics());
+
     this.elements.withdrawBtn?.addEventListener('click', () => this.withdraw());
+    this.elements.setThresholdBtn?.addEventListener('click', () => this.setPremiumThreshold());
+    this.elements.transferOwnershipBtn?.addEventListener('click', () => this.transferOwnership());
+
+    [
+      this.elements.withdrawRecipient,
+      this.elements.premiumThresholdInput,
+      this.elements.newOwnerInput,
+      this.elements.adminConfirmInput
+    ].forEach(input => input?.addEventListener('input', () => this.updateAdminControls()));
     this.elements.faucetBtn?.addEventListener('click', () => this.claimFaucet());
 
+    this.elements.jarSelect?.addEventListener('change', e => {
+      jarRegistry.setActive(e.target.value);
+    });
+
+    this.elements.networkSelect?.addEventListener('change', e => {
+      setActiveNetwork(e.target.value);
+    });
+
+    this.elements.languageSelect?.addEventListener('change', async e => {
+      try {
+        await setLocale(e.target.value);
+      } catch (error) {
+        console.error('❌ Failed to switch language:', error);
+        e.target.value = getLocale();
+        this.showStatus(t('app.languageFailed'), 'error', { key: 'language' });
+      }
+    });
+
+    this.elements.clearPendingTxsBtn?.addEventListener('click', () => {
+      pendingTxStore.clearFinished({ network: getActiveNetwork() });
+    });
+
+    this.elements.notificationLogBtn?.addEventListener('click', () => this.openNotificationLog());
+    this.elements.notificationLogClearBtn?.addEventListener('click', () => notificationCenter.clearLog());
+
+    // Toasts hold still while the pointer or keyboard focus is on them
+    const toasts = this.elements.toasts;
+    toasts?.addEventListener('mouseenter', () => notificationCenter.pause());
+    toasts?.addEventListener('mouseleave', () => {
+      if (!toasts.contains(document.activeElement)) notificationCenter.resume();
+    });
+    toasts?.addEventListener('focusin', () => notificationCenter.pause());
+    toasts?.addEventListener('focusout', e => {
+      if (!toasts.contains(e.relatedTarget) && !toasts.matches(':hover')) notificationCenter.resume();
+    });
+
     this.elements.quickAmounts.forEach(btn => {
       btn.addEventListener('click', e => {
-        const amount = e.target.dataset.amount;
-        if (amount && this.elements.amountInput) {
-          this.elements.amountInput.value = amount;
+        const amount = tryParseStx(e.target.dataset.amount, { locale: 'en' });
+        if (amount !== null && this.elements.amountInput) {
+          this.elements.amountInput.value = formatStxInput(amount);
+          this.renderFees();
         }
       });
     });
@@ -127,8 +451,11 @@ export class UIController {
       
       this.state.hasMessage = length > 0;
       this.updateSendButton();
+      this.scheduleFeeEstimate();
     });
 
+    this.elements.amountInput?.addEventListener('input', () => this.renderFees());
+
     this.elements.amountInput?.addEventListener('keypress', e => {
       if (e.key === 'Enter') {
         this.sendTip();
@@ -146,39 +473,465 @@ export class UIController {
       if (walletState.connected) {
         this.loadUserStats();
         this.loadHistory();
+        if (this.historyTab === 'mine') this.loadMyTips();
+      }
+    });
+  }
+
+  subscribeToEndpoints() {
+    this.unsubscribeEndpoints?.();
+
+    const pool = getEndpointPool(getActiveNetwork());
+    this.unsubscribeEndpoints = pool.subscribe(status => this.renderEndpointStatus(status));
+    this.renderEndpointStatus(pool.getStatus());
+  }
+
+  renderEndpointStatus(status) {
+    const el = this.elements.apiEndpointDisplay;
+    if (!el) return;
+
+    if (!status.active) {
+      el.textContent = '--';
+      return;
+    }
+
+    const active = status.endpoints.find(endpoint => endpoint.url === status.active);
+    el.textContent = new URL(status.active).host;
+    el.classList.toggle('degraded', !active?.available || active?.errorRate > 0.5);
+    el.title = status.endpoints
+      .map(endpoint => {
+        const latency = endpoint.latency === null ? '?' : `${endpoint.latency}ms`;
+        const state = endpoint.available
+          ? t('endpoint.ok')
+          : t('endpoint.backingOff', { error: endpoint.lastError });
+        return `${endpoint.url} - ${latency}, ${state}`;
+      })
+      .join('\n');
+  }
+
+  subscribeToLocale() {
+    onLocaleChange(() => this.switchLocale());
+  }
+
+  renderLanguageSelector() {
+    const select = this.elements.languageSelect;
+    if (!select) return;
+
+    select.innerHTML = '';
+    getLocales().forEach(({ code, name }) => {
+      select.add(new Option(name, code, false, code === getLocale()));
+    });
+  }
+
+  // Static markup re-translates via data-i18n; everything rendered from
+  // state is rendered again, reusing cached contract data
+  switchLocale() {
+    console.log('🗣️ Switching UI language:', getLocale());
+    translateDocument();
+    this.renderLanguageSelector();
+
+    this.renderWalletButtons();
+    this.checkWalletAvailability();
+    this.renderNetworkSelector();
+    this.renderEndpointStatus(getEndpointPool(getActiveNetwork()).getStatus());
+
+    // Keep the chosen windows while their labels change
+    const blocks = this.elements.leaderboardBlocks?.value;
+    const analyticsRange = this.elements.analyticsRange?.value;
+    this.renderLeaderboardControls();
+    this.renderAnalyticsControls();
+    if (blocks) this.elements.leaderboardBlocks.value = blocks;
+    if (analyticsRange) this.elements.analyticsRange.value = analyticsRange;
+
+    this.renderQuickAmounts();
+    this.renderFeeTiers();
+    this.renderStats(this.state.stats);
+    this.renderLiveStatus(this.liveFeed ? this.liveFeed.mode : FEED_MODES.STOPPED);
+    this.renderPendingTips();
+    this.renderPendingTxs();
+    this.updateWalletUI(walletManager.getState());
+    this.updateSendButton();
+    this.updateFaucetButton();
+    this.updateAdminControls();
+    this.renderToasts({ rebuild: true });
+    this.renderNotificationCount();
+
+    if (!this.jar) return;
+    if (walletManager.address) {
+      this.loadUserStats();
+      this.loadHistory();
+    }
+    if (this.historyTab === 'mine') this.loadMyTips();
+  }
+
+  subscribeToJars() {
+    jarRegistry.subscribe(jar => this.switchJar(jar));
+  }
+
+  subscribeToNetwork() {
+    this.network = getActiveNetwork();
+    onNetworkChange(network => this.switchNetwork(network));
+  }
+
+  renderNetworkSelector() {
+    const active = getActiveNetwork();
+    const networks = getConfiguredNetworks();
+    if (!networks.includes(active)) networks.push(active);
+
+    if (this.elements.networkDisplay) {
+      this.elements.networkDisplay.textContent = t('network.name', { network: active });
+    }
+
+    if (!this.elements.networkSelect) return;
+
+    this.elements.networkSelect.innerHTML = '';
+    networks.forEach(network => {
+      const option = document.createElement('option');
+      option.value = network;
+      option.textContent = t('network.name', { network });
+      option.selected = network === active;
+      this.elements.networkSelect.appendChild(option);
+    });
+
+    // Only offer the switcher when there is something to switch to
+    const canSwitch = networks.length > 1;
+    this.elements.networkSelect.style.display = canSwitch ? 'inline-block' : 'none';
+    if (this.elements.networkDisplay) {
+      this.elements.networkDisplay.style.display = canSwitch ? 'none' : '';
+    }
+  }
+
+  // Moves the whole app (wallet, endpoints, jar, faucet) to another network
+  async switchNetwork(network) {
+    console.log('🌐 Switching UI to network:', network);
+
+    if (this.activeJarId) {
+      this.saveJarState(this.activeJarId);
+      this.activeJarId = null;
+    }
+
+    getEndpointPool(this.network).stopHealthChecks();
+    this.network = network;
+    getEndpointPool(network).startHealthChecks();
+    this.subscribeToEndpoints();
+    this.renderNetworkSelector();
+    this.renderPendingTxs();
+
+    const { dropped, address } = walletManager.handleNetworkChange(network);
+    if (dropped) {
+      this.showStatus(
+        t('network.walletDropped', { address: shortAddress(dropped), network: t('network.name', { network }) }),
+        'info',
+        { key: 'wallet' }
+      );
+    } else if (address) {
+      console.log('👛 Keeping wallet connection on', network, address);
+    }
+
+    this.updateFaucetVisibility();
+    this.updateFaucetButton();
+
+    await this.switchJar(this.jar);
+  }
+
+  renderJarSelector() {
+    const jars = jarRegistry.list();
+    const active = this.jar;
+
+    if (this.elements.jarContractId) {
+      this.elements.jarContractId.textContent = active?.contractId || '--';
+      this.elements.jarContractId.title = active?.contractId || '';
+    }
+
+    if (!this.elements.jarSelect) return;
+
+    this.elements.jarSelect.innerHTML = '';
+    jars.forEach(jar => {
+      const option = document.createElement('option');
+      option.value = jar.contractId;
+      option.textContent = `${jar.label} (${shortAddress(jar.address)})`;
+      option.selected = jar.contractId === active?.contractId;
+      this.elements.jarSelect.appendChild(option);
+    });
+
+    if (this.elements.jarSelector) {
+      this.elements.jarSelector.style.display = jars.length > 1 ? 'block' : 'none';
+    }
+  }
+
+  // Each jar keeps its own stats, history and tip form draft
+  saveJarState(contractId) {
+    this.jarStates.set(contractId, {
+      stats: this.state.stats,
+      history: this.state.history,
+      historyLimit: this.state.historyLimit,
+      historySupported: this.state.historySupported,
+      draft: {
+        amount: this.elements.amountInput?.value || '',
+        message: this.elements.messageInput?.value || ''
       }
     });
   }
 
+  restoreJarState(contractId) {
+    const saved = this.jarStates.get(contractId);
+
+    this.state.stats = saved?.stats || null;
+    this.state.history = saved?.history || [];
+    this.state.historyLimit = saved?.historyLimit || 10;
+    this.state.historySupported = saved?.historySupported ?? null;
+
+    if (this.elements.amountInput) {
+      this.elements.amountInput.value = saved?.draft.amount || '';
+    }
+    if (this.elements.messageInput) {
+      this.elements.messageInput.value = saved?.draft.message || '';
+      this.elements.messageInput.dispatchEvent(new Event('input'));
+    }
+  }
+
+  async switchJar(jar) {
+    if (this.activeJarId) {
+      this.saveJarState(this.activeJarId);
+    }
+
+    if (!jar) {
+      this.activeJarId = null;
+      this.startLiveFeed(null);
+      this.restoreJarState(null);
+      this.renderJarSelector();
+      this.renderStats(null);
+      this.resetUserStatsUI();
+      this.showStatus(t('jar.noneConfigured', { network: t('network.name', { network: getActiveNetwork() }) }), 'error', { key: 'jar' });
+      return;
+    }
+
+    notificationCenter.dismissKey('jar');
+    console.log('🫙 Switching to jar:', jar.contractId);
+    this.activeJarId = jar.contractId;
+    this.startLiveFeed(jar);
+    this.restoreJarState(jar.contractId);
+    this.renderJarSelector();
+
+    this.renderStats(this.state.stats);
+    this.resetUserStatsUI();
+    this.updateWalletUI(walletManager.getState());
+    if (this.state.history.length > 0) {
+      this.renderHistory(this.state.history);
+    } else if (this.elements.historyList) {
+      this.elements.historyList.innerHTML = walletManager.address
+        ? `<div class="history-loading">${escapeHtml(t('history.loading'))}</div>`
+        : `<div class="history-empty">${escapeHtml(t('history.connectToView'))}</div>`;
+    }
+    if (this.elements.myTipsList) {
+      this.elements.myTipsSummary.innerHTML = '';
+      this.elements.myTipsList.innerHTML = '';
+      if (this.historyTab === 'mine') this.loadMyTips();
+    }
+    if (this.elements.leaderboardList) {
+      this.elements.leaderboardList.innerHTML = `<div class="history-loading">${escapeHtml(t('leaderboard.loading'))}</div>`;
+      this.elements.leaderboardSummary.textContent = '';
+    }
+    if (this.elements.analyticsTotals) {
+      this.elements.analyticsTotals.innerHTML = `<div class="history-loading">${escapeHtml(t('analytics.loading'))}</div>`;
+      this.elements.analyticsCharts.innerHTML = '';
+      this.elements.analyticsSummary.textContent = '';
+    }
+
+    await this.refreshStats();
+    if (walletManager.address) {
+      await this.loadHistory();
+    }
+  }
+
+  // One connect button (and install link) per registered wallet adapter
+  renderWalletButtons() {
+    this.walletButtons = new Map();
+    const adapters = walletRegistry.list();
+
+    if (this.elements.walletButtons) {
+      this.elements.walletButtons.innerHTML = '';
+      adapters.forEach(adapter => {
+        const button = document.createElement('button');
+        button.className = 'wallet-btn';
+        button.dataset.wallet = adapter.id;
+
+        const icon = document.createElement('span');
+        icon.className = 'wallet-icon';
+        icon.textContent = adapter.icon;
+
+        const label = document.createElement('span');
+        label.textContent = adapter.name;
+
+        button.append(icon, label);
+        button.addEventListener('click', () => this.connectWallet(adapter));
+        this.elements.walletButtons.appendChild(button);
+        this.walletButtons.set(adapter.id, button);
+      });
+    }
+
+    if (this.elements.installLinks) {
+      this.elements.installLinks.innerHTML = '';
+      const installable = adapters.filter(adapter => adapter.installUrl);
+      // 'Leather, Xverse or Asigna' in the active language, with each name a link
+      let index = 0;
+      formatListParts(installable.map(adapter => adapter.name)).forEach(part => {
+        if (part.type !== 'element') {
+          this.elements.installLinks.append(part.value);
+          return;
+        }
+        const adapter = installable[index++];
+        const link = document.createElement('a');
+        link.href = adapter.installUrl;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = adapter.name;
+        this.elements.installLinks.appendChild(link);
+      });
+    }
+  }
+
   checkWalletAvailability() {
     console.log('🔍 Checking wallet availability...');
     const availability = walletManager.checkAvailability();
     console.log('📋 Availability:', availability);
 
-    if (!availability.leather && !availability.xverse) {
+    if (!Object.values(availability).some(Boolean)) {
       this.elements.installNotice?.classList.add('show');
       console.log('⚠️ No wallets detected - showing install notice');
     }
 
-    if (!availability.leather && this.elements.leatherBtn) {
-      this.elements.leatherBtn.disabled = true;
-      this.elements.leatherBtn.title = 'Leather wallet not installed';
-    }
-
-    if (!availability.xverse && this.elements.xverseBtn) {
-      this.elements.xverseBtn.disabled = true;
-      this.elements.xverseBtn.title = 'Xverse wallet not installed';
-    }
+    walletRegistry.list().forEach(adapter => {
+      const button = this.walletButtons.get(adapter.id);
+      if (!availability[adapter.id] && button) {
+        button.disabled = true;
+        button.title = t('wallet.notInstalled', { wallet: adapter.name });
+      }
+    });
   }
 
   async loadInitialData() {
     console.log('📊 Loading initial data...');
+    this.renderNetworkSelector();
+
+    if (!this.jar) {
+      await this.switchJar(null);
+      return;
+    }
+
+    this.activeJarId = this.jar.contractId;
+    this.startLiveFeed(this.jar);
+    this.applyShareParams();
     await this.refreshStats();
+  }
 
-    if (this.elements.networkDisplay) {
-      const network = CONFIG.NETWORK.DEFAULT;
-      this.elements.networkDisplay.textContent =
-        network.charAt(0).toUpperCase() + network.slice(1);
+  // ============================================
+  // TIP LINKS
+  // ============================================
+
+  // Prefills the form from ?amount=&message= once, then drops them from the URL
+  applyShareParams() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has(SHARE_PARAMS.AMOUNT) && !params.has(SHARE_PARAMS.MESSAGE)) return;
+
+    const { amountMicro, message, errors } = parseShareParams(window.location.search);
+    console.log('🔗 Tip link:', { amount: amountMicro !== null ? microToStxString(amountMicro) : null, message, errors });
+
+    if (amountMicro !== null && this.elements.amountInput) {
+      this.elements.amountInput.value = formatStxInput(amountMicro);
+    }
+    if (message !== null && this.elements.messageInput) {
+      this.elements.messageInput.value = message;
+      this.elements.messageInput.dispatchEvent(new Event('input'));
+    }
+
+    if (errors.length > 0) {
+      this.showStatus(t('share.partIgnored', { errors: errors.join('; ') }), 'warning', { key: 'share' });
+    }
+
+    const url = new URL(window.location.href);
+    url.searchParams.delete(SHARE_PARAMS.AMOUNT);
+    url.searchParams.delete(SHARE_PARAMS.MESSAGE);
+    window.history.replaceState(null, '', url);
+  }
+
+  // Link for the active jar with whatever valid amount and message the form holds
+  openShareDialog() {
+    const dialog = this.elements.shareDialog;
+    if (!this.jar || !dialog) return;
+
+    const notes = [];
+    const amountText = this.elements.amountInput?.value?.trim() || '';
+    const message = this.elements.messageInput?.value?.trim() || '';
+
+    let amountMicro = null;
+    if (amountText) {
+      try {
+        amountMicro = validateShareAmount(parseStx(amountText));
+      } catch (error) {
+        notes.push(t('share.amountLeftOut', { reason: error.message }));
+      }
+    }
+
+    let sharedMessage = '';
+    try {
+      sharedMessage = message ? validateShareMessage(message) : '';
+    } catch (error) {
+      notes.push(t('share.messageLeftOut', { reason: error.message }));
+    }
+
+    if (amountMicro === null && !sharedMessage && notes.length === 0) {
+      notes.push(t('share.emptyHint'));
+    }
+
+    const link = buildShareLink({ contractId: this.jar.contractId, amountMicro, message: sharedMessage });
+    this.shareLink = link;
+    this.elements.shareLink.value = link;
+
+    try {
+      this.elements.shareQr.innerHTML = qrToSvg(link);
+    } catch (error) {
+      console.warn('⚠️ QR code failed:', error);
+      this.elements.shareQr.innerHTML = '';
+      notes.push(t('share.tooLongForQr'));
+    }
+
+    this.elements.shareNote.textContent = notes.join(' ');
+    if (typeof dialog.showModal === 'function') {
+      dialog.showModal();
+    } else {
+      window.prompt(t('share.linkLabel'), link);
+    }
+  }
+
+  async copyShareLink() {
+    const button = this.elements.shareCopyBtn;
+    try {
+      await navigator.clipboard.writeText(this.shareLink);
+      button.textContent = t('share.copied');
+    } catch {
+      // No clipboard permission: leave the link selected for a manual copy
+      this.elements.shareLink.select();
+      button.textContent = t('share.copyManually');
+    }
+    setTimeout(() => {
+      button.textContent = t('share.copy');
+    }, 2000);
+  }
+
+  async downloadShareQr(format) {
+    if (!this.shareLink || !this.jar) return;
+    const filename = `${this.jar.name}-tip-qr.${format}`;
+
+    try {
+      if (format === 'svg') {
+        downloadFile({ content: qrToSvg(this.shareLink), filename, mimeType: 'image/svg+xml' });
+      } else {
+        downloadFile({ content: await qrToPng(this.shareLink), filename, mimeType: 'image/png' });
+      }
+    } catch (error) {
+      console.error('❌ QR download failed:', error);
+      this.elements.shareNote.textContent = t('share.qrFailed', { error: error.message });
     }
   }
 
@@ -187,18 +940,130 @@ export class UIController {
     console.log('✨ Clarity 4 features available:', features);
   }
 
+  // data-amount is always written with '.', labels follow the locale
+  renderQuickAmounts() {
+    this.elements.quickAmounts.forEach(btn => {
+      const micro = tryParseStx(btn.dataset.amount, { locale: 'en' });
+      if (micro !== null) btn.textContent = formatStx(micro, { minDecimals: 0 });
+    });
+  }
+
   updateSendButton() {
     if (!this.elements.sendTipBtnText) return;
     
     if (this.state.hasMessage) {
-      this.elements.sendTipBtnText.textContent = 'Send Tip with Message';
+      this.elements.sendTipBtnText.textContent = t('tip.sendWithMessage');
       this.elements.sendTipBtn.classList.add('has-message');
     } else {
-      this.elements.sendTipBtnText.textContent = 'Send Tip';
+      this.elements.sendTipBtnText.textContent = t('tip.send');
       this.elements.sendTipBtn.classList.remove('has-message');
     }
   }
 
+  // One radio per tier; amounts are filled in by renderFees
+  renderFeeTiers() {
+    const container = this.elements.feeTiers;
+    if (!container) return;
+
+    container.innerHTML = '';
+    FEE_TIERS.forEach(tier => {
+      const label = document.createElement('label');
+      label.className = 'fee-tier';
+      label.dataset.tier = tier;
+
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'feeTier';
+      input.value = tier;
+      input.addEventListener('change', () => this.setFeeTier(tier));
+
+      const name = document.createElement('span');
+      name.className = 'fee-tier-name';
+      name.textContent = t('fees.tier', { tier });
+
+      const amount = document.createElement('span');
+      amount.className = 'fee-tier-amount';
+
+      label.appendChild(input);
+      label.appendChild(name);
+      label.appendChild(amount);
+      container.appendChild(label);
+    });
+
+    this.renderFees();
+  }
+
+  renderFees() {
+    const { feeSection, feeTiers, feeTotal } = this.elements;
+    if (!feeSection) return;
+
+    feeSection.style.display = CONFIG.FEES.ENABLED ? 'block' : 'none';
+    if (!CONFIG.FEES.ENABLED) return;
+
+    const estimate = this.feeEstimate;
+    feeTiers?.querySelectorAll('.fee-tier').forEach(label => {
+      const tier = label.dataset.tier;
+      label.classList.toggle('selected', tier === this.feeTier);
+      label.querySelector('input').checked = tier === this.feeTier;
+      label.querySelector('.fee-tier-amount').textContent = estimate
+        ? formatStx(estimate.fees[tier], { minDecimals: 0 })
+        : '…';
+    });
+
+    if (!feeTotal) return;
+    if (!estimate) {
+      feeTotal.textContent = t('fees.estimating');
+      return;
+    }
+
+    const fee = estimate.fees[this.feeTier];
+    const amount = tryParseStx(this.elements.amountInput?.value);
+    const lines = [amount > 0n
+      ? t('fees.total', {
+        total: formatStx(amount + fee, { minDecimals: 0 }),
+        amount: formatStx(amount, { minDecimals: 0 }),
+        fee: formatStx(fee, { minDecimals: 0 })
+      })
+      : t('fees.feeOnly', { fee: formatStx(fee, { minDecimals: 0 }) })];
+    if (estimate.source === 'fallback') lines.push(t('fees.fallback'));
+    feeTotal.textContent = lines.join(' ');
+  }
+
+  setFeeTier(tier) {
+    if (!isFeeTier(tier)) return;
+    this.feeTier = tier;
+    storage.set('stacks_fee_tier', tier);
+    this.renderFees();
+    this.estimateWithdrawFee();
+  }
+
+  // µSTX for `call` at the chosen tier, or null to leave the fee to the wallet
+  async feeFor(call, network) {
+    if (!CONFIG.FEES.ENABLED) return null;
+    const { fees } = await estimateContractCallFees(call, network);
+    return fees[this.feeTier];
+  }
+
+  // The message changes the call's length and so its fee; the amount doesn't
+  scheduleFeeEstimate() {
+    clearTimeout(this.feeTimer);
+    this.feeTimer = setTimeout(() => this.estimateTipFees(), FEE_ESTIMATE_DELAY);
+  }
+
+  async estimateTipFees() {
+    clearTimeout(this.feeTimer);
+    const jar = this.jar;
+    const message = this.elements.messageInput?.value?.trim() || '';
+
+    const estimate = await this.latest('tip-fees', CONFIG.FEES.ENABLED && jar
+      ? estimateContractCallFees(walletManager.tipCall(1n, message, jar.contractId), jar.network)
+      : null);
+    if (estimate === STALE) return;
+
+    this.feeEstimate = estimate;
+    this.renderFees();
+  }
+
   updateFaucetVisibility() {
     if (this.elements.faucetSection) {
       if (isFaucetAvailable()) {
@@ -216,7 +1081,8 @@ export class UIController {
     
     if (faucetStatus.canClaim) {
       this.elements.faucetBtn.disabled = false;
-      this.elements.faucetBtn.innerHTML = '<span class="btn-icon">💰</span><span>Claim 500 STX from Faucet</span>';
+      this.elements.faucetBtn.innerHTML =
+        `<span class="btn-icon">💰</span><span>${escapeHtml(t('faucet.claim', { amount: CONFIG.FAUCET.AMOUNT }))}</span>`;
       
       if (this.faucetTimer) {
         clearInterval(this.faucetTimer);
@@ -227,7 +1093,7 @@ export class UIController {
       this.startFaucetCountdown(faucetStatus.remainingSeconds);
     } else {
       this.elements.faucetBtn.disabled = true;
-      this.elements.faucetBtn.innerHTML = '<span class="btn-icon">💰</span><span>Connect wallet to claim</span>';
+      this.elements.faucetBtn.innerHTML = `<span class="btn-icon">💰</span><span>${escapeHtml(t('faucet.connectToClaim'))}</span>`;
     }
   }
 
@@ -248,10 +1114,12 @@ export class UIController {
       
       const mins = Math.floor(remaining / 60);
       const secs = remaining % 60;
-      const timeStr = mins > 0 ? `${mins}m ${secs}s` : `${secs}s`;
+      const label = mins > 0
+        ? t('faucet.waitMinutes', { minutes: mins, seconds: secs })
+        : t('faucet.waitSeconds', { seconds: secs });
       
       if (this.elements.faucetBtn) {
-        this.elements.faucetBtn.innerHTML = `<span class="btn-icon">⏰</span><span>Wait ${timeStr}</span>`;
+        this.elements.faucetBtn.innerHTML = `<span class="btn-icon">⏰</span><span>${escapeHtml(label)}</span>`;
       }
       
       remaining--;
@@ -265,25 +1133,28 @@ export class UIController {
   async loadHistory() {
     console.log('📜 Loading transaction history...');
     
-    if (!this.elements.historyList) return;
+    const jar = this.jar;
+    if (!this.elements.historyList || !jar) return;
     
     // Show loading state
-    this.elements.historyList.innerHTML = '<div class="history-loading">Loading transaction history...</div>';
+    this.elements.historyList.innerHTML = `<div class="history-loading">${escapeHtml(t('history.loading'))}</div>`;
     
     try {
       // First check if there are any transactions
-      const stats = await contractManager.getStats(CONFIG.NETWORK.DEFAULT, false);
+      const stats = await jar.contractManager.getStats(jar.network, false);
+      if (jar !== this.jar) return;
       
       if (stats.totalTransactions === 0) {
         console.log('ℹ️ No transactions in contract yet');
-        this.elements.historyList.innerHTML = '<div class="history-empty">No tips yet. Be the first to send one! 🚀</div>';
+        this.elements.historyList.innerHTML = `<div class="history-empty">${escapeHtml(t('history.empty'))}</div>`;
         this.state.historySupported = true; // Contract loaded, just no data
         return;
       }
       
       console.log(`📊 Contract has ${stats.totalTransactions} transactions, fetching...`);
       
-      const history = await contractManager.getHistory(this.state.historyLimit);
+      const history = await jar.contractManager.getHistory(this.state.historyLimit);
+      if (jar !== this.jar) return;
       
       // FIXED: Detect if contract supports history
       if (history.length === 0 && stats.totalTransactions > 0) {
@@ -292,11 +1163,11 @@ export class UIController {
         this.state.historySupported = false;
         this.elements.historyList.innerHTML = `
           <div class="history-empty">
-            <p>📊 Transaction history not available</p>
+            <p>${escapeHtml(t('history.unsupported'))}</p>
             <p style="font-size: 12px; margin-top: 8px; opacity: 0.8; line-height: 1.5;">
-              This contract version doesn't support transaction history.<br/>
-              Deploy <code>tip-jar-v4.clar</code> to enable this feature.<br/>
-              Current transactions: ${stats.totalTransactions}
+              ${escapeHtml(t('history.unsupportedReason'))}<br/>
+              ${escapeHtml(t('history.unsupportedFix', { contract: 'tip-jar-v4.clar' }))}<br/>
+              ${escapeHtml(t('history.currentTransactions', { count: stats.totalTransactions }))}
             </p>
           </div>
         `;
@@ -305,6 +1176,8 @@ export class UIController {
         this.state.historySupported = true;
         this.state.history = history;
         this.renderHistory(history);
+        this.loadLeaderboard();
+        this.loadAnalytics();
         
         // Show load more button if there are more transactions
         if (this.elements.loadMoreBtn) {
@@ -313,13 +1186,14 @@ export class UIController {
         }
       }
     } catch (error) {
+      if (jar !== this.jar) return;
       console.error('❌ Failed to load history:', error);
       this.state.historySupported = false;
       this.elements.historyList.innerHTML = `
         <div class="history-empty">
-          <p>❌ Failed to load transaction history</p>
+          <p>${escapeHtml(t('history.loadFailed'))}</p>
           <p style="font-size: 12px; margin-top: 8px; opacity: 0.8;">
-            ${error.message || 'Please try again or check console for details'}
+            ${escapeHtml(error.message || t('history.loadFailedHint'))}
           </p>
         </div>
       `;
@@ -332,7 +1206,7 @@ export class UIController {
     this.elements.historyList.innerHTML = '';
     
     if (transactions.length === 0) {
-      this.elements.historyList.innerHTML = '<div class="history-empty">No transactions found</div>';
+      this.elements.historyList.innerHTML = `<div class="history-empty">${escapeHtml(t('history.noneFound'))}</div>`;
       return;
     }
     
@@ -342,7 +1216,8 @@ export class UIController {
     });
   }
 
-  createHistoryItem(tx) {
+  // `showTipper: false` labels the row with the tipper's own tip number instead
+  createHistoryItem(tx, { showTipper = true } = {}) {
     const item = document.createElement('div');
     item.className = 'history-item';
     
@@ -351,12 +1226,16 @@ export class UIController {
     
     const tipper = document.createElement('div');
     tipper.className = 'history-item-tipper';
-    tipper.textContent = shortAddress(tx.tipper);
-    tipper.title = tx.tipper; // Full address on hover
+    if (showTipper) {
+      tipper.textContent = shortAddress(tx.tipper);
+      tipper.title = tx.tipper; // Full address on hover
+    } else {
+      tipper.textContent = t('history.tipNumber', { number: tx.tipNumber });
+    }
     
     const amount = document.createElement('div');
     amount.className = 'history-item-amount';
-    amount.textContent = formatStx(tx.amount);
+    amount.textContent = formatStx(tx.amountMicro);
     
     header.appendChild(tipper);
     header.appendChild(amount);
@@ -369,7 +1248,7 @@ export class UIController {
     blockMeta.className = 'history-item-meta-item';
     blockMeta.innerHTML = `
       <span class="history-item-meta-icon">📦</span>
-      <span>Block ${tx.blockHeight}</span>
+      <span>${escapeHtml(t('history.block', { height: tx.blockHeight }))}</span>
     `;
     meta.appendChild(blockMeta);
     
@@ -378,7 +1257,7 @@ export class UIController {
     txMeta.className = 'history-item-meta-item';
     txMeta.innerHTML = `
       <span class="history-item-meta-icon">#️⃣</span>
-      <span>TX ${tx.txId}</span>
+      <span>${escapeHtml(t('history.txId', { id: tx.txId }))}</span>
     `;
     meta.appendChild(txMeta);
     
@@ -387,117 +1266,598 @@ export class UIController {
       const messageMeta = document.createElement('div');
       messageMeta.className = 'history-item-meta-item';
       messageMeta.innerHTML = `
-        <span class="message-badge">📝 HAS MESSAGE</span>
+        <span class="message-badge">${escapeHtml(t('history.hasMessage'))}</span>
       `;
       meta.appendChild(messageMeta);
     }
     
     item.appendChild(header);
     item.appendChild(meta);
+
+    if (tx.hasMessage) {
+      item.appendChild(this.createMessageBlock(tx));
+    }
     
     return item;
   }
 
-  // FIXED: Show loading state during refresh
-  async refreshHistory() {
-    console.log('🔄 Refreshing history...');
-    
-    if (this.elements.refreshHistoryBtn) {
-      this.elements.refreshHistoryBtn.disabled = true;
-      this.elements.refreshHistoryBtn.textContent = '⏳';
+  // Message text is fetched only when the row scrolls into view
+  createMessageBlock(tx) {
+    const block = document.createElement('div');
+    block.className = 'history-item-message';
+
+    const label = document.createElement('div');
+    label.className = 'history-item-message-label';
+    label.textContent = t('message.label');
+
+    const text = document.createElement('div');
+    text.className = 'history-item-message-text loading';
+    text.textContent = t('message.loading');
+
+    block.appendChild(label);
+    block.appendChild(text);
+
+    const contract = this.contract;
+    const load = () => this.loadHistoryMessage(block, text, tx, contract);
+
+    if (typeof IntersectionObserver === 'undefined') {
+      load();
+      return block;
     }
-    
+
+    if (!this.messageObserver) {
+      this.messageObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+          this.messageObserver.unobserve(entry.target);
+          entry.target.loadMessage?.();
+        });
+      }, { rootMargin: '100px' });
+    }
+
+    block.loadMessage = load;
+    this.messageObserver.observe(block);
+    return block;
+  }
+
+  async loadHistoryMessage(block, text, tx, contract) {
     try {
-      await this.loadHistory();
-    } finally {
-      if (this.elements.refreshHistoryBtn) {
-        this.elements.refreshHistoryBtn.disabled = false;
-        this.elements.refreshHistoryBtn.textContent = '🔄';
+      const message = await contract.getTipMessage(tx);
+      text.classList.remove('loading');
+
+      if (!message) {
+        text.textContent = t('message.unavailable');
+        text.classList.add('unavailable');
+        return;
+      }
+
+      // Always plain text - never interpret tipper content as HTML
+      text.textContent = message;
+
+      if (message.length > MESSAGE_PREVIEW_LENGTH) {
+        text.classList.add('collapsed');
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'history-item-message-toggle';
+        toggle.textContent = t('message.showMore');
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.addEventListener('click', () => {
+          const collapsed = text.classList.toggle('collapsed');
+          toggle.textContent = collapsed ? t('message.showMore') : t('message.showLess');
+          toggle.setAttribute('aria-expanded', String(!collapsed));
+        });
+        block.appendChild(toggle);
       }
+    } catch (error) {
+      console.warn(`⚠️ Failed to load message for tx ${tx.txId}:`, error);
+      text.classList.remove('loading');
+      text.textContent = t('message.loadFailed');
+      text.classList.add('unavailable');
     }
   }
 
-  async loadMoreHistory() {
-    this.state.historyLimit += 10;
-    await this.loadHistory();
+  renderLeaderboardControls() {
+    const { LEADERBOARD } = CONFIG;
+    const daysOption = this.elements.leaderboardWindow?.querySelector(`option[value="${LEADERBOARD_WINDOWS.DAYS}"]`);
+    if (daysOption) {
+      daysOption.textContent = t('range.lastDays', { count: LEADERBOARD.DAYS });
+    }
+    if (this.elements.leaderboardBlocks) {
+      this.elements.leaderboardBlocks.value = LEADERBOARD.DEFAULT_BLOCKS;
+    }
   }
 
-  // FIXED: Load user-specific stats
-  async loadUserStats() {
-    if (!walletManager.address) return;
-    
-    try {
-      const stats = await contractManager.getUserStats(walletManager.address);
-      
-      if (stats && stats.totalTipped > 0) {
-        // Show user stats row
+  // Only history entries added since the last load are fetched
+  async loadLeaderboard() {
+    const jar = this.jar;
+    const list = this.elements.leaderboardList;
+    if (!list || !jar) return;
+
+    const range = this.elements.leaderboardWindow?.value || LEADERBOARD_WINDOWS.ALL;
+    const blocks = Math.max(1, parseInt(this.elements.leaderboardBlocks?.value, 10) || CONFIG.LEADERBOARD.DEFAULT_BLOCKS);
+    const sortBy = this.elements.leaderboardSort?.value || LEADERBOARD_SORTS.AMOUNT;
+
+    if (this.elements.leaderboardBlocks) {
+      this.elements.leaderboardBlocks.style.display = range === LEADERBOARD_WINDOWS.BLOCKS ? 'block' : 'none';
+    }
+
+    try {
+      const result = await this.latest('leaderboard', getLeaderboard(jar.contractManager).getTopTippers({ range, blocks, sortBy }));
+      if (result === STALE) return;
+      this.renderLeaderboard(result, { range, blocks });
+    } catch (error) {
+      console.error('❌ Failed to load leaderboard:', error);
+      list.innerHTML = `<div class="history-empty">${escapeHtml(t('leaderboard.loadFailed'))}</div>`;
+      this.elements.leaderboardSummary.textContent = error.message || '';
+    }
+  }
+
+  renderLeaderboard({ rows, tippers, tips, fromHeight }, { range, blocks }) {
+    const list = this.elements.leaderboardList;
+    list.innerHTML = '';
+
+    if (rows.length === 0) {
+      const empty = range === LEADERBOARD_WINDOWS.ALL ? t('history.empty') : t('leaderboard.emptyWindow');
+      list.innerHTML = `<div class="history-empty">${escapeHtml(empty)}</div>`;
+    }
+
+    rows.forEach(row => {
+      const item = document.createElement('div');
+      item.className = 'leaderboard-row';
+      item.classList.toggle('is-you', row.tipper === walletManager.address);
+
+      const rank = document.createElement('span');
+      rank.className = 'leaderboard-rank';
+      rank.textContent = ['🥇', '🥈', '🥉'][row.rank - 1] || row.rank;
+
+      const tipper = document.createElement('span');
+      tipper.className = 'leaderboard-tipper';
+      tipper.textContent = row.tipper === walletManager.address
+        ? t('leaderboard.you', { address: shortAddress(row.tipper) })
+        : shortAddress(row.tipper);
+      tipper.title = row.tipper;
+
+      if (row.isPremium) {
+        const premium = document.createElement('span');
+        premium.className = 'leaderboard-premium';
+        premium.textContent = ' 👑';
+        premium.title = t('leaderboard.premiumTipper');
+        tipper.appendChild(premium);
+      }
+
+      const totals = document.createElement('div');
+      const amount = document.createElement('div');
+      amount.className = 'leaderboard-amount';
+      amount.textContent = formatStx(row.totalMicro, { minDecimals: 0, maxDecimals: 2 });
+      const count = document.createElement('div');
+      count.className = 'leaderboard-count';
+      count.textContent = t('common.tipCount', { count: row.count });
+      totals.append(amount, count);
+
+      item.append(rank, tipper, totals);
+      list.appendChild(item);
+    });
+
+    const scope = range === LEADERBOARD_WINDOWS.BLOCKS
+      ? t('range.lastBlocks', { count: blocks })
+      : range === LEADERBOARD_WINDOWS.DAYS
+        ? t('range.lastDays', { count: CONFIG.LEADERBOARD.DAYS })
+        : t('range.allTime');
+    const since = fromHeight ? ` · ${t('leaderboard.sinceBlock', { height: fromHeight })}` : '';
+    this.elements.leaderboardSummary.textContent = t('common.summary', { tippers, tips, scope }) + since;
+  }
+
+  renderAnalyticsControls() {
+    const select = this.elements.analyticsRange;
+    if (!select) return;
+
+    select.innerHTML = '';
+    getAnalyticsRanges().forEach(({ key, label }) => {
+      select.add(new Option(label, key, false, key === CONFIG.ANALYTICS.DEFAULT_RANGE));
+    });
+  }
+
+  // Aggregates are cached per range; only new history entries are fetched
+  async loadAnalytics() {
+    const jar = this.jar;
+    const totals = this.elements.analyticsTotals;
+    if (!totals || !jar) return;
+
+    const rangeKey = this.elements.analyticsRange?.value || CONFIG.ANALYTICS.DEFAULT_RANGE;
+
+    try {
+      const report = await this.latest('analytics', getAnalytics(jar.contractManager).getReport(rangeKey));
+      if (report === STALE) return;
+      this.renderAnalytics(report);
+    } catch (error) {
+      console.error('❌ Failed to load analytics:', error);
+      totals.innerHTML = `<div class="history-empty">${escapeHtml(t('analytics.loadFailed'))}</div>`;
+      this.elements.analyticsCharts.innerHTML = '';
+      this.elements.analyticsSummary.textContent = error.message || '';
+    }
+  }
+
+  renderAnalytics(report) {
+    const { analyticsTotals, analyticsCharts, analyticsSummary } = this.elements;
+    const stx = micro => formatStx(micro, { minDecimals: 0, maxDecimals: 2 });
+
+    analyticsTotals.innerHTML = '';
+    analyticsCharts.innerHTML = '';
+
+    if (report.tips === 0) {
+      const empty = report.type === ANALYTICS_RANGES.ALL ? t('history.empty') : t('analytics.emptyRange');
+      analyticsTotals.innerHTML = `<div class="history-empty">${escapeHtml(empty)}</div>`;
+    } else {
+      [
+        [t('analytics.tips'), formatNumber(report.tips)],
+        [t('analytics.volume'), stx(report.volumeMicro)],
+        [t('analytics.averageTip'), stx(report.averageMicro)],
+        [t('analytics.medianTip'), stx(report.medianMicro)],
+        [t('analytics.withMessage'), formatNumber(report.messageShare, { style: 'percent', maximumFractionDigits: 0 })],
+        [t('analytics.newReturning'), `${formatNumber(report.newTippers)} / ${formatNumber(report.returningTippers)}`]
+      ].forEach(([label, value]) => {
+        const item = document.createElement('div');
+        item.className = 'analytics-total';
+        const valueEl = document.createElement('div');
+        valueEl.className = 'analytics-total-value';
+        valueEl.textContent = value;
+        const labelEl = document.createElement('div');
+        labelEl.className = 'analytics-total-label';
+        labelEl.textContent = label;
+        item.append(valueEl, labelEl);
+        analyticsTotals.appendChild(item);
+      });
+    }
+
+    const { buckets } = report;
+    if (buckets.length > 0) {
+      const byDay = report.type === ANALYTICS_RANGES.DAYS;
+      const date = seconds => formatDate(seconds * 1000, { month: 'short', day: 'numeric' });
+      const labels = buckets.map(bucket => (byDay ? date(bucket.fromTime) : `#${bucket.fromHeight}`));
+      const spans = buckets.map(bucket => {
+        if (!byDay) return t('analytics.blockSpan', { from: bucket.fromHeight, to: bucket.toHeight });
+        const last = date(bucket.toTime - 1);
+        return last === date(bucket.fromTime) ? last : `${date(bucket.fromTime)} – ${last}`;
+      });
+
+      analyticsCharts.append(
+        barChart({
+          title: t('analytics.tips'),
+          labels,
+          series: [
+            { label: t('analytics.seriesWithMessage'), values: buckets.map(b => b.withMessage), className: 'chart-series-message' },
+            { label: t('analytics.seriesWithout'), values: buckets.map(b => b.tips - b.withMessage), className: 'chart-series-plain' }
+          ],
+          describe: i => t('analytics.describeTips', {
+            span: spans[i],
+            tips: buckets[i].tips,
+            withMessage: buckets[i].withMessage
+          })
+        }),
+        // Plotting only needs magnitudes; labels and tooltips stay exact
+        lineChart({
+          title: t('analytics.volume'),
+          labels,
+          values: buckets.map(b => Number(b.volumeMicro)),
+          formatValue: value => stx(BigInt(Math.round(value))),
+          describe: i => `${spans[i]}: ${stx(buckets[i].volumeMicro)}`
+        }),
+        barChart({
+          title: t('analytics.tippers'),
+          labels,
+          series: [
+            { label: t('analytics.seriesReturning'), values: buckets.map(b => b.returningTippers), className: 'chart-series-returning' },
+            { label: t('analytics.seriesNew'), values: buckets.map(b => b.newTippers), className: 'chart-series-new' }
+          ],
+          describe: i => t('analytics.describeTippers', {
+            span: spans[i],
+            newTippers: buckets[i].newTippers,
+            returningTippers: buckets[i].returningTippers
+          })
+        })
+      );
+    }
+
+    const scope = getAnalyticsRanges().find(({ key }) => key === report.range)?.label || t('range.allTime');
+    analyticsSummary.textContent = t('common.summary', { tippers: report.tippers, tips: report.tips, scope });
+  }
+
+  readExportFilters() {
+    const range = this.elements.exportRange?.value || 'all';
+    const filters = {};
+
+    if (range === 'dates') {
+      const from = this.elements.exportFromDate.value;
+      const to = this.elements.exportToDate.value;
+      if (!from && !to) throw new Error(t('export.pickDates'));
+
+      // From local midnight of the first day to the end of the last one
+      if (from) filters.fromTime = localDayStart(from);
+      if (to) filters.toTime = localDayStart(to, 1);
+      if (from && to && filters.fromTime >= filters.toTime) {
+        throw new Error(t('export.datesReversed'));
+      }
+    }
+
+    if (range === 'blocks') {
+      const parse = input => (input.value.trim() === '' ? null : Number(input.value));
+      const from = parse(this.elements.exportFromBlock);
+      const to = parse(this.elements.exportToBlock);
+      if (from === null && to === null) throw new Error(t('export.pickBlocks'));
+      if ([from, to].some(value => value !== null && !(Number.isSafeInteger(value) && value >= 0))) {
+        throw new Error(t('export.blocksWhole'));
+      }
+      if (from !== null && to !== null && from > to) {
+        throw new Error(t('export.blocksReversed'));
+      }
+
+      if (from !== null) filters.fromHeight = from;
+      if (to !== null) filters.toHeight = to;
+    }
+
+    if (this.elements.exportMine?.checked) {
+      if (!walletManager.address) throw new Error(t('export.connectForMine'));
+      filters.tipper = walletManager.address;
+    }
+    return filters;
+  }
+
+  // Pages through the whole history (cached), then block times and messages
+  async exportHistory() {
+    const jar = this.jar;
+    const { exportBtn, exportProgress, exportStatus } = this.elements;
+    if (!jar || !exportBtn || this.exporting) return;
+
+    let filters;
+    try {
+      filters = this.readExportFilters();
+    } catch (error) {
+      exportStatus.textContent = error.message;
+      return;
+    }
+
+    const format = this.elements.exportFormat?.value || 'csv';
+    this.exporting = true;
+    exportBtn.disabled = true;
+    exportProgress.hidden = false;
+
+    try {
+      const rows = await collectTips(jar.contractManager, filters, ({ phase, done, total }) => {
+        exportProgress.max = Math.max(1, total);
+        exportProgress.value = done;
+        exportStatus.textContent = t('export.progress', { phase: t(EXPORT_PHASE_LABELS[phase]), done, total });
+      });
+
+      downloadFile(formatTips(format, rows, {
+        contractId: jar.contractId,
+        network: jar.network,
+        filters,
+        exportedAt: Math.floor(Date.now() / 1000),
+        balanceMicro: this.state.stats?.balanceMicro
+      }));
+
+      exportStatus.textContent = t('export.done', { count: rows.length, format: format.toUpperCase() });
+    } catch (error) {
+      console.error('❌ Export failed:', error);
+      exportStatus.textContent = t('export.failed', { error: error.message });
+    } finally {
+      this.exporting = false;
+      exportBtn.disabled = false;
+      exportProgress.hidden = true;
+    }
+  }
+
+  showHistoryTab(tab) {
+    this.historyTab = tab;
+    const mine = tab === 'mine';
+
+    this.elements.recentTipsTab?.classList.toggle('active', !mine);
+    this.elements.recentTipsTab?.setAttribute('aria-selected', String(!mine));
+    this.elements.myTipsTab?.classList.toggle('active', mine);
+    this.elements.myTipsTab?.setAttribute('aria-selected', String(mine));
+    if (this.elements.recentTipsPanel) this.elements.recentTipsPanel.hidden = mine;
+    if (this.elements.myTipsPanel) this.elements.myTipsPanel.hidden = !mine;
+
+    if (mine) this.loadMyTips();
+  }
+
+  // Tips of the address typed in, or of the connected wallet when empty
+  async loadMyTips() {
+    const jar = this.jar;
+    const { myTipsList, myTipsSummary } = this.elements;
+    if (!myTipsList || !jar) return;
+
+    const address = this.elements.myTipsAddress?.value.trim() || walletManager.address;
+    myTipsSummary.innerHTML = '';
+
+    if (!address) {
+      myTipsList.innerHTML = `<div class="history-empty">${escapeHtml(t('myTips.enterAddress'))}</div>`;
+      return;
+    }
+    if (!isValidPrincipal(address, jar.network)) {
+      const network = t('network.name', { network: jar.network });
+      myTipsList.innerHTML = `<div class="history-empty">${escapeHtml(t('myTips.invalidAddress', { network }))}</div>`;
+      return;
+    }
+
+    myTipsList.innerHTML = `<div class="history-loading">${escapeHtml(t('myTips.loading'))}</div>`;
+
+    try {
+      const result = await this.latest('my-tips', jar.contractManager.getUserHistory(address));
+      if (result === STALE) return;
+      this.renderMyTips(result);
+    } catch (error) {
+      console.error('❌ Failed to load tips for', address, error);
+      myTipsList.innerHTML =
+        `<div class="history-empty">${escapeHtml(t('myTips.loadFailed'))}<br/><small>${escapeHtml(error.message || '')}</small></div>`;
+    }
+  }
+
+  renderMyTips({ user, summary, tips, complete }) {
+    const { myTipsList, myTipsSummary } = this.elements;
+    const premium = getPremiumProgress(summary.totalTippedMicro, getPremiumThreshold(this.state.stats));
+    const { tier, nextTier } = premium;
+
+    const who = document.createElement('div');
+    who.className = 'my-tips-address';
+    who.textContent = user === walletManager.address
+      ? t('leaderboard.you', { address: shortAddress(user) })
+      : shortAddress(user);
+    who.title = user;
+
+    const totals = document.createElement('div');
+    totals.className = 'my-tips-totals';
+    totals.textContent = `${t('common.tipCount', { count: summary.tipCount })} · ${formatStx(summary.totalTippedMicro, { minDecimals: 0 })}` +
+      (summary.lastTipHeight ? ` · ${t('myTips.lastAtBlock', { height: summary.lastTipHeight })}` : '');
+
+    const status = document.createElement('div');
+    status.className = 'my-tips-premium';
+    status.textContent = tier ? `${tier.icon} ${premiumTipperLabel(tier)}` : t('premium.notYet');
+    if (nextTier && summary.tipCount > 0) {
+      status.textContent += ` · ${t('premium.moreTo', {
+        amount: formatStx(premium.remainingMicro, { minDecimals: 0, maxDecimals: 2 }),
+        tier: tierName(nextTier)
+      })}`;
+    }
+
+    myTipsSummary.append(who, totals, status);
+
+    if (nextTier && summary.tipCount > 0) {
+      const bar = document.createElement('div');
+      bar.className = 'progress-bar';
+      const fill = document.createElement('div');
+      fill.className = 'progress-fill';
+      fill.style.width = premium.progress + '%';
+      bar.appendChild(fill);
+      myTipsSummary.appendChild(bar);
+    }
+
+    if (!complete) {
+      const note = document.createElement('p');
+      note.className = 'my-tips-note';
+      note.textContent = t('myTips.partial', { shown: tips.length, count: summary.tipCount });
+      myTipsSummary.appendChild(note);
+    }
+
+    myTipsList.innerHTML = '';
+    if (tips.length === 0) {
+      myTipsList.innerHTML = `<div class="history-empty">${escapeHtml(t('myTips.empty'))}</div>`;
+      return;
+    }
+    tips.forEach(tx => myTipsList.appendChild(this.createHistoryItem(tx, { showTipper: false })));
+  }
+
+  // FIXED: Show loading state during refresh
+  async refreshHistory() {
+    console.log('🔄 Refreshing history...');
+    
+    if (this.elements.refreshHistoryBtn) {
+      this.elements.refreshHistoryBtn.disabled = true;
+      this.elements.refreshHistoryBtn.textContent = '⏳';
+    }
+    
+    try {
+      await (this.historyTab === 'mine' ? this.loadMyTips() : this.loadHistory());
+    } finally {
+      if (this.elements.refreshHistoryBtn) {
+        this.elements.refreshHistoryBtn.disabled = false;
+        this.elements.refreshHistoryBtn.textContent = '🔄';
+      }
+    }
+  }
+
+  async loadMoreHistory() {
+    this.state.historyLimit += 10;
+    await this.loadHistory();
+  }
+
+  // FIXED: Load user-specific stats
+  async loadUserStats() {
+    const jar = this.jar;
+    if (!walletManager.address || !jar) return;
+    
+    try {
+      // Same fetch returns the jar's current premium threshold
+      const data = await jar.contractManager.getStats(jar.network, false, walletManager.address);
+      if (jar !== this.jar) return;
+
+      const stats = data.userStats;
+      const threshold = getPremiumThreshold(data);
+      
+      if (stats && stats.totalTippedMicro > 0n) {
+        // Show user stats row
         if (this.elements.userStatsRow) {
           this.elements.userStatsRow.style.display = 'flex';
         }
         if (this.elements.userTotalTips) {
-          this.elements.userTotalTips.textContent = formatStx(stats.totalTipped);
+          this.elements.userTotalTips.textContent = formatStx(stats.totalTippedMicro);
         }
         
-        // Update premium status
-        if (stats.isPremium && this.elements.premiumStatus) {
-          this.elements.premiumStatus.style.display = 'flex';
-        }
-        
-        // Update premium progress
-        if (this.elements.premiumInfo && !stats.isPremium) {
-          this.elements.premiumInfo.style.display = 'block';
-          const progress = Math.min((stats.totalTipped / 10) * 100, 100);
-          
-          if (this.elements.premiumProgress) {
-            this.elements.premiumProgress.style.width = progress + '%';
-          }
-          if (this.elements.premiumProgressText) {
-            this.elements.premiumProgressText.textContent = 
-              `${stats.totalTipped.toFixed(2)} / 10 STX`;
-          }
-        } else if (this.elements.premiumInfo && stats.isPremium) {
-          this.elements.premiumInfo.style.display = 'none';
-        }
+        this.renderPremium(stats, threshold);
+      } else {
+        this.renderPremium(null, threshold);
       }
     } catch (error) {
       console.error('❌ Failed to load user stats:', error);
     }
   }
 
-  async connectLeather() {
-    console.log('🦊 Connect Leather clicked');
-    this.setLoading(true);
-    this.showStatus('Connecting to Leather...', 'info');
+  // Badge and progress come from the jar's current premium-threshold
+  renderPremium(userStats, threshold) {
+    const premium = getPremiumProgress(userStats?.totalTippedMicro || 0n, threshold);
+    const { tier, nextTier } = premium;
 
-    try {
-      await walletManager.connectLeather();
-      this.showStatus('Connected with Leather!', 'success');
-      await this.loadHistory();
-    } catch (error) {
-      console.error('❌ Leather connection failed:', error);
-      this.showStatus(
-        error.message || 'Failed to connect to Leather wallet',
-        'error',
-      );
-    } finally {
-      this.setLoading(false);
+    if (this.elements.premiumStatus) {
+      this.elements.premiumStatus.style.display = premium.isPremium ? 'flex' : 'none';
+    }
+    if (this.elements.premiumStatusIcon) {
+      this.elements.premiumStatusIcon.textContent = tier?.icon || '👑';
+    }
+    if (this.elements.premiumStatusText) {
+      this.elements.premiumStatusText.textContent = premiumTipperLabel(tier);
+    }
+
+    if (!this.elements.premiumInfo) return;
+
+    // Nothing left to reach, or nothing tipped yet
+    if (!nextTier || !userStats) {
+      this.elements.premiumInfo.style.display = 'none';
+      return;
+    }
+
+    this.elements.premiumInfo.style.display = 'block';
+
+    const target = formatStx(nextTier.minMicro, { minDecimals: 0, unit: false });
+    if (this.elements.premiumGoalText) {
+      this.elements.premiumGoalText.textContent = premium.isPremium
+        ? t('premium.goalNextTier', { amount: target, tier: tierName(nextTier) })
+        : t('premium.goal', { amount: target });
+    }
+    if (this.elements.premiumProgress) {
+      this.elements.premiumProgress.style.width = premium.progress + '%';
+    }
+    if (this.elements.premiumProgressText) {
+      this.elements.premiumProgressText.textContent =
+        `${formatStx(userStats.totalTippedMicro, { minDecimals: 2, maxDecimals: 2, unit: false })} / ${target} STX`;
     }
   }
 
-  async connectXverse() {
-    console.log('⚡ Connect Xverse clicked');
+  async connectWallet(adapter) {
+    console.log(`${adapter.icon} Connect ${adapter.name} clicked`);
     this.setLoading(true);
-    this.showStatus('Connecting to Xverse...', 'info');
+    this.showStatus(t('wallet.connecting', { wallet: adapter.name }), 'info', { key: 'wallet' });
 
     try {
-      await walletManager.connectXverse();
-      this.showStatus('Connected with Xverse!', 'success');
+      await walletManager.connect(adapter.id);
+      this.showStatus(t('wallet.connected', { wallet: adapter.name }), 'success', { key: 'wallet' });
       await this.loadHistory();
     } catch (error) {
-      console.error('❌ Xverse connection failed:', error);
+      console.error(`❌ ${adapter.name} connection failed:`, error);
       this.showStatus(
-        error.message || 'Failed to connect to Xverse wallet',
+        describeError(error, t('wallet.connectFailed', { wallet: adapter.name })),
         'error',
+        { key: 'wallet', actions: this.retryAction(() => this.connectWallet(adapter)) }
       );
     } finally {
       this.setLoading(false);
@@ -507,7 +1867,7 @@ export class UIController {
   disconnect() {
     console.log('🔌 Disconnect clicked');
     walletManager.disconnect();
-    this.showStatus('Wallet disconnected', 'info');
+    this.showStatus(t('wallet.disconnected'), 'info', { key: 'wallet' });
     
     if (this.faucetTimer) {
       clearInterval(this.faucetTimer);
@@ -517,8 +1877,12 @@ export class UIController {
     // Clear history and user stats
     this.state.history = [];
     if (this.elements.historyList) {
-      this.elements.historyList.innerHTML = '<div class="history-empty">Connect wallet to view history</div>';
+      this.elements.historyList.innerHTML = `<div class="history-empty">${escapeHtml(t('history.connectToView'))}</div>`;
     }
+    this.resetUserStatsUI();
+  }
+
+  resetUserStatsUI() {
     if (this.elements.userStatsRow) {
       this.elements.userStatsRow.style.display = 'none';
     }
@@ -531,7 +1895,11 @@ export class UIController {
   }
 
   updateWalletUI(walletState) {
-    const isOwner = walletState.address === CONFIG.CONTRACT.OWNER;
+    const isOwner = this.isJarOwner(walletState.address);
+
+    if (this.elements.myTipsAddress) {
+      this.elements.myTipsAddress.placeholder = walletState.address || t('myTips.addressPlaceholder');
+    }
 
     if (walletState.connected) {
       console.log('✅ Showing connected UI');
@@ -542,7 +1910,7 @@ export class UIController {
       if (this.elements.walletBadge) {
         const badge = walletState.walletType.charAt(0).toUpperCase() + walletState.walletType.slice(1);
         this.elements.walletBadge.textContent = isOwner
-          ? `${badge} • Owner`
+          ? t('wallet.ownerBadge', { wallet: badge })
           : badge;
       }
 
@@ -550,8 +1918,11 @@ export class UIController {
       this.elements.connectSection?.classList.remove('show');
       this.elements.tipSection?.classList.add('show');
 
-      if (this.elements.withdrawBtn) {
-        this.elements.withdrawBtn.style.display = isOwner ? 'block' : 'none';
+      if (this.elements.adminSection) {
+        this.elements.adminSection.style.display = isOwner ? 'block' : 'none';
+      }
+      if (isOwner) {
+        this.renderAdminPanel();
       }
     } else {
       console.log('❌ Showing disconnected UI');
@@ -560,22 +1931,116 @@ export class UIController {
       this.elements.connectSection?.classList.add('show');
       this.elements.tipSection?.classList.remove('show');
 
-      if (this.elements.withdrawBtn) {
-        this.elements.withdrawBtn.style.display = 'none';
+      if (this.elements.adminSection) {
+        this.elements.adminSection.style.display = 'none';
+      }
+    }
+  }
+
+  renderAdminPanel() {
+    const stats = this.state.stats;
+    const threshold = stats?.premiumThreshold;
+
+    if (this.elements.adminCurrentThreshold) {
+      this.elements.adminCurrentThreshold.textContent =
+        threshold !== null && threshold !== undefined ? formatStx(threshold, { minDecimals: 0 }) : t('admin.unknown');
+    }
+    if (this.elements.adminConfirmPhrase) {
+      this.elements.adminConfirmPhrase.textContent = this.jar?.name || '--';
+    }
+    if (this.elements.withdrawBtnText) {
+      this.elements.withdrawBtnText.textContent = stats
+        ? t('admin.withdrawAmount', { amount: formatStx(stats.balanceMicro) })
+        : t('admin.withdraw');
+    }
+
+    this.updateAdminControls();
+  }
+
+  // Threshold and ownership changes stay disabled until the jar name is typed
+  isAdminConfirmed() {
+    const typed = this.elements.adminConfirmInput?.value.trim();
+    return Boolean(this.jar && typed === this.jar.name);
+  }
+
+  getWithdrawRecipient() {
+    return this.elements.withdrawRecipient?.value.trim() || walletManager.address;
+  }
+
+  updateAdminControls() {
+    const recipient = this.elements.withdrawRecipient?.value.trim() || '';
+    const hint = this.elements.withdrawRecipientHint;
+    const recipientValid = !recipient || isValidPrincipal(recipient);
+
+    if (hint) {
+      hint.classList.toggle('invalid', !recipientValid);
+      if (!recipient) {
+        hint.textContent = t('admin.recipientEmpty');
+      } else if (!recipientValid) {
+        hint.textContent = t('admin.recipientInvalid', { network: t('network.name', { network: getActiveNetwork() }) });
+      } else if (recipient === walletManager.address) {
+        hint.textContent = t('admin.recipientSelf');
+      } else {
+        hint.textContent = t('admin.recipientOther', { address: shortAddress(recipient) });
       }
     }
+    this.estimateWithdrawFee();
+
+    if (this.state.loading) return;
+
+    const confirmed = this.isAdminConfirmed();
+    const threshold = tryParseStx(this.elements.premiumThresholdInput?.value);
+    const newOwner = this.elements.newOwnerInput?.value.trim() || '';
+
+    if (this.elements.withdrawBtn) {
+      this.elements.withdrawBtn.disabled = !recipientValid;
+    }
+    if (this.elements.setThresholdBtn) {
+      this.elements.setThresholdBtn.disabled = !confirmed || !(threshold > 0n);
+    }
+    if (this.elements.transferOwnershipBtn) {
+      this.elements.transferOwnershipBtn.disabled = !confirmed || !isValidPrincipal(newOwner);
+    }
+  }
+
+  // Fee hint under the withdraw button, for the recipient as typed
+  async estimateWithdrawFee() {
+    const hint = this.elements.withdrawFee;
+    if (!hint) return;
+
+    const jar = this.jar;
+    const recipient = this.getWithdrawRecipient();
+    const owner = jar && this.isJarOwner(walletManager.address) && isValidPrincipal(recipient);
+
+    const tier = this.feeTier;
+    const fee = await this.latest('withdraw-fee', owner
+      ? this.feeFor(walletManager.withdrawCall(jar.contractId, recipient), jar.network)
+      : null);
+    if (fee === STALE) return;
+
+    hint.textContent = fee === null ? '' : t('fees.withdraw', {
+      tier: t('fees.tier', { tier }),
+      fee: formatStx(fee, { minDecimals: 0 })
+    });
+  }
+
+  resetAdminInputs() {
+    ['premiumThresholdInput', 'newOwnerInput', 'adminConfirmInput'].forEach(key => {
+      if (this.elements[key]) this.elements[key].value = '';
+    });
+    this.updateAdminControls();
   }
 
   async claimFaucet() {
     console.log('💰 Claim faucet clicked');
 
     if (!walletManager.address) {
-      this.showStatus('Please connect your wallet first', 'error');
+      this.showStatus(t('wallet.connectFirst'), 'error', { key: 'wallet' });
       return;
     }
 
     this.setLoading(true);
-    this.showStatus('Claiming from faucet...', 'info');
+    this.showStatus(t('faucet.claiming'), 'info', { key: 'faucet' });
 
     try {
       const result = await walletManager.claimFaucet();
@@ -586,22 +2051,30 @@ export class UIController {
         : '';
 
       this.showStatus(
-        `✅ Claimed 500 STX! ${shortTxId ? 'TX: ' + shortTxId : ''} Check your wallet in ~30 seconds.`,
+        t('faucet.claimed', { amount: CONFIG.FAUCET.AMOUNT, txId: shortTxId || 'none' }),
         'success',
+        { key: 'faucet', actions: result.txId ? this.txActions(result.txId) : [] }
       );
 
       this.updateFaucetButton();
-      setTimeout(() => this.refreshStats(), 10000);
+      if (result.txId) {
+        this.trackTransaction(result.txId, {
+          kind: 'faucet',
+          key: 'faucet',
+          amountMicro: BigInt(CONFIG.FAUCET.AMOUNT) * MICRO_PER_STX,
+          contractId: null
+        });
+      }
     } catch (error) {
       console.error('❌ Faucet claim failed:', error);
       
-      let errorMsg = error.message || 'Failed to claim from faucet';
+      let errorMsg = describeError(error, t('faucet.failed'));
       
-      if (errorMsg.includes('unavailable') || errorMsg.includes('500')) {
-        errorMsg += ' Use the manual faucet: https://explorer.hiro.so/sandbox/faucet?chain=testnet';
+      if (error.code === ERROR_CODES.FAUCET_UNAVAILABLE) {
+        errorMsg += ' ' + t('faucet.manual', { url: 'https://explorer.hiro.so/sandbox/faucet?chain=testnet' });
       }
       
-      this.showStatus(errorMsg, 'error');
+      this.showStatus(errorMsg, 'error', { key: 'faucet', actions: this.retryAction(() => this.claimFaucet()) });
     } finally {
       this.setLoading(false);
     }
@@ -610,53 +2083,63 @@ export class UIController {
   async sendTip() {
     console.log('💸 Send tip clicked');
 
-    const amount = parseFloat(this.elements.amountInput?.value || 0);
+    if (!this.jar) {
+      this.showStatus(t('jar.noneConfigured', { network: t('network.name', { network: getActiveNetwork() }) }), 'error', { key: 'jar' });
+      return;
+    }
+
     const message = this.elements.messageInput?.value?.trim() || '';
 
-    if (!amount || amount <= 0) {
-      this.showStatus('Please enter a valid tip amount', 'error');
+    // Exact µSTX straight from the typed text, never via a float
+    let amount;
+    try {
+      amount = parseStx(this.elements.amountInput?.value);
+    } catch (error) {
+      this.showStatus(t('tip.invalidAmount', { reason: error.message }), 'error', { key: 'tip-form' });
       return;
     }
 
-    if (amount < CONFIG.UI.MIN_TIP) {
-      this.showStatus(`Minimum tip is ${CONFIG.UI.MIN_TIP} STX`, 'error');
+    const limits = getTipLimits();
+    if (amount <= 0n || amount < limits.min) {
+      this.showStatus(t('tip.minimum', { amount: formatStx(limits.min, { minDecimals: 0 }) }), 'error', { key: 'tip-form' });
       return;
     }
 
-    if (amount > CONFIG.UI.MAX_TIP) {
-      this.showStatus(`Maximum tip is ${CONFIG.UI.MAX_TIP} STX`, 'error');
+    if (amount > limits.max) {
+      this.showStatus(t('tip.maximum', { amount: formatStx(limits.max, { minDecimals: 0 }) }), 'error', { key: 'tip-form' });
       return;
     }
 
     if (!walletManager.address) {
-      this.showStatus('Please connect your wallet first', 'error');
+      this.showStatus(t('wallet.connectFirst'), 'error', { key: 'wallet' });
       return;
     }
 
+    notificationCenter.dismissKey('tip-form');
     this.setLoading(true);
 
-    if (message) {
-      this.showStatus('Preparing transaction with custom message (Clarity 4)...', 'info');
-    } else {
-      this.showStatus('Preparing transaction with memo (Clarity 4)...', 'info');
-    }
+    const key = this.nextOperationKey('tip');
+    this.showStatus(t(message ? 'tip.preparingWithMessage' : 'tip.preparing'), 'info', { key });
 
     try {
+      const jar = this.jar;
+      const fee = await this.feeFor(walletManager.tipCall(amount, message, jar.contractId), jar.network);
+
       const result = message 
-        ? await walletManager.sendTipWithMessage(amount, message)
-        : await walletManager.sendTip(amount);
+        ? await walletManager.sendTipWithMessage(amount, message, jar.contractId, { fee })
+        : await walletManager.sendTip(amount, jar.contractId, { fee });
         
       console.log('✅ Transaction result:', result);
 
+      const kind = message ? 'tip-with-message' : 'tip';
       const shortTxId = result.txId
         ? result.txId.substring(0, 8) + '...'
-        : 'sent';
-
-      const successMsg = message
-        ? `✅ Tip with message sent! TX: ${shortTxId} - Memo and message stored on-chain`
-        : `✅ Tip sent! TX: ${shortTxId} - Memo stored on-chain`;
+        : t('tx.sent');
 
-      this.showStatus(successMsg, 'success');
+      this.showStatus(t('tx.submitted', { label: txLabel(kind), txId: shortTxId }), 'info', {
+        key,
+        actions: result.txId ? this.txActions(result.txId) : []
+      });
 
       // Clear inputs
       if (this.elements.amountInput) {
@@ -671,23 +2154,23 @@ export class UIController {
       }
       this.state.hasMessage = false;
       this.updateSendButton();
+      this.estimateTipFees();
 
-      // FIXED: Don't spam refresh - use progressive refresh
-      contractManager.clearCache();
-      setTimeout(() => this.refreshStats(), 3000);
-      setTimeout(() => this.loadUserStats(), 3000);
-      setTimeout(() => this.refreshHistory(), 5000);
-      setTimeout(() => this.refreshStats(), 15000);
+      // Stats and history refresh once the tip is actually mined
+      if (result.txId) {
+        this.trackTransaction(result.txId, { kind, key, amountMicro: amount });
+      }
     } catch (error) {
       console.error('❌ Send tip failed:', error);
-      if (error.message && error.message.toLowerCase().includes('cancel')) {
-        this.showStatus('Transaction cancelled', 'info');
-      } else if (error.message && error.message.toLowerCase().includes('timeout')) {
-        this.showStatus('Transaction timeout - please check your wallet', 'error');
+      if (error.code === ERROR_CODES.CANCELLED) {
+        this.showStatus(t('tx.cancelled', { label: txLabel('tip') }), 'info', { key });
+      } else if (error.code === ERROR_CODES.TIMEOUT) {
+        this.showStatus(t('tx.timeout', { label: txLabel('tip') }), 'error', { key });
       } else {
         this.showStatus(
-          'Transaction failed: ' + (error.message || 'Unknown error'),
+          t('tx.failed', { label: txLabel('tip'), error: describeError(error) }),
           'error',
+          { key, actions: this.retryAction(() => this.sendTip()) }
         );
       }
     } finally {
@@ -697,47 +2180,73 @@ export class UIController {
 
   async withdraw() {
     console.log('⬇️ Withdraw clicked');
+    const kind = 'withdraw';
 
     if (!walletManager.address) {
-      this.showStatus('Please connect your wallet first', 'error');
+      this.showStatus(t('wallet.connectFirst'), 'error', { key: 'wallet' });
+      return;
+    }
+
+    if (!this.isJarOwner(walletManager.address)) {
+      this.showStatus(t('admin.ownerOnly', { kind }), 'error', { key: 'admin' });
       return;
     }
 
-    if (walletManager.address !== CONFIG.CONTRACT.OWNER) {
-      this.showStatus('Only the contract owner can withdraw', 'error');
+    const balance = this.state.stats?.balanceMicro ?? 0n;
+    if (balance <= 0n) {
+      this.showStatus(t('admin.nothingToWithdraw'), 'error', { key: 'admin' });
       return;
     }
 
-    const balance = this.state.stats?.balance || 0;
-    if (!balance || balance <= 0) {
-      this.showStatus('Nothing to withdraw – balance is 0', 'error');
+    const recipient = this.getWithdrawRecipient();
+    if (!isValidPrincipal(recipient)) {
+      this.showStatus(t('admin.invalidRecipient', { network: t('network.name', { network: getActiveNetwork() }) }), 'error', { key: 'admin' });
       return;
     }
 
+    notificationCenter.dismissKey('admin');
     this.setLoading(true);
-    this.showStatus('Preparing withdrawal with memo (Clarity 4)...', 'info');
+    const key = this.nextOperationKey(kind);
+    this.showStatus(t('admin.preparingWithdrawal', { address: shortAddress(recipient) }), 'info', { key });
 
     try {
-      const result = await walletManager.withdraw();
+      // The post-condition pins the payout to the balance read right now
+      const jar = this.jar;
+      const fresh = await jar.contractManager.getStats(jar.network, true);
+      const fee = await this.feeFor(walletManager.withdrawCall(jar.contractId, recipient), jar.network);
+
+      const result = await walletManager.withdraw(
+        jar.contractId,
+        fresh.owner || jar.owner,
+        recipient,
+        fresh.balanceMicro,
+        { fee }
+      );
       console.log('✅ Withdraw result:', result);
 
       const shortTxId = result.txId
         ? result.txId.substring(0, 8) + '...'
-        : 'sent';
+        : t('tx.sent');
 
-      this.showStatus(`Withdrawal sent! TX: ${shortTxId} - Memo stored on-chain`, 'success');
+      this.showStatus(t('tx.submitted', { label: txLabel(kind), txId: shortTxId }), 'info', {
+        key,
+        actions: result.txId ? this.txActions(result.txId) : []
+      });
 
-      setTimeout(() => this.refreshStats(), CONFIG.TX.POLLING_INTERVAL);
+      if (result.txId) {
+        this.trackTransaction(result.txId, { kind, key, amountMicro: fresh.balanceMicro });
+      }
     } catch (error) {
       console.error('❌ Withdraw failed:', error);
-      if (error.message && error.message.toLowerCase().includes('cancel')) {
-        this.showStatus('Withdrawal cancelled', 'info');
-      } else if (error.message && error.message.toLowerCase().includes('timeout')) {
-        this.showStatus('Withdrawal timeout - please check your wallet', 'error');
+      if (error.code === ERROR_CODES.CANCELLED) {
+        this.showStatus(t('tx.cancelled', { label: txLabel(kind) }), 'info', { key });
+      } else if (error.code === ERROR_CODES.TIMEOUT) {
+        this.showStatus(t('tx.timeout', { label: txLabel(kind) }), 'error', { key });
       } else {
         this.showStatus(
-          'Withdrawal failed: ' + (error.message || 'Unknown error'),
+          t('tx.failed', { label: txLabel(kind), error: describeError(error) }),
           'error',
+          { key, actions: this.retryAction(() => this.withdraw()) }
         );
       }
     } finally {
@@ -745,37 +2254,336 @@ export class UIController {
     }
   }
 
-  async refreshStats() {
-    console.log('🔄 Refreshing stats...');
-    this.showStatus('Refreshing stats...', 'info');
+  // 'your wallet', 'ST3ZQX...DNQG' or 'ST3ZQX...DNQG.tip-jar-v4'
+  describePrincipal(principal) {
+    if (principal === walletManager.address) return t('review.yourWallet');
+    const [address, name] = principal.split('.');
+    return name ? `${shortAddress(address)}.${name}` : shortAddress(address);
+  }
+
+  // Pre-sign review; resolves true when the user continues to the wallet
+  reviewTransaction({ contractId, functionName, transfers, fee = null }) {
+    const dialog = this.elements.txReviewDialog;
+    if (!dialog || typeof dialog.showModal !== 'function') return Promise.resolve(true);
+
+    this.elements.txReviewFunction.textContent = functionName;
+    this.elements.txReviewContract.textContent = this.describePrincipal(contractId);
+    this.elements.txReviewContract.title = contractId;
+
+    // Without a fee the wallet proposes one when signing
+    const feeLine = this.elements.txReviewFee;
+    if (feeLine) {
+      feeLine.style.display = fee === null ? 'none' : 'block';
+      feeLine.textContent = fee === null ? '' : t('review.fee', { fee: formatStx(fee, { minDecimals: 0 }) });
+    }
+
+    const list = this.elements.txReviewTransfers;
+    list.innerHTML = '';
+
+    if (transfers.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = t('review.noTransfers');
+      list.appendChild(item);
+    }
+
+    transfers.forEach(transfer => {
+      const item = document.createElement('li');
+
+      const amount = document.createElement('div');
+      amount.className = 'review-transfer-amount';
+      amount.textContent = t('review.exactly', { amount: formatStx(transfer.amount, { minDecimals: 0 }) });
+
+      const route = document.createElement('div');
+      route.className = 'review-transfer-route';
+      route.textContent = t('review.route', {
+        from: this.describePrincipal(transfer.from),
+        to: this.describePrincipal(transfer.to)
+      });
+      route.title = `${transfer.from} → ${transfer.to}`;
+
+      item.appendChild(amount);
+      item.appendChild(route);
+      list.appendChild(item);
+    });
+
+    return new Promise(resolve => {
+      dialog.addEventListener('close', () => resolve(dialog.returnValue === 'confirm'), { once: true });
+      dialog.returnValue = '';
+      dialog.showModal();
+    });
+  }
+
+  // Shared flow for owner-only contract calls from the admin console
+  async runAdminAction(kind, action) {
+    if (!walletManager.address) {
+      this.showStatus(t('wallet.connectFirst'), 'error', { key: 'wallet' });
+      return;
+    }
+
+    if (!this.isJarOwner(walletManager.address)) {
+      this.showStatus(t('admin.ownerOnly', { kind }), 'error', { key: 'admin' });
+      return;
+    }
+
+    if (!this.isAdminConfirmed()) {
+      this.showStatus(t('admin.typeToConfirm', { name: this.jar.name }), 'error', { key: 'admin' });
+      return;
+    }
+
+    notificationCenter.dismissKey('admin');
+    this.setLoading(true);
+    const key = this.nextOperationKey(kind);
+    this.showStatus(t('admin.preparing', { kind }), 'info', { key });
 
     try {
-      const stats = await contractManager.getStats(CONFIG.NETWORK.DEFAULT, true, walletManager.address);
-      console.log('📊 Stats:', stats);
-      this.state.stats = stats;
+      const result = await action();
+      console.log(`✅ ${kind} result:`, result);
 
-      if (this.elements.contractBalance) {
-        this.elements.contractBalance.textContent = formatStx(stats.balance || 0);
+      this.resetAdminInputs();
+      this.showStatus(t('tx.submitted', { label: txLabel(kind), txId: `${result.txId.substring(0, 8)}...` }), 'info', {
+        key,
+        actions: this.txActions(result.txId)
+      });
+      this.trackTransaction(result.txId, { kind, key });
+    } catch (error) {
+      console.error(`❌ ${kind} failed:`, error);
+      if (error.code === ERROR_CODES.CANCELLED) {
+        this.showStatus(t('tx.cancelled', { label: txLabel(kind) }), 'info', { key });
+      } else if (error.code === ERROR_CODES.TIMEOUT) {
+        this.showStatus(t('tx.timeout', { label: txLabel(kind) }), 'error', { key });
+      } else {
+        this.showStatus(t('tx.failed', { label: txLabel(kind), error: describeError(error) }), 'error', {
+          key,
+          actions: this.retryAction(() => this.runAdminAction(kind, action))
+        });
       }
-      if (this.elements.totalTips) {
-        this.elements.totalTips.textContent = formatStx(stats.totalTips || 0);
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  async setPremiumThreshold() {
+    const amount = tryParseStx(this.elements.premiumThresholdInput?.value);
+    if (!amount || amount <= 0n) {
+      this.showStatus(t('admin.invalidThreshold'), 'error', { key: 'admin' });
+      return;
+    }
+
+    await this.runAdminAction('set-premium-threshold', () =>
+      walletManager.setPremiumThreshold(
+        amount,
+        this.jar.contractId,
+        this.state.stats?.owner || this.jar.owner
+      )
+    );
+  }
+
+  async transferOwnership() {
+    const newOwner = this.elements.newOwnerInput?.value.trim() || '';
+    if (!isValidPrincipal(newOwner)) {
+      this.showStatus(t('admin.invalidOwner', { network: t('network.name', { network: getActiveNetwork() }) }), 'error', { key: 'admin' });
+      return;
+    }
+
+    await this.runAdminAction('transfer-ownership', () =>
+      walletManager.transferOwnership(
+        newOwner,
+        this.jar.contractId,
+        this.state.stats?.owner || this.jar.owner
+      )
+    );
+  }
+
+  /**
+   * Follows a submitted transaction and reports its final on-chain result in
+   * the toast under `key`. It is saved to pendingTxStore first, so tracking
+   * resumes after a reload (see resumePendingTransactions).
+   */
+  async trackTransaction(txId, {
+    kind,
+    key = `tx:${txId}`,
+    amountMicro = null,
+    network = this.jar?.network || getActiveNetwork(),
+    contractId = this.jar?.contractId || null,
+    submittedAt = Date.now()
+  }) {
+    // The jar it went to, if that's the one on screen; faucet claims have none
+    const jar = contractId && this.jar?.contractId === contractId && this.jar.network === network
+      ? this.jar
+      : null;
+    const shortTxId = txId.replace(/^0x/, '').substring(0, 8) + '...';
+    const actions = this.txActions(txId, network);
+
+    pendingTxStore.add({ txId, kind, amountMicro, network, contractId, submittedAt });
+
+    const record = await txTracker.track(txId, {
+      network,
+      kind,
+      meta: { contractId },
+      submittedAt,
+      onUpdate: update => {
+        if (update.status === TX_STATUS.MEMPOOL) {
+          this.showStatus(t('tx.mempool', { label: txLabel(kind), txId: shortTxId }), 'info', { key, actions });
+        } else if (update.status === TX_STATUS.CONFIRMING) {
+          this.showStatus(t('tx.confirming', {
+            label: txLabel(kind),
+            height: update.blockHeight,
+            count: update.confirmations,
+            required: CONFIG.TX.CONFIRMATION_BLOCKS,
+            txId: shortTxId
+          }), 'info', { key, actions });
+        }
       }
-      if (this.elements.totalTippers) {
-        this.elements.totalTippers.textContent = stats.totalTippers || 0;
+    });
+
+    if (record.status === TX_STATUS.SUCCESS) {
+      jar?.contractManager.clearCache();
+      if (jar && jar === this.jar) {
+        await this.refreshStats({ quiet: true });
+        await this.refreshHistory();
+      }
+      this.showStatus(t('tx.confirmed', { label: txLabel(kind), height: record.blockHeight, txId: shortTxId }), 'success', { key, actions });
+    } else if (record.status === TX_STATUS.ABORT_BY_POST_CONDITION) {
+      // e.g. a tip arrived between the balance read and a withdrawal
+      this.showStatus(t('tx.blockedByPostConditions', { label: txLabel(kind), txId: shortTxId }), 'error', { key, actions });
+    } else if (record.status === TX_STATUS.DROPPED) {
+      const reason = describeTxResult(record.result) || t('tx.notMined');
+      this.showStatus(t('tx.dropped', { label: txLabel(kind), reason, txId: shortTxId }), 'error', { key, actions });
+    } else {
+      this.showStatus(t('tx.failedOnChain', { label: txLabel(kind), reason: describeTxResult(record.result), txId: shortTxId }), 'error', { key, actions });
+    }
+
+    return record;
+  }
+
+  subscribeToPendingTxs() {
+    pendingTxStore.subscribe(() => this.renderPendingTxs());
+    this.renderPendingTxs();
+  }
+
+  // Picks up transactions that were still being mined when the page closed
+  resumePendingTransactions() {
+    const unfinished = pendingTxStore.listUnfinished();
+    if (unfinished.length === 0) return;
+
+    console.log(`⏳ Resuming ${unfinished.length} pending transaction(s)`);
+    this.showStatus(t('pendingTxs.resuming', { count: unfinished.length }), 'info', { key: 'pending-resume' });
+
+    unfinished.forEach(entry => {
+      this.trackTransaction(entry.txId, {
+        kind: entry.kind,
+        amountMicro: entry.amountMicro,
+        network: entry.network,
+        contractId: entry.contractId,
+        submittedAt: entry.submittedAt
+      }).catch(error => console.error('❌ Failed to resume tracking:', entry.txId, error));
+    });
+  }
+
+  // The active network's submitted transactions, newest first
+  renderPendingTxs() {
+    const section = this.elements.pendingTxsSection;
+    const list = this.elements.pendingTxsList;
+    if (!section || !list) return;
+
+    const network = getActiveNetwork();
+    const entries = pendingTxStore.list({ network });
+    section.style.display = entries.length > 0 ? 'block' : 'none';
+    if (this.elements.clearPendingTxsBtn) {
+      this.elements.clearPendingTxsBtn.disabled = !entries.some(entry => isFinalStatus(entry.status));
+    }
+
+    list.innerHTML = '';
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'pending-tx';
+      item.dataset.status = entry.status;
+
+      const main = document.createElement('div');
+      main.className = 'pending-tx-main';
+
+      const kind = document.createElement('span');
+      kind.className = 'pending-tx-kind';
+      kind.textContent = txLabel(entry.kind);
+      main.appendChild(kind);
+
+      if (entry.amountMicro !== null) {
+        const amount = document.createElement('span');
+        amount.textContent = formatStx(entry.amountMicro, { minDecimals: 0 });
+        main.appendChild(amount);
       }
-      if (this.elements.totalTransactions) {
-        this.elements.totalTransactions.textContent = stats.totalTransactions || 0;
+
+      const status = document.createElement('span');
+      status.className = 'pending-tx-status';
+      status.textContent = t('pendingTxs.status', { status: entry.status });
+      main.appendChild(status);
+
+      const meta = document.createElement('div');
+      meta.className = 'pending-tx-meta';
+
+      const time = document.createElement('time');
+      time.dateTime = new Date(entry.submittedAt).toISOString();
+      time.textContent = formatDate(entry.submittedAt, { dateStyle: 'short', timeStyle: 'short' });
+      meta.appendChild(time);
+
+      if (entry.blockHeight !== null) {
+        const block = document.createElement('span');
+        block.textContent = t('pendingTxs.inBlock', { height: entry.blockHeight });
+        meta.appendChild(block);
       }
 
+      const link = document.createElement('a');
+      link.href = getExplorerTxUrl(entry.txId, entry.network);
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = t('pendingTxs.viewInExplorer');
+      meta.appendChild(link);
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'pending-tx-remove';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', t('pendingTxs.remove'));
+      remove.title = t('pendingTxs.remove');
+      remove.addEventListener('click', () => pendingTxStore.remove(entry.txId));
+
+      item.append(main, meta, remove);
+      list.appendChild(item);
+    });
+  }
+
+  // `quiet` skips the status messages (background refreshes)
+  async refreshStats({ quiet = false } = {}) {
+    const jar = this.jar;
+    if (!jar) return;
+
+    console.log('🔄 Refreshing stats...');
+    if (!quiet) this.showStatus(t('stats.refreshing'), 'info', { key: 'stats' });
+
+    try {
+      const stats = await jar.contractManager.getStats(jar.network, true, walletManager.address);
+      if (jar !== this.jar) return;
+
+      console.log('📊 Stats:', stats);
+      this.state.stats = stats;
+      this.renderStats(stats);
+      this.updateWalletUI(walletManager.getState());
+
       // Update user stats if connected
       if (walletManager.address) {
         await this.loadUserStats();
       }
 
-      this.showStatus('Stats updated', 'success');
+      if (!quiet) this.showStatus(t('stats.updated'), 'success', { key: 'stats' });
     } catch (error) {
+      if (jar !== this.jar) return;
       console.error('❌ Failed to refresh stats:', error);
-      this.showStatus('Failed to load contract data', 'error');
+      if (!quiet) {
+        this.showStatus(t('stats.loadFailed'), 'error', {
+          key: 'stats',
+          actions: this.retryAction(() => this.refreshStats())
+        });
+      }
 
       if (this.elements.contractBalance) {
         this.elements.contractBalance.textContent = '--';
@@ -786,18 +2594,319 @@ export class UIController {
     }
   }
 
-  showStatus(message, type = 'info') {
+  // One feed runs at a time: the active jar's
+  startLiveFeed(jar) {
+    const feed = jar ? getLiveFeed(jar.contractManager) : null;
+    if (feed === this.liveFeed) return;
+
+    this.unsubscribeLiveFeed?.();
+    this.liveFeed?.stop();
+    this.pendingTips.clear();
+    this.renderPendingTips();
+
+    this.liveFeed = feed;
+    this.unsubscribeLiveFeed = null;
+    this.renderLiveStatus(feed ? feed.mode : FEED_MODES.STOPPED);
+    if (!feed) return;
+
+    this.unsubscribeLiveFeed = feed.subscribe(event => this.handleLiveEvent(jar, event));
+    feed.start();
+  }
+
+  handleLiveEvent(jar, event) {
+    if (jar !== this.jar) return;
+
+    switch (event.type) {
+      case 'status':
+        this.renderLiveStatus(event.mode);
+        break;
+      case 'pending':
+        this.pendingTips.set(event.txId, event);
+        this.renderPendingTips();
+        break;
+      case 'settled':
+        if (this.pendingTips.delete(event.txId)) this.renderPendingTips();
+        break;
+      case 'tips':
+        this.addLiveTips(event.tips);
+        break;
+      case 'reset':
+        this.refreshStats({ quiet: true });
+        if (walletManager.address) this.loadHistory();
+        break;
+    }
+  }
+
+  renderLiveStatus(mode) {
+    const el = this.elements.liveStatus;
+    if (!el) return;
+    el.textContent = LIVE_STATUS_LABELS[mode] ? t(LIVE_STATUS_LABELS[mode]) : mode;
+    el.dataset.mode = mode;
+    el.title = mode === FEED_MODES.POLLING ? t('live.pollingHint') : '';
+  }
+
+  renderPendingTips() {
+    const container = this.elements.pendingTips;
+    if (!container) return;
+
+    container.innerHTML = '';
+    this.pendingTips.forEach(tip => {
+      const row = document.createElement('div');
+      row.className = 'pending-tip';
+      const sender = tip.sender ? shortAddress(tip.sender) : t('live.someone');
+      row.textContent = tip.amountMicro !== null
+        ? t('live.pendingAmount', { sender, amount: formatStx(tip.amountMicro, { minDecimals: 0 }) })
+        : t('live.pending', { sender });
+      container.appendChild(row);
+    });
+  }
+
+  // New history entries from the live feed, oldest first
+  addLiveTips(tips) {
+    const known = new Set(this.state.history.map(tx => tx.txId));
+    const fresh = tips.filter(tx => !known.has(tx.txId)).reverse();
+
+    if (fresh.length > 0 && this.state.historySupported) {
+      this.state.history = [...fresh, ...this.state.history].slice(0, this.state.historyLimit);
+      this.renderHistory(this.state.history);
+      Array.from(this.elements.historyList.children)
+        .slice(0, fresh.length)
+        .forEach(item => item.classList.add('is-new'));
+    }
+
+    // Our own tips are already announced by the transaction tracker
+    const latest = tips[tips.length - 1];
+    if (tips.length > 1) {
+      this.showStatus(t('live.newTips', { count: tips.length }), 'info', { key: 'live' });
+    } else if (latest.tipper !== walletManager.address) {
+      this.showStatus(t('live.newTip', {
+        amount: formatStx(latest.amountMicro, { minDecimals: 0 }),
+        address: shortAddress(latest.tipper)
+      }), 'info', { key: 'live' });
+    }
+
+    this.refreshStats({ quiet: true });
+    if (this.state.historySupported) {
+      this.loadLeaderboard();
+      this.loadAnalytics();
+    }
+    if (this.historyTab === 'mine') this.loadMyTips();
+  }
+
+  renderStats(stats) {
+    const placeholder = '--';
+
+    if (this.elements.contractBalance) {
+      this.elements.contractBalance.textContent = stats ? formatStx(stats.balanceMicro) : placeholder;
+    }
+    if (this.elements.totalTips) {
+      this.elements.totalTips.textContent = stats ? formatStx(stats.totalTipsMicro) : placeholder;
+    }
+    if (this.elements.totalTippers) {
+      this.elements.totalTippers.textContent = stats ? formatNumber(stats.totalTippers || 0) : placeholder;
+    }
+    if (this.elements.totalTransactions) {
+      this.elements.totalTransactions.textContent = stats ? formatNumber(stats.totalTransactions || 0) : placeholder;
+    }
+  }
+
+  /**
+   * Shows a toast. Passing the `key` of a toast still on screen updates it
+   * instead of stacking another, so each operation keeps a single toast.
+   */
+  showStatus(message, type = SEVERITIES.INFO, { key = null, actions = [] } = {}) {
     console.log(`📢 Status [${type}]:`, message);
-    if (!this.elements.status) return;
+    return notificationCenter.notify({ message, severity: type, key, actions });
+  }
 
-    this.elements.status.textContent = message;
-    this.elements.status.className = `status show ${type}`;
+  // Unique notification key for one run of an operation, e.g. 'tip:3'
+  nextOperationKey(kind) {
+    this.operationCount += 1;
+    return `${kind}:${this.operationCount}`;
+  }
 
-    if (type === 'success' || type === 'info') {
-      setTimeout(() => {
-        this.elements.status.classList.remove('show');
-      }, 5000);
+  txActions(txId, network = getActiveNetwork()) {
+    return [{ label: t('notifications.viewTx'), href: getExplorerTxUrl(txId, network) }];
+  }
+
+  retryAction(run) {
+    return [{ label: t('notifications.retry'), run }];
+  }
+
+  subscribeToNotifications() {
+    notificationCenter.subscribe(event => {
+      if (event.type === 'added' || event.type === 'updated') {
+        this.announce(event.notification);
+      }
+      this.renderToasts();
+      if (this.elements.notificationLogDialog?.open) {
+        this.notificationsSeenAt = Date.now();
+        this.renderNotificationLog();
+      }
+      this.renderNotificationCount();
+    });
+  }
+
+  // Errors interrupt the screen reader; everything else waits its turn
+  announce(notification) {
+    const region = notification.severity === SEVERITIES.ERROR
+      ? this.elements.assertiveAnnouncer
+      : this.elements.politeAnnouncer;
+    if (!region) return;
+
+    // Emptying first makes a repeated message count as a change
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = notification.message;
+    }, 50);
+  }
+
+  // Keeps existing toast elements so focus on their buttons survives updates
+  renderToasts({ rebuild = false } = {}) {
+    const container = this.elements.toasts;
+    if (!container) return;
+
+    if (rebuild) {
+      this.toastElements.clear();
+      container.innerHTML = '';
+    }
+
+    const visible = notificationCenter.getVisible();
+    const visibleIds = new Set(visible.map(notification => notification.id));
+
+    this.toastElements.forEach((entry, id) => {
+      if (!visibleIds.has(id)) {
+        entry.element.remove();
+        this.toastElements.delete(id);
+      }
+    });
+
+    visible.forEach(notification => {
+      let entry = this.toastElements.get(notification.id);
+      if (!entry) {
+        entry = { element: document.createElement('div'), updatedAt: null };
+        this.toastElements.set(notification.id, entry);
+      }
+      if (entry.updatedAt !== notification.updatedAt) {
+        this.fillToast(entry.element, notification);
+        entry.updatedAt = notification.updatedAt;
+      }
+      container.appendChild(entry.element);
+    });
+
+    container.querySelector('.toast-queued')?.remove();
+    const queued = notificationCenter.getQueuedCount();
+    if (queued > 0) {
+      const more = document.createElement('div');
+      more.className = 'toast-queued';
+      more.textContent = t('notifications.queued', { count: queued });
+      container.appendChild(more);
+    }
+  }
+
+  fillToast(element, notification) {
+    element.className = `toast ${notification.severity}`;
+    element.innerHTML = '';
+
+    const message = document.createElement('div');
+    message.className = 'toast-message';
+    message.textContent = notification.message;
+    element.appendChild(message);
+
+    if (notification.actions.length > 0) {
+      const actions = document.createElement('div');
+      actions.className = 'toast-actions';
+
+      notification.actions.forEach(action => {
+        let control;
+        if (action.href) {
+          control = document.createElement('a');
+          control.href = action.href;
+          control.target = '_blank';
+          control.rel = 'noopener';
+        } else {
+          control = document.createElement('button');
+          control.type = 'button';
+          control.addEventListener('click', () => {
+            notificationCenter.dismiss(notification.id);
+            action.run();
+          });
+        }
+        control.className = 'toast-action';
+        control.textContent = action.label;
+        actions.appendChild(control);
+      });
+
+      element.appendChild(actions);
     }
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'toast-close';
+    close.textContent = '×';
+    close.setAttribute('aria-label', t('notifications.dismiss'));
+    close.addEventListener('click', () => notificationCenter.dismiss(notification.id));
+    element.appendChild(close);
+  }
+
+  renderNotificationCount() {
+    const badge = this.elements.notificationCount;
+    if (!badge) return;
+
+    const unseen = notificationCenter.getLog().filter(entry => entry.at > this.notificationsSeenAt).length;
+    badge.textContent = unseen > 99 ? '99+' : String(unseen);
+    badge.hidden = unseen === 0;
+    this.elements.notificationLogBtn?.setAttribute(
+      'aria-label',
+      unseen > 0 ? t('notifications.openLogUnseen', { count: unseen }) : t('notifications.openLog')
+    );
+  }
+
+  openNotificationLog() {
+    const dialog = this.elements.notificationLogDialog;
+    if (!dialog || typeof dialog.showModal !== 'function') return;
+
+    this.notificationsSeenAt = Date.now();
+    this.renderNotificationCount();
+    this.renderNotificationLog();
+    dialog.showModal();
+  }
+
+  renderNotificationLog() {
+    const list = this.elements.notificationLogList;
+    if (!list) return;
+
+    list.innerHTML = '';
+    const log = notificationCenter.getLog();
+
+    if (log.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'notification-log-empty';
+      empty.textContent = t('notifications.logEmpty');
+      list.appendChild(empty);
+      return;
+    }
+
+    log.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = entry.severity;
+
+      const time = document.createElement('time');
+      time.className = 'notification-log-time';
+      time.dateTime = new Date(entry.at).toISOString();
+      time.textContent = formatDate(entry.at, { timeStyle: 'medium' });
+
+      const severity = document.createElement('span');
+      severity.className = 'sr-only';
+      severity.textContent = t('notifications.severity', { severity: entry.severity });
+
+      const message = document.createElement('span');
+      message.className = 'notification-log-message';
+      message.textContent = entry.message;
+
+      item.append(time, severity, message);
+      list.appendChild(item);
+    });
   }
 
   setLoading(loading) {
@@ -805,11 +2914,12 @@ export class UIController {
     this.state.loading = loading;
 
     const buttons = [
-      this.elements.leatherBtn,
-      this.elements.xverseBtn,
+      ...this.walletButtons.values(),
       this.elements.sendTipBtn,
       this.elements.refreshBtn,
       this.elements.withdrawBtn,
+      this.elements.setThresholdBtn,
+      this.elements.transferOwnershipBtn,
       this.elements.faucetBtn,
       this.elements.refreshHistoryBtn
     ];
@@ -821,6 +2931,7 @@ export class UIController {
     });
     
     if (!loading) {
+      this.updateAdminControls();
       setTimeout(() => this.updateFaucetButton(), 100);
     }
   }
@@ -1,6 +1,7 @@
 // vite.config.js (FIXED - with Buffer polyfill)
 import { defineConfig } from 'vite';
 import { nodePolyfills } from 'vite-plugin-node-polyfills';
+import { mockStacksApi } from './mock/api-plugin.js';
 
 export default defineConfig({
   plugins: [
@@ -11,6 +12,8 @@ export default defineConfig({
         Buffer: true,
       },
     }),
+    // Stand-in Stacks API for offline mode (see mock/)
+    mockStacksApi(),
   ],
   
   build: {
@@ -18,7 +21,13 @@ export default defineConfig({
     sourcemap: true,
     rollupOptions: {
       input: {
-        main: './index.html'
+        main: './index.html',
+        embed: './embed.html',
+        // <stacks-tip-jar> for other sites, at a stable URL (see README "Embedding")
+        'tip-jar': './embed/tip-jar-element.js'
+      },
+      output: {
+        entryFileNames: chunk => (chunk.name === 'tip-jar' ? 'tip-jar.js' : 'assets/[name]-[hash].js')
       }
     }
   },
@@ -36,5 +45,12 @@ export default defineConfig({
   
   optimizeDeps: {
     include: ['@stacks/transactions']
+  },
+
+  // `npm test`: plain Node with the few browser globals the modules read
+  test: {
+    environment: 'node',
+    include: ['test/**/*.test.js'],
+    setupFiles: ['./test/setup.js']
   }
 });
@@ -1,14 +1,25 @@
 // wallet.js - Wallet management (FIXED)
-import { CONFIG, validateNetwork, storage } from './config.js';
+import {
+  CONFIG,
+  validateNetwork,
+  storage,
+  networkKey,
+  getActiveNetwork,
+  getContractConfig,
+  getContractId,
+  getFaucetEndpoint,
+  isValidPrincipal
+} from './config.js';
 import { 
   uintCV, 
   cvToHex, 
-  standardPrincipalCV, 
-  stringUtf8CV,
-  PostConditionMode,
-  makeStandardSTXPostCondition,
-  FungibleConditionCode
+  principalCV, 
+  stringUtf8CV
 } from '@stacks/transactions';
+import { walletRegistry } from './wallets/index.js';
+import { toMicro, formatStx, getTipLimits } from './amount.js';
+import { tipPolicy, withdrawPolicy, noTransferPolicy, isDenyPolicy } from './post-conditions.js';
+import { AppError, ERROR_CODES } from './errors.js';
 
 export class WalletManager {
   constructor() {
@@ -19,9 +30,15 @@ export class WalletManager {
     this.lastFaucetClaim = null;
     this.autoReconnected = false;
     this.pendingTxTimeout = null;
+    this.reviewHandler = null;
     
     // Load saved wallet state and faucet cooldown
-    this.loadWalletState();
+    if (this.loadWalletState()) {
+      setTimeout(() => {
+        console.log('🔔 Notifying listeners of auto-reconnect');
+        this.notify();
+      }, 100);
+    }
     this.loadFaucetCooldown();
   }
 
@@ -32,57 +49,56 @@ export class WalletManager {
         walletType: this.walletType,
         timestamp: Date.now()
       };
-      storage.set('stacks_wallet_state', state);
+      storage.set(networkKey('stacks_wallet_state'), state);
       console.log('💾 Saved wallet state');
     }
   }
 
   loadWalletState() {
-    const saved = storage.get('stacks_wallet_state');
+    const saved = storage.get(networkKey('stacks_wallet_state'));
     if (saved) {
       const hoursSince = (Date.now() - saved.timestamp) / (1000 * 60 * 60);
       
-      if (hoursSince < 24) {
+      // A wallet that isn't registered here (e.g. the mock wallet outside
+      // mock mode) can't be reconnected
+      if (!this.getAdapter(saved.walletType)) {
+        console.log('⚠️ Saved wallet is not available, clearing...');
+        storage.remove(networkKey('stacks_wallet_state'));
+      } else if (hoursSince < 24) {
         this.address = saved.address;
         this.walletType = saved.walletType;
         this.autoReconnected = true;
         console.log('✅ Restored wallet state:', saved);
-        
-        setTimeout(() => {
-          console.log('🔔 Notifying listeners of auto-reconnect');
-          this.notify();
-        }, 100);
-        
         return true;
       } else {
         console.log('⚠️ Wallet state expired, clearing...');
-        storage.remove('stacks_wallet_state');
+        storage.remove(networkKey('stacks_wallet_state'));
       }
     }
     return false;
   }
 
   clearWalletState() {
-    storage.remove('stacks_wallet_state');
+    storage.remove(networkKey('stacks_wallet_state'));
     console.log('🗑️ Cleared wallet state');
   }
 
   // FIXED: Persist faucet cooldown
   saveFaucetCooldown() {
     if (this.lastFaucetClaim) {
-      storage.set('faucet_last_claim', this.lastFaucetClaim);
+      storage.set(networkKey('faucet_last_claim'), this.lastFaucetClaim);
     }
   }
 
   loadFaucetCooldown() {
-    const lastClaim = storage.get('faucet_last_claim');
+    const lastClaim = storage.get(networkKey('faucet_last_claim'));
     if (lastClaim) {
       const timeSince = Date.now() - lastClaim;
       if (timeSince < CONFIG.FAUCET.COOLDOWN) {
         this.lastFaucetClaim = lastClaim;
         console.log('✅ Restored faucet cooldown');
       } else {
-        storage.remove('faucet_last_claim');
+        storage.remove(networkKey('faucet_last_claim'));
       }
     }
   }
@@ -97,7 +113,7 @@ export class WalletManager {
 
     while (attempts < maxAttempts) {
       const availability = this.checkAvailability();
-      if (availability.leather || availability.xverse) {
+      if (Object.values(availability).some(Boolean)) {
         this.isReady = true;
         console.log('✅ Wallets detected:', availability);
         return;
@@ -145,15 +161,9 @@ export class WalletManager {
   }
 
   checkAvailability() {
-    if (typeof window === 'undefined') {
-      return { leather: false, xverse: false };
-    }
-
-    return {
-      leather: typeof window.LeatherProvider !== 'undefined' || 
-               typeof window.HiroWalletProvider !== 'undefined',
-      xverse: typeof window.XverseProviders !== 'undefined'
-    };
+    return Object.fromEntries(
+      walletRegistry.list().map(adapter => [adapter.id, adapter.detect()])
+    );
   }
 
   // FIXED: Use @stacks/transactions instead of raw Buffer
@@ -162,8 +172,9 @@ export class WalletManager {
     return cvToHex(cv);
   }
 
+  // Accepts standard and contract principals
   encodePrincipal(address) {
-    const cv = standardPrincipalCV(address);
+    const cv = principalCV(address);
     return cvToHex(cv);
   }
 
@@ -172,67 +183,32 @@ export class WalletManager {
     return cvToHex(cv);
   }
 
-  extractTxId(response) {
-    if (!response) return null;
-    if (response.txid || response.txId) {
-      return response.txid || response.txId;
-    }
-    if (response.result && (response.result.txid || response.result.txId)) {
-      return response.result.txid || response.result.txId;
-    }
-    return null;
+  getAdapter(walletType = this.walletType) {
+    return walletType ? walletRegistry.get(walletType) : null;
   }
 
-  async connectLeather() {
-    console.log('🔌 Attempting Leather connection...');
-
-    if (typeof window === 'undefined') {
-      throw new Error('Wallets are only available in the browser');
+  async connect(walletType) {
+    const adapter = this.getAdapter(walletType);
+    if (!adapter) {
+      throw new AppError(ERROR_CODES.UNSUPPORTED_WALLET, { wallet: walletType });
     }
 
-    const provider = window.LeatherProvider || window.HiroWalletProvider;
-
-    if (!provider) {
-      throw new Error('Leather wallet not installed. Install from leather.io');
-    }
+    console.log(`🔌 Attempting ${adapter.name} connection...`);
 
     try {
-      console.log('📡 Requesting addresses from Leather...');
-      const response = await provider.request('getAddresses');
-      console.log('✅ Leather response:', response);
+      const network = getActiveNetwork();
+      const address = await adapter.connect(network);
 
-      if (!response.result?.addresses) {
-        throw new Error('No addresses returned from Leather');
-      }
-
-      const addresses = response.result.addresses;
-      const network = CONFIG.NETWORK.DEFAULT;
-
-      const stacksAddress = addresses.find(addr => {
-        if (addr.symbol !== 'STX') return false;
-        if (network === 'testnet') {
-          return addr.address.startsWith('ST');
-        } else {
-          return addr.address.startsWith('SP');
-        }
-      });
-
-      const fallbackAddress = addresses.find(addr => addr.symbol === 'STX');
-      const finalAddress = stacksAddress || fallbackAddress;
-
-      if (!finalAddress) {
-        throw new Error('No Stacks address found in wallet');
-      }
+      // FIXED: Validate network matches
+      validateNetwork(address, network);
 
-      this.address = finalAddress.address;
-      this.walletType = 'leather';
+      this.address = address;
+      this.walletType = adapter.id;
       this.autoReconnected = false;
-      
-      // FIXED: Validate network matches
-      validateNetwork(this.address, CONFIG.NETWORK.DEFAULT);
-      
+      this.watchAdapter(adapter);
+
       console.log('✅ Connected:', this.address);
-      
+
       this.saveWalletState();
       this.notify();
 
@@ -242,62 +218,32 @@ export class WalletManager {
         walletType: this.walletType,
       };
     } catch (error) {
-      console.error('❌ Leather connection error:', error);
+      console.error(`❌ ${adapter.name} connection error:`, error);
       throw error;
     }
   }
 
-  async connectXverse() {
-    console.log('🔌 Attempting Xverse connection...');
-
-    if (typeof window === 'undefined') {
-      throw new Error('Wallets are only available in the browser');
-    }
-
-    if (typeof window.XverseProviders === 'undefined') {
-      throw new Error('Xverse wallet not installed. Install from xverse.app');
-    }
-
-    try {
-      const stacksProvider = window.XverseProviders.StacksProvider;
-      console.log('📡 Requesting addresses from Xverse...');
-
-      const response = await stacksProvider.request('stx_getAccounts', {
-        purposes: ['stx'],
-        message: 'Connect to ' + CONFIG.APP.NAME,
-      });
-
-      console.log('✅ Xverse response:', response);
-
-      const address =
-        response?.result?.accounts?.[0]?.address ||
-        response?.result?.addresses?.[0]?.address;
+  // The connection is only trusted until the wallet reports a change
+  watchAdapter(adapter) {
+    this.unwatchAdapter?.();
 
-      if (!address) {
-        throw new Error('No address returned from Xverse');
-      }
+    const unsubscribers = ['accountsChanged', 'networkChanged', 'disconnect'].map(event =>
+      adapter.on(event, () => {
+        if (this.walletType !== adapter.id || !this.address) return;
+        console.warn(`⚠️ ${adapter.name} reported ${event}, disconnecting`);
+        this.disconnect();
+      })
+    );
 
-      this.address = address;
-      this.walletType = 'xverse';
-      this.autoReconnected = false;
-      
-      // FIXED: Validate network matches
-      validateNetwork(this.address, CONFIG.NETWORK.DEFAULT);
-      
-      console.log('✅ Connected:', this.address);
-      
-      this.saveWalletState();
-      this.notify();
+    this.unwatchAdapter = () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
 
-      return {
-        success: true,
-        address: this.address,
-        walletType: this.walletType,
-      };
-    } catch (error) {
-      console.error('❌ Xverse connection error:', error);
-      throw error;
+  async signMessage(message) {
+    const adapter = this.getAdapter();
+    if (!this.address || !adapter) {
+      throw new AppError(ERROR_CODES.NOT_CONNECTED);
     }
+    return adapter.signMessage(message);
   }
 
   disconnect() {
@@ -306,6 +252,8 @@ export class WalletManager {
     this.address = null;
     this.walletType = null;
     this.autoReconnected = false;
+    this.unwatchAdapter?.();
+    this.unwatchAdapter = null;
     
     if (this.pendingTxTimeout) {
       clearTimeout(this.pendingTxTimeout);
@@ -316,6 +264,38 @@ export class WalletManager {
     this.notify();
   }
 
+  /**
+   * Called after the app switches network. Each network keeps its own saved
+   * connection, so a mismatched address is dropped and the new network's
+   * saved wallet (if any) is restored. Returns the dropped address, if any.
+   */
+  handleNetworkChange(network) {
+    const previousAddress = this.address;
+    let dropped = null;
+
+    if (previousAddress) {
+      try {
+        validateNetwork(previousAddress, network);
+        this.saveWalletState();
+        return { dropped: null, address: this.address };
+      } catch (error) {
+        console.warn('⚠️ Connected wallet does not match new network:', error.message);
+        dropped = previousAddress;
+      }
+    }
+
+    this.address = null;
+    this.walletType = null;
+    this.autoReconnected = false;
+    this.lastFaucetClaim = null;
+
+    this.loadWalletState();
+    this.loadFaucetCooldown();
+    this.notify();
+
+    return { dropped, address: this.address };
+  }
+
   getState() {
     return {
       address: this.address,
@@ -328,23 +308,23 @@ export class WalletManager {
     console.log('💰 Attempting to claim from faucet...');
 
     if (!this.address) {
-      throw new Error('Wallet not connected');
+      throw new AppError(ERROR_CODES.NOT_CONNECTED);
     }
 
-    if (CONFIG.NETWORK.DEFAULT !== 'testnet') {
-      throw new Error('Faucet is only available on testnet');
+    if (getActiveNetwork() !== 'testnet') {
+      throw new AppError(ERROR_CODES.FAUCET_TESTNET_ONLY);
     }
 
     if (this.lastFaucetClaim) {
       const timeSince = Date.now() - this.lastFaucetClaim;
       if (timeSince < CONFIG.FAUCET.COOLDOWN) {
         const remainingSeconds = Math.ceil((CONFIG.FAUCET.COOLDOWN - timeSince) / 1000);
-        throw new Error(`Please wait ${remainingSeconds} seconds before claiming again`);
+        throw new AppError(ERROR_CODES.FAUCET_COOLDOWN, { seconds: remainingSeconds });
       }
     }
 
     try {
-      const url = `${CONFIG.FAUCET.ENDPOINT}?address=${this.address}&stacking=false`;
+      const url = `${getFaucetEndpoint()}?address=${this.address}&stacking=false`;
       console.log('📡 Calling faucet:', url);
 
       const response = await fetch(url, {
@@ -353,7 +333,7 @@ export class WalletManager {
 
       if (!response.ok) {
         if (response.status === 429) {
-          throw new Error('Faucet rate limit reached. Try again later.');
+          throw new AppError(ERROR_CODES.FAUCET_RATE_LIMITED);
         }
         
         let errorText = '';
@@ -365,10 +345,10 @@ export class WalletManager {
         }
         
         if (response.status === 500) {
-          throw new Error('Faucet service temporarily unavailable.');
+          throw new AppError(ERROR_CODES.FAUCET_UNAVAILABLE);
         }
         
-        throw new Error(`Faucet request failed: ${errorText || response.statusText}`);
+        throw new AppError(ERROR_CODES.FAUCET_FAILED, { reason: errorText || response.statusText });
       }
 
       const data = await response.json();
@@ -391,8 +371,12 @@ export class WalletManager {
   }
 
   canClaimFaucet() {
-    if (!this.address || CONFIG.NETWORK.DEFAULT !== 'testnet') {
-      return { canClaim: false, reason: 'Not connected or not on testnet' };
+    if (!this.address) {
+      return { canClaim: false, reason: ERROR_CODES.NOT_CONNECTED };
+    }
+
+    if (getActiveNetwork() !== 'testnet') {
+      return { canClaim: false, reason: ERROR_CODES.FAUCET_TESTNET_ONLY };
     }
 
     if (this.lastFaucetClaim) {
@@ -401,7 +385,7 @@ export class WalletManager {
         const remainingSeconds = Math.ceil((CONFIG.FAUCET.COOLDOWN - timeSince) / 1000);
         return { 
           canClaim: false, 
-          reason: `Wait ${remainingSeconds}s`,
+          reason: ERROR_CODES.FAUCET_COOLDOWN,
           remainingSeconds 
         };
       }
@@ -416,341 +400,230 @@ export class WalletManager {
       promise,
       new Promise((_, reject) => {
         this.pendingTxTimeout = setTimeout(() => {
-          reject(new Error('Transaction timeout - wallet did not respond'));
+          reject(new AppError(ERROR_CODES.TIMEOUT));
         }, timeoutMs);
       })
     ]);
   }
 
-  async sendTip(amount) {
-    console.log('💸 Attempting to send tip:', amount, 'STX');
+  /**
+   * Registers the pre-sign review: `handler(review)` resolves to true to go
+   * ahead or false to cancel. `review` is { contractId, functionName,
+   * postConditionMode, transfers, fee } (see post-conditions.js); `fee` is
+   * null when the wallet picks it.
+   */
+  setReviewHandler(handler) {
+    this.reviewHandler = handler;
+  }
 
-    if (!this.address) {
-      throw new Error('Wallet not connected');
+  // Signs and broadcasts a contract call through the connected wallet's adapter.
+  // `params` must carry a policy from post-conditions.js, and may carry a
+  // `fee` in µSTX (see fees.js).
+  async callContract(params) {
+    const adapter = this.getAdapter();
+    if (!this.address || !adapter) {
+      throw new AppError(ERROR_CODES.NOT_CONNECTED);
     }
 
-    if (!amount || !Number.isFinite(amount) || amount <= 0) {
-      throw new Error('Invalid tip amount');
+    const { transfers, fee = null, ...call } = params;
+    if (!isDenyPolicy(call) || !Array.isArray(transfers)) {
+      throw new AppError(ERROR_CODES.NO_POLICY, { functionName: call.functionName });
     }
 
-    if (amount > CONFIG.UI.MAX_TIP) {
-      throw new Error(`Tip amount exceeds maximum (${CONFIG.UI.MAX_TIP} STX)`);
+    if (this.reviewHandler) {
+      const approved = await this.reviewHandler({
+        contractId: call.contract,
+        functionName: call.functionName,
+        postConditionMode: call.postConditionMode,
+        transfers,
+        fee
+      });
+      if (!approved) {
+        throw new AppError(ERROR_CODES.CANCELLED);
+      }
     }
 
-    const microAmount = Math.floor(amount * 1_000_000);
-    console.log('💰 Micro amount:', microAmount);
+    const request = { ...call, network: getActiveNetwork() };
+    if (fee !== null) request.fee = fee;
+    console.log(`📤 Calling ${params.functionName} via ${adapter.name}:`, request);
 
     try {
-      const result = this.walletType === 'leather'
-        ? await this.withTimeout(this.sendTipLeather(microAmount))
-        : await this.withTimeout(this.sendTipXverse(microAmount));
-      
-      if (this.pendingTxTimeout) {
-        clearTimeout(this.pendingTxTimeout);
-        this.pendingTxTimeout = null;
-      }
-      
+      const result = await this.withTimeout(adapter.callContract(request));
+      console.log('✅ Transaction response:', result);
       return result;
-    } catch (error) {
+    } finally {
       if (this.pendingTxTimeout) {
         clearTimeout(this.pendingTxTimeout);
         this.pendingTxTimeout = null;
       }
-      console.error('❌ Send tip error:', error);
-      throw error;
     }
   }
 
-  async sendTipWithMessage(amount, message) {
-    console.log('💬 Attempting to send tip with message:', amount, 'STX');
-    console.log('📝 Message:', message);
-
-    if (!this.address) {
-      throw new Error('Wallet not connected');
+  // Returns the tip as BigInt µSTX, or throws when it's outside CONFIG.UI limits
+  validateTipAmount(microAmount) {
+    let amount;
+    try {
+      amount = toMicro(microAmount);
+    } catch {
+      throw new AppError(ERROR_CODES.INVALID_AMOUNT);
     }
 
-    if (!amount || !Number.isFinite(amount) || amount <= 0) {
-      throw new Error('Invalid tip amount');
+    const { min, max } = getTipLimits();
+    if (amount <= 0n || amount < min) {
+      throw new AppError(ERROR_CODES.TIP_TOO_SMALL, { amount: formatStx(min, { minDecimals: 0 }) });
     }
-
-    if (!message || message.length === 0) {
-      return await this.sendTip(amount);
-    }
-
-    // FIXED: Correct length check
-    if (message.length > CONFIG.UI.MAX_MESSAGE_LENGTH) {
-      throw new Error(`Message too long (max ${CONFIG.UI.MAX_MESSAGE_LENGTH} characters)`);
-    }
-
-    const microAmount = Math.floor(amount * 1_000_000);
-    console.log('💰 Micro amount:', microAmount);
-
-    try {
-      const result = this.walletType === 'leather'
-        ? await this.withTimeout(this.sendTipWithMessageLeather(microAmount, message))
-        : await this.withTimeout(this.sendTipWithMessageXverse(microAmount, message));
-      
-      if (this.pendingTxTimeout) {
-        clearTimeout(this.pendingTxTimeout);
-        this.pendingTxTimeout = null;
-      }
-      
-      return result;
-    } catch (error) {
-      if (this.pendingTxTimeout) {
-        clearTimeout(this.pendingTxTimeout);
-        this.pendingTxTimeout = null;
-      }
-      console.error('❌ Send tip with message error:', error);
-      throw error;
+    if (amount > max) {
+      throw new AppError(ERROR_CODES.TIP_TOO_LARGE, { amount: formatStx(max, { minDecimals: 0 }) });
     }
+    return amount;
   }
 
-  async sendTipLeather(microAmount) {
-    console.log('🦊 Sending via Leather...');
-
-    const provider = window.LeatherProvider || window.HiroWalletProvider;
-    if (!provider) throw new Error('Leather provider not found');
-
-    try {
-      const contractId = `${CONFIG.CONTRACT.ADDRESS}.${CONFIG.CONTRACT.NAME}`;
-      const argHex = this.encodeClarityUint(microAmount);
-
-      const params = {
+  // The contract call behind a tip, without its post-conditions; fees.js
+  // estimates from this before anything is signed
+  tipCall(microAmount, message = '', contractId = getContractId()) {
+    const amountArg = this.encodeClarityUint(toMicro(microAmount));
+    return message
+      ? {
         contract: contractId,
-        functionName: 'send-tip',
-        functionArgs: [argHex],
-        postConditionMode: 'allow',
-        network: CONFIG.NETWORK.DEFAULT,
-      };
-
-      console.log('📤 Calling stx_callContract:', params);
-      const response = await provider.request('stx_callContract', params);
-      console.log('✅ Transaction response:', response);
-
-      if (response.error) {
-        throw new Error(response.error.message || 'Transaction failed');
+        functionName: 'send-tip-with-message',
+        functionArgs: [amountArg, this.encodeClarityString(message)]
       }
-
-      const txid = this.extractTxId(response);
-      if (!txid) throw new Error('No transaction ID returned');
-
-      return { success: true, txId: txid, walletType: 'leather' };
-    } catch (error) {
-      console.error('❌ Leather transaction failed:', error);
-      throw error;
-    }
+      : { contract: contractId, functionName: 'send-tip', functionArgs: [amountArg] };
   }
 
-  async sendTipWithMessageLeather(microAmount, message) {
-    console.log('🦊 Sending with message via Leather...');
-
-    const provider = window.LeatherProvider || window.HiroWalletProvider;
-    if (!provider) throw new Error('Leather provider not found');
-
-    try {
-      const contractId = `${CONFIG.CONTRACT.ADDRESS}.${CONFIG.CONTRACT.NAME}`;
-      const amountHex = this.encodeClarityUint(microAmount);
-      const messageHex = this.encodeClarityString(message);
-
-      const params = {
-        contract: contractId,
-        functionName: 'send-tip-with-message',
-        functionArgs: [amountHex, messageHex],
-        postConditionMode: PostConditionMode.Deny,
-        postConditions: [
-          makeStandardSTXPostCondition(
-            this.address,
-            FungibleConditionCode.Equal,
-            microAmount
-          )
-        ],
-        network: CONFIG.NETWORK.DEFAULT,
-      };
-
-      console.log('📤 Calling send-tip-with-message:', params);
-      const response = await provider.request('stx_callContract', params);
-      console.log('✅ Transaction response:', response);
-
-      if (response.error) {
-        throw new Error(response.error.message || 'Transaction failed');
-      }
+  withdrawCall(contractId = getContractId(), recipient = this.address) {
+    return { contract: contractId, functionName: 'withdraw', functionArgs: [this.encodePrincipal(recipient)] };
+  }
 
-      const txid = this.extractTxId(response);
-      if (!txid) throw new Error('No transaction ID returned');
+  // Tip amounts are µSTX (BigInt); see parseStx in amount.js. `fee` is µSTX
+  // too, or null to let the wallet choose.
+  async sendTip(microAmount, contractId = getContractId(), { fee = null } = {}) {
+    console.log('💸 Attempting to send tip:', microAmount, 'µSTX to', contractId);
 
-      return { success: true, txId: txid, walletType: 'leather', hasMessage: true };
-    } catch (error) {
-      console.error('❌ Leather transaction failed:', error);
-      throw error;
+    if (!this.address) {
+      throw new AppError(ERROR_CODES.NOT_CONNECTED);
     }
-  }
 
-  async sendTipXverse(microAmount) {
-    console.log('⚡ Sending via Xverse...');
-
-    if (!window.XverseProviders) throw new Error('Xverse provider not found');
+    microAmount = this.validateTipAmount(microAmount);
 
     try {
-      const stacksProvider = window.XverseProviders.StacksProvider;
-      const contractId = `${CONFIG.CONTRACT.ADDRESS}.${CONFIG.CONTRACT.NAME}`;
-      const argHex = this.encodeClarityUint(microAmount);
-
-      const params = {
-        contract: contractId,
-        functionName: 'send-tip',
-        functionArgs: [argHex],
-        postConditionMode: PostConditionMode.Deny,
-        postConditions: [
-          makeStandardSTXPostCondition(
-            this.address,
-            FungibleConditionCode.Equal,
-            microAmount
-          )
-        ],
-        network: CONFIG.NETWORK.DEFAULT,
-      };
-
-      console.log('📤 Calling stx_callContract:', params);
-      const response = await stacksProvider.request('stx_callContract', params);
-      console.log('✅ Transaction response:', response);
-
-      if (response.error) {
-        throw new Error(response.error.message || 'Transaction failed');
-      }
-
-      const txid = this.extractTxId(response);
-      if (!txid) throw new Error('No transaction ID returned');
-
-      return { success: true, txId: txid, walletType: 'xverse' };
+      return await this.callContract({
+        ...this.tipCall(microAmount, '', contractId),
+        ...tipPolicy(this.address, contractId, microAmount),
+        fee
+      });
     } catch (error) {
-      console.error('❌ Xverse transaction failed:', error);
+      console.error('❌ Send tip error:', error);
       throw error;
     }
   }
 
-  async sendTipWithMessageXverse(microAmount, message) {
-    console.log('⚡ Sending with message via Xverse...');
-
-    if (!window.XverseProviders) throw new Error('Xverse provider not found');
-
-    try {
-      const stacksProvider = window.XverseProviders.StacksProvider;
-      const contractId = `${CONFIG.CONTRACT.ADDRESS}.${CONFIG.CONTRACT.NAME}`;
-      const amountHex = this.encodeClarityUint(microAmount);
-      const messageHex = this.encodeClarityString(message);
+  async sendTipWithMessage(microAmount, message, contractId = getContractId(), { fee = null } = {}) {
+    console.log('💬 Attempting to send tip with message:', microAmount, 'µSTX to', contractId);
+    console.log('📝 Message:', message);
 
-      const params = {
-        contract: contractId,
-        functionName: 'send-tip-with-message',
-        functionArgs: [amountHex, messageHex],
-        postConditionMode: PostConditionMode.Deny,
-        postConditions: [
-          makeStandardSTXPostCondition(
-            this.address,
-            FungibleConditionCode.Equal,
-            microAmount
-          )
-        ],
-        network: CONFIG.NETWORK.DEFAULT,
-      };
+    if (!this.address) {
+      throw new AppError(ERROR_CODES.NOT_CONNECTED);
+    }
 
-      console.log('📤 Calling send-tip-with-message:', params);
-      const response = await stacksProvider.request('stx_callContract', params);
-      console.log('✅ Transaction response:', response);
+    microAmount = this.validateTipAmount(microAmount);
 
-      if (response.error) {
-        throw new Error(response.error.message || 'Transaction failed');
-      }
+    if (!message || message.length === 0) {
+      return await this.sendTip(microAmount, contractId, { fee });
+    }
 
-      const txid = this.extractTxId(response);
-      if (!txid) throw new Error('No transaction ID returned');
+    // FIXED: Correct length check
+    if (message.length > CONFIG.UI.MAX_MESSAGE_LENGTH) {
+      throw new AppError(ERROR_CODES.MESSAGE_TOO_LONG, { max: CONFIG.UI.MAX_MESSAGE_LENGTH });
+    }
 
-      return { success: true, txId: txid, walletType: 'xverse', hasMessage: true };
+    try {
+      const result = await this.callContract({
+        ...this.tipCall(microAmount, message, contractId),
+        ...tipPolicy(this.address, contractId, microAmount),
+        fee
+      });
+      return { ...result, hasMessage: true };
     } catch (error) {
-      console.error('❌ Xverse transaction failed:', error);
+      console.error('❌ Send tip with message error:', error);
       throw error;
     }
   }
 
-  async withdraw() {
-    console.log('⬇️ Attempting withdrawal...');
-
+  // Owner-only calls; the contract enforces this too, but failing early
+  // saves the owner a wasted fee
+  async callAsOwner(owner, params) {
     if (!this.address) {
-      throw new Error('Wallet not connected');
+      throw new AppError(ERROR_CODES.NOT_CONNECTED);
     }
 
-    if (this.address !== CONFIG.CONTRACT.OWNER) {
-      throw new Error('Only the contract owner can withdraw');
+    if (this.address !== owner) {
+      throw new AppError(ERROR_CODES.NOT_OWNER, { kind: params.functionName });
     }
 
     try {
-      const result = this.walletType === 'leather'
-        ? await this.withTimeout(this.withdrawLeather(this.address))
-        : await this.withTimeout(this.withdrawXverse(this.address));
-      
-      if (this.pendingTxTimeout) {
-        clearTimeout(this.pendingTxTimeout);
-        this.pendingTxTimeout = null;
-      }
-      
-      return result;
+      return await this.callContract(params);
     } catch (error) {
-      if (this.pendingTxTimeout) {
-        clearTimeout(this.pendingTxTimeout);
-        this.pendingTxTimeout = null;
-      }
-      console.error('❌ Withdraw error:', error);
+      console.error(`❌ ${params.functionName} failed:`, error);
       throw error;
     }
   }
 
-  async withdrawLeather(recipient) {
-    const provider = window.LeatherProvider || window.HiroWalletProvider;
-    if (!provider) throw new Error('Leather provider not found');
-
-    const contractId = `${CONFIG.CONTRACT.ADDRESS}.${CONFIG.CONTRACT.NAME}`;
-    const argHex = this.encodePrincipal(recipient);
+  // `balanceMicro` is the contract balance read right before signing; the
+  // post-condition pins the withdrawal to exactly that amount
+  async withdraw(contractId = getContractId(), owner = getContractConfig()?.OWNER, recipient = this.address, balanceMicro, { fee = null } = {}) {
+    console.log('⬇️ Attempting withdrawal of', balanceMicro, 'µSTX from', contractId, 'to', recipient);
 
-    const params = {
-      contract: contractId,
-      functionName: 'withdraw',
-      functionArgs: [argHex],
-      postConditionMode: PostConditionMode.Allow, // Owner withdrawal
-      network: CONFIG.NETWORK.DEFAULT,
-    };
-
-    const response = await provider.request('stx_callContract', params);
-    if (response.error) throw new Error(response.error.message);
-
-    const txid = this.extractTxId(response);
-    if (!txid) throw new Error('No transaction ID returned');
+    if (!isValidPrincipal(recipient, getActiveNetwork())) {
+      throw new AppError(ERROR_CODES.INVALID_RECIPIENT, { network: getActiveNetwork() });
+    }
 
-    return { success: true, txId: txid, walletType: 'leather' };
+    return this.callAsOwner(owner, {
+      ...this.withdrawCall(contractId, recipient),
+      ...withdrawPolicy(contractId, recipient, balanceMicro),
+      fee
+    });
   }
 
-  async withdrawXverse(recipient) {
-    if (!window.XverseProviders) throw new Error('Xverse provider not found');
+  async transferOwnership(newOwner, contractId = getContractId(), owner = getContractConfig()?.OWNER) {
+    console.log('🔑 Attempting ownership transfer of', contractId, 'to', newOwner);
 
-    const stacksProvider = window.XverseProviders.StacksProvider;
-    const contractId = `${CONFIG.CONTRACT.ADDRESS}.${CONFIG.CONTRACT.NAME}`;
-    const argHex = this.encodePrincipal(recipient);
+    if (!isValidPrincipal(newOwner, getActiveNetwork())) {
+      throw new AppError(ERROR_CODES.INVALID_OWNER, { network: getActiveNetwork() });
+    }
+
+    if (newOwner === owner) {
+      throw new AppError(ERROR_CODES.ALREADY_OWNER);
+    }
 
-    const params = {
+    return this.callAsOwner(owner, {
       contract: contractId,
-      functionName: 'withdraw',
-      functionArgs: [argHex],
-      postConditionMode: PostConditionMode.Allow, // Owner withdrawal
-      network: CONFIG.NETWORK.DEFAULT,
-    };
+      functionName: 'transfer-ownership',
+      functionArgs: [this.encodePrincipal(newOwner)],
+      ...noTransferPolicy()
+    });
+  }
 
-    const response = await stacksProvider.request('stx_callContract', params);
-    if (response.error) throw new Error(response.error.message);
+  // Threshold in µSTX (BigInt)
+  async setPremiumThreshold(microAmount, contractId = getContractId(), owner = getContractConfig()?.OWNER) {
+    console.log('🎯 Attempting to set premium threshold of', contractId, 'to', microAmount, 'µSTX');
 
-    const txid = this.extractTxId(response);
-    if (!txid) throw new Error('No transaction ID returned');
+    try {
+      microAmount = toMicro(microAmount);
+    } catch {
+      throw new AppError(ERROR_CODES.INVALID_THRESHOLD);
+    }
+
+    if (microAmount <= 0n) {
+      throw new AppError(ERROR_CODES.INVALID_THRESHOLD);
+    }
 
-    return { success: true, txId: txid, walletType: 'xverse' };
+    return this.callAsOwner(owner, {
+      contract: contractId,
+      functionName: 'set-premium-threshold',
+      functionArgs: [this.encodeClarityUint(microAmount)],
+      ...noTransferPolicy()
+    });
   }
 }
 
@@ -0,0 +1,183 @@
+// wallets/adapter.js - Wallet adapter contract and registry
+import { getNetworkForAddress } from '../config.js';
+import { serializePolicy } from '../post-conditions.js';
+import { AppError, ERROR_CODES } from '../errors.js';
+
+export function extractTxId(response) {
+  if (!response) return null;
+  if (response.txid || response.txId) {
+    return response.txid || response.txId;
+  }
+  if (response.result && (response.result.txid || response.result.txId)) {
+    return response.result.txid || response.result.txId;
+  }
+  return null;
+}
+
+/**
+ * Base class for wallet integrations. A wallet only has to implement
+ * `getProvider()` and `getAddresses()`; the rest works for any provider that
+ * speaks the `stx_*` JSON-RPC methods and can be overridden when it doesn't.
+ *
+ * Events (via `on`): 'accountsChanged', 'networkChanged', 'disconnect'.
+ *
+ * `rejectionCodes` are the JSON-RPC error codes the wallet answers with when
+ * the user declines; they surface as CANCELLED (see errors.js).
+ */
+export class WalletAdapter {
+  constructor({ id, name, icon = '👛', installUrl = null, rejectionCodes = [4001] }) {
+    this.id = id;
+    this.name = name;
+    this.icon = icon;
+    this.installUrl = installUrl;
+    this.rejectionCodes = rejectionCodes;
+    this.listeners = new Map(); // event -> callbacks
+    this.watching = false;
+  }
+
+  // The injected provider object, or null when the extension is missing
+  getProvider() {
+    return null;
+  }
+
+  // STX addresses offered by the wallet: [{ address, publicKey }]
+  async getAddresses() {
+    throw new Error(`${this.name} adapter does not implement getAddresses()`);
+  }
+
+  // Binds provider events to `emit`; called once, on the first `on()`
+  watch() {}
+
+  detect() {
+    if (typeof window === 'undefined') return false;
+    return Boolean(this.getProvider());
+  }
+
+  requireProvider() {
+    if (typeof window === 'undefined') {
+      throw new Error('Wallets are only available in the browser');
+    }
+
+    const provider = this.getProvider();
+    if (!provider) {
+      const host = this.installUrl ? new URL(this.installUrl).host : 'none';
+      throw new AppError(ERROR_CODES.WALLET_NOT_INSTALLED, { wallet: this.name, host });
+    }
+    return provider;
+  }
+
+  async request(method, params) {
+    const provider = this.requireProvider();
+
+    let response;
+    try {
+      response = await provider.request(method, params);
+    } catch (thrown) {
+      // Some providers reject with the JSON-RPC response instead of returning it
+      response = thrown?.error ? thrown : { error: thrown || {} };
+    }
+
+    if (response?.error) {
+      throw this.toError(response.error);
+    }
+    return response;
+  }
+
+  toError({ code, message } = {}) {
+    if (this.rejectionCodes.includes(code)) {
+      return new AppError(ERROR_CODES.CANCELLED);
+    }
+    return new AppError(ERROR_CODES.WALLET_ERROR, { wallet: this.name, message: message || '' });
+  }
+
+  // Resolves with the address to use on `network`
+  async connect(network) {
+    const addresses = await this.getAddresses();
+    const match = addresses.find(entry => getNetworkForAddress(entry.address) === network);
+    const chosen = match || addresses[0];
+
+    if (!chosen) {
+      throw new AppError(ERROR_CODES.NO_ADDRESS, { wallet: this.name });
+    }
+    return chosen.address;
+  }
+
+  /**
+   * `stx_callContract` params in the wallet's wire format. `params` carry a
+   * policy from post-conditions.js and an optional µSTX `fee`; neither the
+   * v6 post-condition objects nor BigInts survive JSON-RPC, so the policy is
+   * serialized and the fee sent as a string. This is what Leather takes;
+   * adapters for wallets that differ override it (see xverse.js).
+   */
+  formatCall({ fee, postConditionMode, postConditions, ...call }) {
+    const request = { ...call, ...serializePolicy({ postConditionMode, postConditions }) };
+    if (fee !== undefined && fee !== null) request.fee = String(fee);
+    return request;
+  }
+
+  async callContract(params) {
+    const response = await this.request('stx_callContract', this.formatCall(params));
+
+    const txId = extractTxId(response);
+    if (!txId) throw new AppError(ERROR_CODES.NO_TX_ID, { wallet: this.name });
+
+    return { success: true, txId, walletType: this.id };
+  }
+
+  async signMessage(message) {
+    const response = await this.request('stx_signMessage', { message });
+    const result = response?.result || {};
+
+    if (!result.signature) throw new AppError(ERROR_CODES.NO_SIGNATURE, { wallet: this.name });
+    return { signature: result.signature, publicKey: result.publicKey || null };
+  }
+
+  on(event, callback) {
+    if (!this.watching) {
+      this.watching = true;
+      this.watch();
+    }
+
+    if (!this.listeners.has(event)) this.listeners.set(event, []);
+    this.listeners.get(event).push(callback);
+
+    return () => {
+      const callbacks = this.listeners.get(event) || [];
+      this.listeners.set(event, callbacks.filter(cb => cb !== callback));
+    };
+  }
+
+  emit(event, payload) {
+    (this.listeners.get(event) || []).forEach(cb => {
+      try {
+        cb(payload);
+      } catch (error) {
+        console.error(`❌ Error in ${this.name} ${event} listener:`, error);
+      }
+    });
+  }
+}
+
+export class WalletRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  register(adapter) {
+    if (!(adapter instanceof WalletAdapter)) {
+      throw new Error('Wallets must extend WalletAdapter');
+    }
+    this.adapters.set(adapter.id, adapter);
+    return adapter;
+  }
+
+  get(id) {
+    return this.adapters.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.adapters.values());
+  }
+}
+
+export const walletRegistry = new WalletRegistry();
@@ -0,0 +1,5 @@
+// wallets/index.js - Loads every wallet adapter in this folder
+// Each adapter module registers itself, so adding a wallet is one new file.
+import.meta.glob(['./*.js', '!./index.js', '!./adapter.js'], { eager: true });
+
+export { WalletAdapter, walletRegistry, extractTxId } from './adapter.js';
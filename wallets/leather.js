@@ -0,0 +1,30 @@
+// wallets/leather.js - Leather (formerly Hiro Wallet)
+import { WalletAdapter, walletRegistry } from './adapter.js';
+import { AppError, ERROR_CODES } from '../errors.js';
+
+export class LeatherAdapter extends WalletAdapter {
+  constructor() {
+    super({ id: 'leather', name: 'Leather', icon: '🦊', installUrl: 'https://leather.io' });
+  }
+
+  getProvider() {
+    return window.LeatherProvider || window.HiroWalletProvider || null;
+  }
+
+  async getAddresses() {
+    console.log('📡 Requesting addresses from Leather...');
+    const response = await this.request('getAddresses');
+    console.log('✅ Leather response:', response);
+
+    const addresses = response?.result?.addresses;
+    if (!addresses) {
+      throw new AppError(ERROR_CODES.NO_ADDRESS, { wallet: this.name });
+    }
+
+    return addresses
+      .filter(entry => entry.symbol === 'STX')
+      .map(entry => ({ address: entry.address, publicKey: entry.publicKey || null }));
+  }
+}
+
+export const leatherAdapter = walletRegistry.register(new LeatherAdapter());
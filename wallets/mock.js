@@ -0,0 +1,22 @@
+// wallets/mock.js - Scripted wallet, only registered in mock mode
+import { isMockMode } from '../config.js';
+import { WalletAdapter, walletRegistry } from './adapter.js';
+
+export class MockAdapter extends WalletAdapter {
+  constructor() {
+    super({ id: 'mock', name: 'Mock Wallet', icon: '🧪' });
+  }
+
+  getProvider() {
+    return window.MockStacksProvider || null;
+  }
+
+  async getAddresses() {
+    const response = await this.request('getAddresses');
+    return response.result.addresses
+      .filter(entry => entry.symbol === 'STX')
+      .map(entry => ({ address: entry.address, publicKey: entry.publicKey || null }));
+  }
+}
+
+export const mockAdapter = isMockMode() ? walletRegistry.register(new MockAdapter()) : null;
@@ -0,0 +1,59 @@
+// wallets/xverse.js - Xverse
+import { CONFIG } from '../config.js';
+import { WalletAdapter, walletRegistry } from './adapter.js';
+import { AppError, ERROR_CODES } from '../errors.js';
+
+// Xverse event names -> adapter events
+const XVERSE_EVENTS = {
+  accountChange: 'accountsChanged',
+  networkChange: 'networkChanged',
+  disconnect: 'disconnect'
+};
+
+export class XverseAdapter extends WalletAdapter {
+  constructor() {
+    // sats-connect answers a declined request with USER_REJECTION (-32000)
+    super({ id: 'xverse', name: 'Xverse', icon: '⚡', installUrl: 'https://xverse.app', rejectionCodes: [-32000] });
+  }
+
+  getProvider() {
+    return window.XverseProviders?.StacksProvider || null;
+  }
+
+  // Xverse reads the Clarity arguments from `arguments`; older releases
+  // still look at `functionArgs`, so both are sent
+  formatCall(params) {
+    const request = super.formatCall(params);
+    return { ...request, arguments: request.functionArgs };
+  }
+
+  async getAddresses() {
+    console.log('📡 Requesting addresses from Xverse...');
+    const response = await this.request('stx_getAccounts', {
+      purposes: ['stx'],
+      message: 'Connect to ' + CONFIG.APP.NAME,
+    });
+    console.log('✅ Xverse response:', response);
+
+    const accounts = response?.result?.accounts || response?.result?.addresses || [];
+    if (accounts.length === 0) {
+      throw new AppError(ERROR_CODES.NO_ADDRESS, { wallet: this.name });
+    }
+
+    return accounts
+      .filter(entry => entry.address)
+      .map(entry => ({ address: entry.address, publicKey: entry.publicKey || null }));
+  }
+
+  // Xverse publishes wallet events on its Bitcoin provider
+  watch() {
+    const provider = typeof window !== 'undefined' ? window.XverseProviders?.BitcoinProvider : null;
+    if (typeof provider?.addListener !== 'function') return;
+
+    Object.entries(XVERSE_EVENTS).forEach(([xverseEvent, event]) => {
+      provider.addListener(xverseEvent, payload => this.emit(event, payload));
+    });
+  }
+}
+
+export const xverseAdapter = walletRegistry.register(new XverseAdapter());